@@ -0,0 +1,79 @@
+/**
+ * Accept Fixed-Width Proposals
+ *
+ * Adds every file listed in `fixed-width-proposals.json` (written by
+ * `detect-fixed-width.mjs`, then reviewed by hand) to the fixed-width
+ * manifest `fixed-width-files.json`, so `check-long-lines-fixed-width.mjs`
+ * and `pad-fixed-width.mjs` pick them up. The manifest is kept sorted and
+ * free of duplicates, and the proposals file is emptied afterwards.
+ *
+ * Proposals for files that no longer exist in `original/` are rejected.
+ * With --dry-run the files that would be added are printed and nothing is
+ * written.
+ *
+ * Usage:
+ *   node accept-fixed-width.mjs [--dry-run]
+ */
+
+import { existsSync } from "fs";
+import { readFile, writeFile } from "fs/promises";
+import path from "path";
+import { loadConfig } from "./lib/config.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+
+export async function main(options = {}) {
+  const config = loadConfig();
+  const { manifestFile, proposalsFile } = config.fixedWidth;
+
+  // Step 1: Read the reviewed proposals and the current manifest.
+  let proposals;
+  try {
+    proposals = JSON.parse(await readFile(proposalsFile, "utf-8"));
+  } catch {
+    throw new StageFailure(
+      `Cannot read ${proposalsFile}; run detect-fixed-width first`
+    );
+  }
+  const manifest = JSON.parse(await readFile(manifestFile, "utf-8"));
+
+  // Step 2: Check each proposal and collect the new files.
+  const added = [];
+  let hasErrors = false;
+
+  for (const { fileName } of proposals) {
+    if (!existsSync(path.join(config.originalDir, fileName))) {
+      console.error(`  ✗  ${fileName}: not found in ${config.originalDir}/`);
+      hasErrors = true;
+      continue;
+    }
+    if (manifest.includes(fileName) || added.includes(fileName)) continue;
+    added.push(fileName);
+  }
+
+  if (hasErrors) {
+    throw new StageFailure(`${proposalsFile} lists unknown files`);
+  }
+
+  for (const fileName of added) {
+    console.log(`  + ${fileName}`);
+  }
+
+  // Step 3: Write the manifest and clear the accepted proposals.
+  if (!options.dryRun) {
+    if (added.length > 0) {
+      const updated = [...manifest, ...added].sort();
+      await writeFile(manifestFile, JSON.stringify(updated, null, 2) + "\n");
+    }
+    await writeFile(proposalsFile, "[]\n");
+  }
+
+  console.log("— Summary —");
+  console.log(`  Proposals:        ${proposals.length}`);
+  console.log(`  Added:            ${added.length}`);
+  console.log(`  Manifest size:    ${manifest.length + added.length}`);
+  if (options.dryRun) {
+    console.log(`  Dry run:          ${manifestFile} not written`);
+  }
+}
+
+runIfMain(import.meta.url, main);
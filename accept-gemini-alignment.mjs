@@ -0,0 +1,151 @@
+/**
+ * Accept Gemini Alignment Proposals
+ *
+ * Writes every proposal left in `gemini-alignment-proposals.json` (written
+ * by `align-gemini-lines.mjs`, then reviewed by hand) back into
+ * `gemini-translation-text/`: the section's content is replaced with the
+ * proposal's `lines`, one per non-empty original line. The proposals file
+ * is emptied afterwards.
+ *
+ * A proposal is rejected, and nothing is written, when its section no
+ * longer exists or was edited after the proposal was made, or when its
+ * `lines` do not match the original's non-empty line count. Run with
+ * --dry-run to print the changes as a diff, or --backup to snapshot each
+ * text file before it is rewritten.
+ *
+ * Usage:
+ *   node accept-gemini-alignment.mjs [--dry-run] [--backup]
+ */
+
+import { readFile, writeFile } from "fs/promises";
+import path from "path";
+import { sectionHash } from "./lib/align.mjs";
+import { loadConfig } from "./lib/config.mjs";
+import { parseTranslationEntries } from "./lib/gemini-entries.mjs";
+import { openRewriter } from "./lib/rewrite.mjs";
+import { readOriginal } from "./lib/script.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+
+export async function main(options = {}) {
+  const config = loadConfig();
+  const { textDir, alignmentFile } = config.gemini;
+  const rewriter = openRewriter(config, "accept-gemini-alignment", options);
+
+  // Step 1: Read the reviewed proposals.
+  let proposals;
+  try {
+    proposals = JSON.parse(await readFile(alignmentFile, "utf-8"));
+  } catch {
+    throw new StageFailure(
+      `Cannot read ${alignmentFile}; run align-gemini-lines first`
+    );
+  }
+
+  // Step 2: Check each proposal against its section and original.
+  const byFile = new Map();
+  let hasErrors = false;
+
+  for (const proposal of proposals) {
+    const { translationFile, fileName, line } = proposal;
+    const where = `${translationFile} → ${fileName} (line ${line})`;
+
+    if (!byFile.has(translationFile)) {
+      const filePath = path.join(textDir, translationFile);
+      let content;
+      try {
+        content = await readFile(filePath, "utf-8");
+      } catch {
+        console.error(`  ✗  ${where}: ${filePath} not found`);
+        hasErrors = true;
+        continue;
+      }
+      byFile.set(translationFile, {
+        filePath,
+        content,
+        entries: parseTranslationEntries(content),
+        accepted: [],
+      });
+    }
+    const file = byFile.get(translationFile);
+
+    const entry = file.entries.find(
+      (e) => e.fileName === fileName && e.line === line
+    );
+    if (!entry || sectionHash(entry.contentLines) !== proposal.source) {
+      console.error(
+        `  ✗  ${where}: section changed since the proposal; ` +
+          "rerun align-gemini-lines"
+      );
+      hasErrors = true;
+      continue;
+    }
+
+    const original = await readOriginal(config.originalDir, fileName);
+    const expected = original
+      ? original.lines.filter((l) => l.trim().length > 0).length
+      : null;
+    if (proposal.lines.length !== expected) {
+      console.error(
+        `  ✗  ${where}: ${proposal.lines.length} lines proposed, ` +
+          `original has ${expected ?? "no file"}`
+      );
+      hasErrors = true;
+      continue;
+    }
+
+    file.accepted.push({ entry, lines: proposal.lines });
+  }
+
+  if (hasErrors) {
+    throw new StageFailure(`${alignmentFile} has proposals that cannot apply`);
+  }
+
+  // Step 3: Replace the sections, from the bottom of each file up so the
+  // line numbers of the others stay valid.
+  let sectionsFixed = 0;
+  for (const { filePath, content, accepted } of byFile.values()) {
+    const lines = content.split("\n");
+    accepted.sort((a, b) => b.entry.line - a.entry.line);
+
+    for (const { entry, lines: aligned } of accepted) {
+      // Keep the empty lines around the content, e.g. the ones separating
+      // the section from the next.
+      const section = entry.contentLines;
+      const first = section.findIndex((l) => l.trim().length > 0);
+      const last = section.findLastIndex((l) => l.trim().length > 0);
+      const leading = section.slice(0, first);
+      const trailing = section.slice(last + 1);
+
+      // entry.line is the 1-based fileName line; the content starts two
+      // lines below it.
+      lines.splice(
+        entry.line + 1,
+        section.length,
+        ...leading,
+        ...aligned,
+        ...trailing
+      );
+      console.log(`  ✓  ${path.basename(filePath)} → ${entry.fileName}`);
+      sectionsFixed++;
+    }
+
+    await rewriter.write(
+      filePath,
+      Buffer.from(lines.join("\n")),
+      Buffer.from(content)
+    );
+  }
+
+  if (!rewriter.dryRun) {
+    await writeFile(alignmentFile, "[]\n");
+  }
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Proposals:        ${proposals.length}`);
+  console.log(`  Sections fixed:   ${sectionsFixed}`);
+  console.log(`  Files rewritten:  ${byFile.size}`);
+  rewriter.report();
+}
+
+runIfMain(import.meta.url, main);
@@ -0,0 +1,137 @@
+/**
+ * Align Gemini Line Counts
+ *
+ * For every section of `gemini-translation-text/*.txt` whose non-empty line
+ * count differs from its original (the sections validate-gemini-line-counts
+ * reports), proposes where the model merged or split lines, added remarks
+ * of its own or left a line out: speech source positions, quote brackets,
+ * page-break marks and sentence punctuation decide where a translated line
+ * is cut in two, two lines are joined, a line is dropped or the Japanese
+ * line is kept for want of a translation (see lib/align.mjs).
+ *
+ * Each proposal is printed with its fixes and a side-by-side view of the
+ * Japanese and the aligned translation around them (changed lines marked
+ * with "*"),
+ * and written to `gemini.alignmentFile` (gemini-alignment-proposals.json):
+ *
+ *   [{ "translationFile": "05.txt", "fileName": "F06_p010.txt",
+ *      "line": 2, "source": "…", "fixes": ["…"], "lines": ["…", ...] }]
+ *
+ * Review the file: delete the proposals that are wrong and correct `lines`
+ * where needed, then run `accept-gemini-alignment.mjs` to write the rest
+ * into the text files. Sections with no possible alignment (e.g. a speech
+ * source missing from the reply) are listed to be fixed by hand.
+ *
+ * Usage:
+ *   node align-gemini-lines.mjs
+ */
+
+import { writeFile } from "fs/promises";
+import { alignSection, sectionHash, sideBySide } from "./lib/align.mjs";
+import { loadConfig } from "./lib/config.mjs";
+import { readAllTranslationEntries } from "./lib/gemini-entries.mjs";
+import { readOriginal } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+
+const nonEmpty = (lines) => lines.filter((l) => l.trim().length > 0);
+
+export async function main() {
+  const config = loadConfig();
+  const { textDir, alignmentFile } = config.gemini;
+  const width = Math.max(80, process.stdout.columns ?? 120);
+
+  // Step 1: Find the sections whose line count differs from the original.
+  const entries = await readAllTranslationEntries(textDir);
+  const proposals = [];
+  const unaligned = [];
+  let mismatched = 0;
+
+  for (const entry of entries) {
+    const original = await readOriginal(config.originalDir, entry.fileName);
+    if (!original) continue;
+
+    const originalLines = nonEmpty(original.lines);
+    const translatedLines = nonEmpty(entry.contentLines);
+    if (originalLines.length === translatedLines.length) continue;
+    mismatched++;
+
+    const where = `${entry.translationFile} → ${entry.fileName}`;
+    const counts =
+      `original ${originalLines.length} lines, ` +
+      `translated ${translatedLines.length} lines`;
+
+    // Step 2: Align it and show the proposal.
+    const alignment = alignSection(originalLines, translatedLines);
+    if (!alignment) {
+      unaligned.push(`${where} (line ${entry.line}): ${counts}`);
+      continue;
+    }
+
+    // File line of each non-empty translated line, for the fix messages.
+    const fileLines = [];
+    entry.contentLines.forEach((line, i) => {
+      if (line.trim().length > 0) fileLines.push(entry.line + 2 + i);
+    });
+
+    const changed = new Set();
+    const fixes = alignment.fixes.map((fix) => {
+      if (fix.kind === "extra") {
+        // Mark the line it followed.
+        changed.add(Math.max(fix.original - 1, 0));
+        return `dropped line ${fileLines[fix.translated]}: ${fix.text}`;
+      }
+      changed.add(fix.original);
+      if (fix.kind === "missing") {
+        return (
+          `no translation for original line ${fix.original + 1}, ` +
+          `kept the Japanese: ${fix.text}`
+        );
+      }
+      if (fix.kind === "split") {
+        changed.add(fix.original + 1);
+        return (
+          `split line ${fileLines[fix.translated]} for original lines ` +
+          `${fix.original + 1}–${fix.original + 2}: ${fix.text}`
+        );
+      }
+      return (
+        `joined lines ${fileLines[fix.translated]}–` +
+        `${fileLines[fix.translated + 1]} for original line ` +
+        `${fix.original + 1}: ${fix.text}`
+      );
+    });
+
+    console.log(`\n${where} (line ${entry.line}): ${counts}`);
+    for (const fix of fixes) console.log(`  • ${fix}`);
+    console.log(
+      sideBySide(originalLines, alignment.lines, changed, { width })
+    );
+
+    proposals.push({
+      translationFile: entry.translationFile,
+      fileName: entry.fileName,
+      line: entry.line,
+      source: sectionHash(entry.contentLines),
+      fixes,
+      lines: alignment.lines,
+    });
+  }
+
+  if (unaligned.length > 0) {
+    console.log("\nNo alignment found (fix by hand):");
+    for (const section of unaligned) console.log(`  ✗  ${section}`);
+  }
+
+  // Step 3: Write the proposals for review.
+  await writeFile(alignmentFile, JSON.stringify(proposals, null, 2) + "\n");
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Sections:         ${entries.length}`);
+  console.log(`  Mismatched:       ${mismatched}`);
+  console.log(`  Proposed:         ${proposals.length}`);
+  console.log(`  Not aligned:      ${unaligned.length}`);
+  console.log(`  Written to:       ${alignmentFile}`);
+}
+
+runIfMain(import.meta.url, main);
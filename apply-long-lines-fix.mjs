@@ -14,46 +14,25 @@
  *   1. Both files have the same number of entries.
  *   2. Each entry's header (filePath + lineNumber) matches between the
  *      original and updated files.
- *   3. Every updated content line is at most MAX_LENGTH characters.
+ *   3. Every updated content line is at most `width.maxLength` characters
+ *      as displayed, not counting ruby readings and with player names at
+ *      their default length (see lib/templates.mjs).
  *
  * If all checks pass, each translated file is patched in place. Files are
- * Shift-JIS encoded.
+ * Shift-JIS encoded. Pass --dry-run to print a diff of the patches instead
+ * of writing them, or --backup to snapshot each file before it is patched
+ * (see lib/rewrite.mjs).
  *
  * Usage:
- *   node apply-long-lines-fix.mjs
+ *   node apply-long-lines-fix.mjs [--dry-run | --backup]
  */
 
 import { readFile, writeFile } from "fs/promises";
-import Encoding from "encoding-japanese";
-
-const ORIGINAL_FILE = "long_lines.txt";
-const UPDATED_FILE = "long_lines_updated.txt";
-const MAX_LENGTH = 128;
-
-const sjisDecoder = new TextDecoder("shift_jis");
-
-// Unicode characters that have no Shift-JIS representation → safe replacements.
-const CHAR_REPLACEMENTS = new Map([
-  ["\u2014", "-"], // — (em dash) → ― (horizontal bar)
-  ["\u00B7", "."], // · (middle dot) → ・ (katakana middle dot)
-  ["\u00E9", "e"], // é (e-acute) → e
-]);
-
-/**
- * Encode a Unicode string to a Shift-JIS Buffer, replacing characters that
- * cannot be represented in Shift-JIS first.
- */
-function encodeShiftJIS(str) {
-  let safe = str;
-  for (const [from, to] of CHAR_REPLACEMENTS) {
-    safe = safe.replaceAll(from, to);
-  }
-  const codeArray = Encoding.convert(Encoding.stringToCode(safe), {
-    to: "SJIS",
-    from: "UNICODE",
-  });
-  return Buffer.from(codeArray);
-}
+import { loadConfig, wrapCategory } from "./lib/config.mjs";
+import { openRewriter } from "./lib/rewrite.mjs";
+import { encodeScript, readScript } from "./lib/script.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+import { templateWidth } from "./lib/templates.mjs";
 
 /**
  * Parse the long_lines format into an array of { file, lineNum, text }.
@@ -87,20 +66,24 @@ function parseEntries(content) {
   return entries;
 }
 
-async function main() {
+export async function main(options = {}) {
+  const config = loadConfig();
+  const rewriter = openRewriter(config, "apply-long-lines-fix", options);
+  const { longLinesFile, updatedFile } = wrapCategory(config).padding;
+  const { maxLength } = config.width;
+
   // Step 1: Read and parse both files.
-  const originalContent = await readFile(ORIGINAL_FILE, "utf-8");
-  const updatedContent = await readFile(UPDATED_FILE, "utf-8");
+  const originalContent = await readFile(longLinesFile, "utf-8");
+  const updatedContent = await readFile(updatedFile, "utf-8");
 
   const originalEntries = parseEntries(originalContent);
   const updatedEntries = parseEntries(updatedContent);
 
   // Step 2: Verify both files have the same number of entries.
   if (originalEntries.length !== updatedEntries.length) {
-    console.error(
+    throw new StageFailure(
       `Entry count mismatch: original has ${originalEntries.length}, updated has ${updatedEntries.length}`
     );
-    process.exit(1);
   }
 
   // Step 3: Verify headers match and updated lines are within the limit.
@@ -119,17 +102,18 @@ async function main() {
       hasErrors = true;
     }
 
-    if (upd.text.length > MAX_LENGTH) {
+    const width = templateWidth(config, upd.text);
+    if (width > maxLength) {
       console.error(
         `Entry ${i + 1} (${upd.file} line ${upd.lineNum}): ` +
-          `still too long (${upd.text.length} chars, max ${MAX_LENGTH})`
+          `still too long (${width} chars, max ${maxLength})`
       );
       hasErrors = true;
     }
   }
 
   if (hasErrors) {
-    process.exit(1);
+    throw new StageFailure(`${updatedFile} has invalid entries`);
   }
 
   // Step 4: Group updated entries by file for batch patching.
@@ -146,23 +130,21 @@ async function main() {
   let patchedLines = 0;
 
   for (const [filePath, patches] of patchesByFile) {
-    const raw = await readFile(filePath);
-    const text = sjisDecoder.decode(raw);
-    const lines = text.split("\n");
+    const { raw, lines, trailingNewline } = await readScript(filePath);
 
     for (const patch of patches) {
       const idx = patch.lineNum - 1;
       if (idx < 0 || idx >= lines.length) {
-        console.error(
+        throw new StageFailure(
           `${filePath}: line ${patch.lineNum} out of range (file has ${lines.length} lines)`
         );
-        process.exit(1);
       }
       lines[idx] = patch.text;
       patchedLines++;
     }
 
-    await writeFile(filePath, encodeShiftJIS(lines.join("\n")));
+    const encoded = encodeScript(lines, { trailingNewline, file: filePath });
+    await rewriter.write(filePath, encoded, raw);
     patchedFiles++;
   }
 
@@ -170,6 +152,7 @@ async function main() {
   console.log(`  Entries verified: ${updatedEntries.length}`);
   console.log(`  Files patched:   ${patchedFiles}`);
   console.log(`  Lines updated:   ${patchedLines}`);
+  rewriter.report();
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
@@ -0,0 +1,101 @@
+/**
+ * Build Translation Prompts
+ *
+ * Turns every batch of the batch manifest (see plan-batches.mjs) into a
+ * ready-to-send UTF-8 prompt: formatting rules, the character glossary,
+ * terminology from translation-map.json, the end of the previous scene,
+ * then the batch's sections (see lib/prompt.mjs). translate-batches.mjs
+ * sends the same prompts, for the sections still untranslated.
+ *
+ * Prompts are written to `{promptDir}/{batch}.txt`, together with
+ * `{promptDir}/index.json`:
+ *
+ *   [{ "batch": "normal-001", "file": "...", "sections": 12,
+ *      "prefilled": 2, "estimatedTokens": 18250 }, ...]
+ *
+ * Lines the translation memory knows are pre-filled as translate-batches
+ * sends them, and sections it covers entirely are left out (counted as
+ * `prefilled` in the index).
+ *
+ * Token counts are estimates (see estimateTokens); use them to spot batches
+ * too large for the model's context.
+ *
+ * Pass --batch to rebuild only the named batches; the index then lists
+ * just those.
+ *
+ * Usage:
+ *   node build-prompts.mjs [--batch normal-003]
+ */
+
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import { loadBatches } from "./lib/batches.mjs";
+import { loadConfig } from "./lib/config.mjs";
+import {
+  buildPrompt,
+  estimateTokens,
+  loadPromptContext,
+  prefillSections,
+} from "./lib/prompt.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+
+export async function main(options = {}) {
+  const config = loadConfig();
+  const { promptDir } = config.translation;
+
+  // Step 1: Load the batches and what the prompts draw on.
+  const context = await loadPromptContext(config);
+  const { batches } = await loadBatches(config, options.batch);
+
+  await mkdir(promptDir, { recursive: true });
+
+  // Step 2: Write one prompt per batch.
+  const index = [];
+  let prefilled = 0;
+  for (const { name, sections } of batches) {
+    const { send, filled } = prefillSections(sections, context);
+    prefilled += filled.length;
+    if (send.length === 0) continue;
+
+    const prompt = buildPrompt(send, context, send[0].previous);
+    const file = path.join(promptDir, `${name}.txt`);
+    await writeFile(file, prompt, "utf-8");
+
+    const estimatedTokens = estimateTokens(prompt);
+    index.push({
+      batch: name,
+      file,
+      sections: send.length,
+      prefilled: filled.length,
+      estimatedTokens,
+    });
+    console.log(
+      `${name}.txt — ${send.length} sections, ~${estimatedTokens} tokens` +
+        (filled.length > 0 ? ` (${filled.length} pre-filled)` : "")
+    );
+  }
+
+  // Step 3: Write the index of prompts and their sizes.
+  const indexFile = path.join(promptDir, "index.json");
+  await writeFile(indexFile, JSON.stringify(index, null, 2) + "\n");
+
+  const total = index.reduce((sum, p) => sum + p.estimatedTokens, 0);
+  const largest = index.reduce(
+    (max, p) => (p.estimatedTokens > (max?.estimatedTokens ?? -1) ? p : max),
+    null
+  );
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Prompts written:  ${index.length}`);
+  console.log(`  Pre-filled:       ${prefilled} sections`);
+  console.log(`  Total tokens:     ~${total}`);
+  if (largest) {
+    console.log(
+      `  Largest:          ${largest.batch} (~${largest.estimatedTokens})`
+    );
+  }
+  console.log(`  Index:            ${indexFile}`);
+}
+
+runIfMain(import.meta.url, main);
@@ -0,0 +1,286 @@
+/**
+ * Build Retranslation Batch
+ *
+ * Runs the checks of the validators over the current translations and
+ * collects every file that fails one of them:
+ *
+ *   validate-translations       — translated script with a different line
+ *                                 count, misplaced speech sources, broken
+ *                                 ruby markup or lost ＄ page breaks
+ *   validate-gemini-line-counts — Gemini section with a different number of
+ *                                 non-empty lines
+ *   check-speech-sources        — translated script using a speaker name no
+ *                                 original has
+ *
+ * The failing files are written as retranslation batches in the merged
+ * scene format of the merge-*-scenes scripts, Shift-JIS like them, so the
+ * replies parse as any other batch (see lib/gemini-entries.mjs):
+ *
+ *   {preamble}
+ *   01_1600.txt
+ *   ********************
+ *   (original Japanese of 01_1600.txt)
+ *   --------------------
+ *   ...
+ *
+ * The preamble, which the parser skips, lists the reasons each file failed
+ * and the line count its reply must keep, then the lines of the batch that
+ * were translated consistently before in scripts that are not being
+ * retranslated (see lib/memory.mjs). Translations of the failing scripts
+ * themselves are left out, since they would seed the same failure again.
+ *
+ * Batches go to `{retranslationDir}/retranslate-{n}.txt`, split so that
+ * each, preamble included, stays within the `translation.batchTokens`
+ * budget, ready to be resent in one go.
+ *
+ * Usage:
+ *   node build-retranslation.mjs
+ */
+
+import { mkdir, readFile, readdir, rm, writeFile } from "fs/promises";
+import path from "path";
+import { loadConfig } from "./lib/config.mjs";
+import { encodeShiftJIS } from "./lib/encoding.mjs";
+import {
+  formatBatch,
+  readAllTranslationEntries,
+} from "./lib/gemini-entries.mjs";
+import { readMemory, recall, segmentKeys } from "./lib/memory.mjs";
+import { estimateTokens } from "./lib/prompt.mjs";
+import { isSpeechSource, readOriginal, readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+import {
+  compareGeminiSection,
+  compareTranslatedScript,
+  speechSourceNames,
+} from "./lib/validation.mjs";
+
+const nonEmpty = (lines) => lines.filter((l) => l.trim().length > 0);
+
+const listScripts = async (dir) => {
+  try {
+    return (await readdir(dir)).filter((f) => f.endsWith(".txt")).sort();
+  } catch {
+    return [];
+  }
+};
+
+const sizeOf = ({ contentLines }) => estimateTokens(contentLines.join("\n"));
+
+/**
+ * The preamble of a retranslation batch: what to do with its sections, the
+ * problems of their earlier translations, and the lines `memory` knows a
+ * consistent translation of, up to `maxTerms`.
+ */
+function buildPreamble(sections, memory, maxTerms) {
+  const out = [
+    "Retranslate the Japanese game scripts below into natural English.",
+    "Reply with every script in the same order and format: its file name,",
+    "a line of 20 asterisks, then the translated lines, with a line of 20",
+    "dashes between scripts.",
+    "",
+    "Earlier translations of these scripts had problems:",
+  ];
+  for (const { fileName, issues } of sections) {
+    out.push(...issues.map((issue) => `- ${fileName}: ${issue}`));
+  }
+
+  const terms = [];
+  const seen = new Set();
+  for (const { contentLines } of sections) {
+    for (const { key } of segmentKeys(contentLines)) {
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const english = recall(memory, key);
+      if (english !== null) terms.push(`- ${key} → ${english}`);
+    }
+  }
+  if (terms.length > 0) {
+    out.push(
+      "",
+      "Lines translated before in other scripts (reuse these translations):",
+      ...terms.slice(0, maxTerms)
+    );
+  }
+  return out.join("\n") + "\n\n";
+}
+
+export async function main() {
+  const config = loadConfig();
+  const { retranslationDir, batchTokens, maxTerms } = config.translation;
+
+  // fileName → reasons, for every file failing a check.
+  const failing = new Map();
+  const originals = new Map();
+  const counts = { translations: 0, gemini: 0, speakers: 0 };
+
+  const original = async (fileName) => {
+    if (!originals.has(fileName)) {
+      originals.set(fileName, await readOriginal(config.originalDir, fileName));
+    }
+    return originals.get(fileName);
+  };
+  const fail = (fileName, reason) => {
+    if (!failing.has(fileName)) failing.set(fileName, []);
+    const reasons = failing.get(fileName);
+    if (!reasons.includes(reason)) reasons.push(reason);
+  };
+
+  // Step 1: Speaker names used by the originals.
+  const knownNames = new Set();
+  for (const fileName of await listScripts(config.originalDir)) {
+    for (const name of speechSourceNames((await original(fileName)).lines)) {
+      knownNames.add(name);
+    }
+  }
+
+  // Step 2: Check the translated scripts of every category.
+  for (const category of config.categories) {
+    for (const fileName of await listScripts(category.dir)) {
+      const source = await original(fileName);
+      if (!source) continue;
+      const { lines } = await readScript(path.join(category.dir, fileName));
+
+      const { lineCount, mismatches } = compareTranslatedScript(
+        source.lines,
+        lines,
+        { trim: category.vertical }
+      );
+      if (lineCount) {
+        fail(
+          fileName,
+          `the translation had ${lineCount.translated} lines instead of ` +
+            `${lineCount.original}`
+        );
+      }
+      for (const m of mismatches) {
+        const speaker = m.origText.trim();
+        if (m.kind === "ruby") {
+          fail(fileName, `line ${m.line} has a stray "<" or ">"`);
+        } else if (m.kind === "page_break") {
+          fail(fileName, `line ${m.line} must keep the ＄ page breaks`);
+        } else if (m.kind === "speaker_name" || isSpeechSource(speaker)) {
+          fail(fileName, `line ${m.line} should be the speaker ${speaker}`);
+        } else {
+          fail(fileName, `line ${m.line} should not be a speaker line`);
+        }
+      }
+      if (lineCount || mismatches.length > 0) counts.translations++;
+
+      const unknown = [...speechSourceNames(lines)].filter(
+        (name) => !knownNames.has(name)
+      );
+      for (const name of unknown) {
+        fail(fileName, `"${name}" is not a speaker name of the original`);
+      }
+      if (unknown.length > 0) counts.speakers++;
+    }
+  }
+
+  // Step 3: Check the Gemini sections.
+  let entries = [];
+  try {
+    entries = await readAllTranslationEntries(config.gemini.textDir);
+  } catch {
+    // No Gemini text yet.
+  }
+  for (const entry of entries) {
+    const source = await original(entry.fileName);
+    if (!source) continue;
+    const result = compareGeminiSection(source.lines, entry.contentLines);
+    if (!result) continue;
+
+    fail(
+      entry.fileName,
+      `the translation had ${result.translated} lines instead of ` +
+        `${result.original}`
+    );
+    counts.gemini++;
+  }
+
+  // Step 4: Build the retranslation sections, with the line count each
+  // reply must keep.
+  const sections = [...failing.keys()].sort().map((fileName) => {
+    const lines = [...originals.get(fileName).lines];
+    while (lines.at(-1) === "") lines.pop();
+    const required = nonEmpty(lines).length;
+    return {
+      fileName,
+      contentLines: lines,
+      issues: [
+        ...failing.get(fileName),
+        `reply with exactly ${required} lines, one per original line`,
+      ],
+    };
+  });
+
+  for (const { fileName, issues } of sections) {
+    console.log(`✗  ${fileName}`);
+    for (const issue of issues.slice(0, -1)) console.log(`     ${issue}`);
+  }
+
+  // Step 5: The translation memory without the failing scripts.
+  const memory = new Map();
+  for (const [key, occurrences] of (await readMemory(config)) ?? []) {
+    const kept = occurrences.filter(({ file }) => !failing.has(file));
+    if (kept.length > 0) memory.set(key, kept);
+  }
+
+  // Step 6: Split the sections at the token budget, counting the preamble
+  // each batch will have, and write the batches, replacing those of an
+  // earlier run.
+  const batchSize = (chunk) =>
+    estimateTokens(buildPreamble(chunk, memory, maxTerms)) +
+    chunk.reduce((n, section) => n + sizeOf(section), 0);
+  const chunks = [];
+  for (const section of sections) {
+    if (
+      chunks.length === 0 ||
+      batchSize([...chunks.at(-1), section]) > batchTokens
+    ) {
+      chunks.push([]);
+    }
+    chunks.at(-1).push(section);
+  }
+
+  await mkdir(retranslationDir, { recursive: true });
+  for (const file of await listScripts(retranslationDir)) {
+    if (file.startsWith("retranslate-")) {
+      await rm(path.join(retranslationDir, file));
+    }
+  }
+
+  const written = [];
+  for (const [i, chunk] of chunks.entries()) {
+    const file = path.join(
+      retranslationDir,
+      `retranslate-${String(i + 1).padStart(2, "0")}.txt`
+    );
+    const preamble = buildPreamble(chunk, memory, maxTerms);
+    const scripts = [];
+    for (const { fileName } of chunk) {
+      scripts.push({
+        fileName,
+        content: await readFile(path.join(config.originalDir, fileName)),
+      });
+    }
+    await writeFile(
+      file,
+      formatBatch(scripts, encodeShiftJIS(preamble, { file }))
+    );
+    written.push(file);
+    console.log(
+      `\n${file} — ${chunk.length} files, ~${batchSize(chunk)} tokens`
+    );
+  }
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Failing translations:    ${counts.translations}`);
+  console.log(`  Failing Gemini sections: ${counts.gemini}`);
+  console.log(`  Unknown speaker names:   ${counts.speakers}`);
+  console.log(`  Files to retranslate:    ${sections.length}`);
+  console.log(`  Batches written:         ${written.length}`);
+}
+
+runIfMain(import.meta.url, main);
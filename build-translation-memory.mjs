@@ -0,0 +1,85 @@
+/**
+ * Build Translation Memory
+ *
+ * Records every translated line of `translated-full/` with its original and
+ * where it occurs (see lib/memory.mjs), in `full.memoryFile`
+ * (translation-memory.json). Unlike translation-map.json, which keeps the
+ * first translation of each unique line, the memory keeps them all.
+ *
+ * Lines that occur more than once but were translated differently in
+ * different scenes are listed with each of their translations and where
+ * they occur, most used first, so the odd ones out can be fixed:
+ *
+ *   階段を上る。
+ *     ×4  I went up the stairs.      — 02_0720.txt:12, 03_1100.txt:8, …
+ *     ×1  I climbed the stairs.      — 05_0930.txt:3
+ *
+ * translate-batches and build-prompts use the memory to pre-fill the lines
+ * of new batches that were translated before; `search-translation-memory`
+ * looks up the lines nearest to a Japanese or English text.
+ *
+ * Usage:
+ *   node build-translation-memory.mjs
+ */
+
+import { loadConfig } from "./lib/config.mjs";
+import {
+  buildMemory,
+  collectSegments,
+  variants,
+  writeMemory,
+} from "./lib/memory.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+
+// Locations listed per translation before the rest are elided.
+const MAX_LOCATIONS = 3;
+
+export async function main() {
+  const config = loadConfig();
+
+  // Step 1: Pair every translated line with its original.
+  const { fileNames, segments } = await collectSegments(config);
+  const memory = buildMemory(segments);
+
+  // Step 2: Report the lines translated in more than one way.
+  console.log("=== INCONSISTENT TRANSLATIONS ===");
+  let repeated = 0;
+  let inconsistent = 0;
+
+  for (const [key, occurrences] of memory) {
+    if (occurrences.length < 2) continue;
+    repeated++;
+
+    const found = variants(occurrences);
+    if (found.length < 2) continue;
+    inconsistent++;
+
+    console.log(`  ${key}`);
+    for (const { english, occurrences: where } of found) {
+      const locations = where
+        .slice(0, MAX_LOCATIONS)
+        .map((o) => `${o.file}:${o.line}`);
+      if (where.length > MAX_LOCATIONS) locations.push("…");
+      console.log(
+        `    ×${where.length}  ${english}  — ${locations.join(", ")}`
+      );
+    }
+  }
+  if (inconsistent === 0) {
+    console.log("  None found.");
+  }
+
+  // Step 3: Write the memory.
+  await writeMemory(config, memory);
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Files:            ${fileNames.length}`);
+  console.log(`  Segments:         ${segments.length}`);
+  console.log(`  Unique lines:     ${memory.size}`);
+  console.log(`  Repeated lines:   ${repeated}`);
+  console.log(`  Inconsistent:     ${inconsistent}`);
+  console.log(`  Written to:       ${config.full.memoryFile}`);
+}
+
+runIfMain(import.meta.url, main);
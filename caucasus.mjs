@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Caucasus CLI
+ *
+ * Single entry point for the translation pipeline. Every top-level script is
+ * registered as a named stage (see `lib/stages.mjs`) and can be run as a
+ * subcommand; `run` executes a stage together with everything it depends on,
+ * in dependency order.
+ *
+ * Commands:
+ *
+ *   list                List all stages, their dependencies and outputs.
+ *   run [stage...]      Run the given stages and their dependencies. With no
+ *                       stages, runs the default pipeline. Stops at the first
+ *                       stage that fails (e.g. a validator reporting
+ *                       mismatches) and prints which stage produced which
+ *                       directory.
+ *   <stage>             Run a single stage without its dependencies.
+ *
+ * Options:
+ *
+ *   --force             Ignore the build cache of incremental stages and
+ *                       reprocess every file (see lib/build-cache.mjs).
+ *   --dry-run           Stages that rewrite files in place print a diff
+ *                       instead of writing (see lib/rewrite.mjs).
+ *   --backup            Stages that rewrite files in place snapshot each
+ *                       file first.
+ *   --batch <name>      Stages that work on translation batches
+ *                       (build-prompts, translate-batches) handle only the
+ *                       named batch of the manifest; repeatable.
+ *   --script <file>     diff-gemini-revisions shows only the named script;
+ *                       repeatable.
+ *   --query <text>      The text search-translation-memory looks up.
+ *
+ * All paths are relative to the current working directory, which must be
+ * the project root.
+ *
+ * Usage:
+ *   node caucasus.mjs list
+ *   node caucasus.mjs run
+ *   node caucasus.mjs run pad-question
+ *   node caucasus.mjs run --force
+ *   node caucasus.mjs validate-translations
+ */
+
+import { STAGES, loadStage, resolveStageOrder } from "./lib/stages.mjs";
+import { StageFailure, parseStageArgs } from "./lib/stage.mjs";
+
+function printUsage() {
+  console.log("Usage:");
+  console.log("  node caucasus.mjs list");
+  console.log("  node caucasus.mjs run [options] [stage...]");
+  console.log("  node caucasus.mjs <stage> [options]");
+  console.log();
+  console.log(
+    "Options: --force, --dry-run, --backup, --batch <name>, " +
+      "--script <file>, --query <text>"
+  );
+}
+
+/**
+ * Print every registered stage with its dependencies and outputs.
+ */
+function listStages() {
+  const nameWidth = Math.max(...[...STAGES.keys()].map((n) => n.length));
+
+  for (const stage of STAGES.values()) {
+    const marker = stage.pipeline ? "*" : " ";
+    const indent = " ".repeat(nameWidth + 4);
+    console.log(`${marker} ${stage.name.padEnd(nameWidth)}  ${stage.description}`);
+    if (stage.deps.length > 0) {
+      console.log(`${indent}after:  ${stage.deps.join(", ")}`);
+    }
+    if (stage.outputs.length > 0) {
+      console.log(`${indent}writes: ${stage.outputs.join(", ")}`);
+    }
+  }
+
+  console.log("\n* part of the default `run` pipeline");
+}
+
+/**
+ * Run a single stage, returning { status, error, ms, build }. `build` is the
+ * { rebuilt, unchanged } count of incremental stages.
+ */
+async function runStage(stage, options) {
+  const start = Date.now();
+  try {
+    const main = await loadStage(stage);
+    const build = await main(options);
+    return { status: "ok", ms: Date.now() - start, build };
+  } catch (error) {
+    return { status: "failed", error, ms: Date.now() - start };
+  }
+}
+
+/**
+ * Run stages in dependency order, stopping at the first failure, then print
+ * a per-stage report of what was produced.
+ */
+async function runPipeline(targets, options) {
+  const order = resolveStageOrder(targets);
+  const results = new Map();
+
+  for (const stage of order) {
+    console.log(`\n▶ ${stage.name}`);
+    const result = await runStage(stage, options);
+    results.set(stage.name, result);
+    if (result.status === "failed") break;
+  }
+
+  // Report which stage produced which files, and where the run stopped.
+  const nameWidth = Math.max(...order.map((s) => s.name.length));
+  console.log("\n— Pipeline Summary —");
+
+  let failed = null;
+  for (const stage of order) {
+    const result = results.get(stage.name);
+    const name = stage.name.padEnd(nameWidth);
+
+    if (!result) {
+      console.log(`  ·  ${name}  (not run)`);
+    } else if (result.status === "failed") {
+      failed = { stage, error: result.error };
+      console.log(`  ✗  ${name}  failed after ${result.ms} ms`);
+    } else {
+      const outputs =
+        stage.outputs.length > 0 ? `→ ${stage.outputs.join(", ")}` : "(check)";
+      const build = result.build
+        ? `  (${result.build.rebuilt} rebuilt, ` +
+          `${result.build.unchanged} unchanged)`
+        : "";
+      console.log(`  ✓  ${name}  ${outputs}${build}`);
+    }
+  }
+
+  if (failed) {
+    console.error();
+    if (failed.error instanceof StageFailure) {
+      console.error(`✗  ${failed.stage.name}: ${failed.error.message}`);
+    } else {
+      console.error(`✗  ${failed.stage.name} crashed:`);
+      console.error(failed.error);
+    }
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+
+  let options;
+  let args;
+  try {
+    ({ options, positionals: args } = parseStageArgs(rest));
+  } catch (err) {
+    console.error(`${err.message}\n`);
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!command || command === "help" || command === "--help") {
+    printUsage();
+    return;
+  }
+
+  if (command === "list") {
+    listStages();
+    return;
+  }
+
+  if (command === "run") {
+    await runPipeline(args, options);
+    return;
+  }
+
+  const stage = STAGES.get(command);
+  if (!stage) {
+    console.error(`Unknown command or stage "${command}".\n`);
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await runStage(stage, options);
+  if (result.status === "failed") {
+    if (result.error instanceof StageFailure) {
+      console.error(`\n✗  ${result.error.message}`);
+    } else {
+      console.error(result.error);
+    }
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -1,8 +1,8 @@
 /**
  * Export Long Lines from Translated Scripts
  *
- * Scans every .txt file in `translated/` and `translated-vertical/` and
- * exports lines exceeding MAX_LENGTH characters to `long_lines.txt`.
+ * Scans every .txt file of the word-wrap category (`translated/`) and
+ * exports lines exceeding `width.maxLength` characters to `long_lines.txt`.
  *
  * Output format (one entry per long line):
  *
@@ -18,36 +18,35 @@
  *   node check-long-lines.mjs
  */
 
-import { readFile, readdir, writeFile } from "fs/promises";
+import { readdir, writeFile } from "fs/promises";
 import path from "path";
+import { loadConfig, wrapCategory } from "./lib/config.mjs";
+import { readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+import { templateWidth } from "./lib/templates.mjs";
 
-const DIRS = ["translated"];
-const MAX_LENGTH = 128;
-const OUTPUT_FILE = "long_lines.txt";
+export async function main() {
+  const config = loadConfig();
+  const { dir, padding } = wrapCategory(config);
+  const { maxLength } = config.width;
+  const outputFile = padding.longLinesFile;
 
-const sjisDecoder = new TextDecoder("shift_jis");
-
-async function main() {
   const entries = [];
 
-  for (const dir of DIRS) {
-    let fileNames;
-    try {
-      fileNames = (await readdir(dir)).filter((f) => f.endsWith(".txt")).sort();
-    } catch {
-      continue;
-    }
+  let fileNames = [];
+  try {
+    fileNames = (await readdir(dir)).filter((f) => f.endsWith(".txt")).sort();
+  } catch {
+    // No translated files yet — export an empty list.
+  }
 
-    for (const fileName of fileNames) {
-      const filePath = path.join(dir, fileName);
-      const raw = await readFile(filePath);
-      const text = sjisDecoder.decode(raw);
-      const lines = text.split("\n");
+  for (const fileName of fileNames) {
+    const filePath = path.join(dir, fileName);
+    const { lines } = await readScript(filePath);
 
-      for (let i = 0; i < lines.length; i++) {
-        if (lines[i].length > MAX_LENGTH) {
-          entries.push({ file: filePath, lineNum: i + 1, text: lines[i] });
-        }
+    for (let i = 0; i < lines.length; i++) {
+      if (templateWidth(config, lines[i]) > maxLength) {
+        entries.push({ file: filePath, lineNum: i + 1, text: lines[i] });
       }
     }
   }
@@ -59,12 +58,12 @@ async function main() {
     outputLines.push(entry.text);
   }
 
-  await writeFile(OUTPUT_FILE, outputLines.join("\n"), "utf-8");
+  await writeFile(outputFile, outputLines.join("\n"), "utf-8");
 
-  console.log(`Exported ${entries.length} long lines to ${OUTPUT_FILE}`);
+  console.log(`Exported ${entries.length} long lines to ${outputFile}`);
   console.log(
-    `Copy to long_lines_updated.txt, shorten each content line, then run apply-long-lines-fix.mjs`
+    `Copy to ${padding.updatedFile}, shorten each content line, then run apply-long-lines-fix.mjs`
   );
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
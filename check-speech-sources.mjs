@@ -2,55 +2,40 @@
  * Check Speech Sources
  *
  * Collects all unique speech source names from the original scripts and from
- * the translated scripts, then compares the two sets.
+ * the translated scripts, then compares the two sets and lists the files
+ * whose speech sources use a name no original has.
  *
  * Speech source lines use the fullwidth hash ＃ in both original and
  * translated files. The name is everything after the ＃ prefix.
  *
- * All of `translated/`, `translated-inspection/`, and `translated-vertical/`
- * are scanned. All files
- * (original and translated) are Shift-JIS encoded and decoded to Unicode.
+ * The translated directory of every category in caucasus.config.json is
+ * scanned. All files (original and translated) are Shift-JIS encoded and
+ * decoded to Unicode.
  *
  * Usage:
  *   node check-speech-sources.mjs
  */
 
-import { readFile, readdir } from "fs/promises";
+import { readdir } from "fs/promises";
 import path from "path";
+import { categoryDirs, loadConfig } from "./lib/config.mjs";
+import { readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+import { speechSourceNames } from "./lib/validation.mjs";
 
-const sjisDecoder = new TextDecoder("shift_jis");
+export async function main() {
+  const config = loadConfig();
 
-const ORIGINAL_DIR = "original";
-const TRANSLATED_DIRS = ["translated", "translated-inspection", "translated-question", "translated-exploration", "translated-vertical"];
-
-/**
- * Extract unique speech source names from lines of text.
- * `prefix` is the character(s) that mark a speech source line.
- */
-function extractSpeechSources(lines, prefix) {
-  const sources = new Set();
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed.startsWith(prefix)) {
-      sources.add(trimmed.slice(prefix.length));
-    }
-  }
-  return sources;
-}
-
-async function main() {
   // Step 1: Collect speech sources from all original scripts (Shift-JIS).
-  const originalFileNames = (await readdir(ORIGINAL_DIR))
+  const originalFileNames = (await readdir(config.originalDir))
     .filter((f) => f.endsWith(".txt"))
     .sort();
 
   const originalSources = new Map();
 
   for (const fileName of originalFileNames) {
-    const raw = await readFile(path.join(ORIGINAL_DIR, fileName));
-    const text = sjisDecoder.decode(raw);
-    const lines = text.split("\n");
-    for (const name of extractSpeechSources(lines, "＃")) {
+    const { lines } = await readScript(path.join(config.originalDir, fileName));
+    for (const name of speechSourceNames(lines)) {
       if (!originalSources.has(name)) {
         originalSources.set(name, new Set());
       }
@@ -58,10 +43,10 @@ async function main() {
     }
   }
 
-  // Step 2: Collect speech sources from all translated scripts (UTF-8).
+  // Step 2: Collect speech sources from all translated scripts (Shift-JIS).
   const translatedSources = new Map();
 
-  for (const dir of TRANSLATED_DIRS) {
+  for (const dir of categoryDirs(config)) {
     let fileNames;
     try {
       fileNames = (await readdir(dir))
@@ -72,9 +57,8 @@ async function main() {
     }
 
     for (const fileName of fileNames) {
-      const text = sjisDecoder.decode(await readFile(path.join(dir, fileName)));
-      const lines = text.split("\n");
-      for (const name of extractSpeechSources(lines, "＃")) {
+      const { lines } = await readScript(path.join(dir, fileName));
+      for (const name of speechSourceNames(lines)) {
         if (!translatedSources.has(name)) {
           translatedSources.set(name, new Set());
         }
@@ -105,10 +89,21 @@ async function main() {
     console.log(`  ${name}  (${count} files)`);
   }
 
-  // Step 5: Print count comparison.
+  // Step 5: List the translated names no original uses, with their files.
+  const unknown = transByCount.filter(({ name }) => !originalSources.has(name));
+  if (unknown.length > 0) {
+    console.log("\n=== NOT IN ANY ORIGINAL ===");
+    for (const { name } of unknown) {
+      const files = [...translatedSources.get(name)].join(", ");
+      console.log(`  ${name}  in ${files}`);
+    }
+  }
+
+  // Step 6: Print count comparison.
   console.log("\n— Summary —");
   console.log(`  Original unique sources:   ${origByCount.length}`);
   console.log(`  Translated unique sources: ${transByCount.length}`);
+  console.log(`  Not in any original:       ${unknown.length}`);
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
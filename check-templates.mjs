@@ -0,0 +1,237 @@
+/**
+ * Check Player-Name Templates
+ *
+ * Originals write the names the player enters as tokens such as
+ * `(NAME01)(NAME02)`, replaced by the engine at runtime (see
+ * lib/templates.mjs). This report:
+ *
+ *   1. Lists every token found in `original/` with the name lengths it is
+ *      laid out for, flagging tokens `templates.names` does not describe.
+ *   2. Checks that every line of the `translated*` folders keeps exactly
+ *      the tokens of its original. They may change order, so the English
+ *      can put the given name first.
+ *   3. Lays every translated line with tokens out for the shortest, default
+ *      and longest names: the word-wrap category as pad-translations pads
+ *      it, against `width.maxLength`, and the fixed-width layouts against
+ *      the limit of fixedWidthLimit. Lines that overflow only with some
+ *      names are listed apart from those that already overflow with the
+ *      default ones, which the check-long-lines stages export too.
+ *
+ *   (NAME01)  "Kobayashi", 1 / 9 / 10 letters  (14×, 9 scripts)
+ *
+ *   === Tokens differ from the original (16 lines) ===
+ *     translated/01_1700.txt:17  expected (NAME01)(NAME02), found none
+ *       「(NAME01)(NAME02)です」
+ *       I'm Satoshi Kobayashi.
+ *
+ * Lines are paired with their originals by position, so scripts whose line
+ * count differs are skipped; speech source lines and lines identical to
+ * their original are not checked. The stage fails when a translation loses
+ * or adds a token.
+ *
+ * Usage:
+ *   node check-templates.mjs
+ */
+
+import { readFile, readdir } from "fs/promises";
+import path from "path";
+import {
+  fixedWidthLimit,
+  loadConfig,
+  translatedTracks,
+  wrapCategory,
+} from "./lib/config.mjs";
+import { readOriginal, readScript } from "./lib/script.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+import {
+  NAME_SIZES,
+  nameLength,
+  templateTokens,
+  templateWidth,
+} from "./lib/templates.mjs";
+import { wrapLine } from "./lib/wrap.mjs";
+
+// Tokens in a fixed order, for comparing lines whose names changed order.
+const tokenKey = (tokens) => [...tokens].sort().join("");
+
+export async function main() {
+  const config = loadConfig();
+  const { maxLength } = config.width;
+
+  // Step 1: Discover the tokens of the originals.
+  const originalFiles = (await readdir(config.originalDir))
+    .filter((f) => f.endsWith(".txt"))
+    .sort();
+
+  const found = new Map();
+  let tokenLines = 0;
+  for (const fileName of originalFiles) {
+    const { lines } = await readScript(
+      path.join(config.originalDir, fileName)
+    );
+    for (const line of lines) {
+      const tokens = templateTokens(config, line);
+      if (tokens.length === 0) continue;
+      tokenLines++;
+      for (const token of tokens) {
+        if (!found.has(token)) found.set(token, { count: 0, files: new Set() });
+        found.get(token).count++;
+        found.get(token).files.add(fileName);
+      }
+    }
+  }
+
+  const undescribed = [];
+  for (const [token, { count, files }] of found) {
+    const name = config.templates.names.get(token);
+    const lengths = NAME_SIZES.map((size) => nameLength(config, token, size));
+    console.log(
+      `${token}  ${name ? `"${name.default}"` : "no names entry"}, ` +
+        `${lengths.join(" / ")} letters  (${count}×, ${files.size} scripts)`
+    );
+    if (!name) undescribed.push(token);
+  }
+  console.log();
+
+  // Step 2: Compare the tokens of every line pair, and lay the lines with
+  // tokens out for every name size.
+  const wrapName = wrapCategory(config).name;
+  const fixedNames = new Set(
+    config.categories
+      .filter((c) => c.padding?.layout === "fixed")
+      .map((c) => c.name)
+  );
+  let fixedWidthFiles = new Set();
+  try {
+    fixedWidthFiles = new Set(
+      JSON.parse(await readFile(config.fixedWidth.manifestFile, "utf-8"))
+    );
+  } catch {
+    // No fixed-width list — every script of the category wraps.
+  }
+
+  // How a script is measured: (source, target, size) → { width, limit } of
+  // the translated line with names of `size`, or null where the track has
+  // no layout to check.
+  const layoutOf = (track, fileName) => {
+    if (track.name === wrapName && !fixedWidthFiles.has(fileName)) {
+      return (source, target, size) => ({
+        width: wrapLine(config, target, size).width,
+        limit: maxLength,
+      });
+    }
+    if (track.name === wrapName || fixedNames.has(track.name)) {
+      return (source, target, size) => ({
+        width: templateWidth(config, target, size),
+        limit: fixedWidthLimit(config, source, size),
+      });
+    }
+    return null;
+  };
+
+  const mismatched = [];
+  const overflowing = [];
+  let scripts = 0;
+  let skipped = 0;
+  let laidOut = 0;
+
+  for (const track of translatedTracks(config)) {
+    let fileNames;
+    try {
+      fileNames = (await readdir(track.dir))
+        .filter((f) => f.endsWith(".txt"))
+        .sort();
+    } catch {
+      continue;
+    }
+
+    for (const fileName of fileNames) {
+      const filePath = path.join(track.dir, fileName);
+      const original = await readOriginal(config.originalDir, fileName);
+      const { lines } = await readScript(filePath, {
+        encoding: track.encoding,
+      });
+      if (!original || original.lines.length !== lines.length) {
+        skipped++;
+        continue;
+      }
+      scripts++;
+      const measure = layoutOf(track, fileName);
+
+      original.lines.forEach((source, i) => {
+        const target = lines[i];
+        if (source.startsWith("＃") || target === source) return;
+        const location = `${filePath}:${i + 1}`;
+
+        const expected = templateTokens(config, source);
+        const actual = templateTokens(config, target);
+        if (tokenKey(expected) !== tokenKey(actual)) {
+          mismatched.push({ location, expected, actual, source, target });
+          return;
+        }
+        if (actual.length === 0 || !measure) return;
+
+        laidOut++;
+        const sizes = [];
+        for (const size of NAME_SIZES) {
+          const { width, limit } = measure(source, target, size);
+          if (width > limit) sizes.push({ size, width, limit });
+        }
+        if (sizes.length > 0) {
+          overflowing.push({ location, sizes, source, target });
+        }
+      });
+    }
+  }
+
+  // Step 3: Report the mismatches and the overflowing lines.
+  const report = (title, entries, describe) => {
+    if (entries.length === 0) return;
+    console.log(`=== ${title} (${entries.length} lines) ===`);
+    for (const entry of entries) {
+      console.log(`  ${entry.location}  ${describe(entry)}`);
+      console.log(`    ${entry.source}`);
+      console.log(`    ${entry.target}`);
+    }
+    console.log();
+  };
+  const listTokens = (tokens) => (tokens.length ? tokens.join("") : "none");
+  const describeSizes = ({ sizes }) =>
+    sizes
+      .map(({ size, width, limit }) => `${size}: ${width} chars, max ${limit}`)
+      .join("; ");
+
+  const atDefault = overflowing.filter(({ sizes }) =>
+    sizes.some(({ size }) => size === "default")
+  );
+  const namesOnly = overflowing.filter((entry) => !atDefault.includes(entry));
+
+  report(
+    "Tokens differ from the original",
+    mismatched,
+    ({ expected, actual }) =>
+      `expected ${listTokens(expected)}, found ${listTokens(actual)}`
+  );
+  report("Overflow only with some name lengths", namesOnly, describeSizes);
+  report("Overflow with the default names", atDefault, describeSizes);
+
+  console.log("— Summary —");
+  console.log(`  Tokens:           ${found.size}`);
+  console.log(`  Token lines:      ${tokenLines}`);
+  console.log(`  Undescribed:      ${undescribed.length}`);
+  console.log(`  Name entry limit: ${config.templates.nameEntryLimit}`);
+  console.log(`  Scripts checked:  ${scripts}`);
+  console.log(`  Scripts skipped:  ${skipped}`);
+  console.log(`  Lines laid out:   ${laidOut}`);
+  console.log(`  Token mismatches: ${mismatched.length}`);
+  console.log(`  Names overflow:   ${namesOnly.length}`);
+  console.log(`  Default overflow: ${atDefault.length}`);
+
+  if (mismatched.length > 0) {
+    throw new StageFailure(
+      `${mismatched.length} lines do not keep the tokens of their original`
+    );
+  }
+}
+
+runIfMain(import.meta.url, main);
@@ -0,0 +1,137 @@
+/**
+ * Check Terminology
+ *
+ * check-speech-sources compares the Japanese ＃ speaker names only. This
+ * report checks how the names and terms of the glossary (`glossaryFile`,
+ * see lib/terminology.mjs) appear in the English body text: every line of
+ * the `translated*` folders whose original contains a glossary term is
+ * checked for the agreed English, and flagged when it uses another
+ * romanization (Soko for Souko), a variant listed in the glossary, a
+ * personal pronoun only, or no rendering of the term at all.
+ *
+ * Lines are paired with their originals by position, so scripts whose line
+ * count differs from their original are skipped; speech source lines are
+ * not checked. Flagged lines are grouped per term:
+ *
+ *   === 想子 → Souko (1976 lines: 1 romanization, 72 missing) ===
+ *     ROMANIZATION  translated/01_1600.txt:12  "Soko"
+ *       想子さんが振り返った。
+ *       Soko turned around.
+ *
+ * Missing renderings are sometimes legitimate (a name already said in the
+ * line before), so they are listed after the other flags, and pronoun-only
+ * renderings, nearly always legitimate, come last.
+ *
+ * Usage:
+ *   node check-terminology.mjs
+ */
+
+import { readdir } from "fs/promises";
+import path from "path";
+import { loadConfig, translatedTracks } from "./lib/config.mjs";
+import { readOriginal, readScript } from "./lib/script.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+import { checkTerm, loadGlossary } from "./lib/terminology.mjs";
+
+// Report order of the flags; "ok" lines are only counted.
+const FLAGS = ["romanization", "variant", "missing", "pronoun"];
+
+export async function main() {
+  const config = loadConfig();
+
+  // Step 1: Load the glossary.
+  const glossary = await loadGlossary(config);
+  if (!glossary) {
+    throw new StageFailure(`Cannot read glossary ${config.glossaryFile}`);
+  }
+  const results = new Map(
+    glossary.map((term) => [term, { lines: 0, flagged: [] }])
+  );
+
+  // Step 2: Check every line pair of every translated folder.
+  let scripts = 0;
+  let skipped = 0;
+
+  for (const track of translatedTracks(config)) {
+    let fileNames;
+    try {
+      fileNames = (await readdir(track.dir))
+        .filter((f) => f.endsWith(".txt"))
+        .sort();
+    } catch {
+      continue;
+    }
+
+    for (const fileName of fileNames) {
+      const filePath = path.join(track.dir, fileName);
+      const original = await readOriginal(config.originalDir, fileName);
+      const { lines } = await readScript(filePath, {
+        encoding: track.encoding,
+      });
+      if (!original || original.lines.length !== lines.length) {
+        skipped++;
+        continue;
+      }
+      scripts++;
+
+      original.lines.forEach((source, i) => {
+        if (source.startsWith("＃")) return;
+        for (const [term, result] of results) {
+          const check = checkTerm(term, source, lines[i]);
+          if (!check) continue;
+          result.lines++;
+          if (check.status !== "ok") {
+            result.flagged.push({
+              ...check,
+              location: `${filePath}:${i + 1}`,
+              source,
+              target: lines[i],
+            });
+          }
+        }
+      });
+    }
+  }
+
+  // Step 3: Report the flagged lines per term.
+  const totals = Object.fromEntries(FLAGS.map((flag) => [flag, 0]));
+
+  for (const [term, { lines, flagged }] of results) {
+    const counts = FLAGS.map((flag) => [
+      flag,
+      flagged.filter((f) => f.status === flag).length,
+    ]);
+    const summary = counts
+      .filter(([, count]) => count > 0)
+      .map(([flag, count]) => `${count} ${flag}`)
+      .join(", ");
+    console.log(
+      `=== ${term.japanese} → ${term.english} ` +
+        `(${lines} lines${summary ? `: ${summary}` : ""}) ===`
+    );
+
+    for (const [flag] of counts) {
+      for (const entry of flagged.filter((f) => f.status === flag)) {
+        const found = entry.found ? `  "${entry.found}"` : "";
+        console.log(
+          `  ${flag.toUpperCase().padEnd(12)}  ${entry.location}${found}`
+        );
+        console.log(`    ${entry.source}`);
+        console.log(`    ${entry.target}`);
+        totals[flag]++;
+      }
+    }
+    console.log();
+  }
+
+  console.log("— Summary —");
+  console.log(`  Terms:            ${glossary.length}`);
+  console.log(`  Scripts checked:  ${scripts}`);
+  console.log(`  Scripts skipped:  ${skipped}`);
+  console.log(`  Romanization:     ${totals.romanization}`);
+  console.log(`  Variants:         ${totals.variant}`);
+  console.log(`  Missing:          ${totals.missing}`);
+  console.log(`  Pronoun only:     ${totals.pronoun}`);
+}
+
+runIfMain(import.meta.url, main);
@@ -0,0 +1,93 @@
+/**
+ * Classify Original Scripts
+ *
+ * Runs the script classifier (lib/classify.mjs) over every .txt file in
+ * `original/` and prints the full category breakdown: each category with
+ * its files and the reasons they were put there. This is the routing
+ * export-gemini-translations.mjs will use, so misrouted files can be spotted
+ * and fixed in category-overrides.json before exporting.
+ *
+ * Files marked with `*` are in the fixed-width manifest. Overrides that
+ * agree with what the rules would decide anyway are flagged as redundant.
+ *
+ * Usage:
+ *   node classify-scripts.mjs
+ */
+
+import { readdir } from "fs/promises";
+import path from "path";
+import { classifyScript, loadClassifier } from "./lib/classify.mjs";
+import { loadConfig } from "./lib/config.mjs";
+import { readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+
+export async function main() {
+  const config = loadConfig();
+  const classifier = await loadClassifier(config);
+
+  // Step 1: Classify every original script.
+  const fileNames = (await readdir(config.originalDir))
+    .filter((f) => f.endsWith(".txt"))
+    .sort();
+
+  const byCategory = new Map(config.categories.map((c) => [c.name, []]));
+  let redundantOverrides = 0;
+
+  for (const fileName of fileNames) {
+    const { text } = await readScript(path.join(config.originalDir, fileName));
+    const result = classifier.classify(fileName, text);
+
+    // Flag overrides that only restate what the rules already decide.
+    if (classifier.overrides.has(fileName)) {
+      const byRules = classifyScript(config, fileName, text);
+      if (byRules.category === result.category) {
+        result.reasons.push("redundant: the rules agree");
+        redundantOverrides++;
+      }
+    }
+
+    byCategory.get(result.category.name).push({ fileName, ...result });
+  }
+
+  // Step 2: Print each category with its files and reasons.
+  const nameWidth = Math.max(...fileNames.map((f) => f.length));
+
+  for (const category of config.categories) {
+    const files = byCategory.get(category.name);
+    console.log(
+      `${category.name} → ${category.dir}/ (${files.length} files)`
+    );
+    for (const { fileName, reasons, fixedWidth } of files) {
+      const marker = fixedWidth ? "*" : " ";
+      console.log(
+        `  ${marker} ${fileName.padEnd(nameWidth)}  ${reasons.join("; ")}`
+      );
+    }
+    console.log();
+  }
+
+  // Step 3: Report overrides for files that are not in `original/`.
+  const missing = [...classifier.overrides.keys()].filter(
+    (f) => !fileNames.includes(f)
+  );
+  for (const fileName of missing) {
+    console.warn(
+      `  ⚠  ${config.categoryOverridesFile} lists ${fileName}, ` +
+        `which is not in ${config.originalDir}/`
+    );
+  }
+
+  // Step 4: Print summary.
+  console.log("— Summary —");
+  for (const category of config.categories) {
+    const count = byCategory.get(category.name).length;
+    console.log(`  ${`${category.name}:`.padEnd(14)}${count}`);
+  }
+  console.log(`  Overrides:    ${classifier.overrides.size}`);
+  if (redundantOverrides > 0) {
+    console.log(`  Redundant:    ${redundantOverrides}`);
+  }
+  console.log(`  Fixed-width:  ${classifier.fixedWidthFiles.size}`);
+}
+
+runIfMain(import.meta.url, main);
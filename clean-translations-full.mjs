@@ -5,7 +5,9 @@
  * This is the UTF-8 counterpart of `clean-translations.mjs` — the logic is
  * identical but the output is written as UTF-8 instead of Shift-JIS, and
  * the Shift-JIS-unsafe character replacements are skipped since UTF-8 can
- * represent all Unicode characters.
+ * represent all Unicode characters. The `**` markers around emphasized
+ * words are kept too; only the Shift-JIS scripts render them in the
+ * project's emphasis style (see lib/emphasis.mjs).
  *
  * Steps:
  *   1. Remove all empty lines.
@@ -32,131 +34,48 @@
  *   node clean-translations-full.mjs
  */
 
-import { readFile, readdir, writeFile } from "fs/promises";
+import { readdir, writeFile } from "fs/promises";
 import path from "path";
-import Encoding from "encoding-japanese";
-
-const ORIGINAL_DIR = "original";
-const DIRS = ["translated-full"];
-
-const sjisDecoder = new TextDecoder("shift_jis");
-
-/**
- * Read the original file and return its decoded content lines and raw buffer
- * (for trailing-newline detection). Returns null if the original does not
- * exist.
- */
-async function readOriginal(originalPath) {
-  try {
-    const raw = await readFile(originalPath);
-    const text = sjisDecoder.decode(raw);
-    const lines = text.split("\n");
-    if (lines.at(-1) === "") lines.pop();
-    return { lines, raw };
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Read a translated file, decoding from either Shift-JIS or UTF-8 depending
- * on the detected encoding.
- */
-async function readTranslated(filePath) {
-  const raw = await readFile(filePath);
-  const detected = Encoding.detect(raw);
-  if (detected === "SJIS") {
-    return sjisDecoder.decode(raw);
-  }
-  return raw.toString("utf-8");
-}
-
-/**
- * Strip wrapping brackets or quotes from a speech content line.
- * Handles 「...」, 『...』, and "...".
- */
-function stripSpeechWrappers(line) {
-  if (line.startsWith("「") && line.endsWith("」")) return line.slice(1, -1);
-  if (line.startsWith("『") && line.endsWith("』")) return line.slice(1, -1);
-  if (line.startsWith('"') && line.endsWith('"') && line.length >= 2)
-    return line.slice(1, -1);
-  if (line.startsWith("'") && line.endsWith("'") && line.length >= 2)
-    return line.slice(1, -1);
-  return line;
-}
+import { cleanLines } from "./lib/clean.mjs";
+import { loadConfig } from "./lib/config.mjs";
+import { readOriginal, readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
 
 /**
  * Clean a single file against its original. Returns true if modified.
  */
-async function cleanFile(filePath, originalPath) {
-  const content = await readTranslated(filePath);
-  const lines = content.split("\n");
-
-  let cleaned = lines
-    .map((line) => line.trim())
-    .filter((line) => line.length > 0)
-    .map((line) => {
-      if (line.startsWith("#") && line.length > 1) {
-        return `＃${line.slice(1)}`;
-      }
-      return line;
-    });
+async function cleanFile(filePath, fileName, originalDir) {
+  const { text, raw: existingRaw } = await readScript(filePath, {
+    encoding: "auto",
+  });
+  const original = await readOriginal(originalDir, fileName);
 
-  const original = await readOriginal(originalPath);
-
-  if (original) {
-    const minLen = Math.min(cleaned.length, original.lines.length);
-    for (let i = 0; i < minLen; i++) {
-      if (cleaned[i].startsWith("＃")) {
-        cleaned[i] = original.lines[i].trim();
-      }
-      if (cleaned[i].startsWith("＃") && i + 1 < minLen) {
-        cleaned[i + 1] = stripSpeechWrappers(cleaned[i + 1]);
-      }
-    }
-  } else {
-    for (let i = 0; i < cleaned.length; i++) {
-      if (cleaned[i].startsWith("＃") && i + 1 < cleaned.length) {
-        cleaned[i + 1] = stripSpeechWrappers(cleaned[i + 1]);
-      }
-    }
-  }
-
-  for (let i = 0; i < cleaned.length; i++) {
-    const isSpeechContent = i > 0 && cleaned[i - 1].startsWith("＃");
-    if (isSpeechContent) continue;
-
-    const line = cleaned[i];
-    if (line.startsWith("「") && line.endsWith("」")) {
-      cleaned[i] = `"${line.slice(1, -1)}"`;
-    } else if (line.startsWith("『") && line.endsWith("』")) {
-      cleaned[i] = `"${line.slice(1, -1)}"`;
-    }
-  }
+  // Steps 1–7: normalise lines against the original.
+  const cleaned = cleanLines(text.split("\n"), original?.lines ?? null);
 
   let result = cleaned.join("\n");
 
-  if (
-    original &&
-    original.raw.length > 0 &&
-    original.raw[original.raw.length - 1] === 0x0a
-  ) {
+  // Step 8: Match the original file's trailing newline.
+  if (original && original.trailingNewline) {
     result += "\n";
   }
 
-  const existingRaw = await readFile(filePath);
+  // Step 9: Encode as UTF-8 and write.
   const resultBuf = Buffer.from(result, "utf-8");
   if (Buffer.compare(resultBuf, existingRaw) === 0) return false;
 
-  await writeFile(filePath, result, "utf-8");
+  await writeFile(filePath, resultBuf);
   return true;
 }
 
-async function main() {
+export async function main() {
+  const config = loadConfig();
+  const dirs = [config.full.dir];
+
   let totalFiles = 0;
   let modifiedFiles = 0;
 
-  for (const dir of DIRS) {
+  for (const dir of dirs) {
     let fileNames;
     try {
       fileNames = (await readdir(dir)).filter((f) => f.endsWith(".txt")).sort();
@@ -169,8 +88,7 @@ async function main() {
 
     for (const fileName of fileNames) {
       const filePath = path.join(dir, fileName);
-      const originalPath = path.join(ORIGINAL_DIR, fileName);
-      const modified = await cleanFile(filePath, originalPath);
+      const modified = await cleanFile(filePath, fileName, config.originalDir);
       totalFiles++;
       if (modified) {
         modifiedFiles++;
@@ -184,4 +102,4 @@ async function main() {
   console.log(`  Files modified:      ${modifiedFiles}`);
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
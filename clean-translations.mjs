@@ -21,193 +21,102 @@
  *   7. For non-speech-content lines, replace Japanese brackets (「」/『』)
  *      with double quotes (""), since these are narration lines where the
  *      game engine does not add brackets automatically.
- *   8. Replace Unicode characters that have no Shift-JIS representation
- *      with safe equivalents:
- *        — (U+2014 em dash)   → ― (U+2015 horizontal bar)
- *        · (U+00B7 middle dot) → ・ (U+30FB katakana middle dot)
- *        é (U+00E9 e-acute)   → e
- *   9. Append a trailing empty line if the corresponding original file in
+ *   8. On lines whose original stresses words with emphasis dots, render
+ *      the `**` markers around the English in `emphasis.style` (see
+ *      lib/emphasis.mjs).
+ *   9. Replace Unicode characters that have no Shift-JIS representation
+ *      with safe equivalents (see lib/transliterate.mjs).
+ *  10. Append a trailing empty line if the corresponding original file in
  *      `original/` also ends with one.
- *  10. Encode the output as Shift-JIS to match the original script encoding.
+ *  11. Encode the output as Shift-JIS to match the original script encoding.
  *
- * Files are overwritten in place.
+ * Files are overwritten in place. Files already cleaned against an
+ * unchanged original and `emphasis` setting are skipped (see
+ * lib/build-cache.mjs); pass --force to clean every file. Pass --dry-run to
+ * print a diff of the changes instead of writing them, or --backup to
+ * snapshot each file before it is overwritten (see lib/rewrite.mjs).
  *
  * Usage:
- *   node clean-translations.mjs
+ *   node clean-translations.mjs [--force] [--dry-run | --backup]
  */
 
-import { readFile, readdir, writeFile } from "fs/promises";
+import { readdir } from "fs/promises";
 import path from "path";
-import Encoding from "encoding-japanese";
-
-const ORIGINAL_DIR = "original";
-const DIRS = ["translated", "translated-inspection", "translated-question", "translated-exploration", "translated-vertical"];
-
-const sjisDecoder = new TextDecoder("shift_jis");
-
-// Unicode characters that have no Shift-JIS representation or should be
-// normalised → safe replacements.
-const CHAR_REPLACEMENTS = new Map([
-  ["\u2014", "-"], // — (em dash) → ― (horizontal bar)
-  ["\u00B7", "."], // · (middle dot) → ・ (katakana middle dot)
-  ["\u00E9", "e"], // é (e-acute) → e
-  ["\u2019", "'"], // ' (right single quotation mark) → ' (ASCII apostrophe)
-]);
-
-/**
- * Replace Unicode characters that cannot be represented in Shift-JIS.
- */
-function replaceUnsafeChars(str) {
-  let result = str;
-  for (const [from, to] of CHAR_REPLACEMENTS) {
-    result = result.replaceAll(from, to);
-  }
-  return result;
-}
+import { hashInputs, openBuildCache } from "./lib/build-cache.mjs";
+import { categoryDirs, loadConfig } from "./lib/config.mjs";
+import { emphasisSpans, renderEmphasis } from "./lib/emphasis.mjs";
+import { encodeShiftJIS, replaceUnsafeChars } from "./lib/encoding.mjs";
+import { cleanLines } from "./lib/clean.mjs";
+import { openRewriter } from "./lib/rewrite.mjs";
+import { readOriginal, readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+
+// Bump when the cleaning steps change, so every file is cleaned again.
+const BUILD_VERSION = 3;
 
 /**
- * Encode a Unicode string to a Shift-JIS Buffer.
+ * Clean a single file against its original. Returns true if modified.
  */
-function encodeShiftJIS(str) {
-  const codeArray = Encoding.convert(Encoding.stringToCode(str), {
-    to: "SJIS",
-    from: "UNICODE",
+async function cleanFile(
+  filePath,
+  fileName,
+  { originalDir, emphasis, cache, rewriter }
+) {
+  const { text, raw: existingRaw } = await readScript(filePath, {
+    encoding: "auto",
   });
-  return Buffer.from(codeArray);
-}
+  const original = await readOriginal(originalDir, fileName);
+  const originalRaw = original?.raw ?? "";
+  const settings = JSON.stringify(emphasis);
 
-/**
- * Read the original file and return its decoded content lines and raw buffer
- * (for trailing-newline detection). Returns null if the original does not
- * exist.
- */
-async function readOriginal(originalPath) {
-  try {
-    const raw = await readFile(originalPath);
-    const text = sjisDecoder.decode(raw);
-    const lines = text.split("\n");
-    if (lines.at(-1) === "") lines.pop();
-    return { lines, raw };
-  } catch {
-    return null;
+  if (cache.lookup(filePath, hashInputs(existingRaw, originalRaw, settings))) {
+    return false;
   }
-}
 
-/**
- * Read a translated file, decoding from either Shift-JIS or UTF-8 depending
- * on the detected encoding.
- */
-async function readTranslated(filePath) {
-  const raw = await readFile(filePath);
-  const detected = Encoding.detect(raw);
-  if (detected === "SJIS") {
-    return sjisDecoder.decode(raw);
-  }
-  return raw.toString("utf-8");
-}
+  // Steps 1–7: normalise lines against the original.
+  const cleaned = cleanLines(text.split("\n"), original?.lines ?? null);
 
-/**
- * Strip wrapping brackets or quotes from a speech content line.
- * Handles 「...」, 『...』, and "...".
- */
-function stripSpeechWrappers(line) {
-  if (line.startsWith("「") && line.endsWith("」")) return line.slice(1, -1);
-  if (line.startsWith("『") && line.endsWith("』")) return line.slice(1, -1);
-  if (line.startsWith('"') && line.endsWith('"') && line.length >= 2)
-    return line.slice(1, -1);
-  if (line.startsWith("'") && line.endsWith("'") && line.length >= 2)
-    return line.slice(1, -1);
-  return line;
-}
-
-/**
- * Clean a single file against its original. Returns true if modified.
- */
-async function cleanFile(filePath, originalPath) {
-  const content = await readTranslated(filePath);
-  const lines = content.split("\n");
-
-  // Steps 1–4: trim, drop empties, fix speech source prefix.
-  let cleaned = lines
-    .map((line) => line.trim())
-    .filter((line) => line.length > 0)
-    .map((line) => {
-      // Convert ASCII hash speech source prefix to fullwidth hash.
-      if (line.startsWith("#") && line.length > 1) {
-        return `＃${line.slice(1)}`;
-      }
-      return line;
-    });
-
-  const original = await readOriginal(originalPath);
-
-  // Step 5: Replace speech source lines with the original Japanese lines.
-  // Step 6: Strip wrapping brackets/quotes from speech content lines.
-  if (original) {
-    const minLen = Math.min(cleaned.length, original.lines.length);
-    for (let i = 0; i < minLen; i++) {
-      if (cleaned[i].startsWith("＃")) {
-        // Use the original line verbatim (Japanese speaker name).
-        cleaned[i] = original.lines[i].trim();
-      }
-      // A speech content line is the line immediately after a ＃ source line.
-      if (cleaned[i].startsWith("＃") && i + 1 < minLen) {
-        cleaned[i + 1] = stripSpeechWrappers(cleaned[i + 1]);
-      }
-    }
-  } else {
-    // No original available — still strip speech content wrappers.
-    for (let i = 0; i < cleaned.length; i++) {
-      if (cleaned[i].startsWith("＃") && i + 1 < cleaned.length) {
-        cleaned[i + 1] = stripSpeechWrappers(cleaned[i + 1]);
-      }
+  // Step 8: Render emphasis markers where the original has emphasis dots.
+  original?.lines.forEach((line, i) => {
+    if (i < cleaned.length && emphasisSpans(line).length > 0) {
+      cleaned[i] = renderEmphasis(cleaned[i], emphasis);
     }
-  }
-
-  // Step 7: For non-speech lines, replace Japanese brackets with double
-  // quotes. Speech content lines (right after ＃) already had brackets
-  // stripped in step 6; these are narration lines that quote dialogue.
-  for (let i = 0; i < cleaned.length; i++) {
-    const isSpeechContent = i > 0 && cleaned[i - 1].startsWith("＃");
-    if (isSpeechContent) continue;
-
-    const line = cleaned[i];
-    if (line.startsWith("「") && line.endsWith("」")) {
-      cleaned[i] = `"${line.slice(1, -1)}"`;
-    } else if (line.startsWith("『") && line.endsWith("』")) {
-      cleaned[i] = `"${line.slice(1, -1)}"`;
-    }
-  }
+  });
 
   let result = cleaned.join("\n");
 
-  // Step 8: Replace Unicode characters that can't be encoded in Shift-JIS.
+  // Step 9: Replace Unicode characters that can't be encoded in Shift-JIS.
   result = replaceUnsafeChars(result);
 
-  // Step 9: Match the original file's trailing newline.
-  if (
-    original &&
-    original.raw.length > 0 &&
-    original.raw[original.raw.length - 1] === 0x0a
-  ) {
+  // Step 10: Match the original file's trailing newline.
+  if (original && original.trailingNewline) {
     result += "\n";
   }
 
-  // Step 9: Encode as Shift-JIS and write.
-  const encoded = encodeShiftJIS(result);
-
-  const existingRaw = await readFile(filePath);
+  // Step 11: Encode as Shift-JIS and write.
+  const encoded = encodeShiftJIS(result, { file: filePath });
+  cache.record(filePath, hashInputs(encoded, originalRaw, settings));
   if (Buffer.compare(encoded, existingRaw) === 0) return false;
 
-  await writeFile(filePath, encoded);
+  await rewriter.write(filePath, encoded, existingRaw);
   return true;
 }
 
-async function main() {
+export async function main(options = {}) {
+  const config = loadConfig();
+  const cache = await openBuildCache(
+    config,
+    "clean-translations",
+    BUILD_VERSION,
+    options
+  );
+  const rewriter = openRewriter(config, "clean-translations", options);
+  const dirs = categoryDirs(config);
+
   let totalFiles = 0;
   let modifiedFiles = 0;
 
-  for (const dir of DIRS) {
+  for (const dir of dirs) {
     let fileNames;
     try {
       fileNames = (await readdir(dir)).filter((f) => f.endsWith(".txt")).sort();
@@ -220,8 +129,12 @@ async function main() {
 
     for (const fileName of fileNames) {
       const filePath = path.join(dir, fileName);
-      const originalPath = path.join(ORIGINAL_DIR, fileName);
-      const modified = await cleanFile(filePath, originalPath);
+      const modified = await cleanFile(filePath, fileName, {
+        originalDir: config.originalDir,
+        emphasis: config.emphasis,
+        cache,
+        rewriter,
+      });
       totalFiles++;
       if (modified) {
         modifiedFiles++;
@@ -233,6 +146,11 @@ async function main() {
   console.log("— Summary —");
   console.log(`  Total files scanned: ${totalFiles}`);
   console.log(`  Files modified:      ${modifiedFiles}`);
+  cache.report();
+  rewriter.report();
+
+  await cache.save();
+  return cache.summary();
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
@@ -0,0 +1,100 @@
+/**
+ * Detect Fixed-Width Scripts
+ *
+ * Scores every original script of the fixed-width category (`normal` in the
+ * default config, see lib/classify.mjs) on the traits of fixed-width screens
+ * — line-length regularity, fullwidth-space padding, box-drawing characters,
+ * absence of speech sources, choices and repeated lines (see
+ * lib/fixed-width.mjs) — and proposes the files scoring at least
+ * `fixedWidth.minConfidence` that are not yet in `fixed-width-files.json`.
+ *
+ * Proposals are printed with their confidence and trait scores, and written
+ * to `fixed-width-proposals.json`:
+ *
+ *   [{ "fileName": "...", "confidence": 0.72, "traits": { ... } }, ...]
+ *
+ * Review the file, delete any proposal that should not be fixed-width, then
+ * run `accept-fixed-width.mjs` to add the rest to the manifest. Files already
+ * in the manifest are listed with their scores for comparison.
+ *
+ * Usage:
+ *   node detect-fixed-width.mjs
+ */
+
+import { readdir, writeFile } from "fs/promises";
+import path from "path";
+import { loadClassifier } from "./lib/classify.mjs";
+import { loadConfig } from "./lib/config.mjs";
+import { formatTraits, scoreFixedWidth } from "./lib/fixed-width.mjs";
+import { readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+
+// Scores are written rounded; the exact value adds nothing when reviewing.
+const round = (score) => Math.round(score * 100) / 100;
+
+export async function main() {
+  const config = loadConfig();
+  const { manifestFile, proposalsFile, minConfidence } = config.fixedWidth;
+  const classifier = await loadClassifier(config);
+
+  // Step 1: Score every original of the fixed-width category.
+  const fileNames = (await readdir(config.originalDir))
+    .filter((f) => f.endsWith(".txt"))
+    .sort();
+
+  const scored = [];
+  for (const fileName of fileNames) {
+    const { text, lines } = await readScript(
+      path.join(config.originalDir, fileName)
+    );
+    const { category } = classifier.classify(fileName, text);
+    if (category.name !== config.fixedWidth.category) continue;
+
+    scored.push({ fileName, ...scoreFixedWidth(lines) });
+  }
+  scored.sort((a, b) => b.confidence - a.confidence);
+
+  // Step 2: Split into files already in the manifest and new proposals.
+  const inManifest = (s) => classifier.fixedWidthFiles.has(s.fileName);
+  const listed = scored.filter(inManifest);
+  const proposals = scored.filter(
+    (s) => !inManifest(s) && s.confidence >= minConfidence
+  );
+
+  const print = ({ fileName, confidence, traits }) => {
+    console.log(`  ${confidence.toFixed(2)}  ${fileName}`);
+    console.log(`        ${formatTraits(traits)}`);
+  };
+
+  if (listed.length > 0) {
+    console.log(`Already in ${manifestFile}:`);
+    listed.forEach(print);
+    console.log();
+  }
+
+  if (proposals.length > 0) {
+    console.log(`Proposed (confidence ≥ ${minConfidence}):`);
+    proposals.forEach(print);
+    console.log();
+  } else {
+    console.log(`No new files reach confidence ${minConfidence}.\n`);
+  }
+
+  // Step 3: Write the proposals for review.
+  const output = proposals.map(({ fileName, confidence, traits }) => ({
+    fileName,
+    confidence: round(confidence),
+    traits: Object.fromEntries(
+      Object.entries(traits).map(([trait, score]) => [trait, round(score)])
+    ),
+  }));
+  await writeFile(proposalsFile, JSON.stringify(output, null, 2) + "\n");
+
+  console.log("— Summary —");
+  console.log(`  Files scored:     ${scored.length}`);
+  console.log(`  In manifest:      ${listed.length}`);
+  console.log(`  Proposed:         ${proposals.length}`);
+  console.log(`  Written to:       ${proposalsFile}`);
+}
+
+runIfMain(import.meta.url, main);
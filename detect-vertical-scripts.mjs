@@ -6,16 +6,10 @@
  *   - 　 (fullwidth space, U+3000) — indent for narration lines
  *   - 「 (left corner bracket, U+300C) — opening of a dialogue line
  *
- * In Shift-JIS these are encoded as:
- *   　 → 0x81 0x40
- *   「 → 0x81 0x42
- *
- * Both share the lead byte 0x81, so the check only needs to branch on the
- * second byte.
- *
- * This script scans every .txt file in `original/`, reads each one as a raw
- * buffer (preserving Shift-JIS bytes), and flags any file where ALL non-empty
- * lines begin with one of those two byte pairs.
+ * This script scans every .txt file in `original/` and flags any file where
+ * ALL non-empty lines begin with one of those two characters. It uses the
+ * same check as the script classifier (lib/classify.mjs), which routes these
+ * files to the vertical category on export.
  *
  * Usage:
  *   node detect-vertical-scripts.mjs
@@ -24,65 +18,23 @@
 import { glob } from "glob";
 import { readFile } from "fs/promises";
 import path from "path";
+import { isVerticalScript } from "./lib/classify.mjs";
+import { loadConfig } from "./lib/config.mjs";
+import { decodeShiftJIS } from "./lib/encoding.mjs";
+import { runIfMain } from "./lib/stage.mjs";
 
-const ORIGINAL_DIR = "original";
-
-// Both vertical-style line starters share the Shift-JIS lead byte 0x81.
-const SJIS_LEAD_BYTE = 0x81;
-// 　 (fullwidth space, U+3000) → 0x81 0x40
-const SJIS_FULLWIDTH_SPACE = 0x40;
-// 「 (left corner bracket, U+300C) → 0x81 0x75
-const SJIS_LEFT_CORNER_BRACKET = 0x75;
-
-/**
- * Returns true when every non-empty line in the buffer starts with the
- * Shift-JIS encoding of either 　 (0x81 0x40) or 「 (0x81 0x42).
- */
-function isVertical(buf) {
-  let pos = 0;
-  let hasContent = false;
-
-  while (pos < buf.length) {
-    // Locate the next newline to isolate the current line.
-    let end = buf.indexOf(0x0a, pos);
-    if (end === -1) end = buf.length;
-
-    // Exclude a trailing \r so both LF and CRLF files are handled correctly.
-    const lineEnd = end > pos && buf[end - 1] === 0x0d ? end - 1 : end;
-    const lineLen = lineEnd - pos;
-
-    if (lineLen > 0) {
-      hasContent = true;
-      // Fail fast: the moment any non-empty line doesn't open with either
-      // vertical-style starter the file is not uniformly vertical.
-      if (
-        lineLen < 2 ||
-        buf[pos] !== SJIS_LEAD_BYTE ||
-        (buf[pos + 1] !== SJIS_FULLWIDTH_SPACE &&
-          buf[pos + 1] !== SJIS_LEFT_CORNER_BRACKET)
-      ) {
-        return false;
-      }
-    }
-
-    // Advance past the newline character to the start of the next line.
-    pos = end + 1;
-  }
-
-  // Guard against empty files being misidentified as vertical.
-  return hasContent;
-}
+export async function main() {
+  const { originalDir } = loadConfig();
 
-async function main() {
   // Collect and sort all .txt files so the output order is deterministic.
-  const files = (await glob(`${ORIGINAL_DIR}/*.txt`)).sort();
+  const files = (await glob(`${originalDir}/*.txt`)).sort();
 
   const vertical = [];
 
-  // Read each file as a raw buffer and run the vertical-style check.
+  // Decode each file and run the vertical-style check.
   for (const filePath of files) {
     const buf = await readFile(filePath);
-    if (isVertical(buf)) {
+    if (isVerticalScript(decodeShiftJIS(buf))) {
       vertical.push(path.basename(filePath));
     }
   }
@@ -99,4 +51,4 @@ async function main() {
   }
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
@@ -0,0 +1,98 @@
+/**
+ * Diff Gemini Translation Revisions
+ *
+ * Lists every script with more than one entry across
+ * `gemini-translation-text/*.txt` — e.g. one retranslated in a later
+ * conversation — with each revision's source message and timestamp (see
+ * lib/revisions.mjs), and prints a unified diff from the revision the
+ * pipeline uses (marked "→") to each of the others.
+ *
+ * To switch a script to another revision, pin it in `gemini.pinsFile`:
+ *
+ *   { "F06_p010.txt": "04.json#7" }
+ *
+ * or set `gemini.revisionPolicy` to "latest" to let later conversations
+ * supersede earlier ones. Pass --script to show only the named scripts.
+ *
+ * Usage:
+ *   node diff-gemini-revisions.mjs [--script F06_p010.txt]
+ */
+
+import { loadConfig } from "./lib/config.mjs";
+import { unifiedDiff } from "./lib/diff.mjs";
+import {
+  loadPins,
+  readRevisions,
+  selectRevisions,
+} from "./lib/revisions.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+
+const label = (revision) =>
+  `${revision.id} (${revision.translationFile} line ${revision.line})`;
+
+const content = (revision) => {
+  const lines = [...revision.contentLines];
+  while (lines.at(-1) === "") lines.pop();
+  return lines;
+};
+
+export async function main(options = {}) {
+  const config = loadConfig();
+  const only = options.script ?? [];
+
+  // Step 1: Group the entries into revisions and find the chosen ones.
+  const pins = await loadPins(config);
+  const { selected, competing, unresolved } = selectRevisions(
+    config,
+    await readRevisions(config),
+    pins
+  );
+
+  // Step 2: Show each script's revisions and their differences.
+  let shown = 0;
+  let identical = 0;
+  for (const [fileName, candidates] of competing) {
+    if (only.length > 0 && !only.includes(fileName)) continue;
+    shown++;
+
+    const choice = selected.get(fileName);
+    const reason = pins[fileName]
+      ? "pinned"
+      : unresolved.includes(fileName)
+        ? "unresolved"
+        : config.gemini.revisionPolicy;
+    console.log(`\n=== ${fileName} (${candidates.length} revisions) ===`);
+    for (const revision of candidates) {
+      const mark = revision === choice ? "→" : " ";
+      console.log(
+        `  ${mark} ${label(revision)}  ${revision.timestamp ?? "(no time)"}` +
+          (revision === choice ? `  [${reason}]` : "")
+      );
+    }
+
+    for (const revision of candidates) {
+      if (revision === choice) continue;
+      const diff = unifiedDiff(content(choice), content(revision), {
+        fromFile: label(choice),
+        toFile: label(revision),
+      });
+      if (diff) {
+        console.log(`\n${diff}`);
+      } else {
+        console.log(`\n  ${revision.id} is identical to ${choice.id}`);
+        identical++;
+      }
+    }
+  }
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Policy:           ${config.gemini.revisionPolicy}`);
+  console.log(`  Pins:             ${Object.keys(pins).length}`);
+  console.log(`  With revisions:   ${competing.size}`);
+  console.log(`  Shown:            ${shown}`);
+  console.log(`  Identical:        ${identical}`);
+  console.log(`  Unresolved:       ${unresolved.length}`);
+}
+
+runIfMain(import.meta.url, main);
@@ -5,7 +5,11 @@
  * each entry as a separate Shift-JIS file, named to match the corresponding
  * original script file.
  *
- * Files are routed to one of five output directories:
+ * Files are routed to the `categories` of caucasus.config.json by the script
+ * classifier (lib/classify.mjs): an entry in category-overrides.json wins,
+ * then the first category whose filename pattern matches, and
+ * vertical-style originals go to the vertical category. Run
+ * `classify-scripts` to preview the routing. The default config has five:
  *
  *   - `translated/`            — normal (horizontal) scripts
  *   - `translated-vertical/`   — vertical-style scripts (every non-empty line
@@ -28,232 +32,132 @@
  * The content lines of an entry span from the line after the header until the
  * next entry header, a separator line (80 dashes), or end-of-file.
  *
- * If a fileName appears more than once across all translation files, a warning
- * is printed and only the first occurrence is kept.
+ * If a fileName appears more than once across all translation files, each
+ * entry is a revision of its translation and one is exported, chosen by
+ * `gemini.revisionPolicy` and the pins of `gemini.pinsFile` (see
+ * lib/revisions.mjs); the choice is printed for every such script. Under
+ * the "pinned" policy, a script with competing revisions and no pin fails
+ * the stage before anything is written. Run `diff-gemini-revisions` to
+ * compare the revisions of a script.
+ *
+ * Exports are incremental (see lib/build-cache.mjs): an entry is only
+ * written when its content or route changed since the last run, or its
+ * output file is missing. Pass --force to re-export every entry.
  *
  * Usage:
- *   node export-gemini-translations.mjs
+ *   node export-gemini-translations.mjs [--force]
  */
 
-import { readFile, readdir, writeFile, mkdir } from "fs/promises";
+import { readFile, readdir, mkdir } from "fs/promises";
 import path from "path";
-import Encoding from "encoding-japanese";
-
-const INPUT_DIR = "gemini-translation-text";
-const ORIGINAL_DIR = "original";
-const OUTPUT_DIR = "translated";
-const OUTPUT_VERTICAL_DIR = "translated-vertical";
-const OUTPUT_INSPECTION_DIR = "translated-inspection";
-const OUTPUT_QUESTION_DIR = "translated-question";
-const OUTPUT_EXPLORATION_DIR = "translated-exploration";
-
-const INSPECTION_RE = /s\.txt$/;
-const QUESTION_RE = /^[A-Z]\d{2}_[a-z]\d{3}\.txt$/;
-const EXPLORATION_RE = /^[A-Z]\d{2}_/;
-
-// Unicode characters that have no Shift-JIS representation → safe replacements.
-const CHAR_REPLACEMENTS = new Map([
-  ["\u2014", "-"], // — (em dash) → ― (horizontal bar)
-  ["\u00B7", "."], // · (middle dot) → ・ (katakana middle dot)
-  ["\u00E9", "e"], // é (e-acute) → e
-]);
-
-/**
- * Encode a Unicode string to a Shift-JIS Buffer, replacing characters that
- * cannot be represented in Shift-JIS first.
- */
-function encodeShiftJIS(str) {
-  let safe = str;
-  for (const [from, to] of CHAR_REPLACEMENTS) {
-    safe = safe.replaceAll(from, to);
-  }
-  const codeArray = Encoding.convert(Encoding.stringToCode(safe), {
-    to: "SJIS",
-    from: "UNICODE",
-  });
-  return Buffer.from(codeArray);
-}
-
-const HEADER_DASHES = "-".repeat(20);
-const SEPARATOR_DASHES = "-".repeat(80);
-const HEADER_STARS = "*".repeat(20);
-
-const sjisDecoder = new TextDecoder("shift_jis");
-
-/**
- * Returns true when every non-empty line in the Shift-JIS buffer starts with
- * either a fullwidth space (U+3000) or a left corner bracket (「, U+300C).
- */
-function isVertical(buf) {
-  const text = sjisDecoder.decode(buf);
-  const lines = text.split("\n");
-  let hasContent = false;
-
-  for (const raw of lines) {
-    const line = raw.endsWith("\r") ? raw.slice(0, -1) : raw;
-    if (line.length === 0) continue;
-
-    hasContent = true;
-    const first = line[0];
-    if (first !== "\u3000" && first !== "\u300C") return false;
-  }
-
-  return hasContent;
-}
-
-/**
- * Parse a single translation text file and return every entry with its
- * fileName and content lines.
- *
- * An entry's content spans from the line after its "********************"
- * header until the next header, a separator, or end-of-file.
- */
-async function parseTranslationEntries(filePath) {
-  const content = await readFile(filePath, "utf-8");
-  const lines = content.split("\n");
-  const entries = [];
-
-  let i = 0;
-  while (i < lines.length) {
-    const line = lines[i].trimEnd();
-
-    if (line === SEPARATOR_DASHES) {
-      i++;
-      continue;
-    }
-
-    if (
-      line === HEADER_DASHES &&
-      i + 2 < lines.length &&
-      lines[i + 2].trimEnd() === HEADER_STARS
-    ) {
-      const fileName = lines[i + 1].trimEnd();
-      const headerLine = i + 2;
-      i += 3;
+import { hashInputs, openBuildCache } from "./lib/build-cache.mjs";
+import { loadClassifier } from "./lib/classify.mjs";
+import { loadConfig } from "./lib/config.mjs";
+import { decodeShiftJIS } from "./lib/encoding.mjs";
+import {
+  loadPins,
+  readRevisions,
+  selectRevisions,
+} from "./lib/revisions.mjs";
+import { writeScript } from "./lib/script.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+
+// Bump when the exported file format changes, to re-export every entry.
+const BUILD_VERSION = 1;
+
+export async function main(options = {}) {
+  const config = loadConfig();
+  const cache = await openBuildCache(
+    config,
+    "export-gemini-translations",
+    BUILD_VERSION,
+    options
+  );
 
-      const contentLines = [];
-      while (i < lines.length) {
-        const current = lines[i].trimEnd();
-        if (current === HEADER_DASHES || current === SEPARATOR_DASHES) break;
-        contentLines.push(current);
-        i++;
-      }
+  // Step 1: Parse every translation file and choose one revision of each
+  // script.
+  const revisions = await readRevisions(config);
+  const { selected, competing, unresolved } = selectRevisions(
+    config,
+    revisions,
+    await loadPins(config)
+  );
 
-      entries.push({ fileName, headerLine, contentLines });
-    } else {
-      i++;
+  if (unresolved.length > 0) {
+    for (const fileName of unresolved) {
+      const ids = competing.get(fileName).map((r) => r.id);
+      console.error(`  ✗  ${fileName}: unpinned revisions ${ids.join(", ")}`);
     }
+    throw new StageFailure(
+      `${unresolved.length} scripts have competing revisions and no pin ` +
+        `in ${config.gemini.pinsFile}`
+    );
+  }
+  for (const [fileName, candidates] of competing) {
+    const choice = selected.get(fileName);
+    console.warn(
+      `  ⚠  "${fileName}" has ${candidates.length} revisions — ` +
+        `using ${choice.id} (${choice.translationFile} line ${choice.line})`
+    );
   }
-
-  return entries;
-}
-
-async function main() {
-  // Step 1: Discover and sort all translation text files.
-  const translationFileNames = (await readdir(INPUT_DIR))
-    .filter((f) => f.endsWith(".txt"))
-    .sort();
 
   // Step 2: Ensure all output directories exist.
-  await mkdir(OUTPUT_DIR, { recursive: true });
-  await mkdir(OUTPUT_VERTICAL_DIR, { recursive: true });
-  await mkdir(OUTPUT_INSPECTION_DIR, { recursive: true });
-  await mkdir(OUTPUT_QUESTION_DIR, { recursive: true });
-  await mkdir(OUTPUT_EXPLORATION_DIR, { recursive: true });
+  for (const category of config.categories) {
+    await mkdir(category.dir, { recursive: true });
+  }
 
-  // Step 3: Build a set of vertical-style original filenames by reading each
-  // original as raw Shift-JIS bytes and checking the line-starter pattern.
-  const originalFileNames = await readdir(ORIGINAL_DIR);
-  const verticalFiles = new Set();
+  // Step 3: Classify every original script, so routing can look at its
+  // content (vertical-style scripts) as well as its filename.
+  const classifier = await loadClassifier(config);
+  const originalFileNames = await readdir(config.originalDir);
+  const routes = new Map();
 
   for (const filename of originalFileNames) {
-    const buf = await readFile(path.join(ORIGINAL_DIR, filename));
-    if (isVertical(buf)) {
-      verticalFiles.add(filename);
-    }
+    const buf = await readFile(path.join(config.originalDir, filename));
+    const { category } = classifier.classify(filename, decodeShiftJIS(buf));
+    routes.set(filename, category);
   }
 
-  // Step 4: Parse every translation file, detect duplicates, and export
-  // each unique entry to the appropriate output directory.
-  const seen = new Map();
-  let duplicateCount = 0;
-  let exportedCount = 0;
-  let exportedVerticalCount = 0;
-  let exportedInspectionCount = 0;
-  let exportedQuestionCount = 0;
-  let exportedExplorationCount = 0;
-
-  for (const file of translationFileNames) {
-    const filePath = path.join(INPUT_DIR, file);
-    const entries = await parseTranslationEntries(filePath);
-
-    for (const entry of entries) {
-      if (seen.has(entry.fileName)) {
-        duplicateCount++;
-        const prev = seen.get(entry.fileName);
-        console.warn(
-          `  ⚠  Duplicate "${entry.fileName}" — ` +
-            `keeping ${prev.sourceFile} line ${prev.headerLine}, ` +
-            `skipping ${file} line ${entry.headerLine}`
-        );
-        continue;
-      }
-
-      seen.set(entry.fileName, {
-        sourceFile: file,
-        headerLine: entry.headerLine,
-      });
-
-      // Route to the appropriate output directory.
-      const outDir = INSPECTION_RE.test(entry.fileName)
-        ? OUTPUT_INSPECTION_DIR
-        : QUESTION_RE.test(entry.fileName)
-          ? OUTPUT_QUESTION_DIR
-          : EXPLORATION_RE.test(entry.fileName)
-            ? OUTPUT_EXPLORATION_DIR
-            : verticalFiles.has(entry.fileName)
-              ? OUTPUT_VERTICAL_DIR
-              : OUTPUT_DIR;
-
-      const outputPath = path.join(outDir, entry.fileName);
-      await writeFile(
-        outputPath,
-        encodeShiftJIS(entry.contentLines.join("\n"))
-      );
-
-      if (outDir === OUTPUT_INSPECTION_DIR) {
-        exportedInspectionCount++;
-      } else if (outDir === OUTPUT_QUESTION_DIR) {
-        exportedQuestionCount++;
-      } else if (outDir === OUTPUT_EXPLORATION_DIR) {
-        exportedExplorationCount++;
-      } else if (outDir === OUTPUT_VERTICAL_DIR) {
-        exportedVerticalCount++;
-      } else {
-        exportedCount++;
-      }
+  // Step 4: Export the chosen revision of each script to the appropriate
+  // output directory.
+  const exportedCounts = new Map(config.categories.map((c) => [c.name, 0]));
+
+  for (const [fileName, entry] of selected) {
+    // Route to the appropriate output directory. Entries without an
+    // original are classified by filename alone.
+    const category =
+      routes.get(fileName) ?? classifier.classify(fileName, null).category;
+
+    // Only rewrite the file when the entry or its route changed, so later
+    // in-place stages and hand-applied fixes are not undone needlessly.
+    const outputPath = path.join(category.dir, fileName);
+    const hash = hashInputs(category.dir, ...entry.contentLines);
+    if (!cache.lookup(fileName, hash, [outputPath])) {
+      await writeScript(outputPath, entry.contentLines);
+      cache.record(fileName, hash, { outputs: [outputPath] });
     }
+    const count = exportedCounts.get(category.name);
+    exportedCounts.set(category.name, count + 1);
   }
 
   // Step 5: Print summary.
   console.log();
   console.log("— Summary —");
-  console.log(`  Exported: ${exportedCount} files to ${OUTPUT_DIR}/`);
-  console.log(
-    `  Exported: ${exportedVerticalCount} files to ${OUTPUT_VERTICAL_DIR}/`
-  );
-  console.log(
-    `  Exported: ${exportedInspectionCount} files to ${OUTPUT_INSPECTION_DIR}/`
-  );
-  console.log(
-    `  Exported: ${exportedQuestionCount} files to ${OUTPUT_QUESTION_DIR}/`
-  );
-  console.log(
-    `  Exported: ${exportedExplorationCount} files to ${OUTPUT_EXPLORATION_DIR}/`
-  );
-  if (duplicateCount > 0) {
-    console.log(`  Duplicates skipped: ${duplicateCount}`);
+  for (const category of config.categories) {
+    const count = exportedCounts.get(category.name);
+    console.log(`  Exported: ${count} files to ${category.dir}/`);
   }
+  if (competing.size > 0) {
+    const superseded = revisions.length - selected.size;
+    console.log(
+      `  Revisions: ${superseded} superseded in ${competing.size} scripts ` +
+        `(policy "${config.gemini.revisionPolicy}")`
+    );
+  }
+  cache.report();
+
+  await cache.save();
+  return cache.summary();
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
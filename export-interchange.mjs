@@ -0,0 +1,117 @@
+/**
+ * Export Translations for Translation Tools
+ *
+ * Writes the translated scripts of every category and of the full track as
+ * localization files that CAT tools and translation platforms can open, in
+ * `interchange.dir` (interchange/), one file per folder and format:
+ *
+ *   {track}.po           — gettext PO
+ *   {track}.xliff12.xlf  — XLIFF 1.2
+ *   {track}.xliff20.xlf  — XLIFF 2.0
+ *   {track}.tmx          — TMX 1.4
+ *
+ * `interchange.formats` chooses the formats written. Every translated line
+ * is a unit with its original as the source, located by the script path
+ * and line, with the speaker of speech lines as a translator note (see
+ * lib/interchange.mjs). Scripts whose line count differs from their
+ * original cannot be paired line by line and are skipped; run
+ * validate-translations to find them.
+ *
+ * The exported targets are recorded in `exported.json` beside the files.
+ * Edited files are read back by import-interchange.mjs, which compares
+ * them with it.
+ *
+ * Usage:
+ *   node export-interchange.mjs
+ */
+
+import { mkdir, readdir, writeFile } from "fs/promises";
+import path from "path";
+import { loadConfig, translatedTracks } from "./lib/config.mjs";
+import {
+  EXPORTED_FILE,
+  FORMATS,
+  scriptUnits,
+  unitLocation,
+} from "./lib/interchange.mjs";
+import { readOriginal, readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+
+export async function main() {
+  const config = loadConfig();
+  const { dir: outputDir, formats, sourceLanguage, targetLanguage } =
+    config.interchange;
+  const context = { sourceLanguage, targetLanguage, speakers: config.speakers };
+
+  await mkdir(outputDir, { recursive: true });
+
+  let scripts = 0;
+  let skipped = 0;
+  const exported = {};
+  const written = [];
+
+  for (const track of translatedTracks(config)) {
+    let fileNames;
+    try {
+      fileNames = (await readdir(track.dir))
+        .filter((f) => f.endsWith(".txt"))
+        .sort();
+    } catch {
+      continue;
+    }
+
+    // Step 1: Pair every translated script of the folder with its original.
+    const trackUnits = [];
+    for (const fileName of fileNames) {
+      const filePath = path.join(track.dir, fileName);
+      const original = await readOriginal(config.originalDir, fileName);
+      if (!original) {
+        console.warn(`  ⚠  ${filePath} — no original, skipped`);
+        skipped++;
+        continue;
+      }
+      const { lines } = await readScript(filePath, {
+        encoding: track.encoding,
+      });
+      if (lines.length !== original.lines.length) {
+        console.warn(
+          `  ⚠  ${filePath} — ${lines.length} lines, original has ` +
+            `${original.lines.length}, skipped`
+        );
+        skipped++;
+        continue;
+      }
+      trackUnits.push(...scriptUnits(filePath, original.lines, lines));
+      scripts++;
+    }
+    if (trackUnits.length === 0) continue;
+    for (const unit of trackUnits) exported[unitLocation(unit)] = unit.target;
+
+    // Step 2: Write the folder in every configured format.
+    for (const name of formats) {
+      const format = FORMATS.get(name);
+      const outputPath = path.join(outputDir, track.name + format.extension);
+      await writeFile(outputPath, format.serialize(trackUnits, context));
+      written.push(outputPath);
+    }
+    console.log(
+      `${track.dir}/ — ${trackUnits.length} units → ` +
+        `${track.name}{${formats.map((f) => FORMATS.get(f).extension)}}`
+    );
+  }
+
+  // Step 3: Record the targets as exported.
+  await writeFile(
+    path.join(outputDir, EXPORTED_FILE),
+    JSON.stringify(exported, null, 1)
+  );
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Scripts:          ${scripts}`);
+  console.log(`  Skipped:          ${skipped}`);
+  console.log(`  Units:            ${Object.keys(exported).length}`);
+  console.log(`  Files written:    ${written.length} in ${outputDir}/`);
+}
+
+runIfMain(import.meta.url, main);
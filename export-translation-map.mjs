@@ -16,7 +16,8 @@
  *   value: "The interior was incomparably warmer than the outside."
  *
  * Empty lines are skipped. When the same original key appears multiple times
- * across files, only the first occurrence is kept.
+ * across files, only the first occurrence is kept; build-translation-memory
+ * records every occurrence.
  *
  * Output: `translation-map.json`
  *
@@ -24,130 +25,54 @@
  *   node export-translation-map.mjs
  */
 
-import { readFile, readdir, writeFile } from "fs/promises";
-import path from "path";
-import Encoding from "encoding-japanese";
+import { writeFile } from "fs/promises";
+import { loadConfig } from "./lib/config.mjs";
+import { collectSegments } from "./lib/memory.mjs";
+import { runIfMain } from "./lib/stage.mjs";
 
-const ORIGINAL_DIR = "original";
-const TRANSLATED_FULL_DIR = "translated-full";
-const OUTPUT_FILE = "translation-map.json";
+export async function main() {
+  const config = loadConfig();
+  const outputFile = config.full.translationMapFile;
 
-const sjisDecoder = new TextDecoder("shift_jis");
-
-const SPEAKER_MAP = new Map([
-  ["主人公", "Satoshi"],
-  ["なるみ", "Narumi"],
-  ["想子", "Souko"],
-  ["辻村", "Tsujimura"],
-  ["高嶺", "Takamine"],
-  ["紅緒", "Benio"],
-  ["あかね", "Akane"],
-  ["御巫", "Mikanagi"],
-  ["摩夜", "Maya"],
-  ["藍", "Ai"],
-  ["詩音", "Shion"],
-  ["六曜", "Rokuyou"],
-  ["？？？", "???"],
-  ["警官", "Police Officer"],
-  ["御者", "Coachman"],
-]);
-
-function readTranslatedFull(raw) {
-  const detected = Encoding.detect(raw);
-  if (detected === "SJIS") {
-    return sjisDecoder.decode(raw);
-  }
-  return raw.toString("utf-8");
-}
-
-async function main() {
-  const translatedFileNames = new Set(
-    (await readdir(TRANSLATED_FULL_DIR))
-      .filter((f) => f.endsWith(".txt"))
-  );
-
-  const originalFileNames = (await readdir(ORIGINAL_DIR))
-    .filter((f) => f.endsWith(".txt") && translatedFileNames.has(f))
-    .sort();
+  // The segments of every translated script, paired line by line with its
+  // original (see lib/memory.mjs).
+  const { fileNames, segments } = await collectSegments(config);
 
   const map = new Map();
   let totalPairs = 0;
   let duplicates = 0;
   let unknownSpeakers = new Set();
 
-  for (const fileName of originalFileNames) {
-    const origRaw = await readFile(path.join(ORIGINAL_DIR, fileName));
-    const origText = sjisDecoder.decode(origRaw);
-    const origLines = origText.split("\n");
-    if (origLines.at(-1) === "") origLines.pop();
-
-    const transRaw = await readFile(path.join(TRANSLATED_FULL_DIR, fileName));
-    const transText = readTranslatedFull(transRaw);
-    const transLines = transText.split("\n");
-    if (transLines.at(-1) === "") transLines.pop();
-
-    let i = 0;
-    while (i < origLines.length && i < transLines.length) {
-      const origLine = origLines[i];
-      const transLine = transLines[i];
-
-      if (origLine.length === 0) {
-        i++;
-        continue;
-      }
-
-      if (origLine.startsWith("\uFF03")) {
-        const speakerJP = origLine.slice(1);
-        const speakerEN = SPEAKER_MAP.get(speakerJP);
-
-        if (!speakerEN) {
-          unknownSpeakers.add(speakerJP);
-        }
-
-        if (i + 1 < origLines.length && i + 1 < transLines.length) {
-          const contentOrig = origLines[i + 1];
-          const contentTrans = transLines[i + 1];
-
-          const key = `${origLine}${contentOrig}`;
-          const value = `${speakerEN || speakerJP}: "${contentTrans}"`;
-
-          if (!map.has(key)) {
-            map.set(key, value);
-            totalPairs++;
-          } else {
-            duplicates++;
-          }
-
-          i += 2;
-        } else {
-          i++;
-        }
-        continue;
-      }
-
-      if (!map.has(origLine)) {
-        map.set(origLine, transLine);
-        totalPairs++;
-      } else {
-        duplicates++;
+  for (const { key, speaker, english } of segments) {
+    let value = english;
+    if (speaker !== null) {
+      const speakerEN = config.speakers.get(speaker);
+      if (!speakerEN) {
+        unknownSpeakers.add(speaker);
       }
+      value = `${speakerEN || speaker}: "${english}"`;
+    }
 
-      i++;
+    if (!map.has(key)) {
+      map.set(key, value);
+      totalPairs++;
+    } else {
+      duplicates++;
     }
   }
 
   const obj = Object.fromEntries(map);
-  await writeFile(OUTPUT_FILE, JSON.stringify(obj, null, 2), "utf-8");
+  await writeFile(outputFile, JSON.stringify(obj, null, 2), "utf-8");
 
   console.log("— Summary —");
-  console.log(`  Files processed:  ${originalFileNames.length}`);
+  console.log(`  Files processed:  ${fileNames.length}`);
   console.log(`  Unique entries:   ${totalPairs}`);
   console.log(`  Duplicates skip:  ${duplicates}`);
-  console.log(`  Exported to:      ${OUTPUT_FILE}`);
+  console.log(`  Exported to:      ${outputFile}`);
 
   if (unknownSpeakers.size > 0) {
     console.log(`\n  Unknown speakers: ${[...unknownSpeakers].join(", ")}`);
   }
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
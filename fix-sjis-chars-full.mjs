@@ -7,10 +7,8 @@
  * `gemini-translation-text/`.
  *
  * Since `translated-full/` files are UTF-8, corrupted characters are restored
- * to their original Unicode forms (not Shift-JIS-safe replacements):
- *   ? (corrupted from —) → — (U+2014 em dash)
- *   ? (corrupted from ·) → · (U+00B7 middle dot)
- *   ? (corrupted from é) → é (U+00E9 e-acute)
+ * to their original Unicode forms (not Shift-JIS-safe replacements), for
+ * every character of the transliteration table (see lib/transliterate.mjs).
  *
  * For each line, if the UTF-8 source has N occurrences of these characters
  * and the translated line has N extra '?' compared to the source's real '?'
@@ -21,36 +19,16 @@
  *   node fix-sjis-chars-full.mjs
  */
 
-import { readFile, readdir, writeFile } from "fs/promises";
+import { readdir } from "fs/promises";
 import path from "path";
-import Encoding from "encoding-japanese";
-
-const TRANSLATION_TEXT_DIR = "gemini-translation-text";
-const TRANSLATED_DIRS = ["translated-full"];
-
-const sjisDecoder = new TextDecoder("shift_jis");
-
-// Characters that get corrupted to '?' in Shift-JIS. Since the output is
-// UTF-8, we restore the original Unicode characters directly.
-const UNSAFE_CHARS = new Set(["\u2014", "\u00B7", "\u00E9"]);
-
-const HEADER_DASHES = "-".repeat(20);
-const SEPARATOR_DASHES = "-".repeat(80);
-const HEADER_STARS = "*".repeat(20);
-
-/**
- * Read a translated-full file, auto-detecting Shift-JIS or UTF-8.
- */
-function decodeTranslated(raw) {
-  const detected = Encoding.detect(raw);
-  if (detected === "SJIS") {
-    return sjisDecoder.decode(raw);
-  }
-  return raw.toString("utf-8");
-}
+import { loadConfig } from "./lib/config.mjs";
+import { transliterationTable } from "./lib/encoding.mjs";
+import { loadEntryLines } from "./lib/revisions.mjs";
+import { readScript, writeScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
 
 function isUnsafeChar(ch) {
-  return UNSAFE_CHARS.has(ch);
+  return transliterationTable().has(ch);
 }
 
 /**
@@ -115,70 +93,18 @@ function fixLine(translatedLine, sourceLine) {
   return { text: fixed, mixed: mixed || undefined };
 }
 
-/**
- * Parse all gemini translation entries into a map: fileName → content lines.
- */
-async function loadGeminiEntries() {
-  const files = (await readdir(TRANSLATION_TEXT_DIR))
-    .filter((f) => f.endsWith(".txt"))
-    .sort();
-
-  const entries = new Map();
-
-  for (const file of files) {
-    const content = await readFile(
-      path.join(TRANSLATION_TEXT_DIR, file),
-      "utf-8"
-    );
-    const lines = content.split("\n");
-
-    let i = 0;
-    while (i < lines.length) {
-      const line = lines[i].trimEnd();
-      if (line === SEPARATOR_DASHES) {
-        i++;
-        continue;
-      }
-
-      if (
-        line === HEADER_DASHES &&
-        i + 2 < lines.length &&
-        lines[i + 2].trimEnd() === HEADER_STARS
-      ) {
-        const fileName = lines[i + 1].trimEnd();
-        i += 3;
-
-        const contentLines = [];
-        while (i < lines.length) {
-          const current = lines[i].trimEnd();
-          if (current === HEADER_DASHES || current === SEPARATOR_DASHES) break;
-          contentLines.push(current);
-          i++;
-        }
-
-        const nonEmptyLines = contentLines.filter((l) => l.trim().length > 0);
-
-        if (!entries.has(fileName)) {
-          entries.set(fileName, nonEmptyLines);
-        }
-      } else {
-        i++;
-      }
-    }
-  }
-
-  return entries;
-}
+export async function main() {
+  const config = loadConfig();
+  const translatedDirs = [config.full.dir];
 
-async function main() {
-  const geminiEntries = await loadGeminiEntries();
+  const geminiEntries = await loadEntryLines(config);
   console.log(`Loaded ${geminiEntries.size} gemini translation entries.`);
 
   let totalFiles = 0;
   let fixedFiles = 0;
   let fixedLines = 0;
 
-  for (const dir of TRANSLATED_DIRS) {
+  for (const dir of translatedDirs) {
     let fileNames;
     try {
       fileNames = (await readdir(dir)).filter((f) => f.endsWith(".txt")).sort();
@@ -190,9 +116,10 @@ async function main() {
       const filePath = path.join(dir, fileName);
       totalFiles++;
 
-      const raw = await readFile(filePath);
-      const text = decodeTranslated(raw);
-      const translatedLines = text.split("\n");
+      const { lines: translatedLines, trailingNewline } = await readScript(
+        filePath,
+        { encoding: "auto" }
+      );
 
       const sourceLines = geminiEntries.get(fileName);
       if (!sourceLines) continue;
@@ -226,7 +153,10 @@ async function main() {
       }
 
       if (fileModified) {
-        await writeFile(filePath, translatedLines.join("\n"), "utf-8");
+        await writeScript(filePath, translatedLines, {
+          encoding: "utf-8",
+          trailingNewline,
+        });
         fixedFiles++;
       }
     }
@@ -239,4 +169,4 @@ async function main() {
   console.log(`  Lines fixed:   ${fixedLines}`);
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
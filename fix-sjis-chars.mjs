@@ -4,223 +4,224 @@
  * Some Unicode characters have no Shift-JIS representation and were silently
  * converted to '?' during encoding. This script restores them by comparing
  * each translated file against the original UTF-8 entry from
- * `gemini-translation-text/`.
+ * `gemini-translation-text/`. Shift-JIS writes are now verified when they
+ * happen (see EncodingError in lib/encoding.mjs), so this only repairs
+ * files written before that check existed.
  *
- * Characters fixed:
- *   — (U+2014 em dash)    → ― (U+2015 horizontal bar)
- *   · (U+00B7 middle dot) → ・ (U+30FB katakana middle dot)
- *   é (U+00E9 e-acute)    → e
+ * Each translated line is aligned with its UTF-8 source by a
+ * character-level diff (lib/diff.mjs). A '?' is restored only where the
+ * diff pairs it with a character of the source that was lost in encoding —
+ * one with no Shift-JIS code or with a transliteration rule (see
+ * lib/transliterate.mjs) — and it becomes that character's Shift-JIS-safe
+ * replacement. A '?' that lines up with a '?' of the source is a genuine
+ * question mark and is never touched.
  *
- * For each line, if the UTF-8 source has N occurrences of these characters
- * and the translated line has N extra '?' compared to the source's real '?'
- * count, we walk both strings and replace each corrupted '?' with the
- * appropriate Shift-JIS-safe character.
+ * Lines shortened by hand no longer match their gemini line, so a line
+ * listed in a `*_updated.txt` override file (see lib/long-lines.mjs) is
+ * aligned with the override text as well, and the better-aligned source
+ * wins.
  *
- * Lines that were paraphrased (e.g. long line fixes) can't be matched
- * positionally, so we fall back to replacing all '?' that don't appear in
- * the source.
+ * Lines are paired with their gemini line by position, which only holds
+ * when the file has as many lines as its gemini entry. Files whose count
+ * differs are listed apart, and only their override lines are aligned, so
+ * their genuine '?' are not flagged as noise.
+ *
+ * The confidence of a line is the share of its characters that the
+ * alignment accounts for (matched or restored). Restorations on lines below
+ * MIN_CONFIDENCE, and '?' that line up with anything else, are flagged and
+ * left as they are. Every restoration and flag is printed and written to
+ * the audit file (`fixSjisAuditFile` in caucasus.config.json) with its
+ * position, source and confidence. The restorations of earlier runs stay in
+ * it, since their files are skipped or no longer contain the '?'; the flags
+ * are those of the last run. An entry replaces any earlier one at the same
+ * file, line and column.
+ *
+ * Files whose content, gemini entry and overrides are unchanged since the
+ * last run are skipped (see lib/build-cache.mjs), except files with flagged
+ * lines or a differing line count, which are checked again so the warnings
+ * are not lost. Pass --force to check every file. Pass --dry-run to print a
+ * diff of the fixes instead of writing them (the audit file is not written
+ * either), or --backup to snapshot each file before it is fixed (see
+ * lib/rewrite.mjs).
  *
  * Usage:
- *   node fix-sjis-chars.mjs
+ *   node fix-sjis-chars.mjs [--force] [--dry-run | --backup]
  */
 
 import { readFile, readdir, writeFile } from "fs/promises";
 import path from "path";
-import Encoding from "encoding-japanese";
-
-const TRANSLATION_TEXT_DIR = "gemini-translation-text";
-const ORIGINAL_DIR = "original";
-const TRANSLATED_DIRS = ["translated", "translated-inspection", "translated-question", "translated-exploration", "translated-vertical"];
-
-const sjisDecoder = new TextDecoder("shift_jis");
-
-// Characters that get corrupted to '?' in Shift-JIS, and their safe replacements.
-const UNSAFE_CHARS = new Map([
-  ["\u2014", "-"], // — → ―
-  ["\u00B7", "."], // · → ・
-  ["\u00E9", "e"], // é → e
-]);
-
-const HEADER_DASHES = "-".repeat(20);
-const SEPARATOR_DASHES = "-".repeat(80);
-const HEADER_STARS = "*".repeat(20);
-
-function encodeShiftJIS(str) {
-  const codeArray = Encoding.convert(Encoding.stringToCode(str), {
-    to: "SJIS",
-    from: "UNICODE",
-  });
-  return Buffer.from(codeArray);
-}
+import { hashInputs, openBuildCache } from "./lib/build-cache.mjs";
+import { categoryDirs, loadConfig } from "./lib/config.mjs";
+import { diffLines } from "./lib/diff.mjs";
+import {
+  isShiftJISEncodable,
+  transliterationTable,
+} from "./lib/encoding.mjs";
+import { loadUpdatedLines } from "./lib/long-lines.mjs";
+import { openRewriter } from "./lib/rewrite.mjs";
+import { loadEntryLines } from "./lib/revisions.mjs";
+import { encodeScript, readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+
+// Bump when the repair rules change, so every file is checked again.
+const BUILD_VERSION = 3;
+
+// Restorations on lines aligned below this confidence are flagged, not
+// applied.
+const MIN_CONFIDENCE = 0.5;
+
+// How the audit entries of applied restorations end.
+const RESTORED = "restored";
+
+// The file:line:column an audit entry starts with.
+const auditPosition = (entry) => entry.slice(0, entry.indexOf("  "));
+
+const formatCodePoint = (ch) =>
+  "U+" + ch.codePointAt(0).toString(16).toUpperCase().padStart(4, "0");
 
 /**
- * Replace unsafe Unicode characters with Shift-JIS-safe equivalents.
+ * Strip the 「」, 『』 or "..." wrapper that clean-translations removes from
+ * speech content lines.
  */
-function replaceUnsafe(str) {
-  let result = str;
-  for (const [from, to] of UNSAFE_CHARS) {
-    result = result.replaceAll(from, to);
+function unwrap(line) {
+  if (
+    (line.startsWith("「") && line.endsWith("」")) ||
+    (line.startsWith("『") && line.endsWith("』")) ||
+    (line.startsWith('"') && line.endsWith('"'))
+  ) {
+    return line.slice(1, -1);
   }
-  return result;
-}
-
-/**
- * Check if a character is one of the unsafe chars.
- */
-function isUnsafeChar(ch) {
-  return UNSAFE_CHARS.has(ch);
+  return line;
 }
 
 /**
- * Get the safe replacement for an unsafe char.
+ * Align a translated line with one candidate source line. Returns
+ * { confidence, restores, unresolved }, where `restores` lists
+ * { index, char, replacement } for each '?' of the translated line (by
+ * character index) that stands for the lost source character `char`, and
+ * `unresolved` lists { index, reason } for '?' that cannot be restored.
  */
-function safeReplacement(ch) {
-  return UNSAFE_CHARS.get(ch) ?? ch;
-}
-
-/**
- * Fix a translated line by comparing against its UTF-8 source.
- *
- * First filters out paraphrased lines using count-based checks. For lines
- * where the counts match, walks both strings character-by-character to
- * replace corrupted '?' at the exact positions where the source had unsafe
- * chars.
- */
-function fixLine(translatedLine, sourceLine) {
-  // Quick check: does the source even have unsafe chars?
-  let unsafeCount = 0;
-  for (const ch of sourceLine) {
-    if (isUnsafeChar(ch)) unsafeCount++;
-  }
-  if (unsafeCount === 0) return { text: translatedLine };
-
-  const sourceClean = replaceUnsafe(sourceLine);
-
-  // Strip wrappers from source to match the translated format.
-  let sourceUnwrapped = sourceClean;
-  if (
-    (sourceClean.startsWith("「") && sourceClean.endsWith("」")) ||
-    (sourceClean.startsWith("『") && sourceClean.endsWith("』")) ||
-    (sourceClean.startsWith('"') && sourceClean.endsWith('"'))
-  ) {
-    sourceUnwrapped = sourceClean.slice(1, -1);
-  }
-
-  // Already matches — no fix needed.
-  if (sourceUnwrapped === translatedLine) return { text: translatedLine };
-
-  // Count '?' in both to detect paraphrased lines.
-  const sourceQCount = (sourceLine.match(/\?/g) || []).length;
-  const transQCount = (translatedLine.match(/\?/g) || []).length;
-  const corruptedCount = transQCount - sourceQCount;
-
-  // No extra '?' — the unsafe chars were removed during paraphrasing.
-  if (corruptedCount <= 0) return { text: translatedLine };
-
-  // Counts don't add up — line was paraphrased
-  // and the number of corrupted '?' doesn't match with the number of unsafe chars.
-  if (corruptedCount !== unsafeCount) {
-    return { text: translatedLine, unreliable: true };
-  }
+function alignLine(translatedLine, sourceLine, table) {
+  const target = Array.from(translatedLine);
+  const sourceChars = Array.from(unwrap(sourceLine));
+  // Compare against what a clean write of the source would contain, so
+  // characters already transliterated count as matches.
+  const expected = sourceChars.map((ch) => table.get(ch) ?? ch);
+
+  const ops = diffLines(target, expected);
+  const restores = [];
+  const unresolved = [];
+  let matched = 0;
+
+  // Walk the runs of changed characters between unchanged ones.
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].op === " ") {
+      matched++;
+      k++;
+      continue;
+    }
 
-  // Build an ordered queue of what each '?' in the translated line should
-  // become, based on the order of unsafe chars and real '?' in the source.
-  // E.g. source "—!?" → queue: ['―', '?'] (unsafe first, then real '?').
-  const queue = [];
-  for (const ch of sourceLine) {
-    if (isUnsafeChar(ch)) queue.push(safeReplacement(ch));
-    else if (ch === "?") queue.push("?");
-  }
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].op !== " ") {
+      (ops[k].op === "-" ? removed : added).push(ops[k]);
+      k++;
+    }
 
-  // Apply the queue to each '?' in the translated line in order.
-  let qi = 0;
-  const result = [];
-  for (const ch of translatedLine) {
-    if (ch === "?" && qi < queue.length) {
-      result.push(queue[qi]);
-      qi++;
-    } else {
-      result.push(ch);
+    const marks = removed.filter((op) => op.line === "?");
+    if (marks.length === 0) continue;
+
+    const lost = (op) => {
+      const ch = sourceChars[op.b];
+      return table.has(ch) || !isShiftJISEncodable(ch);
+    };
+    if (
+      marks.length !== removed.length ||
+      removed.length !== added.length ||
+      !added.every(lost)
+    ) {
+      for (const op of marks) {
+        unresolved.push({
+          index: op.a,
+          reason: "no matching source character",
+        });
+      }
+      continue;
     }
-  }
 
-  const fixed = result.join("");
-  if (fixed === translatedLine) return { text: translatedLine };
+    removed.forEach((op, n) => {
+      const char = sourceChars[added[n].b];
+      if (table.has(char)) {
+        restores.push({ index: op.a, char, replacement: expected[added[n].b] });
+      } else {
+        unresolved.push({
+          index: op.a,
+          reason: `${formatCodePoint(char)} "${char}" has no transliteration`,
+        });
+      }
+    });
+  }
 
-  // Flag lines that have both real '?' and unsafe chars in the source,
-  // so the user can double-check the ordering is correct.
-  const mixed = sourceQCount > 0 && unsafeCount > 0;
-  return { text: fixed, mixed: mixed || undefined };
+  const length = Math.max(target.length, sourceChars.length);
+  const confidence = length === 0 ? 1 : (matched + restores.length) / length;
+  return { confidence, restores, unresolved };
 }
 
 /**
- * Parse all gemini translation entries into a map: fileName → content lines.
+ * Repair a translated line against its candidate sources
+ * ([{ text, label }]). Returns { text, source, confidence, restores,
+ * unresolved } for the best-aligned source, with `restores` applied to
+ * `text` unless the confidence is below MIN_CONFIDENCE.
  */
-async function loadGeminiEntries() {
-  const files = (await readdir(TRANSLATION_TEXT_DIR))
-    .filter((f) => f.endsWith(".txt"))
-    .sort();
-
-  const entries = new Map();
-
-  for (const file of files) {
-    const content = await readFile(
-      path.join(TRANSLATION_TEXT_DIR, file),
-      "utf-8"
-    );
-    const lines = content.split("\n");
-
-    let i = 0;
-    while (i < lines.length) {
-      const line = lines[i].trimEnd();
-      if (line === SEPARATOR_DASHES) {
-        i++;
-        continue;
-      }
-
-      if (
-        line === HEADER_DASHES &&
-        i + 2 < lines.length &&
-        lines[i + 2].trimEnd() === HEADER_STARS
-      ) {
-        const fileName = lines[i + 1].trimEnd();
-        i += 3;
-
-        const contentLines = [];
-        while (i < lines.length) {
-          const current = lines[i].trimEnd();
-          if (current === HEADER_DASHES || current === SEPARATOR_DASHES) break;
-          contentLines.push(current);
-          i++;
-        }
-
-        // Filter out empty lines to match the translated files, which have
-        // had empty lines stripped by clean-translations.mjs.
-        const nonEmptyLines = contentLines.filter((l) => l.trim().length > 0);
+function repairLine(translatedLine, candidates, table) {
+  let best = null;
+  for (const { text, label } of candidates) {
+    const aligned = alignLine(translatedLine, text, table);
+    if (!best || aligned.confidence > best.confidence) {
+      best = { ...aligned, source: label };
+    }
+  }
 
-        // Keep first occurrence only (no duplicates).
-        if (!entries.has(fileName)) {
-          entries.set(fileName, nonEmptyLines);
-        }
-      } else {
-        i++;
-      }
+  const applied = best.restores.length > 0 && best.confidence >= MIN_CONFIDENCE;
+  let text = translatedLine;
+  if (applied) {
+    const chars = Array.from(translatedLine);
+    for (const { index, replacement } of best.restores) {
+      chars[index] = replacement;
     }
+    text = chars.join("");
   }
 
-  return entries;
+  return { ...best, text, applied };
 }
 
-async function main() {
-  // Step 1: Load all gemini translation entries as UTF-8 source of truth.
-  const geminiEntries = await loadGeminiEntries();
+export async function main(options = {}) {
+  const config = loadConfig();
+  const translatedDirs = categoryDirs(config);
+  const cache = await openBuildCache(
+    config,
+    "fix-sjis-chars",
+    BUILD_VERSION,
+    options
+  );
+  const rewriter = openRewriter(config, "fix-sjis-chars", options);
+
+  // Step 1: Load all gemini translation entries as UTF-8 source of truth,
+  // and the hand-shortened lines of the override files.
+  const geminiEntries = await loadEntryLines(config);
   console.log(`Loaded ${geminiEntries.size} gemini translation entries.`);
+  const updatedLines = await loadUpdatedLines(config);
+  const table = transliterationTable();
 
   let totalFiles = 0;
   let fixedFiles = 0;
   let fixedLines = 0;
+  let flaggedLines = 0;
+  const audit = [];
+  const unpaired = [];
 
-  for (const dir of TRANSLATED_DIRS) {
+  for (const dir of translatedDirs) {
     let fileNames;
     try {
       fileNames = (await readdir(dir)).filter((f) => f.endsWith(".txt")).sort();
@@ -233,50 +234,140 @@ async function main() {
       totalFiles++;
 
       // Step 2: Read the current Shift-JIS translated file.
-      const raw = await readFile(filePath);
-      const text = sjisDecoder.decode(raw);
-      const translatedLines = text.split("\n");
+      const {
+        raw,
+        lines: translatedLines,
+        trailingNewline,
+      } = await readScript(filePath);
 
-      // Step 3: Get the gemini source lines for this file.
+      // Step 3: Get the gemini source lines and overrides for this file.
       const sourceLines = geminiEntries.get(fileName);
       if (!sourceLines) continue;
 
-      // Step 4: Fix each line where the gemini source had unsafe chars.
-      // Skip speech source lines (those come from the original, not gemini).
-      let fileModified = false;
-      const minLen = Math.min(translatedLines.length, sourceLines.length);
-
-      for (let i = 0; i < minLen; i++) {
-        // Skip speech source lines — they're copied from original, not gemini.
-        if (translatedLines[i].startsWith("＃")) continue;
+      const overrides = updatedLines.get(filePath) ?? new Map();
+      const sourceText = sourceLines.join("\n");
+      const overrideText = JSON.stringify([...overrides]);
+      if (cache.lookup(filePath, hashInputs(raw, sourceText, overrideText))) {
+        continue;
+      }
 
-        const result = fixLine(translatedLines[i], sourceLines[i]);
+      // Step 4: Lines are paired with their gemini line by position, so the
+      // gemini entry is only a source when the line counts agree.
+      const paired = translatedLines.length === sourceLines.length;
+      if (!paired) {
+        unpaired.push(
+          `${filePath}  ${translatedLines.length} lines, ` +
+            `gemini entry ${sourceLines.length}`
+        );
+      }
 
-        if (result.unreliable) {
-          console.log(`\n[UNRELIABLE] ${fileName} | ${i + 1}`);
-          console.log(`  source:     ${sourceLines[i]}`);
-          console.log(`  translated: ${translatedLines[i]}`);
+      // Step 5: Align each line containing '?' with its sources and restore
+      // the lost characters. Skip speech source lines — they're copied from
+      // the original, not gemini.
+      let fileModified = false;
+      let flagged = false;
+
+      for (let i = 0; i < translatedLines.length; i++) {
+        const line = translatedLines[i];
+        if (line.startsWith("＃") || !line.includes("?")) continue;
+
+        const candidates = (overrides.get(i + 1) ?? []).map((o) => ({
+          text: o.text,
+          label: o.updatedFile,
+        }));
+        if (paired) {
+          candidates.push({ text: sourceLines[i], label: "gemini" });
+        }
+        if (candidates.length === 0) continue;
+
+        const result = repairLine(line, candidates, table);
+        const context =
+          `from ${result.source}, ` +
+          `confidence ${result.confidence.toFixed(2)}`;
+
+        const entries = [
+          ...result.restores.map(({ index, char, replacement }) => ({
+            index,
+            text:
+              `? → "${replacement}"  ${formatCodePoint(char)} "${char}"  ` +
+              `${context}  ` +
+              (result.applied
+                ? RESTORED
+                : `skipped, below ${MIN_CONFIDENCE}`),
+          })),
+          ...result.unresolved.map(({ index, reason }) => ({
+            index,
+            text: `?  ${reason}  ${context}  flagged`,
+          })),
+        ];
+        entries.sort((a, b) => a.index - b.index);
+        for (const { index, text } of entries) {
+          audit.push(`${filePath}:${i + 1}:${index + 1}  ${text}`);
         }
 
-        if (result.mixed) {
-          console.log(`\n[MIXED ?] ${fileName} | ${i + 1}`);
-          console.log(`  Source: ${sourceLines[i]}`);
-          console.log(`  Before: ${translatedLines[i]}`);
-          console.log(`  After:  ${result.text}`);
+        const lineFlagged =
+          result.unresolved.length > 0 ||
+          (result.restores.length > 0 && !result.applied);
+        if (lineFlagged) {
+          flagged = true;
+          flaggedLines++;
         }
 
-        if (result.text !== translatedLines[i]) {
+        if (result.text !== line) {
           translatedLines[i] = result.text;
           fileModified = true;
           fixedLines++;
         }
       }
 
+      let written = raw;
       if (fileModified) {
-        await writeFile(filePath, encodeShiftJIS(translatedLines.join("\n")));
+        written = encodeScript(translatedLines, {
+          trailingNewline,
+          file: filePath,
+        });
+        await rewriter.write(filePath, written, raw);
         fixedFiles++;
       }
+      cache.record(
+        filePath,
+        flagged || !paired
+          ? null
+          : hashInputs(written, sourceText, overrideText)
+      );
+    }
+  }
+
+  // Step 6: Print the audit entries and the files not paired with their
+  // gemini entry, then write the audit log: the restorations of earlier
+  // runs, followed by the entries of this one, one entry per position.
+  if (audit.length > 0) {
+    console.log();
+    audit.forEach((entry) => console.log(entry));
+  }
+  if (unpaired.length > 0) {
+    console.log();
+    console.log("Not paired with their gemini entry (line count differs):");
+    unpaired.forEach((entry) => console.log(`  ${entry}`));
+  }
+  if (!rewriter.dryRun) {
+    let restored = [];
+    try {
+      restored = (await readFile(config.fixSjisAuditFile, "utf-8"))
+        .split("\n")
+        .filter((entry) => entry.endsWith(RESTORED));
+    } catch {
+      // No audit log yet.
     }
+    const entries = new Map();
+    for (const entry of [...restored, ...audit]) {
+      entries.delete(auditPosition(entry));
+      entries.set(auditPosition(entry), entry);
+    }
+    await writeFile(
+      config.fixSjisAuditFile,
+      [...entries.values()].map((entry) => entry + "\n").join("")
+    );
   }
 
   console.log();
@@ -284,6 +375,16 @@ async function main() {
   console.log(`  Files scanned: ${totalFiles}`);
   console.log(`  Files fixed:   ${fixedFiles}`);
   console.log(`  Lines fixed:   ${fixedLines}`);
+  console.log(`  Lines flagged: ${flaggedLines}`);
+  console.log(`  Not paired:    ${unpaired.length} files`);
+  if (!rewriter.dryRun) {
+    console.log(`  Audit log:     ${config.fixSjisAuditFile}`);
+  }
+  cache.report();
+  rewriter.report();
+
+  await cache.save();
+  return cache.summary();
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
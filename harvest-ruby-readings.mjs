@@ -0,0 +1,320 @@
+/**
+ * Harvest Ruby Readings
+ *
+ * The ruby readings of the originals (`<想子<ソウコ>`, `<御巫<ミカナギ>`,
+ * see lib/ruby.mjs) are the game's own pronunciations of its names, while
+ * the glossary and the `speakers` table were typed by hand. This report
+ * collects every ruby group of `original/`, romanizes its reading (see
+ * lib/romanize.mjs) and proposes a glossary entry for each base:
+ *
+ *   想子  ソウコ → Souko  (1×, first 01_1600.txt:4)
+ *
+ * Emphasis dots are not readings and are left out. Groups written side by
+ * side are one word split character by character (`<不<ア><在<リ>…` is
+ * アリバイ), so they are joined. A Latin spelling on either side
+ * (`<Ｖｅｎｉｏ<べにを>`) is taken as it is. A base read in more than one
+ * way gets the most frequent reading, the others becoming variants. Where
+ * the glossary or `speakers` already name the base differently, the entry
+ * is marked.
+ *
+ * The proposals are written to `glossaryProposalsFile`
+ * (glossary-proposals.json) in the glossary's own format, with the
+ * readings and first occurrence added, so entries can be copied into
+ * glossary.json after review:
+ *
+ *   { "想子": { "english": "Souko", "readings": ["ソウコ"],
+ *               "first": "01_1600.txt:4", "occurrences": 1 } }
+ *
+ * Every line of the `translated*` folders whose original contains a
+ * harvested base is then checked for the proposed English, and flagged
+ * when it romanizes the term differently: other long vowels (Soko for
+ * Souko, see lib/terminology.mjs), or a capitalized word one letter away
+ * from it (two for long names), such as Benyo or Mikanage. Lines are
+ * paired with their originals by position, so scripts whose line count
+ * differs are skipped, and speech source lines are not checked.
+ *
+ * Usage:
+ *   node harvest-ruby-readings.mjs
+ */
+
+import { readdir, writeFile } from "fs/promises";
+import path from "path";
+import { loadConfig, translatedTracks } from "./lib/config.mjs";
+import { romanize } from "./lib/romanize.mjs";
+import { baseText, parseRuby } from "./lib/ruby.mjs";
+import { readOriginal, readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+import {
+  checkTerm,
+  compileTerm,
+  foldRomanization,
+  loadGlossary,
+} from "./lib/terminology.mjs";
+
+const LATIN = /^[A-Za-z][A-Za-z' -]*$/;
+
+const capitalize = (word) => word[0].toUpperCase() + word.slice(1);
+
+/**
+ * The English of a ruby group: a Latin spelling on either side as written,
+ * otherwise the romanized reading. Null when the reading is not kana.
+ */
+function groupEnglish(base, reading) {
+  for (const side of [reading, base]) {
+    const normalized = side.normalize("NFKC");
+    if (LATIN.test(normalized)) return normalized;
+  }
+  const romanized = romanize(reading);
+  return romanized ? capitalize(romanized) : null;
+}
+
+/**
+ * The ruby groups of a line with emphasis dots left out and groups written
+ * side by side joined: [{ base, reading }].
+ */
+function lineGroups(line) {
+  const groups = [];
+  let end = -1;
+  for (const { base, reading, emphasis, offset } of parseRuby(line).rubies) {
+    if (emphasis) {
+      end = -1;
+      continue;
+    }
+    if (offset === end) {
+      groups.at(-1).base += base;
+      groups.at(-1).reading += reading;
+    } else {
+      groups.push({ base, reading });
+    }
+    end = offset + base.length;
+  }
+  return groups;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * A capitalized word of `target` spelled nearly like the one-word `english`:
+ * one letter away, two for names of eight letters or more, plurals aside
+ * (the Nanatsukis). Names shorter than four letters are too easily
+ * confused with other words to check.
+ */
+function nearMiss(english, target) {
+  if (english.length < 4 || /\s/.test(english)) return null;
+  const expected = foldRomanization(english);
+  const limit = english.length >= 8 ? 2 : 1;
+  return (
+    target
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => /^\p{Lu}/u.test(word))
+      .find((word) => {
+        const folded = foldRomanization(word);
+        if (folded === `${expected}s`) return false;
+        const distance = editDistance(folded, expected);
+        return distance > 0 && distance <= limit;
+      }) ?? null
+  );
+}
+
+export async function main() {
+  const config = loadConfig();
+
+  // Step 1: Collect the ruby groups of every original.
+  const fileNames = (await readdir(config.originalDir))
+    .filter((f) => f.endsWith(".txt"))
+    .sort();
+
+  const byBase = new Map();
+  let groupCount = 0;
+
+  for (const fileName of fileNames) {
+    const { lines } = await readScript(
+      path.join(config.originalDir, fileName)
+    );
+    lines.forEach((line, i) => {
+      for (const { base, reading } of lineGroups(line)) {
+        groupCount++;
+        if (!byBase.has(base)) byBase.set(base, new Map());
+        const readings = byBase.get(base);
+        if (!readings.has(reading)) {
+          readings.set(reading, {
+            reading,
+            english: groupEnglish(base, reading),
+            first: `${fileName}:${i + 1}`,
+            occurrences: 0,
+          });
+        }
+        readings.get(reading).occurrences++;
+      }
+    });
+  }
+
+  // Step 2: Propose an entry per base and compare it with the glossary and
+  // the speaker names.
+  const glossary = await loadGlossary(config);
+  const known = new Map(config.speakers);
+  for (const term of glossary ?? []) known.set(term.japanese, term.english);
+
+  const proposals = [];
+  const unreadable = [];
+  for (const [base, readings] of byBase) {
+    const sorted = [...readings.values()].sort(
+      (a, b) => b.occurrences - a.occurrences
+    );
+    const [preferred] = sorted.filter((r) => r.english);
+    if (!preferred) {
+      unreadable.push(...sorted.map((r) => ({ base, ...r })));
+      continue;
+    }
+    const variants = [
+      ...new Set(sorted.map((r) => r.english).filter(Boolean)),
+    ].filter((english) => english !== preferred.english);
+    const current = known.get(base);
+    proposals.push({
+      base,
+      english: preferred.english,
+      variants,
+      readings: sorted,
+      // Readings were met in file order, so the first is the earliest.
+      first: readings.values().next().value.first,
+      occurrences: sorted.reduce((n, r) => n + r.occurrences, 0),
+      current:
+        current && current.toLowerCase() !== preferred.english.toLowerCase()
+          ? current
+          : null,
+    });
+  }
+
+  for (const proposal of proposals) {
+    const { base, english, variants, readings, current } = proposal;
+    console.log(
+      `${base}  ${readings.map((r) => r.reading).join(" / ")} → ${english}` +
+        `${variants.length ? ` (also ${variants.join(", ")})` : ""}` +
+        `  (${proposal.occurrences}×, first ${proposal.first})`
+    );
+    if (current) console.log(`  ≠ glossary / speakers: ${current}`);
+  }
+  for (const { base, reading, first } of unreadable) {
+    console.log(`${base}  ${reading} — reading not romanized (${first})`);
+  }
+  console.log();
+
+  // Step 3: Check how the translations render every proposed term.
+  const terms = proposals.map((proposal) => ({
+    proposal,
+    term: compileTerm(proposal.base, proposal),
+    flagged: [],
+  }));
+  let scripts = 0;
+  let skipped = 0;
+
+  for (const track of translatedTracks(config)) {
+    let trackFiles;
+    try {
+      trackFiles = (await readdir(track.dir))
+        .filter((f) => f.endsWith(".txt"))
+        .sort();
+    } catch {
+      continue;
+    }
+
+    for (const fileName of trackFiles) {
+      const filePath = path.join(track.dir, fileName);
+      const original = await readOriginal(config.originalDir, fileName);
+      const { lines } = await readScript(filePath, {
+        encoding: track.encoding,
+      });
+      if (!original || original.lines.length !== lines.length) {
+        skipped++;
+        continue;
+      }
+      scripts++;
+
+      original.lines.forEach((source, i) => {
+        if (source.startsWith("＃")) return;
+        const text = baseText(source);
+        for (const { proposal, term, flagged } of terms) {
+          const check = checkTerm(term, text, lines[i]);
+          if (!check || check.status === "ok" || check.status === "variant") {
+            continue;
+          }
+          const found =
+            check.status === "romanization"
+              ? check.found
+              : nearMiss(proposal.english, lines[i]);
+          if (found) {
+            flagged.push({
+              location: `${filePath}:${i + 1}`,
+              found,
+              source,
+              target: lines[i],
+            });
+          }
+        }
+      });
+    }
+  }
+
+  let flaggedCount = 0;
+  for (const { proposal, flagged } of terms) {
+    if (flagged.length === 0) continue;
+    console.log(
+      `=== ${proposal.base} → ${proposal.english} ` +
+        `(${flagged.length} lines romanized differently) ===`
+    );
+    for (const { location, found, source, target } of flagged) {
+      console.log(`  ${location}  "${found}"`);
+      console.log(`    ${source}`);
+      console.log(`    ${target}`);
+    }
+    console.log();
+    flaggedCount += flagged.length;
+  }
+
+  // Step 4: Write the proposals for review.
+  const output = Object.fromEntries(
+    proposals.map((p) => [
+      p.base,
+      {
+        english: p.english,
+        ...(p.variants.length > 0 && { variants: p.variants }),
+        readings: p.readings.map((r) => r.reading),
+        first: p.first,
+        occurrences: p.occurrences,
+        ...(p.current && { glossary: p.current }),
+      },
+    ])
+  );
+  await writeFile(
+    config.glossaryProposalsFile,
+    JSON.stringify(output, null, 2) + "\n"
+  );
+
+  console.log("— Summary —");
+  console.log(`  Ruby groups:      ${groupCount}`);
+  console.log(`  Proposed terms:   ${proposals.length}`);
+  console.log(`  Not romanized:    ${unreadable.length}`);
+  console.log(
+    `  Named otherwise:  ${proposals.filter((p) => p.current).length}`
+  );
+  console.log(`  Scripts checked:  ${scripts}`);
+  console.log(`  Scripts skipped:  ${skipped}`);
+  console.log(`  Lines flagged:    ${flaggedCount}`);
+  console.log(`  Written to:       ${config.glossaryProposalsFile}`);
+}
+
+runIfMain(import.meta.url, main);
@@ -0,0 +1,201 @@
+/**
+ * Import Translations from Translation Tools
+ *
+ * Reads the localization files in `interchange.dir` (interchange/) that
+ * export-interchange.mjs wrote and a translation tool edited, and writes
+ * the changed targets back to the translated scripts they came from. The
+ * format of each file is detected from its content, so files may be
+ * renamed; files in no known format are skipped with a warning.
+ *
+ * A unit is an edit when its target differs from the one exported (see
+ * `exported.json`), and is written back only when:
+ *
+ *   - its script is in a translated folder of the config;
+ *   - its source still matches the original line, so the edit was made
+ *     against the current script (stale edits are listed);
+ *   - its target is not empty (PO entries marked fuzzy are never read);
+ *   - no other file edits the same line differently, and the line has not
+ *     been changed in the script since the export. Such lines are listed
+ *     as conflicts and left alone.
+ *
+ * Scripts are rewritten in their own encoding: Shift-JIS for the category
+ * folders, UTF-8 for the full track. Pass --dry-run to print a diff of the
+ * changes instead of writing them, or --backup to snapshot each script
+ * before it is overwritten (see lib/rewrite.mjs).
+ *
+ * Usage:
+ *   node import-interchange.mjs [--dry-run | --backup]
+ */
+
+import { readFile, readdir } from "fs/promises";
+import path from "path";
+import { loadConfig, translatedTracks } from "./lib/config.mjs";
+import {
+  EXPORTED_FILE,
+  detectFormat,
+  unitLocation,
+} from "./lib/interchange.mjs";
+import { openRewriter } from "./lib/rewrite.mjs";
+import { encodeScript, readOriginal, readScript } from "./lib/script.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+
+export async function main(options = {}) {
+  const config = loadConfig();
+  const rewriter = openRewriter(config, "import-interchange", options);
+  const { dir: inputDir, sourceLanguage, targetLanguage } = config.interchange;
+
+  // Step 1: Read the targets as exported and the units of every exchanged
+  // file.
+  let exported;
+  try {
+    exported = JSON.parse(
+      await readFile(path.join(inputDir, EXPORTED_FILE), "utf-8")
+    );
+  } catch {
+    throw new StageFailure(
+      `Cannot read ${inputDir}/${EXPORTED_FILE}; run export-interchange`
+    );
+  }
+  const fileNames = (await readdir(inputDir))
+    .filter((f) => f !== EXPORTED_FILE)
+    .sort();
+
+  const units = [];
+  let filesRead = 0;
+  for (const fileName of fileNames) {
+    const text = (await readFile(path.join(inputDir, fileName), "utf-8"))
+      .replace(/^\uFEFF/, "");
+    const format = detectFormat(text);
+    if (!format) {
+      console.warn(`  ⚠  ${fileName} — format not recognised, skipped`);
+      continue;
+    }
+    const parsed = format.parse(text, { sourceLanguage, targetLanguage });
+    console.log(`${fileName} — ${parsed.length} units (${format.name})`);
+    for (const unit of parsed) units.push({ ...unit, from: fileName });
+    filesRead++;
+  }
+
+  // Step 2: Group the edits by script and line, dropping those that point
+  // outside the translated folders.
+  const tracks = new Map(
+    translatedTracks(config).map((t) => [path.normalize(t.dir), t])
+  );
+  const byScript = new Map();
+  let unknown = 0;
+  let untranslated = 0;
+
+  for (const unit of units) {
+    const filePath = path.normalize(unit.path);
+    if (!tracks.has(path.dirname(filePath))) {
+      unknown++;
+      continue;
+    }
+    if (unit.target.length === 0) {
+      untranslated++;
+      continue;
+    }
+    if (unit.target === exported[unitLocation(unit)]) continue;
+    if (!byScript.has(filePath)) byScript.set(filePath, new Map());
+    const lines = byScript.get(filePath);
+    if (!lines.has(unit.line)) lines.set(unit.line, []);
+    lines.get(unit.line).push(unit);
+  }
+  if (unknown > 0) {
+    console.warn(
+      `  ⚠  ${unknown} units name scripts outside the translated folders`
+    );
+  }
+
+  // Step 3: Check each script's edits against its original and current
+  // lines, and write the changed lines back.
+  let edits = 0;
+  let stale = 0;
+  let conflicts = 0;
+  let changedLines = 0;
+  let changedFiles = 0;
+
+  for (const [filePath, unitsByLine] of byScript) {
+    const track = tracks.get(path.dirname(filePath));
+    const fileName = path.basename(filePath);
+    const original = await readOriginal(config.originalDir, fileName);
+    let script;
+    try {
+      script = await readScript(filePath, { encoding: track.encoding });
+    } catch {
+      script = null;
+    }
+    if (!original || !script) {
+      console.warn(`  ⚠  ${filePath} — script or original missing`);
+      stale += unitsByLine.size;
+      continue;
+    }
+
+    const { raw, lines, trailingNewline } = script;
+    let fileChanged = false;
+
+    const sorted = [...unitsByLine].sort((a, b) => a[0] - b[0]);
+    for (const [line, lineUnits] of sorted) {
+      const index = line - 1;
+      const location = unitLocation({ path: filePath, line });
+      const source = original.lines[index];
+      const current = lines[index];
+      edits += lineUnits.length;
+
+      const valid = lineUnits.filter(
+        (unit) =>
+          index < lines.length &&
+          unit.source === source &&
+          !source.startsWith("＃") &&
+          !unit.target.includes("\n")
+      );
+      for (const unit of lineUnits.filter((u) => !valid.includes(u))) {
+        console.log(`  STALE     ${location} (${unit.from})`);
+        stale++;
+      }
+
+      const targets = new Set(valid.map((unit) => unit.target));
+      if (targets.size === 0 || (targets.size === 1 && targets.has(current))) {
+        continue;
+      }
+      const changedSinceExport =
+        exported[location] !== undefined && current !== exported[location];
+      if (targets.size > 1 || changedSinceExport) {
+        console.log(`  CONFLICT  ${location}`);
+        if (changedSinceExport) console.log(`    script: ${current}`);
+        for (const unit of valid) {
+          console.log(`    ${unit.from}: ${unit.target}`);
+        }
+        conflicts++;
+        continue;
+      }
+      lines[index] = [...targets][0];
+      fileChanged = true;
+      changedLines++;
+    }
+
+    if (fileChanged) {
+      const encoded = encodeScript(lines, {
+        encoding: track.encoding,
+        trailingNewline,
+        file: filePath,
+      });
+      await rewriter.write(filePath, encoded, raw);
+      changedFiles++;
+    }
+  }
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Files read:       ${filesRead}`);
+  console.log(`  Units:            ${units.length}`);
+  console.log(`  Untranslated:     ${untranslated}`);
+  console.log(`  Edits:            ${edits}`);
+  console.log(`  Stale:            ${stale}`);
+  console.log(`  Conflicts:        ${conflicts}`);
+  console.log(`  Lines changed:    ${changedLines}`);
+  console.log(`  Scripts changed:  ${changedFiles}`);
+  rewriter.report();
+}
+
+runIfMain(import.meta.url, main);
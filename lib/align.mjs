@@ -0,0 +1,325 @@
+/**
+ * Line Alignment
+ *
+ * A Gemini section must have one translated line per non-empty original
+ * line. When the counts differ, the model has usually merged two original
+ * lines into one translated line, split one across two, added a remark of
+ * its own after the last line ("Ready for the next batch, Boss…") or left a
+ * line out. This module finds the most likely places with a
+ * dynamic-programming alignment of the original and translated lines, where
+ * each step is:
+ *
+ *   match   — one translated line for one original line
+ *   split   — one translated line for two original lines; it is cut at the
+ *             sentence or quote boundary that best fits the two originals
+ *   join    — two translated lines for one original line; they are joined
+ *   extra   — a translated line for no original line; it is dropped
+ *   missing — no translated line for an original line; the Japanese line
+ *             is kept in its place, to be translated by hand
+ *
+ * Steps are scored on the cues a reviewer would use:
+ *
+ *   - speech sources (＃ / #) only ever match speech sources, and are never
+ *     split or joined
+ *   - an original opening with a quote bracket (「『) should be a translated
+ *     line opening with a quote, and a ＄ page break a "$" line
+ *   - the English/Japanese length ratio of a line should be close to the
+ *     section's overall ratio
+ *
+ * A split or join costs more than a match, so the alignment only changes
+ * the lines it must. Dropping or keeping a line costs more again, except
+ * for the lines after the last original one that follow a finished
+ * sentence: the model's remarks end a reply, so dropping them is cheaper
+ * than a join, though not by enough to drop the second half of a last line
+ * the model split in two.
+ */
+
+import { hashInputs } from "./build-cache.mjs";
+import { isPageBreak, isSpeechSource } from "./script.mjs";
+
+// Cost of a split or join on top of its line costs, so that matching lines
+// one to one is preferred whenever the counts allow it.
+const STEP_COST = 1.5;
+
+// Cost of an extra or missing line inside the section, so that a join or
+// split is preferred when one fits.
+const GAP_COST = 4;
+
+// Cost of an extra line after the last original line, when the line before
+// it ends a sentence.
+const TRAILING_COST = 1.2;
+
+// Cost of matching a speech source with anything else.
+const TYPE_MISMATCH_COST = 8;
+
+// Cost of a missing or unexpected quote or page-break mark.
+const MARK_COST = 1;
+
+// A translated line can be cut after sentence punctuation, a dash or a
+// closing quote (…, —, ” ’ 」 』) followed by a space, or before an opening quote
+// (“ ‘ 「 『).
+const CUT_AFTER = /[.!?\u2026\u2014)"\u201d'\u2019\u300d\u300f]$/;
+const OPENING_QUOTE = /^["\u201c'\u2018\u300c\u300e]/;
+
+// How many original and translated lines each kind of step takes.
+const STEP_SIZES = {
+  match: { original: 1, translated: 1 },
+  split: { original: 2, translated: 1 },
+  join: { original: 1, translated: 2 },
+  extra: { original: 0, translated: 1 },
+  missing: { original: 1, translated: 0 },
+};
+
+const opensQuote = (line) => /^[\u300c\u300e]/.test(line.trimStart());
+const opensTranslatedQuote = (line) => OPENING_QUOTE.test(line.trimStart());
+
+// A line the next one cannot continue: it ends a sentence, or is no prose
+// at all (a "---" rule).
+const endsSentence = (line) =>
+  CUT_AFTER.test(line.trimEnd()) || !/\p{L}/u.test(line);
+
+/**
+ * Cost of `translated` standing for `original`, given the section's
+ * translated/original length `ratio`.
+ */
+function lineCost(original, translated, ratio, { speechContent = false }) {
+  if (isSpeechSource(original) !== isSpeechSource(translated)) {
+    return TYPE_MISMATCH_COST;
+  }
+  if (isSpeechSource(original)) return 0;
+
+  let cost = Math.abs(
+    Math.log((translated.length + 1) / ((original.length + 1) * ratio))
+  );
+  // Speech content carries no brackets in the originals; the engine adds
+  // them, while the translations quote it.
+  if (
+    !speechContent &&
+    opensQuote(original) !== opensTranslatedQuote(translated)
+  ) {
+    cost += MARK_COST;
+  }
+  if (isPageBreak(original) !== isPageBreak(translated)) cost += MARK_COST;
+  return cost;
+}
+
+/**
+ * The positions `translated` can be cut at, as [head, tail] pairs.
+ */
+function cutPoints(translated) {
+  const cuts = [];
+  for (let k = 1; k < translated.length - 1; k++) {
+    if (translated[k] !== " ") continue;
+    const head = translated.slice(0, k).trimEnd();
+    const tail = translated.slice(k + 1).trimStart();
+    if (head && tail && (CUT_AFTER.test(head) || OPENING_QUOTE.test(tail))) {
+      cuts.push([head, tail]);
+    }
+  }
+  return cuts;
+}
+
+/**
+ * Align the non-empty `originalLines` of a script with the non-empty
+ * `translatedLines` of its Gemini section. Returns { lines, fixes }, where
+ * `lines` holds one translated line per original line and `fixes` lists
+ * every step other than a match as { kind, original, translated, text }
+ * (0-based positions of the first line involved; `text` is the cut, joined,
+ * dropped or kept line), or null when no alignment exists (e.g. speech
+ * sources that cannot be matched).
+ */
+export function alignSection(originalLines, translatedLines) {
+  const n = originalLines.length;
+  const m = translatedLines.length;
+  const length = (lines) =>
+    lines
+      .filter((line) => !isSpeechSource(line))
+      .reduce((sum, line) => sum + line.length, 0);
+  // Measured on as many translated lines as there are originals, so that
+  // remarks trailing the section do not make every real line look short.
+  const ratio =
+    (length(translatedLines.slice(0, n)) + 1) / (length(originalLines) + 1);
+
+  const cost = (i, line) =>
+    lineCost(originalLines[i], line, ratio, {
+      speechContent: i > 0 && isSpeechSource(originalLines[i - 1]),
+    });
+  const cuts = translatedLines.map(cutPoints);
+
+  // best[i][j]: cheapest alignment of the first i originals with the first
+  // j translated lines, and the step that reached it.
+  const best = Array.from({ length: n + 1 }, () =>
+    new Array(m + 1).fill(null)
+  );
+  best[0][0] = { total: 0 };
+  const relax = (i, j, total, step) => {
+    if (total < (best[i][j]?.total ?? Infinity)) {
+      best[i][j] = { total, ...step };
+    }
+  };
+
+  for (let i = 0; i <= n; i++) {
+    for (let j = 0; j <= m; j++) {
+      const here = best[i][j];
+      if (!here) continue;
+
+      // match
+      if (i < n && j < m) {
+        relax(i + 1, j + 1, here.total + cost(i, translatedLines[j]), {
+          kind: "match",
+          lines: [translatedLines[j]],
+        });
+      }
+
+      // split: one translated line for originals i and i + 1
+      if (
+        i + 1 < n &&
+        j < m &&
+        !isSpeechSource(originalLines[i]) &&
+        !isSpeechSource(originalLines[i + 1]) &&
+        !isSpeechSource(translatedLines[j])
+      ) {
+        for (const [head, tail] of cuts[j]) {
+          relax(
+            i + 2,
+            j + 1,
+            here.total + STEP_COST + cost(i, head) + cost(i + 1, tail),
+            { kind: "split", lines: [head, tail] }
+          );
+        }
+      }
+
+      // join: translated lines j and j + 1 for original i
+      if (
+        i < n &&
+        j + 1 < m &&
+        !isSpeechSource(originalLines[i]) &&
+        !isSpeechSource(translatedLines[j]) &&
+        !isSpeechSource(translatedLines[j + 1])
+      ) {
+        const joined = `${translatedLines[j]} ${translatedLines[j + 1]}`;
+        relax(i + 1, j + 2, here.total + STEP_COST + cost(i, joined), {
+          kind: "join",
+          lines: [joined],
+        });
+      }
+
+      // extra: translated line j for no original
+      if (j < m && !isSpeechSource(translatedLines[j])) {
+        const trailing =
+          i === n && (j === 0 || endsSentence(translatedLines[j - 1]));
+        const gap = trailing ? TRAILING_COST : GAP_COST;
+        relax(i, j + 1, here.total + gap, { kind: "extra", lines: [] });
+      }
+
+      // missing: no translated line for original i
+      if (i < n && !isSpeechSource(originalLines[i])) {
+        relax(i + 1, j, here.total + GAP_COST, {
+          kind: "missing",
+          lines: [originalLines[i]],
+        });
+      }
+    }
+  }
+
+  if (!best[n][m]) return null;
+
+  // Walk the steps back from the end.
+  const steps = [];
+  for (let i = n, j = m; i > 0 || j > 0; ) {
+    const step = best[i][j];
+    i -= STEP_SIZES[step.kind].original;
+    j -= STEP_SIZES[step.kind].translated;
+    steps.unshift({ ...step, original: i, translated: j });
+  }
+
+  const lines = steps.flatMap((step) => step.lines);
+  const fixes = steps
+    .filter((step) => step.kind !== "match")
+    .map(({ kind, original, translated, lines: text }) => ({
+      kind,
+      original,
+      translated,
+      text:
+        kind === "extra" ? translatedLines[translated] : text.join(" / "),
+    }));
+  return { lines, fixes };
+}
+
+/**
+ * Hash of a section's content lines, recorded with each proposal so a
+ * section edited after its proposal was made is not overwritten.
+ */
+export function sectionHash(contentLines) {
+  return hashInputs(...contentLines).slice(0, 16);
+}
+
+// Fullwidth and wide characters (Hangul Jamo, CJK symbols and ideographs,
+// kana, Hangul syllables, compatibility forms, fullwidth forms) take two
+// terminal columns.
+const WIDE = new RegExp(
+  "[\u1100-\u115f\u2e80-\u303e\u3041-\u33ff\u3400-\u4dbf\u4e00-\u9fff" +
+    "\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]"
+);
+
+const columns = (text) =>
+  [...text].reduce((sum, ch) => sum + (WIDE.test(ch) ? 2 : 1), 0);
+
+/**
+ * Wrap `text` into rows of at most `width` terminal columns.
+ */
+function wrapColumns(text, width) {
+  const rows = [];
+  let row = "";
+  let used = 0;
+  for (const ch of text) {
+    const w = WIDE.test(ch) ? 2 : 1;
+    if (used + w > width) {
+      rows.push(row);
+      row = "";
+      used = 0;
+    }
+    row += ch;
+    used += w;
+  }
+  rows.push(row);
+  return rows.map((r) => r + " ".repeat(width - columns(r)));
+}
+
+/**
+ * Render the original lines beside their aligned translations, wrapped to
+ * `width` columns in total. Lines whose index is in `changed` are marked
+ * with "*"; only they and `context` lines around them are shown.
+ */
+export function sideBySide(
+  originalLines,
+  alignedLines,
+  changed,
+  { width = 120, context = 2 } = {}
+) {
+  const half = Math.floor((width - 10) / 2);
+  const near = (i) => [...changed].some((c) => Math.abs(c - i) <= context);
+
+  const out = [];
+  let skipped = false;
+  originalLines.forEach((original, i) => {
+    if (!near(i)) {
+      if (!skipped) out.push("     ⋮");
+      skipped = true;
+      return;
+    }
+    skipped = false;
+
+    const left = wrapColumns(original, half);
+    const right = wrapColumns(alignedLines[i] ?? "", half);
+    const mark = changed.has(i) ? "*" : " ";
+    for (let r = 0; r < Math.max(left.length, right.length); r++) {
+      const num = r === 0 ? String(i + 1).padStart(4) : "    ";
+      out.push(
+        `${num} ${r === 0 ? mark : " "} ${left[r] ?? " ".repeat(half)} │ ` +
+          (right[r] ?? "")
+      );
+    }
+  });
+  return out.map((line) => line.trimEnd()).join("\n");
+}
@@ -0,0 +1,272 @@
+/**
+ * Translation Batches
+ *
+ * The merge stages group scripts by filename prefix, so some batches are
+ * huge (the F06 and F09 exploration occasions have 90+ files) and others a
+ * single short scene. For translation, plan-batches.mjs instead packs the
+ * scripts of the groups listed in `translation.groups` into batches under a
+ * token budget (`translation.batchTokens`) for the whole prompt a batch is
+ * sent with, instructions and glossary included (see lib/prompt.mjs):
+ *
+ *   - scripts keep their route order (prefix, then filename — the order of
+ *     the merged files), and a batch never mixes groups
+ *   - in the `translation.occasionGroups` (exploration), the files of one
+ *     occasion share a batch; an occasion over the budget on its own gets
+ *     consecutive batches to itself
+ *   - a single script over the budget becomes a batch of its own
+ *
+ * The plan is saved as a manifest (`translation.manifestFile`):
+ *
+ *   { "batchTokens": 20000,
+ *     "batches": [{ "name": "normal-001", "group": "normal",
+ *                   "files": ["00_0000.txt", ...], "estimatedTokens": 18250,
+ *                   "status": "pending", "attempts": 0 }, ...] }
+ *
+ * translate-batches.mjs records the outcome of every batch in it: `status`
+ * becomes "done", "partial" (sections missing from the reply) or "failed"
+ * (with `error`), so a batch can be retried on its own with --batch.
+ */
+
+import { readFile, writeFile } from "fs/promises";
+import path from "path";
+import { buildPrompt, estimateTokens, loadPromptContext } from "./prompt.mjs";
+import { readScript } from "./script.mjs";
+import { StageFailure } from "./stage.mjs";
+
+/**
+ * Read the translation groups' scripts from `originalDir`, in route order.
+ * Returns [{ group, prefix, fileName, section }], where `section` is
+ * { fileName, contentLines, previous } as loadBatches returns it.
+ */
+async function readGroupScripts(config, fileNames) {
+  const scripts = [];
+
+  for (const group of config.translation.groups) {
+    const { pattern } = config.merge[group];
+    const matched = [];
+    for (const fileName of fileNames) {
+      const match = fileName.match(pattern);
+      if (match) matched.push({ prefix: match[1], fileName });
+    }
+    matched.sort(
+      (a, b) =>
+        (a.prefix < b.prefix ? -1 : a.prefix > b.prefix ? 1 : 0) ||
+        (a.fileName < b.fileName ? -1 : 1)
+    );
+
+    let previous = null;
+    for (const { prefix, fileName } of matched) {
+      const { lines } = await readScript(
+        path.join(config.originalDir, fileName)
+      );
+      while (lines.at(-1) === "") lines.pop();
+      const section = { fileName, contentLines: lines, previous };
+      scripts.push({ group, prefix, fileName, section });
+      previous = section;
+    }
+  }
+
+  return scripts;
+}
+
+/**
+ * Pack `scripts` (see readGroupScripts) into batches whose prompt, as
+ * `measure(scripts)` estimates it, stays under `budget` tokens. Returns
+ * [{ name, group, files, estimatedTokens }].
+ */
+function packScripts(scripts, budget, occasionGroups, measure) {
+  // Units are the pieces that must not be split across batches: a script,
+  // or a whole occasion of an occasion group.
+  const units = [];
+  for (const script of scripts) {
+    const last = units.at(-1);
+    const together = occasionGroups.includes(script.group);
+    if (
+      together &&
+      last?.group === script.group &&
+      last.prefix === script.prefix
+    ) {
+      last.scripts.push(script);
+    } else {
+      units.push({
+        group: script.group,
+        prefix: together ? script.prefix : null,
+        scripts: [script],
+      });
+    }
+  }
+
+  const batches = [];
+  let current = null;
+  const close = () => {
+    if (current) batches.push(current);
+    current = null;
+  };
+  const fits = (more) =>
+    measure([...(current?.scripts ?? []), ...more]) <= budget;
+  const add = (script) => {
+    current ??= { group: script.group, scripts: [] };
+    current.scripts.push(script);
+  };
+
+  for (const unit of units) {
+    if (current && (current.group !== unit.group || !fits(unit.scripts))) {
+      close();
+    }
+
+    if (fits(unit.scripts)) {
+      for (const script of unit.scripts) add(script);
+      continue;
+    }
+
+    // An occasion over the budget: consecutive batches of its own.
+    for (const script of unit.scripts) {
+      if (current && !fits([script])) close();
+      add(script);
+    }
+    close();
+  }
+  close();
+
+  const counters = new Map();
+  return batches.map(({ group, scripts: batchScripts }) => {
+    const n = (counters.get(group) ?? 0) + 1;
+    counters.set(group, n);
+    return {
+      name: `${group}-${String(n).padStart(3, "0")}`,
+      group,
+      files: batchScripts.map((s) => s.fileName),
+      estimatedTokens: measure(batchScripts),
+    };
+  });
+}
+
+/**
+ * Plan the translation batches of the scripts named `fileNames` (the files
+ * of `originalDir`). Returns the manifest batches, all pending.
+ */
+export async function planBatches(config, fileNames) {
+  const { batchTokens, occasionGroups } = config.translation;
+  const scripts = await readGroupScripts(config, fileNames);
+
+  // The whole prompt of a batch counts against the budget: instructions,
+  // glossary and terminology, previous scene and sections. Pre-filled lines
+  // only make the prompts translate-batches sends smaller.
+  const context = await loadPromptContext(config);
+  const measure = (batchScripts) =>
+    estimateTokens(
+      buildPrompt(
+        batchScripts.map((s) => s.section),
+        context,
+        batchScripts[0].section.previous
+      )
+    );
+
+  return packScripts(scripts, batchTokens, occasionGroups, measure).map(
+    (batch) => ({
+      ...batch,
+      status: "pending",
+      attempts: 0,
+    })
+  );
+}
+
+/**
+ * Read the batch manifest, or return null when it has not been planned yet.
+ */
+export async function readManifest(config) {
+  try {
+    const content = await readFile(config.translation.manifestFile, "utf-8");
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`${config.translation.manifestFile}: ${err.message}`);
+  }
+}
+
+/**
+ * Write the batch manifest.
+ */
+export async function writeManifest(config, manifest) {
+  await writeFile(
+    config.translation.manifestFile,
+    JSON.stringify(manifest, null, 2) + "\n"
+  );
+}
+
+/**
+ * Read the scripts of every batch in the manifest, in order. Returns
+ * [{ ...batch, sections }], where each section is
+ * { fileName, contentLines, previous }, `previous` being the section before
+ * it in the same group (or null).
+ */
+async function loadPlannedBatches(config, manifest) {
+  const previousByGroup = new Map();
+  const batches = [];
+
+  for (const batch of manifest.batches) {
+    const sections = [];
+    for (const fileName of batch.files) {
+      const { lines } = await readScript(
+        path.join(config.originalDir, fileName)
+      );
+      while (lines.at(-1) === "") lines.pop();
+      const section = {
+        fileName,
+        contentLines: lines,
+        previous: previousByGroup.get(batch.group) ?? null,
+      };
+      previousByGroup.set(batch.group, section);
+      sections.push(section);
+    }
+    batches.push({ ...batch, sections });
+  }
+
+  return batches;
+}
+
+/**
+ * Load the manifest and the batches to work on: all of them, or those named
+ * in `names` (the --batch option). Returns { manifest, batches }.
+ */
+export async function loadBatches(config, names = []) {
+  const { manifestFile } = config.translation;
+  const manifest = await readManifest(config);
+  if (!manifest) {
+    throw new StageFailure(`${manifestFile} not found; run plan-batches first`);
+  }
+
+  const known = new Set(manifest.batches.map((batch) => batch.name));
+  const unknown = names.filter((name) => !known.has(name));
+  if (unknown.length > 0) {
+    throw new StageFailure(
+      `Unknown batch ${unknown.join(", ")} (see ${manifestFile})`
+    );
+  }
+
+  const batches = await loadPlannedBatches(config, manifest);
+  return {
+    manifest,
+    batches:
+      names.length > 0
+        ? batches.filter((batch) => names.includes(batch.name))
+        : batches,
+  };
+}
+
+/**
+ * Record the outcome of batch `name` in the manifest and save it.
+ * `outcome` is { status, error?, attempted? }; `attempted` (default true)
+ * counts the call as an attempt of the model client.
+ */
+export async function recordBatchOutcome(config, manifest, name, outcome) {
+  const batch = manifest.batches.find((b) => b.name === name);
+  batch.status = outcome.status;
+  if (outcome.attempted ?? true) batch.attempts = (batch.attempts ?? 0) + 1;
+  if (outcome.error) {
+    batch.error = outcome.error;
+  } else {
+    delete batch.error;
+  }
+  await writeManifest(config, manifest);
+}
@@ -0,0 +1,124 @@
+/**
+ * Build Cache
+ *
+ * Lets a stage skip files whose inputs have not changed since its last run.
+ * Each stage keeps one cache file in `cacheDir` (see caucasus.config.json):
+ *
+ *   {
+ *     "version": 1,              — the stage's BUILD_VERSION
+ *     "config": "…",             — fingerprint of the project config
+ *     "files": { [key]: { hash, outputs, data } }
+ *   }
+ *
+ * `hash` covers every input the stage passes for that file (its own
+ * content, the original, overrides, …). A file is skipped when its hash is
+ * unchanged and all of its `outputs` still exist. `data` holds per-file
+ * results the stage needs for its report even when the file is skipped
+ * (e.g. detected option lines).
+ *
+ * Bumping a stage's BUILD_VERSION or editing the config discards the whole
+ * cache for that stage. Stages that rewrite files in place record the hash
+ * of the file as they wrote it, so the next run sees it as unchanged.
+ *
+ * Run a stage with --force to ignore the cache and reprocess every file.
+ * With --dry-run the cache is read but never saved, since nothing was
+ * written.
+ */
+
+import { createHash } from "crypto";
+import { existsSync } from "fs";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+
+// Rebuilt files listed by name in the report before it switches to a count.
+const REPORT_LIMIT = 10;
+
+/**
+ * Hash the given inputs (strings or Buffers). Each part is length-prefixed
+ * so ["ab", "c"] and ["a", "bc"] hash differently.
+ */
+export function hashInputs(...parts) {
+  const hash = createHash("sha256");
+  for (const part of parts) {
+    const buf = Buffer.isBuffer(part) ? part : Buffer.from(String(part));
+    hash.update(`${buf.length}:`);
+    hash.update(buf);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Open the build cache of `stage`. Pass `{ force: true }` to start from an
+ * empty cache. Returns an object with:
+ *
+ *   lookup(key, hash, outputs?) — the cached entry when `key` is up to date,
+ *                                 otherwise null
+ *   record(key, hash, { outputs, data }?)
+ *                               — mark `key` as rebuilt; a null hash keeps
+ *                                 it out of the cache so it is always
+ *                                 rebuilt (e.g. files with errors)
+ *   save()                      — write the cache back to disk (skipped
+ *                                 with `{ dryRun: true }`)
+ *   report()                    — print which files were rebuilt
+ *   summary()                   — { rebuilt, unchanged } counts
+ */
+export async function openBuildCache(config, stage, version, options = {}) {
+  const file = path.join(config.cacheDir, `${stage}.json`);
+
+  let previous = {};
+  if (!options.force) {
+    try {
+      const saved = JSON.parse(await readFile(file, "utf-8"));
+      if (saved.version === version && saved.config === config.fingerprint) {
+        previous = saved.files;
+      }
+    } catch {
+      // No cache yet — every file is rebuilt.
+    }
+  }
+
+  // Only keys seen in this run are written back, so deleted files drop out.
+  const next = {};
+  const rebuilt = [];
+  let unchanged = 0;
+
+  return {
+    lookup(key, hash, outputs = []) {
+      const entry = previous[key];
+      if (!entry || entry.hash !== hash) return null;
+      if (!outputs.every((output) => existsSync(output))) return null;
+
+      next[key] = entry;
+      unchanged++;
+      return entry;
+    },
+
+    record(key, hash, { outputs = [], data } = {}) {
+      rebuilt.push(key);
+      if (hash !== null) next[key] = { hash, outputs, data };
+    },
+
+    async save() {
+      if (options.dryRun) return;
+      await mkdir(config.cacheDir, { recursive: true });
+      const saved = { version, config: config.fingerprint, files: next };
+      await writeFile(file, JSON.stringify(saved), "utf-8");
+    },
+
+    report() {
+      console.log(
+        `  Rebuilt:          ${rebuilt.length} files (${unchanged} unchanged)`
+      );
+      for (const key of rebuilt.slice(0, REPORT_LIMIT)) {
+        console.log(`    ${key}`);
+      }
+      if (rebuilt.length > REPORT_LIMIT) {
+        console.log(`    … and ${rebuilt.length - REPORT_LIMIT} more`);
+      }
+    },
+
+    summary() {
+      return { rebuilt: rebuilt.length, unchanged };
+    },
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * Script Classifier
+ *
+ * Decides which category of caucasus.config.json a script belongs to, and
+ * why. export-gemini-translations routes every entry through it, so
+ * `classify-scripts` shows exactly where each file will be exported.
+ *
+ * Rules, first match wins:
+ *
+ *   1. Override  — the file is listed in the overrides file
+ *                  (`categoryOverridesFile`, { fileName: categoryName })
+ *   2. Filename  — a category's `match` regex accepts the filename
+ *   3. Vertical  — a category sets `vertical` and the original is
+ *                  vertical-style (see isVerticalScript)
+ *   4. Fallback  — the last category
+ *
+ * A file of `fixedWidth.category` that is listed in the fixed-width manifest
+ * (`fixedWidth.manifestFile`) is padded with the fixed-width layout; the
+ * result reports it as `fixedWidth`.
+ */
+
+import { readFile } from "fs/promises";
+import { getCategory } from "./config.mjs";
+
+// Every non-empty line of a vertical-style (tategumi) script starts with a
+// fullwidth space (narration indent) or a left corner bracket (dialogue).
+const VERTICAL_STARTERS = ["　", "「"];
+
+/**
+ * Returns true when every non-empty line of `text` starts with a fullwidth
+ * space (U+3000) or a left corner bracket (「, U+300C). Empty scripts are
+ * not vertical.
+ */
+export function isVerticalScript(text) {
+  let hasContent = false;
+
+  for (const raw of text.split("\n")) {
+    const line = raw.endsWith("\r") ? raw.slice(0, -1) : raw;
+    if (line.length === 0) continue;
+
+    hasContent = true;
+    if (!VERTICAL_STARTERS.includes(line[0])) return false;
+  }
+
+  return hasContent;
+}
+
+/**
+ * Classify one script. `text` is the decoded original, or null when there
+ * is none (only filename rules apply then). `overrides` maps fileName →
+ * category name; `fixedWidthFiles` is the set of fixed-width filenames.
+ *
+ * Returns { category, reasons, fixedWidth }, where `reasons` lists every
+ * rule that decided the result in plain words.
+ */
+export function classifyScript(
+  config,
+  fileName,
+  text,
+  { overrides = new Map(), fixedWidthFiles = new Set() } = {}
+) {
+  const reasons = [];
+  let category = null;
+
+  if (overrides.has(fileName)) {
+    category = getCategory(config, overrides.get(fileName));
+    reasons.push(`override in ${config.categoryOverridesFile}`);
+  }
+
+  if (!category) {
+    const vertical = text !== null && isVerticalScript(text);
+    for (const candidate of config.categories) {
+      if (candidate.match && candidate.match.test(fileName)) {
+        category = candidate;
+        reasons.push(`filename matches /${candidate.match.source}/`);
+        break;
+      }
+      if (candidate.vertical && vertical) {
+        category = candidate;
+        reasons.push("every line starts with a fullwidth space or 「");
+        break;
+      }
+    }
+  }
+
+  if (!category) {
+    category = config.categories.at(-1);
+    reasons.push(
+      text === null ? "no original; no rule matched" : "no rule matched"
+    );
+  }
+
+  // The fixed-width layout only applies to files of fixedWidth.category.
+  const listed = fixedWidthFiles.has(fileName);
+  const fixedWidth = listed && category.name === config.fixedWidth.category;
+  if (fixedWidth) {
+    reasons.push(`listed in ${config.fixedWidth.manifestFile}`);
+  } else if (listed) {
+    reasons.push(
+      `listed in ${config.fixedWidth.manifestFile}, but ignored outside ` +
+        `"${config.fixedWidth.category}"`
+    );
+  }
+
+  return { category, reasons, fixedWidth };
+}
+
+/**
+ * Read a JSON file, returning `fallback` when it does not exist.
+ */
+async function readJson(file, fallback) {
+  let content;
+  try {
+    content = await readFile(file, "utf-8");
+  } catch {
+    return fallback;
+  }
+  return JSON.parse(content);
+}
+
+/**
+ * Load the overrides file and fixed-width manifest, and return a classifier
+ * with `classify(fileName, text)` bound to them. Throws when an override
+ * names an unknown category.
+ */
+export async function loadClassifier(config) {
+  const overrides = new Map(
+    Object.entries(await readJson(config.categoryOverridesFile, {}))
+  );
+  for (const [fileName, name] of overrides) {
+    if (!config.categories.some((c) => c.name === name)) {
+      throw new Error(
+        `${config.categoryOverridesFile}: ${fileName} is assigned to ` +
+          `unknown category "${name}"`
+      );
+    }
+  }
+
+  const fixedWidthFiles = new Set(
+    await readJson(config.fixedWidth.manifestFile, [])
+  );
+
+  return {
+    overrides,
+    fixedWidthFiles,
+    classify: (fileName, text) =>
+      classifyScript(config, fileName, text, { overrides, fixedWidthFiles }),
+  };
+}
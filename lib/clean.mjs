@@ -0,0 +1,69 @@
+/**
+ * Translation Cleaning
+ *
+ * Shared line normalisation for `clean-translations.mjs` (Shift-JIS output)
+ * and `clean-translations-full.mjs` (UTF-8 output). See those scripts for
+ * the full list of steps; this module implements the encoding-independent
+ * ones.
+ */
+
+import { stripSpeechWrappers } from "./script.mjs";
+
+/**
+ * Normalise the lines of a translated script against its original.
+ * `originalLines` may be null when no original exists. Returns the cleaned
+ * lines (empty lines removed).
+ */
+export function cleanLines(lines, originalLines) {
+  // Steps 1–4: trim, drop empties, fix speech source prefix.
+  const cleaned = lines
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+    .map((line) => {
+      // Convert ASCII hash speech source prefix to fullwidth hash.
+      if (line.startsWith("#") && line.length > 1) {
+        return `＃${line.slice(1)}`;
+      }
+      return line;
+    });
+
+  // Step 5: Replace speech source lines with the original Japanese lines.
+  // Step 6: Strip wrapping brackets/quotes from speech content lines.
+  if (originalLines) {
+    const minLen = Math.min(cleaned.length, originalLines.length);
+    for (let i = 0; i < minLen; i++) {
+      if (cleaned[i].startsWith("＃")) {
+        // Use the original line verbatim (Japanese speaker name).
+        cleaned[i] = originalLines[i].trim();
+      }
+      // A speech content line is the line immediately after a ＃ source line.
+      if (cleaned[i].startsWith("＃") && i + 1 < minLen) {
+        cleaned[i + 1] = stripSpeechWrappers(cleaned[i + 1]);
+      }
+    }
+  } else {
+    // No original available — still strip speech content wrappers.
+    for (let i = 0; i < cleaned.length; i++) {
+      if (cleaned[i].startsWith("＃") && i + 1 < cleaned.length) {
+        cleaned[i + 1] = stripSpeechWrappers(cleaned[i + 1]);
+      }
+    }
+  }
+
+  // Step 7: For non-speech lines, replace Japanese brackets with double
+  // quotes. Speech content lines (right after ＃) already had brackets
+  // stripped in step 6; these are narration lines that quote dialogue.
+  for (let i = 0; i < cleaned.length; i++) {
+    const isSpeechContent = i > 0 && cleaned[i - 1].startsWith("＃");
+    if (isSpeechContent) continue;
+
+    const line = cleaned[i];
+    if (line.startsWith("「") && line.endsWith("」")) {
+      cleaned[i] = `"${line.slice(1, -1)}"`;
+    } else if (line.startsWith("『") && line.endsWith("』")) {
+      cleaned[i] = `"${line.slice(1, -1)}"`;
+    }
+  }
+
+  return cleaned;
+}
@@ -0,0 +1,355 @@
+/**
+ * Project Configuration
+ *
+ * Every stage reads its directories, width rules and replacement tables from
+ * `caucasus.config.json` in the project root, so the tool can be pointed at
+ * another game on the same engine without editing the scripts. Set the
+ * CAUCASUS_CONFIG environment variable to use a different file.
+ *
+ * Top-level keys:
+ *
+ *   originalDir — Shift-JIS original scripts
+ *   cacheDir    — build cache of the incremental stages (lib/build-cache.mjs)
+ *   backupDir   — snapshots taken by --backup before in-place rewrites
+ *                 (lib/rewrite.mjs)
+ *   gemini      — { jsonDir, textDir } for the Gemini conversation exports,
+ *                 plus the `alignmentFile` of align-gemini-lines proposals
+ *                 and the { revisionPolicy, pinsFile } choosing between
+ *                 revisions of a script (lib/revisions.mjs); `importers`
+ *                 adds conversation formats (lib/importers.mjs) and
+ *                 `keepThinking` writes the model's reasoning to
+ *                 `thinkingDir`
+ *   categories  — script categories, in routing order (see below)
+ *   categoryOverridesFile
+ *               — { fileName: categoryName } for scripts the rules route
+ *                 wrongly (lib/classify.mjs)
+ *   fixedWidth  — { category, manifestFile, padding } for the files of
+ *                 `category` that use the fixed-width layout, plus
+ *                 { proposalsFile, minConfidence } for detect-fixed-width
+ *   glossaryFile
+ *               — { japaneseTerm: english } names and terms checked by
+ *                 check-terminology (lib/terminology.mjs)
+ *   glossaryProposalsFile
+ *               — glossary entries proposed from the ruby readings of the
+ *                 originals by harvest-ruby-readings
+ *   fixSjisAuditFile
+ *               — the restorations and flags of fix-sjis-chars
+ *   full        — { dir, translationMapFile, memoryFile } for the UTF-8
+ *                 full track and the translation memory (lib/memory.mjs)
+ *   interchange — { dir, formats, sourceLanguage, targetLanguage } for the
+ *                 PO / XLIFF / TMX files exchanged with translation tools
+ *                 (lib/interchange.mjs)
+ *   emphasis    — { style, wrap }: how clean-translations renders the words
+ *                 stressed with emphasis dots in the original, "dots",
+ *                 "caps" (the default), "wrap" (between the two strings
+ *                 of `wrap`) or "none" (lib/emphasis.mjs)
+ *   width       — { lineWidth, maxLength, fixedWidthRatio, fixedPadChar }
+ *   templates   — { pattern, nameEntryLimit, separator, names } for the
+ *                 player-name tokens of the originals, `(NAME01)`, and the
+ *                 name lengths every width rule allows for
+ *                 (lib/templates.mjs)
+ *   speakers    — { japaneseName: englishName }
+ *   transliterations
+ *               — { char: replacement } adjusting the default table of
+ *                 lib/transliterate.mjs applied before Shift-JIS writes; a
+ *                 character mapped to itself is left alone
+ *   merge       — { normal, day, exploration }: { dir, pattern } for the
+ *                 scene merge scripts
+ *   translation — { client, model, apiKeyEnv, mockDir, groups } for
+ *                 translate-batches: the model client (lib/model-clients.mjs)
+ *                 and the merge groups whose batches it translates, plus
+ *                 { promptDir, contextLines, maxTerms } for the prompts
+ *                 (lib/prompt.mjs), { batchTokens, occasionGroups,
+ *                 manifestFile } for the batch planner (lib/batches.mjs)
+ *                 and { prefill, fuzzySimilarity } for the use of the
+ *                 translation memory in prompts (lib/memory.mjs), and
+ *                 { retranslationDir } for the batches of
+ *                 build-retranslation
+ *
+ * A category is { name, dir, match?, vertical?, padding? }. Scripts are
+ * routed to the first category whose `match` regex accepts the filename,
+ * or that sets `vertical` when the original is vertical-style (see
+ * lib/classify.mjs). The last category is the fallback and should have
+ * neither. `padding` is { layout: "wrap" | "fixed", dir, longLinesFile,
+ * updatedFile, optionsFile } and is omitted for categories that are not
+ * padded.
+ */
+
+import { createHash } from "crypto";
+import { readFileSync } from "fs";
+import { EMPHASIS_STYLES } from "./emphasis.mjs";
+import { FORMATS } from "./interchange.mjs";
+import { REVISION_POLICIES } from "./revisions.mjs";
+import { displayWidth } from "./ruby.mjs";
+import { buildTemplates, nameWidth, stripTemplates } from "./templates.mjs";
+import { buildTransliterations } from "./transliterate.mjs";
+
+export const CONFIG_FILE = "caucasus.config.json";
+
+let cached = null;
+
+/**
+ * Load and normalise the project configuration. The result is cached, so
+ * stages can call this freely.
+ */
+export function loadConfig(file = process.env.CAUCASUS_CONFIG || CONFIG_FILE) {
+  if (cached && cached.file === file) return cached.config;
+
+  let text;
+  let raw;
+  try {
+    text = readFileSync(file, "utf-8");
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Cannot read config ${file}: ${err.message}`);
+  }
+
+  const config = normaliseConfig(raw, file);
+  // Lets the build cache invalidate every stage when the config changes.
+  config.fingerprint = createHash("sha256").update(text).digest("hex");
+  cached = { file, config };
+  return config;
+}
+
+/**
+ * Compile regex strings and build lookup maps. Throws on missing keys so a
+ * broken config fails before any stage touches the filesystem.
+ */
+function normaliseConfig(raw, file) {
+  const required = (value, key) => {
+    if (value === undefined || value === null) {
+      throw new Error(`${file}: missing "${key}"`);
+    }
+    return value;
+  };
+
+  const categories = required(raw.categories, "categories").map((c, i) => ({
+    ...c,
+    name: required(c.name, `categories[${i}].name`),
+    dir: required(c.dir, `categories[${i}].dir`),
+    match: c.match ? new RegExp(c.match) : null,
+    vertical: Boolean(c.vertical),
+    padding: c.padding ?? null,
+  }));
+
+  const fixedWidth = {
+    proposalsFile: "fixed-width-proposals.json",
+    minConfidence: 0.45,
+    ...required(raw.fixedWidth, "fixedWidth"),
+  };
+  if (!categories.some((c) => c.name === fixedWidth.category)) {
+    throw new Error(
+      `${file}: fixedWidth.category "${fixedWidth.category}" is not a category`
+    );
+  }
+
+  let transliterations;
+  try {
+    transliterations = buildTransliterations(raw.transliterations);
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+
+  let templates;
+  try {
+    templates = buildTemplates(raw.templates);
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+
+  const merge = {};
+  for (const [name, entry] of Object.entries(raw.merge ?? {})) {
+    merge[name] = { dir: entry.dir, pattern: new RegExp(entry.pattern) };
+  }
+
+  const translation = {
+    client: "gemini",
+    model: "gemini-2.5-pro",
+    apiKeyEnv: "GEMINI_API_KEY",
+    mockDir: "translation-mock",
+    groups: ["normal", "exploration"],
+    promptDir: "translation-prompts",
+    contextLines: 10,
+    maxTerms: 100,
+    batchTokens: 20000,
+    occasionGroups: ["exploration"],
+    manifestFile: "translation-batches.json",
+    prefill: true,
+    fuzzySimilarity: 0.8,
+    retranslationDir: "merged-retranslation",
+    ...raw.translation,
+  };
+  for (const group of translation.groups) {
+    if (!merge[group]) {
+      throw new Error(
+        `${file}: translation.groups names unknown merge group "${group}"`
+      );
+    }
+  }
+
+  const gemini = {
+    alignmentFile: "gemini-alignment-proposals.json",
+    revisionPolicy: "first",
+    pinsFile: "gemini-revision-pins.json",
+    importers: [],
+    keepThinking: false,
+    thinkingDir: "gemini-translation-thinking",
+    ...required(raw.gemini, "gemini"),
+  };
+  if (!REVISION_POLICIES.includes(gemini.revisionPolicy)) {
+    throw new Error(
+      `${file}: gemini.revisionPolicy must be one of ` +
+        REVISION_POLICIES.join(", ")
+    );
+  }
+
+  const interchange = {
+    dir: "interchange",
+    formats: [...FORMATS.keys()],
+    sourceLanguage: "ja",
+    targetLanguage: "en",
+    ...raw.interchange,
+  };
+  for (const format of interchange.formats) {
+    if (!FORMATS.has(format)) {
+      throw new Error(
+        `${file}: interchange.formats names unknown format "${format}"`
+      );
+    }
+  }
+
+  const emphasis = { style: "caps", wrap: ["**", "**"], ...raw.emphasis };
+  if (!EMPHASIS_STYLES.includes(emphasis.style)) {
+    throw new Error(
+      `${file}: emphasis.style must be one of ${EMPHASIS_STYLES.join(", ")}`
+    );
+  }
+  if (!Array.isArray(emphasis.wrap) || emphasis.wrap.length !== 2) {
+    throw new Error(`${file}: emphasis.wrap must be [open, close]`);
+  }
+
+  return {
+    originalDir: required(raw.originalDir, "originalDir"),
+    cacheDir: raw.cacheDir ?? ".caucasus-cache",
+    backupDir: raw.backupDir ?? ".caucasus-backup",
+    gemini,
+    categories,
+    categoryOverridesFile:
+      raw.categoryOverridesFile ?? "category-overrides.json",
+    fixedWidth,
+    glossaryFile: raw.glossaryFile ?? "glossary.json",
+    glossaryProposalsFile:
+      raw.glossaryProposalsFile ?? "glossary-proposals.json",
+    fixSjisAuditFile: raw.fixSjisAuditFile ?? "fix-sjis-audit.txt",
+    full: {
+      memoryFile: "translation-memory.json",
+      ...required(raw.full, "full"),
+    },
+    interchange,
+    emphasis,
+    width: required(raw.width, "width"),
+    templates,
+    speakers: new Map(Object.entries(raw.speakers ?? {})),
+    transliterations,
+    merge,
+    translation,
+  };
+}
+
+/**
+ * Look up a category by name.
+ */
+export function getCategory(config, name) {
+  const category = config.categories.find((c) => c.name === name);
+  if (!category) throw new Error(`Unknown script category "${name}"`);
+  return category;
+}
+
+/**
+ * The category padded with the word-wrap layout. Its long lines are
+ * shortened by apply-long-lines-fix.mjs, so there must be exactly one.
+ */
+export function wrapCategory(config) {
+  const wrap = config.categories.filter((c) => c.padding?.layout === "wrap");
+  if (wrap.length !== 1) {
+    throw new Error(
+      `Expected exactly one category with padding layout "wrap", ` +
+        `found ${wrap.length}`
+    );
+  }
+  return wrap[0];
+}
+
+/**
+ * Translated directories of every category, in routing order.
+ */
+export function categoryDirs(config) {
+  return config.categories.map((c) => c.dir);
+}
+
+/**
+ * Every translated folder, as [{ name, dir, encoding }]: the category
+ * folders (Shift-JIS) in routing order, then the full track (UTF-8) as
+ * "full".
+ */
+export function translatedTracks(config) {
+  return [
+    ...config.categories.map(({ name, dir }) => ({
+      name,
+      dir,
+      encoding: "sjis",
+    })),
+    { name: "full", dir: config.full.dir, encoding: "utf-8" },
+  ];
+}
+
+/**
+ * The padding settings of the fixed-width file list, together with the
+ * translated directory it reads from.
+ */
+export function fixedWidthProfile(config) {
+  const { category, manifestFile, padding } = config.fixedWidth;
+  return { dir: getCategory(config, category).dir, manifestFile, padding };
+}
+
+/**
+ * Every script set padded with the "fixed" layout, as [{ name, dir,
+ * padding, manifestFile }]: the categories whose `padding.layout` is
+ * "fixed", which pad every script of their directory (`manifestFile` is
+ * null), then the fixed-width file list as "fixed-width".
+ */
+export function fixedLayouts(config) {
+  return [
+    ...config.categories
+      .filter((c) => c.padding?.layout === "fixed")
+      .map(({ name, dir, padding }) => ({
+        name,
+        dir,
+        padding,
+        manifestFile: null,
+      })),
+    { name: "fixed-width", ...fixedWidthProfile(config) },
+  ];
+}
+
+/**
+ * Look up a fixed layout of fixedLayouts() by name.
+ */
+export function fixedLayout(config, name) {
+  const layout = fixedLayouts(config).find((l) => l.name === name);
+  if (!layout) throw new Error(`No fixed padding layout named "${name}"`);
+  return layout;
+}
+
+/**
+ * Required length of a fixed-width translation line, given its original.
+ * Player names are the same in both, so they count once, with names of
+ * `size` (see lib/templates.mjs).
+ */
+export function fixedWidthLimit(config, originalLine, size = "default") {
+  return (
+    displayWidth(stripTemplates(config, originalLine)) *
+      config.width.fixedWidthRatio +
+    nameWidth(config, originalLine, size)
+  );
+}
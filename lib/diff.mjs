@@ -0,0 +1,115 @@
+/**
+ * Line Diffs
+ *
+ * Minimal unified diff for previewing script rewrites. Scripts are at most
+ * a few hundred lines, so a plain LCS table over the lines between the
+ * common prefix and suffix is fast enough.
+ */
+
+// Unchanged lines shown around each change.
+const CONTEXT_LINES = 3;
+
+/**
+ * Diff two arrays of lines. Returns a list of { op, line, a, b } where `op`
+ * is " " (unchanged), "-" (only in `a`) or "+" (only in `b`), and `a`/`b`
+ * are the 0-based positions in each array. Any values compared with ===
+ * work, e.g. the characters of a line.
+ */
+export function diffLines(a, b) {
+  // Trim the common prefix and suffix so the table only covers the changes.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  // lcs[i * cols + j] is the LCS length of the remaining lines of a from
+  // start + i and of b from start + j.
+  const rows = endA - start + 1;
+  const cols = endB - start + 1;
+  const lcs = new Uint32Array(rows * cols);
+  for (let i = rows - 2; i >= 0; i--) {
+    for (let j = cols - 2; j >= 0; j--) {
+      lcs[i * cols + j] =
+        a[start + i] === b[start + j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  for (let k = 0; k < start; k++) {
+    ops.push({ op: " ", line: a[k], a: k, b: k });
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows - 1 || j < cols - 1) {
+    const ai = start + i;
+    const bj = start + j;
+    if (i < rows - 1 && j < cols - 1 && a[ai] === b[bj]) {
+      ops.push({ op: " ", line: a[ai], a: ai, b: bj });
+      i++;
+      j++;
+    } else if (
+      j === cols - 1 ||
+      (i < rows - 1 && lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1])
+    ) {
+      ops.push({ op: "-", line: a[ai], a: ai, b: bj });
+      i++;
+    } else {
+      ops.push({ op: "+", line: b[bj], a: ai, b: bj });
+      j++;
+    }
+  }
+
+  for (let k = 0; endA + k < a.length; k++) {
+    ops.push({ op: " ", line: a[endA + k], a: endA + k, b: endB + k });
+  }
+
+  return ops;
+}
+
+/**
+ * Format the changes between two arrays of lines as a unified diff with
+ * `---`/`+++` headers for `fromFile` and `toFile`. Returns "" when the
+ * arrays are equal.
+ */
+export function unifiedDiff(a, b, { fromFile, toFile } = {}) {
+  const ops = diffLines(a, b);
+  const changes = ops
+    .map((entry, index) => (entry.op === " " ? -1 : index))
+    .filter((index) => index !== -1);
+  if (changes.length === 0) return "";
+
+  // Group changes whose context windows touch into one hunk.
+  const hunks = [];
+  for (const index of changes) {
+    const from = Math.max(0, index - CONTEXT_LINES);
+    const to = Math.min(ops.length, index + CONTEXT_LINES + 1);
+    const last = hunks.at(-1);
+    if (last && from <= last.to) {
+      last.to = to;
+    } else {
+      hunks.push({ from, to });
+    }
+  }
+
+  const out = [`--- ${fromFile ?? "a"}`, `+++ ${toFile ?? "b"}`];
+  for (const { from, to } of hunks) {
+    const slice = ops.slice(from, to);
+    const countA = slice.filter((entry) => entry.op !== "+").length;
+    const countB = slice.filter((entry) => entry.op !== "-").length;
+    // Unified diff ranges are 1-based; an empty range names the line before.
+    const startA = countA > 0 ? slice[0].a + 1 : slice[0].a;
+    const startB = countB > 0 ? slice[0].b + 1 : slice[0].b;
+    out.push(`@@ -${startA},${countA} +${startB},${countB} @@`);
+    for (const entry of slice) out.push(`${entry.op}${entry.line}`);
+  }
+  return out.join("\n");
+}
@@ -0,0 +1,99 @@
+/**
+ * Emphasis Dots
+ *
+ * Originals stress words with emphasis dots (bouten), written as ruby of
+ * ヽ over each character (see lib/ruby.mjs):
+ *
+ *   「急に妙な<し<ヽ><な<ヽ>をつくらないで下さい」
+ *
+ * English has no dots, so the prompts list these spans and ask the model
+ * to wrap the English words that carry the stress in `**` markers, as in
+ * Markdown. The UTF-8 full track keeps the markers; clean-translations
+ * renders them in the Shift-JIS scripts in the project's `emphasis.style`:
+ *
+ *   dots — the engine's own emphasis ruby over each word, punctuation left
+ *          outside: `<cute<ヽヽヽヽ>.`
+ *   caps — the words in capitals, `CUTE`; the default, as the engine
+ *          shows Markdown asterisks as they are
+ *   wrap — the words between the two strings of `emphasis.wrap`, for a
+ *          project whose font has a mark of its own to set them off
+ *   none — the markers dropped
+ *
+ * Markers are only rendered on lines whose original has emphasis dots, so
+ * asterisks elsewhere are left alone. validate-emphasis reports emphasis
+ * spans whose line shows no emphasis in the English.
+ */
+
+import { parseRuby } from "./ruby.mjs";
+
+export const EMPHASIS_STYLES = ["dots", "caps", "wrap", "none"];
+
+const MARKED = /\*\*([^*]+)\*\*/g;
+const DOT = "ヽ";
+// A word: letters and digits, joined by apostrophes or hyphens inside it.
+const WORD = /[\p{L}\p{N}]+(?:['\u2019-][\p{L}\p{N}]+)*/gu;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * The spans of `line` marked with emphasis dots, as displayed: the bases of
+ * neighbouring emphasis groups are joined (`<し<ヽ><な<ヽ>` is しな).
+ */
+export function emphasisSpans(line) {
+  const spans = [];
+  let end = -1;
+  for (const { base, emphasis, offset } of parseRuby(line).rubies) {
+    if (!emphasis) continue;
+    if (offset === end) {
+      spans[spans.length - 1] += base;
+    } else {
+      spans.push(base);
+    }
+    end = offset + base.length;
+  }
+  return spans;
+}
+
+/**
+ * Render the `**` markers of a translated line in `emphasis.style`.
+ */
+export function renderEmphasis(line, { style, wrap }) {
+  return line.replace(MARKED, (_, words) => {
+    switch (style) {
+      case "dots":
+        return words.replace(WORD, (w) => `<${w}<${DOT.repeat(w.length)}>`);
+      case "caps":
+        return words.toUpperCase();
+      case "wrap":
+        return `${wrap[0]}${words}${wrap[1]}`;
+      default:
+        return words;
+    }
+  });
+}
+
+/**
+ * True when a translated line has `**` markers.
+ */
+export const hasMarkers = (line) => new RegExp(MARKED.source).test(line);
+
+/**
+ * True when a translated line shows emphasis: `**` markers not yet
+ * rendered, or the rendering of `emphasis.style`. Always true for style
+ * "none", which drops emphasis on purpose.
+ */
+export function showsEmphasis(line, { style, wrap }) {
+  if (hasMarkers(line)) return true;
+  switch (style) {
+    case "dots":
+      return parseRuby(line).rubies.some((ruby) => ruby.emphasis);
+    case "caps":
+      return /(?<![\p{L}\p{N}])\p{Lu}{2,}(?![\p{L}\p{N}])/u.test(line);
+    case "wrap":
+      return new RegExp(
+        `${escapeRegExp(wrap[0])}\\S.*?${escapeRegExp(wrap[1])}`
+      ).test(line);
+    default:
+      return true;
+  }
+}
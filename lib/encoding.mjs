@@ -0,0 +1,170 @@
+/**
+ * Script Encoding
+ *
+ * The game reads its scripts as Shift-JIS. Originals and the exported
+ * `translated*` folders are Shift-JIS; `translated-full/` and the Gemini
+ * text files are UTF-8. This module is the single place that converts
+ * between the two.
+ *
+ * Unicode characters with no Shift-JIS representation are silently turned
+ * into '?' by `Encoding.convert`, so every Shift-JIS write first applies the
+ * project's transliteration table (lib/transliterate.mjs, adjusted by
+ * `transliterations` in caucasus.config.json), then decodes the produced
+ * bytes again and throws an EncodingError at the first character that did
+ * not survive.
+ */
+
+import Encoding from "encoding-japanese";
+import { loadConfig } from "./config.mjs";
+import { StageFailure } from "./stage.mjs";
+
+export const sjisDecoder = new TextDecoder("shift_jis");
+
+// Characters that share a Shift-JIS code with another character, and so
+// decode as that one. Nothing is lost, so the round trip accepts them.
+const SJIS_EQUIVALENTS = new Map([
+  ["\u00A2", "\uFFE0"], // ¢ → ￠
+  ["\u00A3", "\uFFE1"], // £ → ￡
+  ["\u00AC", "\uFFE2"], // ¬ → ￢
+  ["\u2016", "\u2225"], // ‖ → ∥
+  ["\u2212", "\uFF0D"], // − → －
+  ["\u301C", "\uFF5E"], // 〜 → ～
+]);
+
+/**
+ * A character that would not survive encoding. `file`, `line` and `column`
+ * (1-based, in characters) locate it; `codePoint` identifies it.
+ */
+export class EncodingError extends StageFailure {
+  constructor({ file, line, column, codePoint }) {
+    const hex = codePoint.toString(16).toUpperCase().padStart(4, "0");
+    super(
+      `${file}:${line}:${column}: U+${hex} ` +
+        `"${String.fromCodePoint(codePoint)}" cannot be encoded as Shift-JIS`
+    );
+    this.name = "EncodingError";
+    Object.assign(this, { file, line, column, codePoint });
+  }
+}
+
+/**
+ * The project's transliteration table: character → Shift-JIS-safe
+ * replacement.
+ */
+export function transliterationTable() {
+  return loadConfig().transliterations;
+}
+
+/**
+ * Replace Unicode characters that cannot be represented in Shift-JIS, using
+ * the project's transliteration table.
+ */
+export function replaceUnsafeChars(str, table = transliterationTable()) {
+  return Array.from(str, (ch) => table.get(ch) ?? ch).join("");
+}
+
+/**
+ * Returns true when the character `ch` survives a Shift-JIS round trip, as
+ * itself or as its Shift-JIS equivalent.
+ */
+export function isShiftJISEncodable(ch) {
+  const decoded = decodeShiftJIS(convertToShiftJIS(ch));
+  return decoded === ch || decoded === SJIS_EQUIVALENTS.get(ch);
+}
+
+/**
+ * Convert a Unicode string to Shift-JIS bytes as-is; unencodable characters
+ * become '?'.
+ */
+function convertToShiftJIS(str) {
+  const codeArray = Encoding.convert(Encoding.stringToCode(str), {
+    to: "SJIS",
+    from: "UNICODE",
+  });
+  return Buffer.from(codeArray);
+}
+
+/**
+ * Encode a Unicode string to a Shift-JIS Buffer, replacing characters that
+ * cannot be represented in Shift-JIS first. Throws an EncodingError if the
+ * result does not decode back to the replaced string; `file` names the
+ * target in the error.
+ */
+export function encodeShiftJIS(str, { file = "<text>" } = {}) {
+  const intended = replaceUnsafeChars(str);
+  const buf = convertToShiftJIS(intended);
+  verifyRoundTrip(intended, decodeShiftJIS(buf), file);
+  return buf;
+}
+
+/**
+ * Compare the intended text with what its encoded bytes decode to, one
+ * character at a time, and throw an EncodingError at the first character
+ * that changed (other than into its Shift-JIS equivalent). Characters
+ * decoded past the end of the intended text are reported as a StageFailure
+ * naming that tail.
+ */
+export function verifyRoundTrip(intended, decoded, file = "<text>") {
+  if (intended === decoded) return;
+
+  const want = Array.from(intended);
+  const got = Array.from(decoded);
+  let line = 1;
+  let column = 1;
+
+  for (let i = 0; i < want.length; i++) {
+    const ch = want[i];
+    const equivalent = SJIS_EQUIVALENTS.get(ch) ?? ch;
+    if (got[i] !== ch && got[i] !== equivalent) {
+      throw new EncodingError({
+        file,
+        line,
+        column,
+        codePoint: ch.codePointAt(0),
+      });
+    }
+    if (ch === "\n") {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+  }
+
+  if (got.length > want.length) {
+    const tail = got.slice(want.length).join("");
+    throw new StageFailure(
+      `${file}:${line}:${column}: Shift-JIS bytes decode with an extra ` +
+        `tail ${JSON.stringify(tail)}`
+    );
+  }
+}
+
+/**
+ * Decode a Shift-JIS buffer to a Unicode string.
+ */
+export function decodeShiftJIS(buf) {
+  return sjisDecoder.decode(buf);
+}
+
+/**
+ * Decode a buffer that may be either Shift-JIS or UTF-8, depending on the
+ * detected encoding. Returns { text, encoding } with encoding "sjis" or
+ * "utf-8".
+ */
+export function decodeAuto(buf) {
+  if (Encoding.detect(buf) === "SJIS") {
+    return { text: sjisDecoder.decode(buf), encoding: "sjis" };
+  }
+  return { text: buf.toString("utf-8"), encoding: "utf-8" };
+}
+
+/**
+ * Encode text for writing in the given encoding ("sjis" or "utf-8"). `file`
+ * names the target in Shift-JIS round-trip errors.
+ */
+export function encodeText(text, encoding, { file } = {}) {
+  return encoding === "sjis"
+    ? encodeShiftJIS(text, { file })
+    : Buffer.from(text, "utf-8");
+}
@@ -0,0 +1,606 @@
+/**
+ * Fixed-Layout Padding
+ *
+ * Scripts padded with the "fixed" layout have no word wrap: each fullwidth
+ * character of the original occupies 2 columns, so a translated line must
+ * be exactly 2× the original line's character count, not counting ruby
+ * readings (see lib/ruby.mjs). A player-name token such as `(NAME01)`
+ * counts once, as long as its default name (see lib/templates.mjs).
+ *
+ * Every layout of fixedLayouts() (lib/config.mjs) goes through the same
+ * three stages, implemented here once and run for one layout by the
+ * per-layout scripts:
+ *
+ *   check-long-lines-<name>     — checkFixedLayout(): export the lines
+ *                                 longer than their limit to
+ *                                 `padding.longLinesFile`
+ *   validate-long-lines-fix-<name>
+ *                               — validateFixedLayout(): check the
+ *                                 shortened lines of `padding.updatedFile`
+ *   pad-<name>                  — padFixedLayout(): pad every line to its
+ *                                 limit with `width.fixedPadChar`, writing
+ *                                 to `padding.dir`
+ *
+ * A layout with a `manifestFile` works on the scripts listed in it; the
+ * others work on every script of their translated directory.
+ *
+ * The long-lines files hold one entry per two lines (see
+ * lib/long-lines.mjs):
+ *
+ *   {fileName} | {lineNumber} | {requiredLength}
+ *   {lineContent}
+ *
+ * Lines identical to the original (speech sources, options, etc.) and empty
+ * lines are never checked or padded. All files are Shift-JIS encoded.
+ */
+
+import { readFile, readdir, writeFile, mkdir } from "fs/promises";
+import path from "path";
+import { hashInputs, openBuildCache } from "./build-cache.mjs";
+import { fixedLayout, fixedWidthLimit, loadConfig } from "./config.mjs";
+import {
+  detectOptionLines,
+  readOriginal,
+  readScript,
+  writeScript,
+} from "./script.mjs";
+import { StageFailure } from "./stage.mjs";
+import { templateWidth } from "./templates.mjs";
+
+// Bump when the padding rules change, so every file is padded again.
+const BUILD_VERSION = 4;
+
+/**
+ * The script names of a layout: its manifest, or every script of its
+ * translated directory. Returns null, after saying so, when the manifest
+ * lists no scripts.
+ */
+async function layoutFiles({ dir, manifestFile }, verb) {
+  if (!manifestFile) {
+    return (await readdir(dir)).filter((f) => f.endsWith(".txt")).sort();
+  }
+
+  const manifest = JSON.parse(await readFile(manifestFile, "utf-8"));
+  if (manifest.length === 0) {
+    console.log(`No files listed in ${manifestFile}, nothing to ${verb}.`);
+    return null;
+  }
+  return manifest;
+}
+
+/**
+ * Read a translated script of a layout, or warn and return null when a
+ * manifest names a file that does not exist.
+ */
+async function readTranslated(dir, fileName) {
+  try {
+    return await readScript(path.join(dir, fileName));
+  } catch {
+    console.warn(`  ⚠  Translated file not found: ${fileName}, skipping.`);
+    return null;
+  }
+}
+
+/**
+ * The lines of a translated script to check against their limit, as
+ * [{ index, origLine }]: the non-empty lines that differ from the original.
+ */
+function laidOutLines(transLines, origLines) {
+  const lineCount = Math.min(transLines.length, origLines.length);
+  const lines = [];
+  for (let i = 0; i < lineCount; i++) {
+    const origLine = origLines[i];
+    if (origLine.length === 0) continue;
+    if (transLines[i] === origLine) continue;
+    lines.push({ index: i, origLine });
+  }
+  return lines;
+}
+
+/**
+ * Parse the entries of a long-lines file, split per file.
+ * Returns a Map of fileName → array of raw two-line strings.
+ */
+function parseExistingEntries(content) {
+  const lines = content.split("\n");
+  const byFile = new Map();
+
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const header = lines[i];
+    const text = lines[i + 1];
+    const parts = header.split(" | ");
+    if (parts.length !== 3) continue;
+
+    const fileName = parts[0];
+    if (!byFile.has(fileName)) byFile.set(fileName, []);
+    byFile.get(fileName).push(header, text);
+  }
+
+  return byFile;
+}
+
+/**
+ * Export the over-long lines of the layout `name` to its
+ * `padding.longLinesFile`.
+ *
+ * A layout with a manifest keeps the entries of the files it exported
+ * before and only scans the files added to the manifest since, whose
+ * entries are put at the top for editing.
+ */
+export async function checkFixedLayout(name) {
+  const config = loadConfig();
+  const layout = fixedLayout(config, name);
+  const { dir, manifestFile, padding } = layout;
+  const outputFile = padding.longLinesFile;
+
+  const fileNames = await layoutFiles(layout, "check");
+  if (!fileNames) return;
+
+  // Load existing output to preserve entries for files already processed.
+  let existingByFile = new Map();
+  if (manifestFile) {
+    try {
+      const existing = await readFile(outputFile, "utf-8");
+      if (existing.trim().length > 0) {
+        existingByFile = parseExistingEntries(existing);
+      }
+    } catch {
+      // No existing file — first run.
+    }
+  }
+
+  const newEntries = [];
+  let totalChecked = 0;
+  let newFileCount = 0;
+
+  for (const fileName of fileNames) {
+    // Skip files that already have entries in the output.
+    if (existingByFile.has(fileName)) continue;
+
+    newFileCount++;
+
+    const translated = await readTranslated(dir, fileName);
+    if (!translated) continue;
+    const transLines = translated.lines;
+
+    const original = await readOriginal(config.originalDir, fileName);
+    if (!original) {
+      console.warn(`  ⚠  No original found for ${fileName}, skipping.`);
+      continue;
+    }
+
+    for (const { index, origLine } of laidOutLines(
+      transLines,
+      original.lines
+    )) {
+      const required = fixedWidthLimit(config, origLine);
+      totalChecked++;
+
+      if (templateWidth(config, transLines[index]) > required) {
+        newEntries.push({
+          fileName,
+          lineNum: index + 1,
+          required,
+          text: transLines[index],
+        });
+      }
+    }
+  }
+
+  // Build output: new entries first, then existing entries.
+  const outputLines = [];
+
+  for (const entry of newEntries) {
+    outputLines.push(
+      `${entry.fileName} | ${entry.lineNum} | ${entry.required}`
+    );
+    outputLines.push(entry.text);
+  }
+
+  for (const fileName of fileNames) {
+    if (!existingByFile.has(fileName)) continue;
+    outputLines.push(...existingByFile.get(fileName));
+  }
+
+  await writeFile(outputFile, outputLines.join("\n"), "utf-8");
+
+  console.log("— Summary —");
+  if (manifestFile) {
+    console.log(`  Files in manifest:  ${fileNames.length}`);
+    console.log(`  New files scanned:  ${newFileCount}`);
+    console.log(`  New lines too long: ${newEntries.length}`);
+    console.log(`  Existing entries:   ${existingByFile.size} files kept`);
+  } else {
+    console.log(`  Lines checked: ${totalChecked}`);
+    console.log(`  Lines too long: ${newEntries.length}`);
+  }
+  console.log(`  Exported to: ${outputFile}`);
+  console.log();
+  console.log(
+    `Copy to ${padding.updatedFile}, shorten each content line,` +
+      ` then run validate-long-lines-fix-${name}.mjs`
+  );
+}
+
+/**
+ * Build a canonical header key for set comparison.
+ */
+function headerKey(entry) {
+  return `${entry.fileName} | ${entry.lineNum} | ${entry.required}`;
+}
+
+/**
+ * Parse a fixed-layout long-lines file into an array of entries.
+ * Every two lines form one entry: header then content.
+ * Header format: {fileName} | {lineNumber} | {requiredLength}
+ */
+function parseEntries(content) {
+  const lines = content.split("\n");
+  const entries = [];
+
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const header = lines[i];
+    const text = lines[i + 1];
+
+    const parts = header.split(" | ");
+    if (parts.length !== 3) {
+      throw new Error(`Invalid header at line ${i + 1}: ${header}`);
+    }
+
+    const fileName = parts[0];
+    const lineNum = parseInt(parts[1], 10);
+    const required = parseInt(parts[2], 10);
+
+    if (isNaN(lineNum) || isNaN(required)) {
+      throw new Error(`Invalid numbers in header at line ${i + 1}: ${header}`);
+    }
+
+    entries.push({ fileName, lineNum, required, text });
+  }
+
+  return entries;
+}
+
+/**
+ * Serialize entries back to the two-line-per-entry format.
+ */
+function serializeEntries(entries) {
+  const lines = [];
+  for (const entry of entries) {
+    lines.push(headerKey(entry));
+    lines.push(entry.text);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Validate the manually shortened lines of the layout `name`: the entry
+ * headers of `padding.updatedFile` must match those of
+ * `padding.longLinesFile` (order may differ), and every updated line must
+ * fit the limit of its original line, whatever required length its header
+ * was exported with.
+ *
+ * When only the lengths fail, the updated file is rewritten with the
+ * still-invalid entries at the top and the valid entries at the bottom.
+ * No translated file is modified; the overrides are applied by
+ * padFixedLayout().
+ */
+export async function validateFixedLayout(name) {
+  const config = loadConfig();
+  const { padding } = fixedLayout(config, name);
+  const { longLinesFile, updatedFile } = padding;
+
+  // Step 1: Read and parse both files.
+  const originalContent = await readFile(longLinesFile, "utf-8");
+  const updatedContent = await readFile(updatedFile, "utf-8");
+
+  const originalEntries = parseEntries(originalContent);
+  const updatedEntries = parseEntries(updatedContent);
+
+  // Step 2: Verify the set of entry headers match between both files.
+  const originalKeys = new Set(originalEntries.map(headerKey));
+  const updatedKeys = new Set(updatedEntries.map(headerKey));
+
+  let headerMismatch = false;
+
+  for (const key of originalKeys) {
+    if (!updatedKeys.has(key)) {
+      console.error(`Missing in updated file: ${key}`);
+      headerMismatch = true;
+    }
+  }
+  for (const key of updatedKeys) {
+    if (!originalKeys.has(key)) {
+      console.error(`Extra in updated file: ${key}`);
+      headerMismatch = true;
+    }
+  }
+
+  if (originalEntries.length !== updatedEntries.length) {
+    console.error(
+      `Entry count mismatch: original has ${originalEntries.length}, ` +
+        `updated has ${updatedEntries.length}`
+    );
+    headerMismatch = true;
+  }
+
+  if (headerMismatch) {
+    throw new StageFailure(`Entry headers of ${updatedFile} do not match`);
+  }
+
+  // Step 3: Check that every updated line is within the limit of its
+  // original line, the one padFixedLayout() applies. The required length of
+  // a header is only what it was when the long-lines file was exported.
+  const originals = new Map();
+  const invalid = [];
+  const valid = [];
+  let staleHeaders = 0;
+
+  for (const entry of updatedEntries) {
+    if (!originals.has(entry.fileName)) {
+      const original = await readOriginal(config.originalDir, entry.fileName);
+      originals.set(entry.fileName, original?.lines ?? []);
+    }
+    const origLine = originals.get(entry.fileName)[entry.lineNum - 1];
+    const limit = origLine ? fixedWidthLimit(config, origLine) : 0;
+    if (origLine && limit !== entry.required) staleHeaders++;
+
+    if (templateWidth(config, entry.text) > limit) {
+      invalid.push({ ...entry, limit });
+    } else {
+      valid.push(entry);
+    }
+  }
+
+  if (staleHeaders > 0) {
+    console.warn(
+      `  ⚠  ${staleHeaders} headers of ${updatedFile} have a required ` +
+        `length other than their current limit; re-run ` +
+        `check-long-lines-${name}.mjs to export them again.`
+    );
+  }
+
+  if (invalid.length > 0) {
+    console.error(
+      `${invalid.length} entries still too long (${valid.length} valid):\n`
+    );
+    for (const entry of invalid) {
+      console.error(
+        `  ${entry.fileName} line ${entry.lineNum}: ` +
+          `${templateWidth(config, entry.text)} chars, max ${entry.limit}`
+      );
+    }
+
+    const reordered = [...invalid, ...valid];
+    await writeFile(updatedFile, serializeEntries(reordered), "utf-8");
+
+    console.error(
+      `\nRewrote ${updatedFile} with ${invalid.length} invalid entries ` +
+        `at the top. Fix those and re-run.`
+    );
+    throw new StageFailure(`${invalid.length} entries still too long`);
+  }
+
+  console.log("✓ All entries valid.");
+  console.log(`  Total entries: ${updatedEntries.length}`);
+}
+
+/**
+ * Load overrides from the updated long-lines file.
+ * Returns a Map keyed by "{fileName}:{lineNum}" → overrideText. Their
+ * length is checked against the limit of the line when they are applied.
+ */
+async function loadOverrides(overridesFile) {
+  const overrides = new Map();
+
+  let content;
+  try {
+    content = await readFile(overridesFile, "utf-8");
+  } catch {
+    return overrides;
+  }
+
+  const lines = content.split("\n");
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const parts = lines[i].split(" | ");
+    if (parts.length !== 3) continue;
+
+    const fileName = parts[0];
+    const lineNum = parseInt(parts[1], 10);
+    const required = parseInt(parts[2], 10);
+    const text = lines[i + 1];
+
+    if (isNaN(lineNum) || isNaN(required)) continue;
+
+    overrides.set(`${fileName}:${lineNum}`, text);
+  }
+
+  if (overrides.size > 0) {
+    console.log(
+      `Loaded ${overrides.size} overrides from ${overridesFile}\n`
+    );
+  }
+
+  return overrides;
+}
+
+/**
+ * Pad every script of the layout `name` to its exact required length,
+ * writing to `padding.dir` as Shift-JIS.
+ *
+ * Lines of `padding.updatedFile` replace the lines that were flagged as too
+ * long before padding is applied. Option/choice lines are detected and
+ * replaced with the original Japanese text, since the game can't render
+ * translated options; they are exported to `padding.optionsFile`.
+ *
+ * Files whose translation, original and overrides are unchanged since the
+ * last run are not padded again (see lib/build-cache.mjs), unless
+ * `options.force` is set. Returns the build summary of the cache.
+ */
+export async function padFixedLayout(name, options = {}) {
+  const config = loadConfig();
+  const layout = fixedLayout(config, name);
+  const { dir, padding } = layout;
+
+  const fileNames = await layoutFiles(layout, "pad");
+  if (!fileNames) return;
+
+  await mkdir(padding.dir, { recursive: true });
+
+  const overrides = await loadOverrides(padding.updatedFile);
+
+  const cache = await openBuildCache(
+    config,
+    `pad-${name}`,
+    BUILD_VERSION,
+    options
+  );
+
+  let totalFiles = 0;
+  let paddedLines = 0;
+  let overriddenLines = 0;
+  let overLimitLines = 0;
+  let optionLineCount = 0;
+  const optionEntries = [];
+
+  // Add a file's results to the totals, whether it was padded in this run
+  // or taken from the build cache.
+  const tally = ({ group, padded, overridden }) => {
+    totalFiles++;
+    paddedLines += padded;
+    overriddenLines += overridden;
+    if (group) {
+      optionEntries.push(group);
+      optionLineCount += group.options.length;
+    }
+  };
+
+  for (const fileName of fileNames) {
+    const translated = await readTranslated(dir, fileName);
+    if (!translated) continue;
+
+    const { raw, lines: transLines, trailingNewline } = translated;
+    const outputPath = path.join(padding.dir, fileName);
+
+    const original = await readOriginal(config.originalDir, fileName);
+    const fileOverrides = [...overrides]
+      .filter(([key]) => key.startsWith(`${fileName}:`))
+      .flat();
+    const hash = hashInputs(raw, original?.raw ?? "", ...fileOverrides);
+
+    const cached = cache.lookup(fileName, hash, [outputPath]);
+    if (cached) {
+      tally(cached.data);
+      continue;
+    }
+
+    if (!original) {
+      console.warn(`  ⚠  No original found for ${fileName}, copying as-is.`);
+      await writeScript(outputPath, transLines, { trailingNewline });
+      // Not cached, so the warning is repeated until the original exists.
+      const data = { group: null, padded: 0, overridden: 0 };
+      cache.record(fileName, null, { outputs: [outputPath], data });
+      tally(data);
+      continue;
+    }
+
+    const origLines = original.lines;
+
+    const optionIndices = detectOptionLines(origLines);
+
+    let group = null;
+    if (optionIndices.size > 0) {
+      const sorted = [...optionIndices].sort((a, b) => a - b);
+      group = { fileName, options: [] };
+      for (const idx of sorted) {
+        const origText = origLines[idx] || "";
+        const transText = idx < transLines.length ? transLines[idx] : "";
+        group.options.push({ line: idx + 1, origText, transText });
+      }
+    }
+
+    const result = [...transLines];
+    let padded = 0;
+    let overridden = 0;
+    let overLimit = false;
+
+    for (const { index: i, origLine } of laidOutLines(transLines, origLines)) {
+      // Replace option lines with the original Japanese text.
+      if (optionIndices.has(i)) {
+        result[i] = origLine;
+        continue;
+      }
+
+      const required = fixedWidthLimit(config, origLine);
+
+      // Apply override if one exists for this line and fits its limit.
+      const override = overrides.get(`${fileName}:${i + 1}`);
+      if (override !== undefined) {
+        const width = templateWidth(config, override);
+        if (width > required) {
+          console.error(
+            `[SKIP] Override for ${fileName} line ${i + 1} still too long ` +
+              `(${width} chars, max ${required}). Run validation first.`
+          );
+        } else {
+          result[i] = override;
+          overridden++;
+        }
+      }
+
+      const current = templateWidth(config, result[i]);
+
+      if (current > required) {
+        overLimitLines++;
+        overLimit = true;
+        console.error(
+          `[OVER] ${fileName} line ${i + 1}: ` +
+            `${current} chars, required ${required}`
+        );
+        continue;
+      }
+
+      if (current < required) {
+        result[i] += config.width.fixedPadChar.repeat(required - current);
+        padded++;
+      }
+    }
+
+    await writeScript(outputPath, result, { trailingNewline });
+
+    // Files with over-limit lines are never cached, so the errors are
+    // reported on every run until the lines are fixed.
+    const data = { group, padded, overridden };
+    cache.record(fileName, overLimit ? null : hash, {
+      outputs: [outputPath],
+      data,
+    });
+    tally(data);
+  }
+
+  if (optionEntries.length > 0) {
+    const optionLines = [];
+    for (const group of optionEntries) {
+      optionLines.push(group.fileName);
+      for (const opt of group.options) {
+        optionLines.push(`${opt.line} | ${opt.origText} | ${opt.transText}`);
+      }
+      optionLines.push("");
+    }
+    await writeFile(padding.optionsFile, optionLines.join("\n"), "utf-8");
+    console.log(`Options exported to ${padding.optionsFile}`);
+  }
+
+  console.log("— Summary —");
+  console.log(`  Files processed:   ${totalFiles}`);
+  console.log(`  Lines overridden:  ${overriddenLines}`);
+  console.log(`  Option lines kept: ${optionLineCount}`);
+  console.log(`  Lines padded:      ${paddedLines}`);
+  if (overLimitLines > 0) {
+    console.error(`  Lines over limit: ${overLimitLines} (fix these first!)`);
+  }
+  cache.report();
+
+  await cache.save();
+  return cache.summary();
+}
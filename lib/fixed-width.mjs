@@ -0,0 +1,116 @@
+/**
+ * Fixed-Width Detection
+ *
+ * Some scripts of the fixed-width category are rendered by the game in a
+ * fixed-width layout (every fullwidth character takes two columns), so
+ * their translations must be padded like inspection scripts. They are
+ * listed in the fixed-width manifest. This module scores an original script
+ * on the traits such screens share, so candidates can be proposed instead
+ * of found in-game:
+ *
+ *   regularity  — share of content lines at the most common line length
+ *   padding     — share of content lines aligned with runs of fullwidth
+ *                 spaces (two or more, or trailing)
+ *   boxDrawing  — share of content lines using box-drawing or block
+ *                 characters (U+2500–U+259F)
+ *   noSpeech    — how far below a typical scene the share of speech
+ *                 source lines is
+ *   options     — choice lines (see detectOptionLines in lib/script.mjs)
+ *   repetition  — share of content lines written more than once, as
+ *                 branches of a choice replay the same passage
+ *
+ * Each trait is scored 0–1; the confidence is their weighted sum. The
+ * weights and the default `fixedWidth.minConfidence` are calibrated on the
+ * scripts of the manifest: 02a_1159.txt, a timed choice scene whose
+ * branches replay the same lines, has no padding or box drawing at all and
+ * is recognised by its choices and repeated lines.
+ */
+
+import { displayWidth } from "./ruby.mjs";
+import { detectOptionLines, isSpeechSource } from "./script.mjs";
+
+// Weight of each trait in the confidence score; they add up to 1.
+const WEIGHTS = {
+  regularity: 0.15,
+  padding: 0.15,
+  boxDrawing: 0.15,
+  noSpeech: 0.1,
+  options: 0.2,
+  repetition: 0.25,
+};
+
+// Share of speech source lines in a typical dialogue scene.
+const TYPICAL_SPEECH_SHARE = 0.35;
+
+// Scripts with fewer content lines than this are too short to judge
+// line-length regularity.
+const MIN_REGULAR_LINES = 4;
+
+// Choice lines, and share of repeated content lines, that score in full.
+const FULL_OPTIONS = 4;
+const FULL_REPETITION = 0.15;
+
+const BOX_DRAWING = /[─-▟]/;
+const FULLWIDTH_PADDING = /　{2,}|.　$/;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Score the lines of an original script. Returns { confidence, traits },
+ * where `traits` holds the 0–1 score of each trait.
+ */
+export function scoreFixedWidth(lines) {
+  const nonEmpty = lines.filter((line) => line.length > 0);
+  const content = nonEmpty.filter((line) => !isSpeechSource(line));
+  if (content.length === 0) {
+    return { confidence: 0, traits: {} };
+  }
+
+  // Line-length regularity: how many lines share the modal length.
+  const lengthCounts = new Map();
+  for (const line of content) {
+    const width = displayWidth(line);
+    lengthCounts.set(width, (lengthCounts.get(width) ?? 0) + 1);
+  }
+  const modal = Math.max(...lengthCounts.values());
+  const regularity =
+    content.length >= MIN_REGULAR_LINES ? modal / content.length : 0;
+
+  const share = (pattern) =>
+    content.filter((line) => pattern.test(line)).length / content.length;
+
+  const speechShare = (nonEmpty.length - content.length) / nonEmpty.length;
+
+  const occurrences = new Map();
+  for (const line of content) {
+    occurrences.set(line, (occurrences.get(line) ?? 0) + 1);
+  }
+  const repeated =
+    content.filter((line) => occurrences.get(line) > 1).length /
+    content.length;
+
+  const traits = {
+    regularity,
+    padding: clamp(share(FULLWIDTH_PADDING) * 2),
+    boxDrawing: clamp(share(BOX_DRAWING) * 2),
+    noSpeech: clamp(1 - speechShare / TYPICAL_SPEECH_SHARE),
+    options: clamp(detectOptionLines(lines).size / FULL_OPTIONS),
+    repetition: clamp(repeated / FULL_REPETITION),
+  };
+
+  let confidence = 0;
+  for (const [trait, weight] of Object.entries(WEIGHTS)) {
+    confidence += traits[trait] * weight;
+  }
+
+  return { confidence, traits };
+}
+
+/**
+ * Format trait scores as "regularity 0.42, padding 0.00, …".
+ */
+export function formatTraits(traits) {
+  return Object.entries(traits)
+    .map(([trait, score]) => `${trait} ${score.toFixed(2)}`)
+    .join(", ");
+}
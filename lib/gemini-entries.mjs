@@ -0,0 +1,156 @@
+/**
+ * Gemini Translation Entries
+ *
+ * Files in `gemini-translation-text/` contain one or more translation
+ * entries. An entry is identified by a three-line header:
+ *
+ *   --------------------       (20 dashes)
+ *   {fileName}
+ *   ********************       (20 asterisks)
+ *
+ * The content lines of an entry span from the line after the header until
+ * the next entry header, a separator line (80 dashes, between assistant
+ * replies), or end-of-file.
+ *
+ * The merged scene batches sent for translation, and the replies to them,
+ * use the same layout except that the first entry has no 20-dash line (see
+ * parseBatchEntries).
+ *
+ * A script with entries in more than one place has several revisions of
+ * its translation; lib/revisions.mjs decides which one the pipeline uses.
+ */
+
+import { readFile, readdir } from "fs/promises";
+import path from "path";
+
+export const HEADER_DASHES = "-".repeat(20);
+export const SEPARATOR_DASHES = "-".repeat(80);
+export const HEADER_STARS = "*".repeat(20);
+
+/**
+ * Parse the content of a translation text file and return every entry as
+ * { fileName, line, contentLines }, where `line` is the 1-based line number
+ * of the fileName line.
+ */
+export function parseTranslationEntries(content) {
+  const lines = content.split("\n");
+  const entries = [];
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i].trimEnd();
+
+    // Skip the 80-dash separators between assistant replies.
+    if (line === SEPARATOR_DASHES) {
+      i++;
+      continue;
+    }
+
+    // Detect a three-line entry header: 20 dashes, fileName, 20 asterisks.
+    if (
+      line === HEADER_DASHES &&
+      i + 2 < lines.length &&
+      lines[i + 2].trimEnd() === HEADER_STARS
+    ) {
+      const fileName = lines[i + 1].trimEnd();
+      const headerLine = i + 2;
+      i += 3;
+
+      const contentLines = [];
+      while (i < lines.length) {
+        const current = lines[i].trimEnd();
+        if (current === HEADER_DASHES || current === SEPARATOR_DASHES) break;
+        contentLines.push(current);
+        i++;
+      }
+
+      entries.push({ fileName, line: headerLine, contentLines });
+    } else {
+      i++;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Parse a merged scene batch or a model reply to one. An entry starts at a
+ * `{fileName}` line followed by 20 asterisks, with or without the 20-dash
+ * line before it, and ends at the next 20- or 80-dash line or entry.
+ * Anything before the first entry is ignored, and trailing empty lines are
+ * dropped from each entry. Returns [{ fileName, contentLines }].
+ */
+export function parseBatchEntries(content) {
+  const lines = content.split("\n").map((line) => line.trimEnd());
+  const isHeader = (i) =>
+    i + 1 < lines.length &&
+    lines[i + 1] === HEADER_STARS &&
+    lines[i].length > 0 &&
+    lines[i] !== HEADER_DASHES;
+
+  const entries = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (isHeader(i)) {
+      current = { fileName: lines[i], contentLines: [] };
+      entries.push(current);
+      i++;
+    } else if (lines[i] === HEADER_DASHES || lines[i] === SEPARATOR_DASHES) {
+      current = null;
+    } else if (current) {
+      current.contentLines.push(lines[i]);
+    }
+  }
+
+  for (const entry of entries) {
+    while (entry.contentLines.at(-1) === "") entry.contentLines.pop();
+  }
+  return entries;
+}
+
+/**
+ * List the translation text files in `dir`, sorted for deterministic
+ * processing order.
+ */
+export async function listTranslationFiles(dir) {
+  return (await readdir(dir)).filter((f) => f.endsWith(".txt")).sort();
+}
+
+/**
+ * Parse every translation text file in `dir`. Returns a flat array of
+ * entries, each tagged with the `translationFile` it came from.
+ */
+export async function readAllTranslationEntries(dir) {
+  const all = [];
+  for (const file of await listTranslationFiles(dir)) {
+    const content = await readFile(path.join(dir, file), "utf-8");
+    for (const entry of parseTranslationEntries(content)) {
+      all.push({ ...entry, translationFile: file });
+    }
+  }
+  return all;
+}
+
+/**
+ * Serialize a single entry in the header format above.
+ */
+export function formatEntry(fileName, contentLines) {
+  return [HEADER_DASHES, fileName, HEADER_STARS, ...contentLines].join("\n");
+}
+
+/**
+ * Serialize entries ([{ fileName, content }]) as a merged scene batch:
+ * `{fileName}` and 20 asterisks before each entry's content, 20 dashes
+ * between entries, after an optional `preamble` that parseBatchEntries
+ * ignores. `content` and `preamble` are Buffers, so the Shift-JIS of the
+ * originals passes through untouched; returns a Buffer.
+ */
+export function formatBatch(entries, preamble = Buffer.alloc(0)) {
+  const buffers = [preamble];
+  entries.forEach(({ fileName, content }, i) => {
+    if (i > 0) buffers.push(Buffer.from(`\n${HEADER_DASHES}\n`));
+    buffers.push(Buffer.from(`${fileName}\n${HEADER_STARS}\n`), content);
+  });
+  return Buffer.concat(buffers);
+}
@@ -0,0 +1,304 @@
+/**
+ * Conversation Importers
+ *
+ * parse-gemini-translations.mjs turns the chat exports in `gemini.jsonDir`
+ * into the reply text of `gemini-translation-text/`. Each export is read by
+ * the first importer that recognises it. An importer is an object with:
+ *
+ *   name                    — shown in the stage output
+ *   detect(fileName, text)  → boolean
+ *                           — whether the file is in this importer's format
+ *   parse(text)             → [{ messageIndex, text, thinking, timestamp }]
+ *                           — the assistant replies of the conversation, in
+ *                             order: `messageIndex` is the reply's position
+ *                             among the messages, `thinking` the model's
+ *                             reasoning ("" when there is none) and
+ *                             `timestamp` an ISO time or null
+ *
+ * The built-in importers, tried in this order:
+ *
+ *   gemini   — `[{ role, contents: [{ type: "text" | "thinking",
+ *              content }] }]`, the Gemini export layout
+ *   openai   — `[{ role, content }]` or `{ messages: [...] }`, where
+ *              `content` is a string or an array of parts; reasoning comes
+ *              from "reasoning" / "thinking" parts or `reasoning_content`
+ *   markdown — `.md` transcripts with a heading per message ("## User",
+ *              "## Assistant"); `<thinking>` blocks and `<details>` blocks
+ *              summarised as thinking or reasoning are the reasoning
+ *   plain    — `.txt` dumps of the replies alone, separated by lines of
+ *              80 dashes
+ *
+ * `gemini.importers` in caucasus.config.json lists modules exporting an
+ * `importer`, tried before the built-in ones.
+ */
+
+import { readFile, readdir } from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { SEPARATOR_DASHES } from "./gemini-entries.mjs";
+
+const ASSISTANT_ROLES = ["assistant", "model", "gemini", "chatgpt"];
+const MESSAGE_ROLES = [...ASSISTANT_ROLES, "user", "human", "you", "system"];
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+const isoTime = (time) => {
+  if (time === undefined || time === null || time === "") return null;
+  // OpenAI exports count seconds, Gemini exports milliseconds.
+  const ms = typeof time === "number" && time < 1e11 ? time * 1000 : time;
+  const date = new Date(ms);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const geminiImporter = {
+  name: "gemini",
+
+  detect(fileName, text) {
+    const data = fileName.endsWith(".json") ? parseJson(text) : undefined;
+    return (
+      Array.isArray(data) &&
+      data.length > 0 &&
+      data.every(
+        (m) => typeof m.role === "string" && Array.isArray(m.contents)
+      )
+    );
+  },
+
+  parse(text) {
+    const replies = [];
+    JSON.parse(text).forEach((message, messageIndex) => {
+      if (message.role !== "assistant") return;
+      const blocks = (type) =>
+        message.contents
+          .filter((block) => block.type === type)
+          .map((block) => block.content)
+          .join("\n");
+      replies.push({
+        messageIndex,
+        text: blocks("text"),
+        thinking: blocks("thinking"),
+        timestamp: isoTime(message.created_at || message.updated_at),
+      });
+    });
+    return replies;
+  },
+};
+
+const openaiMessages = (data) => {
+  if (Array.isArray(data)) return data;
+  return Array.isArray(data?.messages) ? data.messages : null;
+};
+
+const REASONING_PARTS = ["reasoning", "thinking"];
+
+const openaiImporter = {
+  name: "openai",
+
+  detect(fileName, text) {
+    const data = fileName.endsWith(".json") ? parseJson(text) : undefined;
+    const messages = openaiMessages(data);
+    return (
+      messages !== null &&
+      messages.length > 0 &&
+      messages.every((m) => typeof m.role === "string" && "content" in m)
+    );
+  },
+
+  parse(text) {
+    const replies = [];
+    openaiMessages(JSON.parse(text)).forEach((message, messageIndex) => {
+      if (message.role !== "assistant") return;
+
+      const parts =
+        typeof message.content === "string"
+          ? [{ type: "text", text: message.content }]
+          : (message.content ?? []);
+      const partText = (part) =>
+        typeof part === "string"
+          ? part
+          : (part.text ?? part.thinking ?? part.content ?? "");
+      const isReasoning = (part) => REASONING_PARTS.includes(part.type);
+
+      const thinking = [
+        message.reasoning_content ?? message.reasoning ?? "",
+        ...parts.filter(isReasoning).map(partText),
+      ].filter((t) => typeof t === "string" && t.length > 0);
+
+      replies.push({
+        messageIndex,
+        text: parts
+          .filter((part) => !isReasoning(part))
+          .map(partText)
+          .join(""),
+        thinking: thinking.join("\n"),
+        timestamp: isoTime(
+          message.create_time ?? message.created_at ?? message.timestamp
+        ),
+      });
+    });
+    return replies;
+  },
+};
+
+// A message heading: "## User", "### Assistant:", "# **Model**" … Other
+// headings are part of the message.
+const MARKDOWN_HEADING = /^#{1,6}\s+\**([A-Za-z]+)\**:?\s*$/;
+const roleHeading = (line) => {
+  const role = line.trimEnd().match(MARKDOWN_HEADING)?.[1].toLowerCase();
+  return MESSAGE_ROLES.includes(role) ? role : null;
+};
+
+// Drop the empty lines around a message, keeping the indentation of its
+// first line.
+const trimBlankLines = (text) =>
+  text.replace(/^(?:[ \t]*\n)+/, "").replace(/(?:\n[ \t]*)+$/, "");
+const THINKING_BLOCK = new RegExp(
+  "<thinking>([\\s\\S]*?)</thinking>|" +
+    "<details>\\s*<summary>[^<]*(?:think|thought|reason)[^<]*</summary>" +
+    "([\\s\\S]*?)</details>",
+  "gi"
+);
+
+const markdownImporter = {
+  name: "markdown",
+
+  detect(fileName, text) {
+    return (
+      /\.(md|markdown)$/.test(fileName) &&
+      text.split("\n").some((line) => roleHeading(line) !== null)
+    );
+  },
+
+  parse(text) {
+    const messages = [];
+    for (const line of text.split("\n")) {
+      const role = roleHeading(line);
+      if (role) {
+        messages.push({ role, lines: [] });
+      } else if (messages.length > 0) {
+        messages.at(-1).lines.push(line);
+      }
+    }
+
+    const replies = [];
+    messages.forEach(({ role, lines }, messageIndex) => {
+      if (!ASSISTANT_ROLES.includes(role)) return;
+      const body = lines.join("\n");
+      const thinking = [];
+      const reply = body.replace(THINKING_BLOCK, (_, tagged, details) => {
+        thinking.push((tagged ?? details).trim());
+        return "";
+      });
+      replies.push({
+        messageIndex,
+        text: trimBlankLines(reply),
+        thinking: thinking.join("\n"),
+        timestamp: null,
+      });
+    });
+    return replies;
+  },
+};
+
+const plainImporter = {
+  name: "plain",
+
+  detect(fileName) {
+    return fileName.endsWith(".txt");
+  },
+
+  parse(text) {
+    const replies = [[]];
+    for (const line of text.split("\n")) {
+      if (line.trimEnd() === SEPARATOR_DASHES) {
+        replies.push([]);
+      } else {
+        replies.at(-1).push(line);
+      }
+    }
+    return replies.map((lines, messageIndex) => ({
+      messageIndex,
+      text: lines.join("\n"),
+      thinking: "",
+      timestamp: null,
+    }));
+  },
+};
+
+const BUILT_IN_IMPORTERS = [
+  geminiImporter,
+  openaiImporter,
+  markdownImporter,
+  plainImporter,
+];
+
+let loaded = null;
+
+/**
+ * The importers to try, in order: those of `gemini.importers`, then the
+ * built-in ones.
+ */
+export async function loadImporters(config) {
+  const modules = config.gemini.importers;
+  if (loaded && loaded.modules === modules) return loaded.importers;
+
+  const importers = [];
+  for (const file of modules) {
+    const module = await import(pathToFileURL(path.resolve(file)).href);
+    const { importer } = module;
+    if (
+      typeof importer?.detect !== "function" ||
+      typeof importer?.parse !== "function"
+    ) {
+      throw new Error(`${file} does not export an importer`);
+    }
+    importers.push({ name: file, ...importer });
+  }
+  importers.push(...BUILT_IN_IMPORTERS);
+
+  loaded = { modules, importers };
+  return importers;
+}
+
+/**
+ * The conversation exports in `gemini.jsonDir`, sorted, as file paths.
+ * Returns [] when the directory does not exist.
+ */
+export async function listConversations(config) {
+  const { jsonDir } = config.gemini;
+  let files;
+  try {
+    files = await readdir(jsonDir);
+  } catch {
+    return [];
+  }
+  return files
+    .filter((f) => !f.startsWith("."))
+    .sort()
+    .map((f) => path.join(jsonDir, f));
+}
+
+/**
+ * Read the conversation export at `filePath` with the first importer that
+ * recognises it. Returns { importer, replies } with the replies that have
+ * text, or null when no importer recognises the file.
+ */
+export async function readConversation(config, filePath) {
+  const text = await readFile(filePath, "utf-8");
+  const fileName = path.basename(filePath);
+
+  for (const importer of await loadImporters(config)) {
+    if (!importer.detect(fileName, text)) continue;
+    const replies = importer
+      .parse(text)
+      .filter((reply) => reply.text.length > 0);
+    return { importer, replies };
+  }
+  return null;
+}
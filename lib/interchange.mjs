@@ -0,0 +1,446 @@
+/**
+ * Localization Interchange Formats
+ *
+ * Translated scripts exchanged with translation tools (CAT tools, Weblate,
+ * Poedit, …) as gettext PO, XLIFF 1.2, XLIFF 2.0 or TMX 1.4. A unit is one
+ * translated line paired with its original:
+ *
+ *   { path, line, source, target, speaker }
+ *
+ * `path` is the translated script (e.g. translated-question/F01_a001.txt),
+ * `line` the 1-based line in it, `source` the original line, `target` the
+ * translated line and `speaker` the Japanese speaker name of a speech
+ * content line, or null. Speech source lines (＃) are not units: the engine
+ * shows the Japanese name from the original, so they are never edited.
+ *
+ * Every format carries the path and line as the unit's location and the
+ * speaker as a translator note, and `parse()` reads back the units a tool
+ * saved, so edits can be written back to the scripts (import-interchange).
+ * Only the plain structure written here is understood; inline markup a
+ * tool adds to a target is dropped, keeping its text.
+ *
+ * The targets as exported are kept beside the files in EXPORTED_FILE,
+ * { "{path}:{line}": target }, so a target counts as edited only when it
+ * differs from its export, and the untouched copies of a line in the other
+ * formats never undo an edit.
+ */
+
+import { segmentPairs } from "./memory.mjs";
+
+export const EXPORTED_FILE = "exported.json";
+
+/**
+ * The units of a translated script at `filePath`, paired line by line with
+ * its original.
+ */
+export function scriptUnits(filePath, origLines, transLines) {
+  return segmentPairs(origLines, transLines).map(
+    ({ line, speaker, english }) => ({
+      path: filePath,
+      line,
+      source: origLines[line - 1],
+      target: english,
+      speaker,
+    })
+  );
+}
+
+/**
+ * The location of a unit, "{path}:{line}", which identifies it.
+ */
+export const unitLocation = (unit) => `${unit.path}:${unit.line}`;
+
+/**
+ * The translator notes of a unit besides its location: the speaker of a
+ * speech line, with their English name.
+ */
+function unitNotes(unit, speakers) {
+  if (unit.speaker === null) return [];
+  const english = speakers.get(unit.speaker);
+  return [`Speaker: ${unit.speaker}${english ? ` (${english})` : ""}`];
+}
+
+const byPath = (units) => {
+  const files = new Map();
+  for (const unit of units) {
+    if (!files.has(unit.path)) files.set(unit.path, []);
+    files.get(unit.path).push(unit);
+  }
+  return files;
+};
+
+// --- XML -------------------------------------------------------------------
+
+const escapeXml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+/**
+ * The text of an element's content: CDATA kept, tags dropped, entities
+ * decoded.
+ */
+function xmlText(content) {
+  const parts = content.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/);
+  return parts
+    .map((part) => {
+      if (part.startsWith("<![CDATA[")) return part.slice(9, -3);
+      return part
+        .replace(/<[^>]*>/g, "")
+        .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+          if (name[0] !== "#") return ENTITIES[name] ?? entity;
+          const code =
+            name[1] === "x" || name[1] === "X"
+              ? parseInt(name.slice(2), 16)
+              : parseInt(name.slice(1), 10);
+          return String.fromCodePoint(code);
+        });
+    })
+    .join("");
+}
+
+function xmlAttributes(text) {
+  const attributes = {};
+  for (const [, name, double, single] of text.matchAll(
+    /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+  )) {
+    attributes[name] = xmlText(double ?? single);
+  }
+  return attributes;
+}
+
+/**
+ * The `tag` elements in `xml`, as [{ attributes, content }]. Elements of the
+ * same name must not nest, which holds for every element read here.
+ */
+function xmlElements(xml, tag) {
+  const pattern = new RegExp(
+    `<${tag}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${tag}\\s*>)`,
+    "g"
+  );
+  return [...xml.matchAll(pattern)].map(
+    ([, attributes = "", content = ""]) => ({
+      attributes: xmlAttributes(attributes),
+      content,
+    })
+  );
+}
+
+const firstText = (xml, tag) => {
+  const [element] = xmlElements(xml, tag);
+  return element ? xmlText(element.content) : null;
+};
+
+/**
+ * Split a location "path:line" written by the exporters.
+ */
+function parseLocation(location) {
+  const match = /^(.+):(\d+)$/.exec(location ?? "");
+  return match ? { path: match[1], line: Number(match[2]) } : null;
+}
+
+// --- gettext PO ------------------------------------------------------------
+
+const escapePo = (text) =>
+  text
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, "\\t")
+    .replace(/\n/g, "\\n");
+
+const unescapePo = (text) =>
+  text.replace(/\\(.)/g, (_, ch) => ({ n: "\n", t: "\t" })[ch] ?? ch);
+
+/**
+ * gettext PO. The location is the msgctxt, so repeated lines stay separate
+ * entries, and a "#:" reference; the speaker is an extracted comment ("#.").
+ * Fuzzy entries are not imported.
+ */
+const po = {
+  name: "po",
+  extension: ".po",
+
+  serialize(units, { sourceLanguage, targetLanguage, speakers }) {
+    const out = [
+      'msgid ""',
+      'msgstr ""',
+      '"Content-Type: text/plain; charset=UTF-8\\n"',
+      `"Language: ${targetLanguage}\\n"`,
+      `"X-Source-Language: ${sourceLanguage}\\n"`,
+      "",
+    ];
+    for (const unit of units) {
+      for (const note of unitNotes(unit, speakers)) out.push(`#. ${note}`);
+      out.push(`#: ${unitLocation(unit)}`);
+      out.push(`msgctxt "${escapePo(unitLocation(unit))}"`);
+      out.push(`msgid "${escapePo(unit.source)}"`);
+      out.push(`msgstr "${escapePo(unit.target)}"`);
+      out.push("");
+    }
+    return out.join("\n");
+  },
+
+  detect: (text) => /^\s*(msgid|msgctxt|#[.:,]?\s)/m.test(text),
+
+  parse(text) {
+    const units = [];
+    let entry = null;
+    let field = null;
+
+    const finish = () => {
+      if (!entry || entry.obsolete || entry.fuzzy) return;
+      const location = parseLocation(entry.msgctxt);
+      if (!location || entry.msgid === undefined) return;
+      units.push({
+        ...location,
+        source: entry.msgid,
+        target: entry.msgstr ?? "",
+      });
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (trimmed === "") {
+        finish();
+        entry = null;
+        field = null;
+        continue;
+      }
+      entry ??= {};
+      if (trimmed.startsWith("#~")) {
+        entry.obsolete = true;
+      } else if (trimmed.startsWith("#,")) {
+        if (/\bfuzzy\b/.test(trimmed)) entry.fuzzy = true;
+      } else if (trimmed.startsWith("#")) {
+        continue;
+      } else {
+        const match = /^(msgctxt|msgid|msgstr)\s+"(.*)"$/.exec(trimmed);
+        if (match) {
+          field = match[1];
+          entry[field] = unescapePo(match[2]);
+        } else if (field && /^".*"$/.test(trimmed)) {
+          entry[field] += unescapePo(trimmed.slice(1, -1));
+        }
+      }
+    }
+    finish();
+    return units;
+  },
+};
+
+// --- XLIFF 1.2 -------------------------------------------------------------
+
+/**
+ * XLIFF 1.2: a <file> per script (`original` is its path) and a
+ * <trans-unit> per line, located by a context group, with the speaker as a
+ * <note>.
+ */
+const xliff12 = {
+  name: "xliff12",
+  extension: ".xliff12.xlf",
+
+  serialize(units, { sourceLanguage, targetLanguage, speakers }) {
+    const out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    ];
+    for (const [filePath, fileUnits] of byPath(units)) {
+      out.push(
+        `  <file original="${escapeXml(filePath)}" ` +
+          `source-language="${sourceLanguage}" ` +
+          `target-language="${targetLanguage}" datatype="plaintext">`,
+        "    <body>"
+      );
+      for (const unit of fileUnits) {
+        out.push(
+          `      <trans-unit id="${unit.line}" ` +
+            `resname="${escapeXml(unitLocation(unit))}">`,
+          `        <source>${escapeXml(unit.source)}</source>`,
+          `        <target>${escapeXml(unit.target)}</target>`
+        );
+        for (const note of unitNotes(unit, speakers)) {
+          out.push(`        <note>${escapeXml(note)}</note>`);
+        }
+        out.push(
+          '        <context-group purpose="location">',
+          '          <context context-type="sourcefile">' +
+            `${escapeXml(unit.path)}</context>`,
+          '          <context context-type="linenumber">' +
+            `${unit.line}</context>`,
+          "        </context-group>",
+          "      </trans-unit>"
+        );
+      }
+      out.push("    </body>", "  </file>");
+    }
+    out.push("</xliff>", "");
+    return out.join("\n");
+  },
+
+  detect: (text) => /<xliff\b[^>]*\bversion\s*=\s*["']1\.2["']/.test(text),
+
+  parse(text) {
+    const units = [];
+    for (const file of xmlElements(text, "file")) {
+      const filePath = file.attributes.original;
+      for (const unit of xmlElements(file.content, "trans-unit")) {
+        const line = Number(unit.attributes.id);
+        const source = firstText(unit.content, "source");
+        if (!filePath || !Number.isInteger(line) || source === null) continue;
+        units.push({
+          path: filePath,
+          line,
+          source,
+          target: firstText(unit.content, "target") ?? "",
+        });
+      }
+    }
+    return units;
+  },
+};
+
+// --- XLIFF 2.0 -------------------------------------------------------------
+
+/**
+ * XLIFF 2.0: a <file> per script and a <unit> per line with one segment;
+ * the location and speaker are notes of the categories "location" and
+ * "speaker".
+ */
+const xliff20 = {
+  name: "xliff20",
+  extension: ".xliff20.xlf",
+
+  serialize(units, { sourceLanguage, targetLanguage, speakers }) {
+    const out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" ' +
+        `srcLang="${sourceLanguage}" trgLang="${targetLanguage}">`,
+    ];
+    let fileId = 0;
+    for (const [filePath, fileUnits] of byPath(units)) {
+      out.push(
+        `  <file id="f${++fileId}" original="${escapeXml(filePath)}">`
+      );
+      for (const unit of fileUnits) {
+        out.push(
+          `    <unit id="u${unit.line}">`,
+          "      <notes>",
+          '        <note category="location">' +
+            `${escapeXml(unitLocation(unit))}</note>`
+        );
+        for (const note of unitNotes(unit, speakers)) {
+          out.push(
+            `        <note category="speaker">${escapeXml(note)}</note>`
+          );
+        }
+        out.push(
+          "      </notes>",
+          "      <segment>",
+          `        <source>${escapeXml(unit.source)}</source>`,
+          `        <target>${escapeXml(unit.target)}</target>`,
+          "      </segment>",
+          "    </unit>"
+        );
+      }
+      out.push("  </file>");
+    }
+    out.push("</xliff>", "");
+    return out.join("\n");
+  },
+
+  detect: (text) => /<xliff\b[^>]*\bversion\s*=\s*["']2\.\d["']/.test(text),
+
+  parse(text) {
+    const units = [];
+    for (const file of xmlElements(text, "file")) {
+      const filePath = file.attributes.original;
+      for (const unit of xmlElements(file.content, "unit")) {
+        const match = /^u(\d+)$/.exec(unit.attributes.id ?? "");
+        const source = firstText(unit.content, "source");
+        if (!filePath || !match || source === null) continue;
+        units.push({
+          path: filePath,
+          line: Number(match[1]),
+          source,
+          target: firstText(unit.content, "target") ?? "",
+        });
+      }
+    }
+    return units;
+  },
+};
+
+// --- TMX 1.4 ---------------------------------------------------------------
+
+/**
+ * TMX 1.4: a <tu> per line, identified by its location, with a <tuv> per
+ * language and the speaker as a <note>.
+ */
+const tmx = {
+  name: "tmx",
+  extension: ".tmx",
+
+  serialize(units, { sourceLanguage, targetLanguage, speakers }) {
+    const out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<tmx version="1.4">',
+      '  <header creationtool="caucasus" creationtoolversion="1" ' +
+        'segtype="sentence" o-tmf="caucasus" adminlang="en" ' +
+        `srclang="${sourceLanguage}" datatype="plaintext"/>`,
+      "  <body>",
+    ];
+    for (const unit of units) {
+      out.push(`    <tu tuid="${escapeXml(unitLocation(unit))}">`);
+      for (const note of unitNotes(unit, speakers)) {
+        out.push(`      <note>${escapeXml(note)}</note>`);
+      }
+      out.push(
+        `      <tuv xml:lang="${sourceLanguage}">` +
+          `<seg>${escapeXml(unit.source)}</seg></tuv>`,
+        `      <tuv xml:lang="${targetLanguage}">` +
+          `<seg>${escapeXml(unit.target)}</seg></tuv>`,
+        "    </tu>"
+      );
+    }
+    out.push("  </body>", "</tmx>", "");
+    return out.join("\n");
+  },
+
+  detect: (text) => /<tmx\b/.test(text),
+
+  parse(text, { sourceLanguage, targetLanguage }) {
+    const units = [];
+    const language = (tuv) =>
+      (tuv.attributes["xml:lang"] ?? tuv.attributes.lang ?? "").toLowerCase();
+    for (const tu of xmlElements(text, "tu")) {
+      const location = parseLocation(tu.attributes.tuid);
+      if (!location) continue;
+      const tuvs = xmlElements(tu.content, "tuv");
+      const seg = (lang) => {
+        const tuv = tuvs.find((t) => language(t).split("-")[0] === lang);
+        return tuv ? firstText(tuv.content, "seg") ?? "" : null;
+      };
+      const source = seg(sourceLanguage);
+      if (source === null) continue;
+      units.push({ ...location, source, target: seg(targetLanguage) ?? "" });
+    }
+    return units;
+  },
+};
+
+export const FORMATS = new Map(
+  [po, xliff12, xliff20, tmx].map((format) => [format.name, format])
+);
+
+/**
+ * The format of an exchanged file, by its content: XLIFF by its version,
+ * anything else by its root element or PO keywords. Returns null when no
+ * format recognises it.
+ */
+export function detectFormat(text) {
+  return [xliff12, xliff20, tmx, po].find((f) => f.detect(text)) ?? null;
+}
@@ -0,0 +1,75 @@
+/**
+ * Long-Line Override Files
+ *
+ * The check-long-lines stages export over-long lines for manual shortening,
+ * one entry per two lines:
+ *
+ *   {filePath} | {lineNumber}               (word-wrap layout)
+ *   {fileName} | {lineNumber} | {required}  (fixed layouts)
+ *   {lineContent}
+ *
+ * The shortened lines are kept in each category's `padding.updatedFile`
+ * (`*_updated.txt`). Word-wrap entries name the translated file and are
+ * patched into it by apply-long-lines-fix.mjs; fixed-layout entries name a
+ * file of the category's translated directory and replace the line when it
+ * is padded.
+ */
+
+import { readFile } from "fs/promises";
+import path from "path";
+import { fixedWidthProfile } from "./config.mjs";
+
+/**
+ * Parse a long-lines file into { file, lineNum, required, text } entries,
+ * where `required` is null for word-wrap entries. Headers that cannot be
+ * parsed are skipped.
+ */
+export function parseLongLines(content) {
+  const lines = content.split("\n");
+  const entries = [];
+
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const parts = lines[i].split(" | ");
+    if (parts.length !== 2 && parts.length !== 3) continue;
+
+    const lineNum = parseInt(parts[1], 10);
+    const required = parts.length === 3 ? parseInt(parts[2], 10) : null;
+    if (isNaN(lineNum) || Number.isNaN(required)) continue;
+
+    entries.push({ file: parts[0], lineNum, required, text: lines[i + 1] });
+  }
+
+  return entries;
+}
+
+/**
+ * Load the `*_updated.txt` file of every padded category and of the
+ * fixed-width list. Returns a Map of translated file path → Map of 1-based
+ * line number → [{ text, updatedFile }].
+ */
+export async function loadUpdatedLines(config) {
+  const profiles = [
+    ...config.categories.filter((c) => c.padding),
+    fixedWidthProfile(config),
+  ];
+  const byFile = new Map();
+
+  for (const { dir, padding } of profiles) {
+    let content;
+    try {
+      content = await readFile(padding.updatedFile, "utf-8");
+    } catch {
+      continue;
+    }
+
+    for (const { file, lineNum, required, text } of parseLongLines(content)) {
+      const filePath = required === null ? file : path.join(dir, file);
+      if (!byFile.has(filePath)) byFile.set(filePath, new Map());
+      const byLine = byFile.get(filePath);
+      if (!byLine.has(lineNum)) byLine.set(lineNum, []);
+      byLine.get(lineNum).push({ text, updatedFile: padding.updatedFile });
+    }
+  }
+
+  return byFile;
+}
@@ -0,0 +1,298 @@
+/**
+ * Translation Memory
+ *
+ * Every translated line of the full track (`translated-full/`) with its
+ * original, recorded per occurrence rather than once per unique line as in
+ * translation-map.json. A segment is keyed like the translation map: a
+ * speech source line (＃) joined with the line after it, any other
+ * non-empty line as it is. The memory is written to `full.memoryFile`
+ * (translation-memory.json) by build-translation-memory.mjs:
+ *
+ *   { "segments": { "{key}": [{ "file": "02_0720.txt", "line": 3,
+ *                              "english": "..." }, ...] } }
+ *
+ * `line` is the 1-based line of the translated (content) line, and
+ * `english` its translation as it appears in the file.
+ *
+ * The memory is used to find lines translated differently in different
+ * scenes, to look up the lines nearest to a Japanese or English text, and
+ * to pre-fill the lines of new batches that were translated before, so the
+ * model is only asked about new text.
+ */
+
+import { readFile, readdir, writeFile } from "fs/promises";
+import path from "path";
+import { readScript } from "./script.mjs";
+
+/**
+ * The segments of a translated script: [{ key, line, speaker, english }]
+ * for every non-empty original line paired with the translated line at the
+ * same position. `speaker` is the Japanese speaker name of a speech
+ * segment, or null.
+ */
+export function segmentPairs(origLines, transLines) {
+  const segments = [];
+  let i = 0;
+  while (i < origLines.length && i < transLines.length) {
+    const origLine = origLines[i];
+    if (origLine.length === 0) {
+      i++;
+      continue;
+    }
+
+    if (origLine.startsWith("＃")) {
+      if (i + 1 < origLines.length && i + 1 < transLines.length) {
+        segments.push({
+          key: origLine + origLines[i + 1],
+          line: i + 2,
+          speaker: origLine.slice(1),
+          english: transLines[i + 1],
+        });
+        i += 2;
+      } else {
+        i++;
+      }
+      continue;
+    }
+
+    segments.push({
+      key: origLine,
+      line: i + 1,
+      speaker: null,
+      english: transLines[i],
+    });
+    i++;
+  }
+  return segments;
+}
+
+/**
+ * Read the segments of every script translated in the full track, in file
+ * order. Returns { fileNames, segments }: the scripts read, and their
+ * segments as [{ fileName, key, line, speaker, english }].
+ */
+export async function collectSegments(config) {
+  const translated = new Set(
+    (await readdir(config.full.dir)).filter((f) => f.endsWith(".txt"))
+  );
+  const fileNames = (await readdir(config.originalDir))
+    .filter((f) => f.endsWith(".txt") && translated.has(f))
+    .sort();
+
+  const segments = [];
+  for (const fileName of fileNames) {
+    const { lines: origLines } = await readScript(
+      path.join(config.originalDir, fileName)
+    );
+    const { lines: transLines } = await readScript(
+      path.join(config.full.dir, fileName),
+      { encoding: "auto" }
+    );
+    for (const segment of segmentPairs(origLines, transLines)) {
+      segments.push({ fileName, ...segment });
+    }
+  }
+  return { fileNames, segments };
+}
+
+/**
+ * Group `segments` into the memory: Map key → [{ file, line, english }].
+ */
+export function buildMemory(segments) {
+  const memory = new Map();
+  for (const { fileName, key, line, english } of segments) {
+    if (!memory.has(key)) memory.set(key, []);
+    memory.get(key).push({ file: fileName, line, english });
+  }
+  return memory;
+}
+
+export async function writeMemory(config, memory) {
+  const data = { segments: Object.fromEntries(memory) };
+  await writeFile(config.full.memoryFile, JSON.stringify(data, null, 1));
+}
+
+/**
+ * Read the memory written by build-translation-memory.mjs, or null when it
+ * has not been built yet.
+ */
+export async function readMemory(config) {
+  let content;
+  try {
+    content = await readFile(config.full.memoryFile, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  return new Map(Object.entries(JSON.parse(content).segments));
+}
+
+/**
+ * The distinct translations of a segment's occurrences, most used first:
+ * [{ english, occurrences }].
+ */
+export function variants(occurrences) {
+  const byEnglish = new Map();
+  for (const occurrence of occurrences) {
+    if (!byEnglish.has(occurrence.english)) {
+      byEnglish.set(occurrence.english, []);
+    }
+    byEnglish.get(occurrence.english).push(occurrence);
+  }
+  return [...byEnglish]
+    .map(([english, list]) => ({ english, occurrences: list }))
+    .sort((a, b) => b.occurrences.length - a.occurrences.length);
+}
+
+/**
+ * The translation of `key` when every occurrence agrees on it, otherwise
+ * (unknown or inconsistent) null.
+ */
+export function recall(memory, key) {
+  const occurrences = memory.get(key);
+  if (!occurrences) return null;
+  const [first, ...rest] = occurrences;
+  const agreed = rest.every((o) => o.english === first.english);
+  return agreed ? first.english : null;
+}
+
+/**
+ * The segment keys of a script's lines, as [{ index, key }]: `index` is the
+ * position of the line the key translates to, i.e. the line after a speech
+ * source, or the line itself.
+ */
+export function segmentKeys(lines) {
+  const keys = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].length === 0) continue;
+    if (lines[i].startsWith("＃") && i + 1 < lines.length) {
+      keys.push({ index: i + 1, key: lines[i] + lines[i + 1] });
+      i++;
+    } else {
+      keys.push({ index: i, key: lines[i] });
+    }
+  }
+  return keys;
+}
+
+/**
+ * Pre-fill a section's lines from the memory. Returns { prefill, complete }:
+ * `prefill` maps the index of every line with a consistent translation in
+ * the memory to it, in the reply format (speech content in double quotes,
+ * which clean-translations strips again), and `complete` is true when
+ * every line that needs translating has one.
+ */
+export function prefillSection(memory, contentLines) {
+  const prefill = new Map();
+  let unknown = 0;
+  for (const { index, key } of segmentKeys(contentLines)) {
+    if (contentLines[index].startsWith("＃")) continue;
+    const english = recall(memory, key);
+    if (english === null) {
+      unknown++;
+    } else if (index > 0 && contentLines[index - 1].startsWith("＃")) {
+      prefill.set(index, `"${english}"`);
+    } else {
+      prefill.set(index, english);
+    }
+  }
+  return { prefill, complete: unknown === 0 && prefill.size > 0 };
+}
+
+/**
+ * The reply entry of a section translated entirely from the memory: speech
+ * sources as `#{English name}`, every other line from `prefill`.
+ */
+export function filledEntry(section, prefill, speakers) {
+  const contentLines = section.contentLines.map((line, i) => {
+    if (line.startsWith("＃")) {
+      const name = line.slice(1);
+      return `#${speakers.get(name) ?? name}`;
+    }
+    return prefill.get(i) ?? line;
+  });
+  return { fileName: section.fileName, contentLines };
+}
+
+const bigrams = (text) => {
+  const chars = [...text.replace(/\s+/g, " ").trim()];
+  const grams = new Set();
+  for (let i = 0; i + 1 < chars.length; i++) {
+    grams.add(chars[i] + chars[i + 1]);
+  }
+  return grams;
+};
+
+const JAPANESE = /[\u3040-\u30ff\u3400-\u9fff]/;
+
+/**
+ * Index the memory for fuzzy lookups in both directions. Returns
+ * { lookup(text, { minSimilarity, limit }) }, which finds the segments whose
+ * Japanese key (when `text` contains Japanese) or English translation is
+ * nearest to `text`, scored by the Dice coefficient of their character
+ * bigrams: [{ key, english, similarity, occurrences }], best first, exact
+ * matches included.
+ */
+export function createMemoryIndex(memory) {
+  const indexes = { ja: null, en: null };
+
+  // Inverted index of one side: bigram → the entries containing it.
+  const build = (side) => {
+    const entries = [];
+    const postings = new Map();
+    for (const [key, occurrences] of memory) {
+      for (const { english, occurrences: list } of variants(occurrences)) {
+        if (side === "ja" && entries.at(-1)?.key === key) {
+          entries.at(-1).variants.push({ english, occurrences: list });
+          continue;
+        }
+        const grams = bigrams(side === "ja" ? key : english);
+        const entry = {
+          key,
+          text: side === "ja" ? key : english,
+          grams,
+          variants: [{ english, occurrences: list }],
+        };
+        entries.push(entry);
+        for (const gram of grams) {
+          if (!postings.has(gram)) postings.set(gram, []);
+          postings.get(gram).push(entry);
+        }
+      }
+    }
+    return postings;
+  };
+
+  return {
+    lookup(text, { minSimilarity = 0.8, limit = 5 } = {}) {
+      const side = JAPANESE.test(text) ? "ja" : "en";
+      indexes[side] ??= build(side);
+      const query = bigrams(text);
+      if (query.size === 0) return [];
+
+      const shared = new Map();
+      for (const gram of query) {
+        for (const entry of indexes[side].get(gram) ?? []) {
+          shared.set(entry, (shared.get(entry) ?? 0) + 1);
+        }
+      }
+
+      const matches = [];
+      for (const [entry, count] of shared) {
+        const similarity = (2 * count) / (query.size + entry.grams.size);
+        if (similarity < minSimilarity) continue;
+        for (const variant of entry.variants) {
+          matches.push({
+            key: entry.key,
+            english: variant.english,
+            similarity,
+            occurrences: variant.occurrences,
+          });
+        }
+      }
+      return matches
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+    },
+  };
+}
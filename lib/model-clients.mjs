@@ -0,0 +1,125 @@
+/**
+ * Model Clients
+ *
+ * translate-batches.mjs sends each batch prompt through a model client and
+ * expects the reply text back. A client is an object with:
+ *
+ *   name                      — shown in the stage output
+ *   complete({ batch, prompt }) → Promise<string>
+ *                             — the model's reply to `prompt`; `batch` is
+ *                               the batch name (e.g. "normal-01")
+ *
+ * `translation.client` in caucasus.config.json selects the client:
+ *
+ *   "gemini"       — the Gemini API (`translation.model`), authenticated
+ *                    with the key in the environment variable named by
+ *                    `translation.apiKeyEnv`
+ *   "mock"         — offline: replies are read from
+ *                    `{translation.mockDir}/{batch}.txt`, and every prompt
+ *                    is written next to it as `{batch}.prompt.txt`
+ *   "./path.mjs"   — a module exporting `createClient(settings)`, called
+ *                    with the `translation` settings
+ */
+
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+
+const GEMINI_ENDPOINT = "https://generativelanguage.googleapis.com/v1beta";
+
+/**
+ * Client for the Gemini generateContent API. Thought parts of the reply are
+ * dropped, like the thinking blocks of the conversation exports.
+ */
+function geminiClient({ model, apiKeyEnv }) {
+  return {
+    name: `gemini (${model})`,
+
+    async complete({ prompt }) {
+      const apiKey = process.env[apiKeyEnv];
+      if (!apiKey) {
+        throw new Error(`Set ${apiKeyEnv} to use the Gemini client`);
+      }
+
+      const response = await fetch(
+        `${GEMINI_ENDPOINT}/models/${model}:generateContent`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "x-goog-api-key": apiKey,
+          },
+          body: JSON.stringify({
+            contents: [{ role: "user", parts: [{ text: prompt }] }],
+          }),
+        }
+      );
+      if (!response.ok) {
+        const detail = (await response.text()).slice(0, 500);
+        throw new Error(
+          `Gemini API error ${response.status} ${response.statusText}: ` +
+            detail
+        );
+      }
+
+      const data = await response.json();
+      const parts = data.candidates?.[0]?.content?.parts ?? [];
+      const text = parts
+        .filter((part) => !part.thought && typeof part.text === "string")
+        .map((part) => part.text)
+        .join("");
+      if (!text) {
+        const reason = data.candidates?.[0]?.finishReason ?? "no candidates";
+        throw new Error(`Gemini returned no text (${reason})`);
+      }
+      return text;
+    },
+  };
+}
+
+/**
+ * Offline client that answers each batch with a prepared reply file.
+ */
+function mockClient({ mockDir }) {
+  return {
+    name: `mock (${mockDir}/)`,
+
+    async complete({ batch, prompt }) {
+      await mkdir(mockDir, { recursive: true });
+      await writeFile(path.join(mockDir, `${batch}.prompt.txt`), prompt);
+
+      const replyFile = path.join(mockDir, `${batch}.txt`);
+      try {
+        return await readFile(replyFile, "utf-8");
+      } catch {
+        throw new Error(`No mock reply for ${batch}: ${replyFile} not found`);
+      }
+    },
+  };
+}
+
+const BUILT_IN_CLIENTS = {
+  gemini: geminiClient,
+  mock: mockClient,
+};
+
+/**
+ * Create the client selected by the `translation` settings of the config.
+ */
+export async function createModelClient(settings) {
+  const { client } = settings;
+  if (BUILT_IN_CLIENTS[client]) return BUILT_IN_CLIENTS[client](settings);
+
+  if (client.endsWith(".mjs") || client.endsWith(".js")) {
+    const module = await import(pathToFileURL(path.resolve(client)).href);
+    if (typeof module.createClient !== "function") {
+      throw new Error(`${client} does not export createClient(settings)`);
+    }
+    return module.createClient(settings);
+  }
+
+  throw new Error(
+    `Unknown translation client "${client}" ` +
+      `(expected ${Object.keys(BUILT_IN_CLIENTS).join(", ")} or a module path)`
+  );
+}
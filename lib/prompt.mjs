@@ -0,0 +1,254 @@
+/**
+ * Translation Prompts
+ *
+ * Assembles the prompt for the sections of one translation batch, in the
+ * order the model reads it:
+ *
+ *   1. instructions and formatting rules
+ *   2. character glossary — the speakers of caucasus.config.json
+ *   3. terminology — lines of the batch that were translated before, from
+ *      translation-map.json, so recurring lines read the same, and the
+ *      nearest lines of the translation memory to those that were not
+ *   4. emphasis — the words the sections stress with emphasis dots, whose
+ *      English is to be wrapped in ** markers (see lib/emphasis.mjs)
+ *   5. previous scene — the last lines of the section before the batch,
+ *      with their translation when there is one, for continuity
+ *   6. the sections, in the entry format the reply must use
+ *
+ * Lines the translation memory (lib/memory.mjs) knows a consistent
+ * translation of are pre-filled: they appear in English in the sections,
+ * to be copied unchanged, so the model only translates new text (see
+ * prefillSections).
+ *
+ * Used by build-prompts.mjs (prompt files for review or manual use) and
+ * translate-batches.mjs (prompts sent to the model client).
+ */
+
+import { readFile } from "fs/promises";
+import { emphasisSpans } from "./emphasis.mjs";
+import {
+  HEADER_DASHES,
+  HEADER_STARS,
+  formatEntry,
+} from "./gemini-entries.mjs";
+import {
+  createMemoryIndex,
+  filledEntry,
+  prefillSection,
+  readMemory,
+  segmentKeys,
+} from "./memory.mjs";
+import { loadEntryLines } from "./revisions.mjs";
+import { baseText } from "./ruby.mjs";
+
+const RULES = [
+  "Keep exactly one translated line for every original line; never " +
+    "combine, split, add or remove lines.",
+  "Keep every line starting with ＃ as a speaker line: # followed by the " +
+    "English name from the glossary.",
+  "Keep empty lines, leading fullwidth spaces and the ＄ page-break mark " +
+    "where they are.",
+  "Do not add notes, explanations or anything outside the sections.",
+];
+
+// Rough token counts: Japanese text is about one token per character,
+// English and markup about one per four characters.
+const CJK = /[\u3000-\u30ff\u3400-\u9fff\uff00-\uffef]/g;
+
+/**
+ * Estimate the number of model tokens in `text`.
+ */
+export function estimateTokens(text) {
+  const cjk = (text.match(CJK) ?? []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * Load what every prompt draws on: the speaker glossary, the translation
+ * map and the translation memory (empty or null when they have not been
+ * built yet) and the existing translations of each file, for the
+ * previous-scene context.
+ */
+export async function loadPromptContext(config) {
+  let translationMap = new Map();
+  try {
+    const content = await readFile(config.full.translationMapFile, "utf-8");
+    translationMap = new Map(Object.entries(JSON.parse(content)));
+  } catch {
+    // Not exported yet.
+  }
+
+  let translations = new Map();
+  try {
+    translations = await loadEntryLines(config);
+  } catch {
+    // No translations yet.
+  }
+
+  const memory = await readMemory(config);
+
+  return {
+    speakers: config.speakers,
+    translationMap,
+    translations,
+    memory,
+    memoryIndex: memory ? createMemoryIndex(memory) : null,
+    prefill: config.translation.prefill,
+    fuzzySimilarity: config.translation.fuzzySimilarity,
+    contextLines: config.translation.contextLines,
+    maxTerms: config.translation.maxTerms,
+  };
+}
+
+/**
+ * Pre-fill `sections` from the translation memory. Returns { send, filled }:
+ * the sections still to send, each with the `prefill` of the lines the
+ * memory knows (see prefillSection), and the reply entries of the sections
+ * the memory translates entirely, which need not be sent at all. Nothing
+ * is pre-filled when there is no memory or `translation.prefill` is off.
+ */
+export function prefillSections(sections, context) {
+  if (!context.memory || !context.prefill) {
+    return { send: sections, filled: [] };
+  }
+
+  const send = [];
+  const filled = [];
+  for (const section of sections) {
+    const { prefill, complete } = prefillSection(
+      context.memory,
+      section.contentLines
+    );
+    if (complete) {
+      filled.push(filledEntry(section, prefill, context.speakers));
+    } else {
+      send.push(prefill.size > 0 ? { ...section, prefill } : section);
+    }
+  }
+  return { send, filled };
+}
+
+/**
+ * Put the pre-filled lines of `section` back into its reply `entry`, in
+ * case the model reworded them. Lines are matched by their position among
+ * the non-empty lines, so nothing is changed when the counts differ.
+ */
+export function restorePrefill(entry, section) {
+  if (!section.prefill) return entry;
+
+  const nonEmpty = (lines) =>
+    lines.flatMap((line, i) => (line.trim().length > 0 ? [i] : []));
+  const original = nonEmpty(section.contentLines);
+  const reply = nonEmpty(entry.contentLines);
+  if (original.length !== reply.length) return entry;
+
+  const contentLines = [...entry.contentLines];
+  original.forEach((index, n) => {
+    if (section.prefill.has(index)) {
+      contentLines[reply[n]] = section.prefill.get(index);
+    }
+  });
+  return { ...entry, contentLines };
+}
+
+/**
+ * Build the prompt for `sections` ([{ fileName, contentLines }] in the
+ * original Japanese). `previous` is the section before them, or null.
+ */
+export function buildPrompt(sections, context, previous = null) {
+  const out = [
+    "Translate the Japanese game script below into natural English.",
+    "",
+    "Reply with every section in the same order, each in this format:",
+    "",
+    HEADER_DASHES,
+    "{file name}",
+    HEADER_STARS,
+    "{translated lines}",
+    "",
+    "Rules:",
+    ...RULES.map((rule) => `- ${rule}`),
+  ];
+
+  if (context.speakers.size > 0) {
+    out.push("", "Character names (Japanese → English):");
+    for (const [japanese, english] of context.speakers) {
+      out.push(`- ${japanese} → ${english}`);
+    }
+  }
+
+  const terms = [];
+  const similar = [];
+  const seen = new Set();
+  for (const { contentLines, prefill } of sections) {
+    for (const { index, key } of segmentKeys(contentLines)) {
+      if (seen.has(key) || prefill?.has(index)) continue;
+      seen.add(key);
+      if (context.translationMap.has(key)) {
+        terms.push(`- ${key} → ${context.translationMap.get(key)}`);
+        continue;
+      }
+      const [match] =
+        context.memoryIndex?.lookup(key, {
+          minSimilarity: context.fuzzySimilarity,
+          limit: 1,
+        }) ?? [];
+      if (match) similar.push(`- ${match.key} → ${match.english}`);
+    }
+  }
+  if (terms.length > 0) {
+    out.push("", "Lines translated before (reuse these translations):");
+    out.push(...terms.slice(0, context.maxTerms));
+  }
+  const room = context.maxTerms - Math.min(terms.length, context.maxTerms);
+  if (similar.length > 0 && room > 0) {
+    out.push("", "Similar lines translated before (for consistency):");
+    out.push(...similar.slice(0, room));
+  }
+
+  const emphasis = sections.flatMap(({ fileName, contentLines, prefill }) =>
+    contentLines.flatMap((line, i) => {
+      const spans = emphasisSpans(line);
+      if (spans.length === 0 || prefill?.has(i)) return [];
+      const stressed = spans.join(", ");
+      return [`- ${fileName} line ${i + 1}: ${stressed} — ${baseText(line)}`];
+    })
+  );
+  if (emphasis.length > 0) {
+    out.push(
+      "",
+      "Words stressed with emphasis dots (wrap the English words that carry " +
+        "the stress in **, e.g. **this**):",
+      ...emphasis
+    );
+  }
+
+  if (previous && context.contextLines > 0) {
+    const tail = previous.contentLines
+      .filter((line) => line.length > 0)
+      .slice(-context.contextLines);
+    out.push("", `End of the previous scene (${previous.fileName}):`, ...tail);
+
+    const translated = context.translations.get(previous.fileName);
+    if (translated) {
+      out.push("", "Its translation:", ...translated.slice(-tail.length));
+    }
+  }
+
+  out.push("", "Sections to translate:");
+  if (sections.some((s) => s.prefill)) {
+    out.push(
+      "Lines already in English were translated before; copy them unchanged."
+    );
+  }
+  out.push("");
+  out.push(
+    ...sections.map((s) =>
+      formatEntry(
+        s.fileName,
+        s.contentLines.map((line, i) => s.prefill?.get(i) ?? line)
+      )
+    )
+  );
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,203 @@
+/**
+ * Translation Revisions
+ *
+ * A script can have more than one entry across `gemini-translation-text/`,
+ * e.g. when it was retranslated in a later conversation. Each entry is a
+ * revision of the script's translation, identified by where it came from:
+ *
+ *   source       — the conversation export in `gemini.jsonDir` the text file
+ *                  was parsed from (`04.json`, `05.md`; see
+ *                  lib/importers.mjs), or the text file itself when there
+ *                  is none (`normal-001.txt`, written by translate-batches)
+ *   messageIndex — position of the reply in the conversation's message
+ *                  array, or of the reply in the text file
+ *   timestamp    — ISO time of the reply, or of the last change of the
+ *                  export (or text file) when the reply has none
+ *
+ * and named `{source}#{messageIndex}` (e.g. `04.json#7`) in pins and
+ * reports. A text file whose replies no longer line up with its export
+ * (replies removed or added by hand) is its own source, but keeps the time
+ * of the export's last reply.
+ *
+ * Which revision a script uses is decided by `gemini.revisionPolicy`:
+ *
+ *   first  — the first entry in text-file order (the default)
+ *   latest — the newest entry; on equal timestamps, the later one in
+ *            text-file order, so a later reply of a conversation wins
+ *   pinned — the revision named in `gemini.pinsFile`; scripts with
+ *            competing revisions and no pin are unresolved
+ *
+ * A pin in `gemini.pinsFile` ({ "fileName": "04.json#7" }) overrides the
+ * policy for its script whatever the policy is.
+ */
+
+import { readFile, stat } from "fs/promises";
+import path from "path";
+import {
+  SEPARATOR_DASHES,
+  listTranslationFiles,
+  parseTranslationEntries,
+} from "./gemini-entries.mjs";
+import { listConversations, readConversation } from "./importers.mjs";
+import { StageFailure } from "./stage.mjs";
+
+export const REVISION_POLICIES = ["first", "latest", "pinned"];
+
+/**
+ * Parse every translation text file into revisions: the entries of
+ * readAllTranslationEntries(), each with { source, messageIndex, timestamp,
+ * id, order }, `order` being its position in text-file order.
+ */
+export async function readRevisions(config) {
+  const { textDir } = config.gemini;
+  const revisions = [];
+
+  // The export each text file was parsed from, by base name.
+  const exports = new Map();
+  for (const filePath of await listConversations(config)) {
+    const base = path.basename(filePath, path.extname(filePath));
+    if (!exports.has(base)) exports.set(base, filePath);
+  }
+
+  for (const file of await listTranslationFiles(textDir)) {
+    const filePath = path.join(textDir, file);
+    const content = await readFile(filePath, "utf-8");
+    const lines = content.split("\n");
+
+    // Reply index of every line: the number of separators above it.
+    const replyOf = [];
+    let reply = 0;
+    for (const line of lines) {
+      if (line.trimEnd() === SEPARATOR_DASHES) reply++;
+      replyOf.push(reply);
+    }
+
+    const base = path.basename(file, ".txt");
+    const exportPath = exports.get(base);
+    const replies = exportPath
+      ? (await readConversation(config, exportPath))?.replies
+      : null;
+    const exported = replies && replies.length === reply + 1;
+    const fileTime =
+      replies?.at(-1)?.timestamp ??
+      (await stat(exportPath ?? filePath)).mtime.toISOString();
+
+    for (const entry of parseTranslationEntries(content)) {
+      const index = replyOf[entry.line - 1];
+      const revision = exported
+        ? {
+            source: path.basename(exportPath),
+            messageIndex: replies[index].messageIndex,
+            timestamp: replies[index].timestamp ?? fileTime,
+          }
+        : { source: file, messageIndex: index, timestamp: fileTime };
+      revisions.push({
+        ...entry,
+        translationFile: file,
+        ...revision,
+        id: `${revision.source}#${revision.messageIndex}`,
+        order: revisions.length,
+      });
+    }
+  }
+  return revisions;
+}
+
+/**
+ * Read the pins file: { fileName: revisionId }. A missing file means no
+ * pins.
+ */
+export async function loadPins(config) {
+  const { pinsFile } = config.gemini;
+  try {
+    return JSON.parse(await readFile(pinsFile, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw new Error(`Cannot read ${pinsFile}: ${err.message}`);
+  }
+}
+
+const newerThan = (a, b) => {
+  const ta = a.timestamp ?? "";
+  const tb = b.timestamp ?? "";
+  return ta !== tb ? ta > tb : a.order > b.order;
+};
+
+/**
+ * Choose one revision per script. Returns:
+ *
+ *   selected   — Map fileName → the revision to use
+ *   competing  — Map fileName → all revisions, for scripts with more than
+ *                one
+ *   unresolved — scripts with competing revisions and no pin under the
+ *                "pinned" policy; they fall back to their first revision
+ *
+ * Throws StageFailure when a pin names a revision its script does not have.
+ */
+export function selectRevisions(config, revisions, pins = {}) {
+  const policy = config.gemini.revisionPolicy;
+
+  const byFile = new Map();
+  for (const revision of revisions) {
+    if (!byFile.has(revision.fileName)) byFile.set(revision.fileName, []);
+    byFile.get(revision.fileName).push(revision);
+  }
+
+  const badPins = Object.entries(pins).filter(
+    ([fileName, id]) => !byFile.get(fileName)?.some((r) => r.id === id)
+  );
+  if (badPins.length > 0) {
+    for (const [fileName, id] of badPins) {
+      console.error(`  ✗  ${fileName}: no revision ${id}`);
+    }
+    throw new StageFailure(
+      `${config.gemini.pinsFile} pins ${badPins.length} unknown revisions`
+    );
+  }
+
+  const selected = new Map();
+  const competing = new Map();
+  const unresolved = [];
+
+  for (const [fileName, candidates] of byFile) {
+    let choice = candidates[0];
+    if (candidates.length > 1) {
+      competing.set(fileName, candidates);
+      if (pins[fileName]) {
+        choice = candidates.find((r) => r.id === pins[fileName]);
+      } else if (policy === "latest") {
+        choice = candidates.reduce((a, b) => (newerThan(b, a) ? b : a));
+      } else if (policy === "pinned") {
+        unresolved.push(fileName);
+      }
+    }
+    selected.set(fileName, choice);
+  }
+
+  return { selected, competing, unresolved };
+}
+
+/**
+ * Parse every translation text file into a map of fileName → the selected
+ * revision's non-empty content lines.
+ *
+ * Empty lines are filtered out to match the translated files, which have
+ * had empty lines stripped by clean-translations.mjs.
+ */
+export async function loadEntryLines(config) {
+  const revisions = await readRevisions(config);
+  const { selected } = selectRevisions(
+    config,
+    revisions,
+    await loadPins(config)
+  );
+
+  const map = new Map();
+  for (const [fileName, revision] of selected) {
+    map.set(
+      fileName,
+      revision.contentLines.filter((l) => l.trim().length > 0)
+    );
+  }
+  return map;
+}
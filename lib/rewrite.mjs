@@ -0,0 +1,79 @@
+/**
+ * In-place Rewrites
+ *
+ * Stages that overwrite files in the `translated*` folders
+ * (clean-translations, fix-sjis-chars, apply-long-lines-fix,
+ * import-interchange) or in
+ * `gemini-translation-text/` (accept-gemini-alignment) write through
+ * `openRewriter()`, which adds two review modes:
+ *
+ *   --dry-run — nothing is written; each file that would change is printed
+ *               as a unified diff, decoded from Shift-JIS so it is readable
+ *   --backup  — each file is copied to `backupDir/{stage}-{timestamp}/`
+ *               (see caucasus.config.json) before it is overwritten
+ */
+
+import { copyFile, mkdir, writeFile } from "fs/promises";
+import path from "path";
+import { unifiedDiff } from "./diff.mjs";
+import { decodeAuto } from "./encoding.mjs";
+
+/**
+ * Open a rewriter for `stage`. Returns an object with:
+ *
+ *   dryRun                        — true when nothing may be written
+ *   write(filePath, data, previous)
+ *                                 — replace the file's `previous` bytes
+ *                                   with `data`, or print the diff
+ *   report()                      — print the dry-run / backup totals
+ */
+export function openRewriter(config, stage, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const backup = Boolean(options.backup) && !dryRun;
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const backupDir = path.join(config.backupDir, `${stage}-${stamp}`);
+
+  let previewed = 0;
+  let backedUp = 0;
+
+  return {
+    dryRun,
+
+    async write(filePath, data, previous) {
+      if (dryRun) {
+        const before = decodeAuto(previous).text.split("\n");
+        const after = decodeAuto(data).text.split("\n");
+        const diff = unifiedDiff(before, after, {
+          fromFile: `a/${filePath}`,
+          toFile: `b/${filePath}`,
+        });
+        if (diff) {
+          console.log(diff);
+          previewed++;
+        }
+        return;
+      }
+
+      if (backup) {
+        const target = path.join(backupDir, filePath);
+        await mkdir(path.dirname(target), { recursive: true });
+        await copyFile(filePath, target);
+        backedUp++;
+      }
+
+      await writeFile(filePath, data);
+    },
+
+    report() {
+      if (dryRun) {
+        console.log(
+          `  Dry run:          ${previewed} files would change, none written`
+        );
+      }
+      if (backedUp > 0) {
+        console.log(`  Backed up:        ${backedUp} files to ${backupDir}/`);
+      }
+    },
+  };
+}
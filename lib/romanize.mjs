@@ -0,0 +1,102 @@
+/**
+ * Kana Romanization
+ *
+ * Converts ruby readings to Hepburn romanization for harvest-ruby-readings.
+ * The translations spell long vowels as the kana write them, without
+ * macrons — ソウコ is Souko, ロクヨウ is Rokuyou — so `romanize()` does the
+ * same: every kana is romanized on its own, ー repeats the vowel before it
+ * and を is "o". Otherwise it follows modified Hepburn: シ shi, チ chi,
+ * ツ tsu, フ fu, ジ and ヂ ji, ヅ zu; ッ doubles the next consonant (ッチ
+ * tchi); ン is "n", written n' before a vowel or y.
+ *
+ * Hiragana is read as katakana. Returns null when the text has anything
+ * but kana, so kanji readings and Latin spellings are left to the caller.
+ */
+
+// Katakana and their Hepburn syllables, in the same order; hiragana is
+// mapped onto them.
+const KANA =
+  "アイウエオカキクケコガギグゲゴサシスセソザジズゼゾタチツテトダヂヅデド" +
+  "ナニヌネノハヒフヘホバビブベボパピプペポマミムメモヤユヨラリルレロ" +
+  "ワヰヱヲヴァィゥェォャュョヮ";
+const HEPBURN =
+  "a i u e o ka ki ku ke ko ga gi gu ge go sa shi su se so za ji zu ze zo " +
+  "ta chi tsu te to da ji zu de do na ni nu ne no ha hi fu he ho " +
+  "ba bi bu be bo pa pi pu pe po ma mi mu me mo ya yu yo ra ri ru re ro " +
+  "wa i e o vu a i u e o ya yu yo wa";
+
+// A kana followed by a small kana, read as one syllable. Small ャュョ after
+// an i-row kana are handled by rule (キャ kya, シャ sha) in `digraph()`.
+const DIGRAPH_KANA =
+  "ヴァ ヴィ ヴェ ヴォ ファ フィ フェ フォ ティ ディ トゥ ドゥ " +
+  "シェ ジェ チェ ウィ ウェ ウォ ツァ イェ クァ グァ";
+const DIGRAPH_HEPBURN =
+  "va vi ve vo fa fi fe fo ti di tu du she je che wi we wo tsa ye kwa gwa";
+
+const table = (kana, hepburn) => {
+  const syllables = hepburn.split(" ");
+  return new Map(kana.map((k, i) => [k, syllables[i]]));
+};
+const SYLLABLES = table([...KANA], HEPBURN);
+const DIGRAPHS = table(DIGRAPH_KANA.split(" "), DIGRAPH_HEPBURN);
+
+const SMALL_Y = { ャ: "a", ュ: "u", ョ: "o" };
+
+const toKatakana = (text) =>
+  text.replace(/[\u3041-\u3096]/g, (c) =>
+    String.fromCharCode(c.charCodeAt(0) + 0x60)
+  );
+
+function digraph(kana, small) {
+  if (DIGRAPHS.has(kana + small)) return DIGRAPHS.get(kana + small);
+  const base = SYLLABLES.get(kana);
+  if (!(small in SMALL_Y) || !base?.endsWith("i") || base === "i") {
+    return null;
+  }
+  // シャ sha, チャ cha, ジャ ja drop the i; the others turn it into y.
+  const stem = base.slice(0, -1);
+  return (/(sh|ch|j)$/.test(stem) ? stem : stem + "y") + SMALL_Y[small];
+}
+
+/**
+ * Romanize a kana reading, lowercase. Returns null when it has anything
+ * but kana.
+ */
+export function romanize(reading) {
+  const kana = [...toKatakana(reading)];
+  const syllables = [];
+  let double = false;
+
+  for (let i = 0; i < kana.length; i++) {
+    const c = kana[i];
+    if (c === "ッ") {
+      double = true;
+      continue;
+    }
+    if (c === "ー") {
+      const last = syllables.at(-1);
+      if (!last) return null;
+      syllables.push(last.at(-1));
+      continue;
+    }
+    let syllable;
+    if (c === "ン") {
+      syllable = "n";
+    } else {
+      const pair = i + 1 < kana.length ? digraph(c, kana[i + 1]) : null;
+      if (pair) i++;
+      syllable = pair ?? SYLLABLES.get(c);
+    }
+    if (syllable === undefined) return null;
+
+    if (double && !"aiueon".includes(syllable[0])) {
+      syllable = (syllable.startsWith("ch") ? "t" : syllable[0]) + syllable;
+    }
+    double = false;
+    if (syllables.at(-1) === "n" && /^[aiueoy]/.test(syllable)) {
+      syllables.push("'");
+    }
+    syllables.push(syllable);
+  }
+  return syllables.join("");
+}
@@ -0,0 +1,105 @@
+/**
+ * Ruby Markup
+ *
+ * Originals annotate text with the engine's ruby (furigana) syntax:
+ *
+ *   <base<reading>
+ *
+ * e.g. `<紅緒<ベニヲ>` or `<七月<ナナツキ>家`. The engine draws the reading in
+ * small type above the base, so only the base takes room on the line. A
+ * reading made only of emphasis dots (ヽ) marks its base for emphasis
+ * (bouten) instead of giving its pronunciation: `<し<ヽ>`.
+ *
+ * Every length rule measures the displayed base text, never the raw line
+ * (see displayWidth()). A `<` or `>` outside a complete ruby group is not
+ * valid markup, so validate-translations rejects translated lines that
+ * have one.
+ */
+
+const RUBY = /<([^<>]*)<([^<>]*)>/g;
+const EMPHASIS = /^[\u30FD\uFE45\u30FB]+$/;
+
+/**
+ * Parse the ruby groups of a line. Returns { text, rubies, broken }:
+ *
+ *   text   — the line as displayed: every group replaced by its base
+ *   rubies — [{ base, reading, emphasis, offset }], `offset` being where
+ *            the base starts in `text`, `emphasis` true for emphasis dots
+ *   broken — the 0-based positions in `line` of every `<` or `>` outside a
+ *            complete group, and of groups with an empty base
+ */
+export function parseRuby(line) {
+  const rubies = [];
+  const broken = [];
+  let text = "";
+  let last = 0;
+
+  const plain = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (line[i] === "<" || line[i] === ">") broken.push(i);
+    }
+    text += line.slice(from, to);
+  };
+
+  for (const match of line.matchAll(RUBY)) {
+    const [group, base, reading] = match;
+    plain(last, match.index);
+    if (base.length === 0) broken.push(match.index);
+    rubies.push({
+      base,
+      reading,
+      emphasis: EMPHASIS.test(reading),
+      offset: text.length,
+    });
+    text += base;
+    last = match.index + group.length;
+  }
+  plain(last, line.length);
+
+  return { text, rubies, broken };
+}
+
+/**
+ * The line as displayed, without its ruby markup.
+ */
+export const baseText = (line) =>
+  line.includes("<") ? parseRuby(line).text : line;
+
+/**
+ * The number of characters the line takes on screen: the length of its
+ * base text.
+ */
+export const displayWidth = (line) => baseText(line).length;
+
+/**
+ * Where the displayed characters of a line sit in the raw line. Returns
+ * { offsets, grouped }: `offsets[i]` is the index in `line` of character i
+ * of baseText(line), with line.length as a last entry, and `grouped[i]` is
+ * true when that character belongs to a ruby base, which is drawn as one
+ * piece and cannot be split.
+ */
+export function rawOffsets(line) {
+  const offsets = [];
+  const grouped = [];
+  const plain = (from, to) => {
+    for (let i = from; i < to; i++) {
+      offsets.push(i);
+      grouped.push(false);
+    }
+  };
+
+  let last = 0;
+  for (const match of line.matchAll(RUBY)) {
+    const [group, base] = match;
+    plain(last, match.index);
+    for (let i = 0; i < base.length; i++) {
+      offsets.push(match.index + 1 + i);
+      grouped.push(true);
+    }
+    last = match.index + group.length;
+  }
+  plain(last, line.length);
+  offsets.push(line.length);
+
+  return { offsets, grouped };
+}
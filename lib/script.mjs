@@ -0,0 +1,273 @@
+/**
+ * Game Script Model
+ *
+ * A script is a list of lines. Every line belongs to one of these kinds:
+ *
+ *   speech-source  — "＃{name}" line naming the speaker of the next line
+ *                    (Gemini replies use ASCII "#" instead)
+ *   speech-content — the line immediately after a speech source; the engine
+ *                    wraps it in 「」 automatically
+ *   option         — part of a group of 2+ consecutive choice lines
+ *   page-break     — narration opening with the ＄ page/pause marker
+ *                    (translations use ASCII "$")
+ *   narration      — any other non-empty line
+ *   empty          — blank line
+ *
+ * A ＄ marker may also stand inside a line, where the engine pauses and
+ * starts a new page; `pageBreakMarks()` finds every marker of a line.
+ *
+ * `readScript()` / `writeScript()` are the single reader and writer for both
+ * Shift-JIS and UTF-8 scripts, so every stage sees the same representation:
+ *
+ *   { raw, text, encoding, lines, trailingNewline }
+ *
+ * `lines` never contains the empty string produced by a final newline;
+ * `trailingNewline` records whether there was one so writes round-trip.
+ */
+
+import { readFile, writeFile } from "fs/promises";
+import path from "path";
+import { decodeAuto, decodeShiftJIS, encodeText } from "./encoding.mjs";
+
+export const SPEECH_SOURCE = "speech-source";
+export const SPEECH_CONTENT = "speech-content";
+export const OPTION = "option";
+export const PAGE_BREAK = "page-break";
+export const NARRATION = "narration";
+export const EMPTY = "empty";
+
+/**
+ * A speech source line starts with a fullwidth hash (originals, cleaned
+ * translations) or an ASCII hash (raw Gemini replies).
+ */
+export const isSpeechSource = (line) =>
+  line.startsWith("＃") || line.startsWith("#");
+
+// The ＄ page/pause marker, or the ASCII "$" translations carry it over as,
+// which stands alone between spaces. A "$" inside text ("US$5", "$.") is
+// not a marker.
+const PAGE_BREAK_MARK = /\uFF04|(?<!\S)\$(?!\S)/g;
+
+/**
+ * The ＄ markers of a line, in order: [{ index, zone }], `zone` being
+ * "start" when only whitespace comes before the marker, "end" when only
+ * whitespace follows it, otherwise "middle".
+ */
+export function pageBreakMarks(line) {
+  return [...line.matchAll(PAGE_BREAK_MARK)].map(({ index }) => {
+    let zone = "middle";
+    if (line.slice(0, index).trim() === "") zone = "start";
+    else if (line.slice(index + 1).trim() === "") zone = "end";
+    return { index, zone };
+  });
+}
+
+/**
+ * Split a line at its ＄ markers. Returns { pages, marks }: the text before,
+ * between and after the markers, and the markers themselves, so that
+ * interleaving the two gives the line back. The engine starts a new page
+ * at each marker, so every page wraps on its own.
+ */
+export function splitPageBreaks(line) {
+  const pages = [];
+  const marks = [];
+  let from = 0;
+  for (const { index } of pageBreakMarks(line)) {
+    pages.push(line.slice(from, index));
+    marks.push(line[index]);
+    from = index + 1;
+  }
+  pages.push(line.slice(from));
+  return { pages, marks };
+}
+
+/**
+ * A page-break line opens with the ＄ marker, after any indent. Translations
+ * carry it over as an ASCII "$".
+ */
+export const isPageBreak = (line) => pageBreakMarks(line)[0]?.zone === "start";
+
+/**
+ * Strip wrapping brackets or quotes from a speech content line.
+ * Handles 「...」, 『...』, "..." and '...'.
+ */
+export function stripSpeechWrappers(line) {
+  if (line.startsWith("「") && line.endsWith("」")) return line.slice(1, -1);
+  if (line.startsWith("『") && line.endsWith("』")) return line.slice(1, -1);
+  if (line.startsWith('"') && line.endsWith('"') && line.length >= 2)
+    return line.slice(1, -1);
+  if (line.startsWith("'") && line.endsWith("'") && line.length >= 2)
+    return line.slice(1, -1);
+  return line;
+}
+
+/**
+ * Split decoded text into lines, dropping the empty element a final newline
+ * produces. Returns { lines, trailingNewline }.
+ */
+export function splitLines(text) {
+  const lines = text.split("\n");
+  const trailingNewline = lines.at(-1) === "";
+  if (trailingNewline) lines.pop();
+  return { lines, trailingNewline: trailingNewline && lines.length > 0 };
+}
+
+/**
+ * Inverse of `splitLines()`.
+ */
+export function joinLines(lines, trailingNewline = false) {
+  return lines.join("\n") + (trailingNewline ? "\n" : "");
+}
+
+/**
+ * Check if a character is a Japanese kanji, hiragana, or katakana. These are
+ * the typical ending characters for choice lines in the original script.
+ */
+function isOptionEndingChar(ch) {
+  if (!ch) return false;
+  const code = ch.codePointAt(0);
+  return (
+    (code >= 0x4e00 && code <= 0x9fff) || // CJK Unified Ideographs (kanji)
+    (code >= 0x3040 && code <= 0x309f) || // Hiragana
+    (code >= 0x30a0 && code <= 0x30ff) // Katakana
+  );
+}
+
+/**
+ * Detect option/choice line groups in the original script.
+ *
+ * An option group is 2+ consecutive lines that are:
+ *   - NOT a speech source line (does not start with fullwidth #)
+ *   - NOT a speech content line (not immediately after a speech source line)
+ *   - Each line ends with kanji, hiragana, or katakana
+ *
+ * Returns a Set of 0-based line indices that belong to option groups.
+ */
+export function detectOptionLines(originalLines) {
+  // Step 1: Build a set of speech content line indices. A speech content
+  // line is the line immediately following a speech source line.
+  const speechContent = new Set();
+  for (let i = 0; i < originalLines.length; i++) {
+    if (originalLines[i].startsWith("＃") && i + 1 < originalLines.length) {
+      speechContent.add(i + 1);
+    }
+  }
+
+  const optionIndices = new Set();
+  let i = 0;
+  while (i < originalLines.length) {
+    // Step 2: Skip speech source lines, speech content lines, and empties.
+    if (
+      speechContent.has(i) ||
+      originalLines[i].startsWith("＃") ||
+      originalLines[i].length === 0
+    ) {
+      i++;
+      continue;
+    }
+
+    // Step 3: Check if this line ends with an option-like character.
+    const lastChar = originalLines[i].trimEnd().slice(-1);
+    if (isOptionEndingChar(lastChar)) {
+      // Step 4: Collect consecutive lines that also end with option chars.
+      const group = [i];
+      let j = i + 1;
+      while (
+        j < originalLines.length &&
+        !speechContent.has(j) &&
+        !originalLines[j].startsWith("＃") &&
+        originalLines[j].length > 0
+      ) {
+        const jLast = originalLines[j].trimEnd().slice(-1);
+        if (isOptionEndingChar(jLast)) {
+          group.push(j);
+          j++;
+        } else {
+          break;
+        }
+      }
+
+      // Step 5: Only treat as options if there are 2+ consecutive lines.
+      // A single line ending with kanji is just normal narration.
+      if (group.length >= 2) {
+        for (const idx of group) optionIndices.add(idx);
+      }
+      i = j;
+    } else {
+      i++;
+    }
+  }
+
+  return optionIndices;
+}
+
+/**
+ * Classify every line of a script. When `trim` is true, lines are trimmed
+ * before classification (needed for vertical-style scripts that indent
+ * every line). Returns an array of kinds parallel to `lines`.
+ */
+export function classifyLines(lines, { trim = false } = {}) {
+  const view = trim ? lines.map((line) => line.trim()) : lines;
+  const options = detectOptionLines(view);
+
+  return view.map((line, i) => {
+    if (line.length === 0) return EMPTY;
+    if (isSpeechSource(line)) return SPEECH_SOURCE;
+    if (i > 0 && isSpeechSource(view[i - 1])) return SPEECH_CONTENT;
+    if (options.has(i)) return OPTION;
+    if (isPageBreak(line)) return PAGE_BREAK;
+    return NARRATION;
+  });
+}
+
+/**
+ * Read a script file. `encoding` is "sjis", "utf-8" or "auto" (detect per
+ * file). Returns { raw, text, encoding, lines, trailingNewline }.
+ */
+export async function readScript(filePath, { encoding = "sjis" } = {}) {
+  const raw = await readFile(filePath);
+
+  let text;
+  let detected = encoding;
+  if (encoding === "auto") {
+    ({ text, encoding: detected } = decodeAuto(raw));
+  } else if (encoding === "sjis") {
+    text = decodeShiftJIS(raw);
+  } else {
+    text = raw.toString("utf-8");
+  }
+
+  return { raw, text, encoding: detected, ...splitLines(text) };
+}
+
+/**
+ * Read the original script for `fileName` from `originalDir`. Returns null
+ * if the original does not exist.
+ */
+export async function readOriginal(originalDir, fileName) {
+  try {
+    return await readScript(path.join(originalDir, fileName));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encode script lines for writing. `encoding` is "sjis" or "utf-8"; `file`
+ * names the target when a character cannot be encoded (see EncodingError).
+ */
+export function encodeScript(
+  lines,
+  { encoding = "sjis", trailingNewline = false, file } = {}
+) {
+  return encodeText(joinLines(lines, trailingNewline), encoding, { file });
+}
+
+/**
+ * Write script lines to `filePath`. `encoding` is "sjis" or "utf-8". Nothing
+ * is written if a character cannot be encoded.
+ */
+export async function writeScript(filePath, lines, options = {}) {
+  const buf = encodeScript(lines, { file: filePath, ...options });
+  await writeFile(filePath, buf);
+}
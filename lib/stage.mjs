@@ -0,0 +1,107 @@
+/**
+ * Stage Helpers
+ *
+ * Every pipeline script exports its `main()` so the `caucasus` CLI can run
+ * it as a stage, while `node <script>.mjs` keeps working on its own. This
+ * module provides the glue both entry points share:
+ *
+ *   - `StageFailure` — thrown by validators instead of calling
+ *     `process.exit(1)`, so a pipeline run can stop cleanly and report
+ *     which stage failed.
+ *   - `runIfMain()` — runs a script's `main()` only when the script is the
+ *     process entry point, not when it is imported by the CLI.
+ *   - `parseStageArgs()` — parses the flags every stage accepts, so
+ *     `node pad-question.mjs --force` and `caucasus pad-question --force`
+ *     pass the same options object to `main()`.
+ */
+
+import { realpathSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+
+/**
+ * Flags shared by every stage. A stage ignores the flags it has no use for.
+ *
+ *   --force   — ignore the build cache and reprocess every file
+ *   --dry-run — print a diff of in-place rewrites instead of writing them
+ *   --backup  — snapshot files before rewriting them in place
+ *   --batch   — work on the named translation batch only (repeatable)
+ *   --script  — work on the named script only (repeatable)
+ *   --query   — the text to look up (search-translation-memory)
+ */
+export const STAGE_OPTIONS = {
+  force: { type: "boolean", default: false },
+  "dry-run": { type: "boolean", default: false },
+  backup: { type: "boolean", default: false },
+  batch: { type: "string", multiple: true, default: [] },
+  script: { type: "string", multiple: true, default: [] },
+  query: { type: "string" },
+};
+
+/**
+ * Signals that a stage ran to completion but found problems that must be
+ * fixed before the next stage can run (e.g. a validator found mismatches).
+ * Details are printed by the stage itself; the message is a one-line reason.
+ */
+export class StageFailure extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StageFailure";
+  }
+}
+
+/**
+ * Returns true when the module at `metaUrl` is the script node was started
+ * with. Symlinks are resolved so `npx caucasus` style launchers still match.
+ */
+export function isMainModule(metaUrl) {
+  if (!process.argv[1]) return false;
+
+  let entry;
+  try {
+    entry = realpathSync(process.argv[1]);
+  } catch {
+    entry = path.resolve(process.argv[1]);
+  }
+  return entry === fileURLToPath(metaUrl);
+}
+
+/**
+ * Parse stage flags from `args`. Returns { options, positionals }, with
+ * option names in camelCase (`--dry-run` → `dryRun`); throws on unknown
+ * flags.
+ */
+export function parseStageArgs(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: STAGE_OPTIONS,
+    allowPositionals: true,
+  });
+
+  const options = {};
+  for (const [name, value] of Object.entries(values)) {
+    options[name.replace(/-(\w)/g, (_, c) => c.toUpperCase())] = value;
+  }
+  return { options, positionals };
+}
+
+/**
+ * Run `main(options)` when the calling script is executed directly, with
+ * options parsed from the command line. A `StageFailure` prints its reason;
+ * any other error prints the stack. Both set a non-zero exit code.
+ */
+export function runIfMain(metaUrl, main) {
+  if (!isMainModule(metaUrl)) return;
+
+  Promise.resolve()
+    .then(() => main(parseStageArgs(process.argv.slice(2)).options))
+    .catch((err) => {
+      if (err instanceof StageFailure) {
+        console.error(`\n✗  ${err.message}`);
+      } else {
+        console.error(err);
+      }
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,591 @@
+/**
+ * Stage Registry
+ *
+ * Declares every pipeline stage known to the `caucasus` CLI. Each stage is
+ * backed by one of the top-level scripts, whose exported `main()` is the
+ * stage implementation.
+ *
+ * Stage fields:
+ *
+ *   name        — subcommand name (matches the script's base name)
+ *   module      — script file, relative to the project root
+ *   description — one-line summary shown by `caucasus list`
+ *   deps        — stages that must run before this one in `caucasus run`
+ *   inputs      — files/directories the stage reads
+ *   outputs     — files/directories the stage writes (or rewrites in place)
+ *   pipeline    — true when the stage is part of the default `caucasus run`
+ *
+ * Inputs and outputs are informational and name the directories of the
+ * default caucasus.config.json.
+ *
+ * The default pipeline is the order the scripts used to be run by hand:
+ *
+ *   parse-gemini-translations → check-duplicate-gemini-translations →
+ *   validate-gemini-line-counts → export-gemini-translations →
+ *   clean-translations → fix-sjis-chars → validate-translations →
+ *   check-long-lines-* → validate-long-lines-fix-* → pad-*
+ *
+ * `apply-long-lines-fix` is deliberately not part of the default pipeline:
+ * it patches `translated/` from a hand-edited file and must only run after
+ * a human has shortened the exported lines.
+ */
+
+const STAGE_LIST = [
+  // --- Batch preparation ---------------------------------------------------
+  {
+    name: "merge-normal-scenes",
+    module: "merge-normal-scenes.mjs",
+    description: "Merge normal scene scripts by filename prefix",
+    deps: [],
+    inputs: ["original/"],
+    outputs: ["merged-normal-scenes/"],
+  },
+  {
+    name: "merge-day-scenes",
+    module: "merge-day-scenes.mjs",
+    description: "Merge normal scene scripts by day",
+    deps: [],
+    inputs: ["original/"],
+    outputs: ["merged-day-scenes/"],
+  },
+  {
+    name: "merge-exploration-scenes",
+    module: "merge-exploration-scenes.mjs",
+    description: "Merge exploration scripts by occasion prefix",
+    deps: [],
+    inputs: ["original/"],
+    outputs: ["merged-exploration-scenes/"],
+  },
+  {
+    name: "plan-batches",
+    module: "plan-batches.mjs",
+    description: "Pack scripts into token-budgeted translation batches",
+    deps: [],
+    inputs: ["original/", "translation-batches.json"],
+    outputs: ["translation-batches.json"],
+  },
+  {
+    name: "build-prompts",
+    module: "build-prompts.mjs",
+    description: "Write a translation prompt for every planned batch",
+    deps: ["plan-batches"],
+    inputs: [
+      "translation-batches.json",
+      "original/",
+      "translation-map.json",
+      "translation-memory.json",
+      "gemini-translation-text/",
+    ],
+    outputs: ["translation-prompts/"],
+  },
+  {
+    name: "build-retranslation",
+    module: "build-retranslation.mjs",
+    description: "Write retranslation batches for files failing validation",
+    deps: [],
+    inputs: [
+      "original/",
+      "translated*/",
+      "gemini-translation-text/",
+      "translation-memory.json",
+    ],
+    outputs: ["merged-retranslation/"],
+  },
+  {
+    name: "translate-batches",
+    module: "translate-batches.mjs",
+    description: "Translate planned batches through the model client",
+    deps: ["plan-batches"],
+    inputs: [
+      "translation-batches.json",
+      "original/",
+      "translation-map.json",
+      "translation-memory.json",
+      "gemini-translation-text/",
+    ],
+    outputs: ["gemini-translation-text/", "translation-batches.json"],
+  },
+
+  // --- Gemini import -------------------------------------------------------
+  {
+    name: "parse-gemini-translations",
+    module: "parse-gemini-translations.mjs",
+    description: "Extract assistant replies from conversation exports",
+    deps: [],
+    inputs: ["gemini-translation-json/"],
+    outputs: ["gemini-translation-text/", "gemini-translation-thinking/"],
+    pipeline: true,
+  },
+  {
+    name: "check-duplicate-gemini-translations",
+    module: "check-duplicate-gemini-translations.mjs",
+    description: "Report duplicate and missing translation entries",
+    deps: ["parse-gemini-translations"],
+    inputs: ["gemini-translation-text/", "original/"],
+    outputs: [],
+    pipeline: true,
+  },
+  {
+    name: "diff-gemini-revisions",
+    module: "diff-gemini-revisions.mjs",
+    description: "Diff the competing revisions of retranslated scripts",
+    deps: ["parse-gemini-translations"],
+    inputs: ["gemini-translation-text/", "gemini-revision-pins.json"],
+    outputs: [],
+  },
+  {
+    name: "validate-gemini-line-counts",
+    module: "validate-gemini-line-counts.mjs",
+    description: "Compare Gemini section line counts against originals",
+    deps: ["parse-gemini-translations"],
+    inputs: ["gemini-translation-text/", "original/"],
+    outputs: [],
+    pipeline: true,
+  },
+  {
+    name: "align-gemini-lines",
+    module: "align-gemini-lines.mjs",
+    description: "Propose line alignments for mismatched Gemini sections",
+    deps: ["parse-gemini-translations"],
+    inputs: ["gemini-translation-text/", "original/"],
+    outputs: ["gemini-alignment-proposals.json"],
+  },
+  {
+    name: "accept-gemini-alignment",
+    module: "accept-gemini-alignment.mjs",
+    description: "Write reviewed alignment proposals into the Gemini text",
+    deps: [],
+    inputs: ["gemini-alignment-proposals.json", "original/"],
+    outputs: ["gemini-translation-text/"],
+  },
+  {
+    name: "export-gemini-translations",
+    module: "export-gemini-translations.mjs",
+    description: "Export Gemini entries to per-category Shift-JIS scripts",
+    deps: ["check-duplicate-gemini-translations", "validate-gemini-line-counts"],
+    inputs: [
+      "gemini-translation-text/",
+      "gemini-revision-pins.json",
+      "original/",
+      "category-overrides.json",
+    ],
+    outputs: [
+      "translated/",
+      "translated-vertical/",
+      "translated-inspection/",
+      "translated-question/",
+      "translated-exploration/",
+    ],
+    pipeline: true,
+  },
+
+  // --- Cleaning & validation -----------------------------------------------
+  {
+    name: "clean-translations",
+    module: "clean-translations.mjs",
+    description: "Normalise translated scripts in place",
+    deps: ["export-gemini-translations"],
+    inputs: ["original/"],
+    outputs: [
+      "translated/",
+      "translated-inspection/",
+      "translated-question/",
+      "translated-exploration/",
+      "translated-vertical/",
+    ],
+    pipeline: true,
+  },
+  {
+    name: "fix-sjis-chars",
+    module: "fix-sjis-chars.mjs",
+    description: "Restore characters lost in Shift-JIS encoding",
+    deps: ["clean-translations"],
+    inputs: ["gemini-translation-text/", "long_lines*_updated.txt"],
+    outputs: [
+      "translated/",
+      "translated-inspection/",
+      "translated-question/",
+      "translated-exploration/",
+      "translated-vertical/",
+      "fix-sjis-audit.txt",
+    ],
+    pipeline: true,
+  },
+  {
+    name: "validate-translations",
+    module: "validate-translations.mjs",
+    description: "Check line counts and speech sources against originals",
+    deps: ["fix-sjis-chars"],
+    inputs: [
+      "original/",
+      "translated/",
+      "translated-inspection/",
+      "translated-question/",
+      "translated-exploration/",
+      "translated-vertical/",
+    ],
+    outputs: [],
+    pipeline: true,
+  },
+  {
+    name: "validate-emphasis",
+    module: "validate-emphasis.mjs",
+    description: "Check that words stressed with emphasis dots stay stressed",
+    deps: ["clean-translations"],
+    inputs: ["original/", "translated*/"],
+    outputs: [],
+  },
+
+  // --- Long lines ----------------------------------------------------------
+  {
+    name: "check-long-lines",
+    module: "check-long-lines.mjs",
+    description: "Export over-long lines of normal scripts",
+    deps: ["validate-translations"],
+    inputs: ["translated/"],
+    outputs: ["long_lines.txt"],
+    pipeline: true,
+  },
+  {
+    name: "apply-long-lines-fix",
+    module: "apply-long-lines-fix.mjs",
+    description: "Patch shortened lines from long_lines_updated.txt",
+    deps: ["check-long-lines"],
+    inputs: ["long_lines.txt", "long_lines_updated.txt"],
+    outputs: ["translated/"],
+  },
+  {
+    name: "check-long-lines-fixed-width",
+    module: "check-long-lines-fixed-width.mjs",
+    description: "Export over-long lines of fixed-width scripts",
+    deps: ["validate-translations"],
+    inputs: ["fixed-width-files.json", "translated/", "original/"],
+    outputs: ["long_lines_fixed_width.txt"],
+    pipeline: true,
+  },
+  {
+    name: "check-long-lines-inspection",
+    module: "check-long-lines-inspection.mjs",
+    description: "Export over-long lines of inspection scripts",
+    deps: ["validate-translations"],
+    inputs: ["translated-inspection/", "original/"],
+    outputs: ["long_lines_inspection.txt"],
+    pipeline: true,
+  },
+  {
+    name: "check-long-lines-question",
+    module: "check-long-lines-question.mjs",
+    description: "Export over-long lines of question scripts",
+    deps: ["validate-translations"],
+    inputs: ["translated-question/", "original/"],
+    outputs: ["long_lines_question.txt"],
+    pipeline: true,
+  },
+  {
+    name: "check-long-lines-exploration",
+    module: "check-long-lines-exploration.mjs",
+    description: "Export over-long lines of exploration scripts",
+    deps: ["validate-translations"],
+    inputs: ["translated-exploration/", "original/"],
+    outputs: ["long_lines_exploration.txt"],
+    pipeline: true,
+  },
+  {
+    name: "validate-long-lines-fix-fixed-width",
+    module: "validate-long-lines-fix-fixed-width.mjs",
+    description: "Validate shortened fixed-width lines",
+    deps: ["check-long-lines-fixed-width"],
+    inputs: ["long_lines_fixed_width.txt", "long_lines_fixed_width_updated.txt"],
+    outputs: [],
+    pipeline: true,
+  },
+  {
+    name: "validate-long-lines-fix-inspection",
+    module: "validate-long-lines-fix-inspection.mjs",
+    description: "Validate shortened inspection lines",
+    deps: ["check-long-lines-inspection"],
+    inputs: ["long_lines_inspection.txt", "long_lines_inspection_updated.txt"],
+    outputs: [],
+    pipeline: true,
+  },
+  {
+    name: "validate-long-lines-fix-question",
+    module: "validate-long-lines-fix-question.mjs",
+    description: "Validate shortened question lines",
+    deps: ["check-long-lines-question"],
+    inputs: ["long_lines_question.txt", "long_lines_question_updated.txt"],
+    outputs: [],
+    pipeline: true,
+  },
+  {
+    name: "validate-long-lines-fix-exploration",
+    module: "validate-long-lines-fix-exploration.mjs",
+    description: "Validate shortened exploration lines",
+    deps: ["check-long-lines-exploration"],
+    inputs: [
+      "long_lines_exploration.txt",
+      "long_lines_exploration_updated.txt",
+    ],
+    outputs: [],
+    pipeline: true,
+  },
+
+  // --- Padding -------------------------------------------------------------
+  {
+    name: "pad-translations",
+    module: "pad-translations.mjs",
+    description: "Pad normal scripts for display line wrapping",
+    deps: ["check-long-lines"],
+    inputs: ["translated/", "original/"],
+    outputs: ["translated-padding/", "options.txt"],
+    pipeline: true,
+  },
+  {
+    name: "pad-fixed-width",
+    module: "pad-fixed-width.mjs",
+    description: "Pad fixed-width scripts to their exact required length",
+    deps: ["validate-long-lines-fix-fixed-width"],
+    inputs: [
+      "fixed-width-files.json",
+      "translated/",
+      "original/",
+      "long_lines_fixed_width_updated.txt",
+    ],
+    outputs: ["translated-fixed-width-padding/", "options_fixed_width.txt"],
+    pipeline: true,
+  },
+  {
+    name: "pad-inspection",
+    module: "pad-inspection.mjs",
+    description: "Pad inspection scripts to their exact required length",
+    deps: ["validate-long-lines-fix-inspection"],
+    inputs: [
+      "translated-inspection/",
+      "original/",
+      "long_lines_inspection_updated.txt",
+    ],
+    outputs: ["translated-inspection-padding/", "options_inspection.txt"],
+    pipeline: true,
+  },
+  {
+    name: "pad-question",
+    module: "pad-question.mjs",
+    description: "Pad question scripts to their exact required length",
+    deps: ["validate-long-lines-fix-question"],
+    inputs: [
+      "translated-question/",
+      "original/",
+      "long_lines_question_updated.txt",
+    ],
+    outputs: ["translated-question-padding/", "options_question.txt"],
+    pipeline: true,
+  },
+  {
+    name: "pad-exploration",
+    module: "pad-exploration.mjs",
+    description: "Pad exploration scripts to their exact required length",
+    deps: ["validate-long-lines-fix-exploration"],
+    inputs: [
+      "translated-exploration/",
+      "original/",
+      "long_lines_exploration_updated.txt",
+    ],
+    outputs: ["translated-exploration-padding/", "options_exploration.txt"],
+    pipeline: true,
+  },
+
+  // --- Full (UTF-8) translations -------------------------------------------
+  {
+    name: "clean-translations-full",
+    module: "clean-translations-full.mjs",
+    description: "Normalise UTF-8 full translations in place",
+    deps: [],
+    inputs: ["original/"],
+    outputs: ["translated-full/"],
+  },
+  {
+    name: "fix-sjis-chars-full",
+    module: "fix-sjis-chars-full.mjs",
+    description: "Restore characters lost in full translations",
+    deps: ["clean-translations-full"],
+    inputs: ["gemini-translation-text/"],
+    outputs: ["translated-full/"],
+  },
+  {
+    name: "validate-translations-full",
+    module: "validate-translations-full.mjs",
+    description: "Validate full translations against originals",
+    deps: ["fix-sjis-chars-full"],
+    inputs: ["original/", "translated-full/"],
+    outputs: [],
+  },
+  {
+    name: "export-translation-map",
+    module: "export-translation-map.mjs",
+    description: "Build the Japanese → English translation map",
+    deps: ["validate-translations-full"],
+    inputs: ["original/", "translated-full/"],
+    outputs: ["translation-map.json"],
+  },
+  {
+    name: "build-translation-memory",
+    module: "build-translation-memory.mjs",
+    description: "Record every translated line and report inconsistent ones",
+    deps: ["validate-translations-full"],
+    inputs: ["original/", "translated-full/"],
+    outputs: ["translation-memory.json"],
+  },
+  {
+    name: "search-translation-memory",
+    module: "search-translation-memory.mjs",
+    description: "Look up the lines nearest to --query in the memory",
+    deps: [],
+    inputs: ["translation-memory.json"],
+    outputs: [],
+  },
+
+  // --- Translation tools ---------------------------------------------------
+  {
+    name: "export-interchange",
+    module: "export-interchange.mjs",
+    description: "Export translations as PO, XLIFF and TMX files",
+    deps: [],
+    inputs: ["original/", "translated*/"],
+    outputs: ["interchange/"],
+  },
+  {
+    name: "import-interchange",
+    module: "import-interchange.mjs",
+    description: "Write edits made in PO, XLIFF and TMX files back",
+    deps: [],
+    inputs: ["interchange/", "original/"],
+    outputs: ["translated*/"],
+  },
+
+  // --- Reports -------------------------------------------------------------
+  {
+    name: "check-speech-sources",
+    module: "check-speech-sources.mjs",
+    description: "Compare speech source names in originals and translations",
+    deps: [],
+    inputs: ["original/", "translated*/"],
+    outputs: [],
+  },
+  {
+    name: "check-terminology",
+    module: "check-terminology.mjs",
+    description: "Check glossary names and terms in the English text",
+    deps: [],
+    inputs: ["original/", "translated*/", "glossary.json"],
+    outputs: [],
+  },
+  {
+    name: "check-templates",
+    module: "check-templates.mjs",
+    description: "Check player-name tokens and their layout at every length",
+    deps: [],
+    inputs: ["original/", "translated*/", "fixed-width-files.json"],
+    outputs: [],
+  },
+  {
+    name: "harvest-ruby-readings",
+    module: "harvest-ruby-readings.mjs",
+    description: "Propose glossary entries from the ruby readings of names",
+    deps: [],
+    inputs: ["original/", "translated*/", "glossary.json"],
+    outputs: ["glossary-proposals.json"],
+  },
+  {
+    name: "classify-scripts",
+    module: "classify-scripts.mjs",
+    description: "Show the category of every original script and why",
+    deps: [],
+    inputs: ["original/", "category-overrides.json", "fixed-width-files.json"],
+    outputs: [],
+  },
+  {
+    name: "detect-fixed-width",
+    module: "detect-fixed-width.mjs",
+    description: "Propose original scripts for the fixed-width manifest",
+    deps: [],
+    inputs: ["original/", "fixed-width-files.json"],
+    outputs: ["fixed-width-proposals.json"],
+  },
+  {
+    name: "accept-fixed-width",
+    module: "accept-fixed-width.mjs",
+    description: "Add reviewed fixed-width proposals to the manifest",
+    deps: [],
+    inputs: ["fixed-width-proposals.json"],
+    outputs: ["fixed-width-files.json"],
+  },
+  {
+    name: "detect-vertical-scripts",
+    module: "detect-vertical-scripts.mjs",
+    description: "List vertical-style original scripts",
+    deps: [],
+    inputs: ["original/"],
+    outputs: [],
+  },
+  {
+    name: "scan-characters",
+    module: "scan-characters.mjs",
+    description:
+      "List non-alphanumeric and unmapped characters in translations",
+    deps: [],
+    inputs: ["translated*/", "gemini-translation-text/"],
+    outputs: [],
+  },
+  {
+    name: "scan-characters-full",
+    module: "scan-characters-full.mjs",
+    description: "List non-alphanumeric characters in full translations",
+    deps: [],
+    inputs: ["translated-full/"],
+    outputs: [],
+  },
+];
+
+export const STAGES = new Map(STAGE_LIST.map((stage) => [stage.name, stage]));
+
+/**
+ * Resolve the given target stages plus all of their transitive dependencies
+ * into execution order (every stage after its dependencies). With no
+ * targets, the default pipeline is returned.
+ */
+export function resolveStageOrder(targets = []) {
+  const roots =
+    targets.length > 0
+      ? targets
+      : STAGE_LIST.filter((stage) => stage.pipeline).map((stage) => stage.name);
+
+  const order = [];
+  const visit = (name, chain) => {
+    const stage = STAGES.get(name);
+    if (!stage) {
+      throw new Error(`Unknown stage "${name}"`);
+    }
+    if (chain.includes(name)) {
+      throw new Error(`Stage cycle: ${[...chain, name].join(" → ")}`);
+    }
+    if (order.includes(stage)) return;
+
+    for (const dep of stage.deps) visit(dep, [...chain, name]);
+    order.push(stage);
+  };
+
+  for (const name of roots) visit(name, []);
+
+  return order;
+}
+
+/**
+ * Import a stage's script and return its `main()` implementation.
+ */
+export async function loadStage(stage) {
+  const mod = await import(new URL(`../${stage.module}`, import.meta.url));
+  if (typeof mod.main !== "function") {
+    throw new Error(`${stage.module} does not export main()`);
+  }
+  return mod.main;
+}
@@ -0,0 +1,189 @@
+/**
+ * Player-Name Templates
+ *
+ * Originals write the names the player enters as tokens, `(NAME01)` for the
+ * family name and `(NAME02)` for the given name, which the engine replaces
+ * at runtime: 「あ、ぼくは(NAME01)(NAME02)です」. Translations must keep
+ * the same tokens, and every width rule has to allow for names of any
+ * length the name-entry screen accepts. `templates` in caucasus.config.json
+ * describes them:
+ *
+ *   {
+ *     "pattern": "\\(NAME\\d+\\)",
+ *     "nameEntryLimit": 10,
+ *     "separator": " ",
+ *     "names": {
+ *       "(NAME01)": { "default": "Kobayashi", "min": 1 },
+ *       "(NAME02)": { "default": "Satoshi", "min": 1, "max": 8 }
+ *     }
+ *   }
+ *
+ *   pattern        — regex finding a token
+ *   nameEntryLimit — the most characters the engine lets the player enter
+ *                    for a name
+ *   separator      — what the engine shows between two names written side
+ *                    by side, (NAME01)(NAME02)
+ *   names          — per token, the `default` name and the shortest (`min`,
+ *                    default 1) and longest (`max`, default the entry
+ *                    limit) lengths to lay lines out for
+ *
+ * Widths are computed for one of the sizes "min", "default" (the length of
+ * the default name) and "max". A token missing from `names` takes the
+ * entry limit at every size. The older [[template, value]] list is still
+ * read, each single-token template becoming the default name of its token.
+ *
+ * A name is the same string in the original and the translation, so the
+ * fixed-width limit of a line counts it once, at its own length, on top of
+ * the ratio times the rest of the original (see fixedWidthLimit in
+ * lib/config.mjs); only the word-wrap layout changes with the name length.
+ */
+
+import { displayWidth } from "./ruby.mjs";
+
+export const NAME_SIZES = ["min", "default", "max"];
+
+const DEFAULT_PATTERN = "\\(NAME\\d+\\)";
+
+// Private-use characters standing for a run of names while laying a line
+// out; they are neither spaces nor letters of any script.
+const PLACEHOLDER_BASE = 0xe000;
+const PLACEHOLDER = /[\uE000-\uF8FF]+/g;
+
+/**
+ * Normalise the `templates` config. Throws on bad lengths.
+ */
+export function buildTemplates(raw = {}) {
+  if (Array.isArray(raw)) {
+    const names = {};
+    for (const [template, value] of raw) {
+      if (/^\([^()]+\)$/.test(template)) names[template] = { default: value };
+    }
+    raw = { names };
+  }
+
+  const nameEntryLimit = raw.nameEntryLimit ?? 10;
+  const names = new Map();
+  for (const [token, entry] of Object.entries(raw.names ?? {})) {
+    const name = {
+      default: entry.default,
+      min: entry.min ?? 1,
+      max: entry.max ?? nameEntryLimit,
+    };
+    if (typeof name.default !== "string" || name.default.length === 0) {
+      throw new Error(`templates: ${token} has no default name`);
+    }
+    const lengths = [1, name.min, name.default.length, name.max];
+    if (lengths.some((n, i) => i > 0 && !(n >= lengths[i - 1]))) {
+      throw new Error(
+        `templates: ${token} needs 1 ≤ min ≤ default name length ≤ max`
+      );
+    }
+    if (name.max > nameEntryLimit) {
+      throw new Error(
+        `templates: ${token} max ${name.max} is over the name entry limit ` +
+          `${nameEntryLimit}`
+      );
+    }
+    names.set(token, name);
+  }
+
+  return {
+    pattern: new RegExp(raw.pattern ?? DEFAULT_PATTERN, "g"),
+    nameEntryLimit,
+    separator: raw.separator ?? " ",
+    names,
+  };
+}
+
+/**
+ * The tokens of a line, in order.
+ */
+export function templateTokens(config, line) {
+  return [...line.matchAll(config.templates.pattern)].map((m) => m[0]);
+}
+
+/**
+ * The runs of tokens of a line, tokens written side by side forming one
+ * run: [{ index, text, tokens }].
+ */
+function tokenRuns(config, line) {
+  const runs = [];
+  for (const { 0: token, index } of line.matchAll(config.templates.pattern)) {
+    const last = runs.at(-1);
+    if (last && last.index + last.text.length === index) {
+      last.text += token;
+      last.tokens.push(token);
+    } else {
+      runs.push({ index, text: token, tokens: [token] });
+    }
+  }
+  return runs;
+}
+
+/**
+ * The length of the name a token stands for, at `size`.
+ */
+export function nameLength(config, token, size = "default") {
+  const { names, nameEntryLimit } = config.templates;
+  const name = names.get(token);
+  if (!name) return nameEntryLimit;
+  return size === "default" ? name.default.length : name[size];
+}
+
+// The displayed length of a run of names at `size`.
+const runLength = (config, tokens, size) =>
+  tokens.reduce((sum, token) => sum + nameLength(config, token, size), 0) +
+  config.templates.separator.length * (tokens.length - 1);
+
+/**
+ * The width of a line as displayed with names of `size`: its display width
+ * (see lib/ruby.mjs) with every token counted as its name.
+ */
+export function templateWidth(config, line, size = "default") {
+  return (
+    displayWidth(stripTemplates(config, line)) +
+    nameWidth(config, line, size)
+  );
+}
+
+/**
+ * The width the names of a line take at `size`.
+ */
+export function nameWidth(config, line, size = "default") {
+  return tokenRuns(config, line).reduce(
+    (sum, run) => sum + runLength(config, run.tokens, size),
+    0
+  );
+}
+
+/**
+ * The line without its tokens.
+ */
+export const stripTemplates = (config, line) =>
+  line.replace(config.templates.pattern, "");
+
+/**
+ * Lay a line out with names of `size`. Returns { text, restore }: `text`
+ * has every run of tokens replaced by a placeholder word as long as the
+ * names, which wrapping never breaks, and `restore(laidOut)` puts the
+ * tokens back into `text` after spaces have been added or removed.
+ */
+export function layoutTemplates(config, line, size = "default") {
+  const runs = tokenRuns(config, line);
+  let text = "";
+  let last = 0;
+  runs.forEach((run, i) => {
+    const placeholder = String.fromCharCode(PLACEHOLDER_BASE + i);
+    text += line.slice(last, run.index);
+    text += placeholder.repeat(runLength(config, run.tokens, size));
+    last = run.index + run.text.length;
+  });
+  text += line.slice(last);
+
+  const restore = (laidOut) =>
+    laidOut.replace(
+      PLACEHOLDER,
+      (placeholder) => runs[placeholder.charCodeAt(0) - PLACEHOLDER_BASE].text
+    );
+  return { text, restore };
+}
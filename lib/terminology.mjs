@@ -0,0 +1,138 @@
+/**
+ * Terminology Glossary
+ *
+ * The character names, family names and places whose English must be the
+ * same in every scene, kept in `glossaryFile` (glossary.json):
+ *
+ *   {
+ *     "想子": "Souko",
+ *     "なるみ": { "english": "Narumi", "pattern": "なるみ(?!たい)" },
+ *     "北上川": { "english": "Kitakami River", "variants": ["Kitakamigawa"] }
+ *   }
+ *
+ * An entry is the Japanese term with its English, or an object with:
+ *
+ *   english  — the agreed English
+ *   variants — other spellings known to be used for it (optional)
+ *   pattern  — a regex finding the term in Japanese, for terms that also
+ *              occur inside ordinary words (optional; defaults to the term)
+ *
+ * `checkTerm()` compares a line pair against an entry. Besides the listed
+ * variants, an English word that differs from the agreed spelling only in
+ * how long vowels are romanized (Soko, Sōko, Sooko for Souko) counts as a
+ * different romanization, and a line that renders the term with a personal
+ * pronoun only ("I wonder if she's there" for 想子さんは居るだろうか) is
+ * told apart from one that leaves it out.
+ */
+
+import { readFile } from "fs/promises";
+import { baseText } from "./ruby.mjs";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Fold the romanizations of long vowels together: macrons and circumflexes
+ * dropped, "ou", "oo", "oh" and "uu" shortened, case ignored.
+ */
+export function foldRomanization(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0302\u0304]/g, "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/o[uoh](?![aeiou])/g, "o")
+    .replace(/uu/g, "u");
+}
+
+// `text` as a whole word: not preceded or followed by a letter or digit.
+const wordPattern = (text, flags = "") =>
+  new RegExp(
+    `(?<![\\p{L}\\p{N}])${escapeRegExp(text)}(?![\\p{L}\\p{N}])`,
+    `u${flags}`
+  );
+
+// A second or third person pronoun, which a name is commonly rendered as.
+const PRONOUN = new RegExp(
+  "(?<![\\p{L}\\p{N}])(?:he|him|his|himself|she|her|hers|herself|" +
+    "they|them|their|theirs|themselves|you|your|yours|yourself)" +
+    "(?![\\p{L}\\p{N}])",
+  "iu"
+);
+
+/**
+ * Read the glossary. Returns null when the file does not exist, otherwise
+ * [{ japanese, english, variants, pattern }] with the patterns compiled.
+ * Throws on malformed entries.
+ */
+export async function loadGlossary(config) {
+  const file = config.glossaryFile;
+  let raw;
+  try {
+    raw = JSON.parse(await readFile(file, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`Cannot read glossary ${file}: ${err.message}`);
+  }
+
+  return Object.entries(raw).map(([japanese, entry]) => {
+    const fields = typeof entry === "string" ? { english: entry } : entry;
+    if (typeof fields.english !== "string" || fields.english.length === 0) {
+      throw new Error(`${file}: "${japanese}" has no English`);
+    }
+    return compileTerm(japanese, fields);
+  });
+}
+
+/**
+ * Build a term as `loadGlossary()` returns it from a Japanese term and its
+ * { english, variants, pattern }.
+ */
+export function compileTerm(japanese, { english, variants = [], pattern }) {
+  return {
+    japanese,
+    english,
+    variants,
+    pattern: new RegExp(pattern ?? escapeRegExp(japanese), "u"),
+    exact: wordPattern(english, "i"),
+    folded: wordPattern(foldRomanization(english)),
+    known: variants.map((variant) => ({
+      variant,
+      pattern: wordPattern(variant, "i"),
+    })),
+  };
+}
+
+/**
+ * Check how a line pair renders a glossary term. Returns null when the
+ * original does not contain the term, otherwise { status, found }:
+ *
+ *   "ok"           — the English uses the agreed spelling
+ *   "romanization" — it spells the term with other long vowels (`found`)
+ *   "variant"      — it uses a listed variant (`found`)
+ *   "pronoun"      — it has no rendering of the term but a personal
+ *                    pronoun (`found`), which usually stands for it
+ *   "missing"      — it has no rendering of the term at all
+ */
+export function checkTerm(term, source, target) {
+  if (!term.pattern.test(baseText(source))) return null;
+  if (term.exact.test(target)) return { status: "ok", found: null };
+
+  for (const { variant, pattern } of term.known) {
+    if (pattern.test(target)) return { status: "variant", found: variant };
+  }
+
+  const folded = foldRomanization(target);
+  const match = term.folded.exec(folded);
+  if (match) {
+    // Folding can shorten the line, so find the word in the original
+    // English by its folded form.
+    const word = target
+      .split(/[^\p{L}\p{N}]+/u)
+      .find((w) => foldRomanization(w) === match[0]);
+    return { status: "romanization", found: word ?? match[0] };
+  }
+
+  const pronoun = PRONOUN.exec(target);
+  if (pronoun) return { status: "pronoun", found: pronoun[0] };
+  return { status: "missing", found: null };
+}
@@ -0,0 +1,187 @@
+/**
+ * Unicode → Shift-JIS Transliteration
+ *
+ * The default table of replacements applied before every Shift-JIS write
+ * (see lib/encoding.mjs). It covers characters the Gemini translations use
+ * that have no Shift-JIS code:
+ *
+ *   - accented Latin letters (Latin-1 Supplement, Latin Extended-A/B and
+ *     Latin Extended Additional) → the unaccented letter
+ *   - letters with no accent-free form (æ, ß, ø, ł, þ, …) and ligatures
+ *     (ﬁ, ﬂ, …) → their usual spelled-out letters
+ *   - dashes, non-breaking and typographic spaces, zero-width characters
+ *   - Latin-1 punctuation and symbols (·, ¡, ¿, ©, ½, …)
+ *
+ * plus English typography the game font renders badly even though Shift-JIS
+ * has a code for it: curly quotes and primes become ASCII quotes, and the
+ * Unicode hyphen the ASCII one. The horizontal
+ * ellipsis (…) is kept — the game renders it — and only its variants (⋯,
+ * ︙) are folded into it.
+ *
+ * Projects adjust the table with `transliterations` in caucasus.config.json:
+ * { "char": "replacement" } adds or changes a rule, and mapping a character
+ * to itself removes the rule.
+ */
+
+// Letters whose decomposition has no accent-free ASCII form.
+const SPECIAL_LETTERS = [
+  ["\u00C6", "AE"], // Æ
+  ["\u00E6", "ae"], // æ
+  ["\u0152", "OE"], // Œ
+  ["\u0153", "oe"], // œ
+  ["\u00D8", "O"], // Ø
+  ["\u00F8", "o"], // ø
+  ["\u00DF", "ss"], // ß
+  ["\u1E9E", "SS"], // ẞ
+  ["\u00DE", "Th"], // Þ
+  ["\u00FE", "th"], // þ
+  ["\u00D0", "D"], // Ð
+  ["\u00F0", "d"], // ð
+  ["\u0110", "D"], // Đ
+  ["\u0111", "d"], // đ
+  ["\u0126", "H"], // Ħ
+  ["\u0127", "h"], // ħ
+  ["\u0131", "i"], // ı
+  ["\u0132", "IJ"], // Ĳ
+  ["\u0133", "ij"], // ĳ
+  ["\u0138", "k"], // ĸ
+  ["\u013F", "L"], // Ŀ
+  ["\u0140", "l"], // ŀ
+  ["\u0141", "L"], // Ł
+  ["\u0142", "l"], // ł
+  ["\u0149", "'n"], // ŉ
+  ["\u014A", "NG"], // Ŋ
+  ["\u014B", "ng"], // ŋ
+  ["\u017F", "s"], // ſ
+  ["\u0192", "f"], // ƒ
+];
+
+const LIGATURES = [
+  ["\uFB00", "ff"], // ﬀ
+  ["\uFB01", "fi"], // ﬁ
+  ["\uFB02", "fl"], // ﬂ
+  ["\uFB03", "ffi"], // ﬃ
+  ["\uFB04", "ffl"], // ﬄ
+  ["\uFB05", "st"], // ﬅ
+  ["\uFB06", "st"], // ﬆ
+];
+
+const QUOTES = [
+  ["\u2018", "'"], // ‘ (left single quotation mark)
+  ["\u2019", "'"], // ’ (right single quotation mark)
+  ["\u201A", "'"], // ‚ (single low-9 quotation mark)
+  ["\u201B", "'"], // ‛ (single high-reversed-9 quotation mark)
+  ["\u201C", '"'], // “ (left double quotation mark)
+  ["\u201D", '"'], // ” (right double quotation mark)
+  ["\u201E", '"'], // „ (double low-9 quotation mark)
+  ["\u201F", '"'], // ‟ (double high-reversed-9 quotation mark)
+  ["\u2039", "<"], // ‹ (single left-pointing angle quotation mark)
+  ["\u203A", ">"], // › (single right-pointing angle quotation mark)
+  ["\u00AB", '"'], // « (left-pointing double angle quotation mark)
+  ["\u00BB", '"'], // » (right-pointing double angle quotation mark)
+  ["\u2032", "'"], // ′ (prime)
+  ["\u2033", '"'], // ″ (double prime)
+];
+
+const DASHES_AND_SPACES = [
+  ["\u2010", "-"], // ‐ (hyphen)
+  ["\u2011", "-"], // ‑ (non-breaking hyphen)
+  ["\u2012", "-"], // ‒ (figure dash)
+  ["\u2013", "-"], // – (en dash)
+  ["\u2014", "-"], // — (em dash)
+  ["\u00AD", ""], // (soft hyphen)
+  ["\u00A0", " "], // (non-breaking space)
+  ["\u2002", " "], // (en space)
+  ["\u2003", " "], // (em space)
+  ["\u2004", " "], // (three-per-em space)
+  ["\u2005", " "], // (four-per-em space)
+  ["\u2006", " "], // (six-per-em space)
+  ["\u2007", " "], // (figure space)
+  ["\u2008", " "], // (punctuation space)
+  ["\u2009", " "], // (thin space)
+  ["\u200A", " "], // (hair space)
+  ["\u202F", " "], // (narrow no-break space)
+  ["\u205F", " "], // (medium mathematical space)
+  ["\u200B", ""], // (zero width space)
+  ["\u200C", ""], // (zero width non-joiner)
+  ["\u200D", ""], // (zero width joiner)
+  ["\u2060", ""], // (word joiner)
+  ["\uFEFF", ""], // (zero width no-break space / BOM)
+  ["\u22EF", "\u2026"], // ⋯ (midline horizontal ellipsis)
+  ["\uFE19", "\u2026"], // ︙ (presentation form for vertical ellipsis)
+];
+
+const SYMBOLS = [
+  ["\u00B7", "."], // · (middle dot)
+  ["\u2022", "*"], // • (bullet)
+  ["\u00A1", "!"], // ¡
+  ["\u00BF", "?"], // ¿
+  ["\u00A6", "|"], // ¦
+  ["\u00A9", "(c)"], // ©
+  ["\u00AE", "(R)"], // ®
+  ["\u2122", "(TM)"], // ™
+  ["\u00AA", "a"], // ª
+  ["\u00BA", "o"], // º
+  ["\u00B9", "1"], // ¹
+  ["\u00B2", "2"], // ²
+  ["\u00B3", "3"], // ³
+  ["\u00BC", "1/4"], // ¼
+  ["\u00BD", "1/2"], // ½
+  ["\u00BE", "3/4"], // ¾
+  ["\u00B5", "u"], // µ
+  ["\u00A4", "$"], // ¤
+  ["\u00A5", "\\"], // ¥ (Japanese fonts draw 0x5C as the yen sign)
+  ["\u00B8", ","], // ¸
+  ["\u00AF", "-"], // ¯
+];
+
+// Code point ranges scanned for accented Latin letters.
+const LATIN_RANGES = [
+  [0x00c0, 0x024f], // Latin-1 Supplement letters, Latin Extended-A and B
+  [0x1e00, 0x1eff], // Latin Extended Additional
+];
+
+/**
+ * Accented Latin letters that decompose (NFD) into an ASCII letter plus
+ * combining marks, mapped to that letter.
+ */
+function accentedLetters() {
+  const rules = [];
+  for (const [from, to] of LATIN_RANGES) {
+    for (let code = from; code <= to; code++) {
+      const ch = String.fromCodePoint(code);
+      const base = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+      if (base !== ch && /^[A-Za-z]+$/.test(base)) rules.push([ch, base]);
+    }
+  }
+  return rules;
+}
+
+export const DEFAULT_TRANSLITERATIONS = new Map([
+  ...accentedLetters(),
+  ...SPECIAL_LETTERS,
+  ...LIGATURES,
+  ...QUOTES,
+  ...DASHES_AND_SPACES,
+  ...SYMBOLS,
+]);
+
+/**
+ * Merge project `overrides` ({ char: replacement }) into the default table.
+ * A character mapped to itself is removed. Throws on keys that are not a
+ * single character.
+ */
+export function buildTransliterations(overrides = {}) {
+  const table = new Map(DEFAULT_TRANSLITERATIONS);
+  for (const [ch, replacement] of Object.entries(overrides)) {
+    if ([...ch].length !== 1) {
+      throw new Error(`transliterations: "${ch}" is not a single character`);
+    }
+    if (replacement === ch) {
+      table.delete(ch);
+    } else {
+      table.set(ch, replacement);
+    }
+  }
+  return table;
+}
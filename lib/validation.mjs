@@ -0,0 +1,176 @@
+/**
+ * Validation Checks
+ *
+ * The structural checks of the validators, as functions that return what
+ * they found instead of printing it, so build-retranslation.mjs can collect
+ * the failing files of every validator in one run:
+ *
+ *   compareTranslatedScript — validate-translations.mjs: a translated
+ *                             script against its original
+ *   hasBrokenRuby           — validate-translations(-full).mjs: stray ruby
+ *                             markup in a translated line
+ *   samePageBreaks          — validate-translations(-full).mjs: the ＄
+ *                             markers of a translated line
+ *   compareGeminiSection    — validate-gemini-line-counts.mjs: a Gemini
+ *                             section against its original
+ *   speechSourceNames       — check-speech-sources.mjs: the speaker names
+ *                             used by a script
+ */
+
+import { parseRuby } from "./ruby.mjs";
+import { isSpeechSource, pageBreakMarks } from "./script.mjs";
+
+const nonEmpty = (lines) => lines.filter((l) => l.trim().length > 0);
+
+/**
+ * True when `line` has a `<` or `>` that is not part of a complete ruby
+ * group.
+ */
+export const hasBrokenRuby = (line) =>
+  /[<>]/.test(line) && parseRuby(line).broken.length > 0;
+
+/**
+ * True when a translated line keeps the ＄ page breaks of its original: as
+ * many markers, in the same places — opening the line, closing it or
+ * inside it (see pageBreakMarks in lib/script.mjs).
+ */
+export function samePageBreaks(origLine, transLine) {
+  const zones = (line) => pageBreakMarks(line).map((mark) => mark.zone);
+  return zones(origLine).join() === zones(transLine).join();
+}
+
+/**
+ * Compare a translated script with its original, line by line. When `trim`
+ * is true, lines are trimmed before classification (vertical-style
+ * scripts). Returns { lineCount, mismatches }:
+ *
+ *   lineCount  — { original, translated } when the line counts differ,
+ *                otherwise null
+ *   mismatches — [{ line, kind, origText, transText }], `kind` being
+ *                "type" (a speech source in only one of the files),
+ *                "speaker_name" (speech sources that differ), "ruby"
+ *                (a `<` or `>` outside a complete ruby group, see
+ *                lib/ruby.mjs) or "page_break" (＄ markers lost, added or
+ *                moved); when the line counts differ, only the first
+ *                "type" mismatch
+ */
+export function compareTranslatedScript(
+  originalLines,
+  translatedLines,
+  { trim = false } = {}
+) {
+  const lineCount =
+    originalLines.length !== translatedLines.length
+      ? { original: originalLines.length, translated: translatedLines.length }
+      : null;
+
+  const mismatches = [];
+  const minLen = Math.min(originalLines.length, translatedLines.length);
+  for (let i = 0; i < minLen; i++) {
+    const origLine = trim ? originalLines[i].trim() : originalLines[i];
+    const transLine = trim ? translatedLines[i].trim() : translatedLines[i];
+    const origIsSrc = isSpeechSource(origLine);
+    const transIsSrc = isSpeechSource(transLine);
+
+    let kind = null;
+    if (origIsSrc !== transIsSrc) {
+      kind = "type";
+    } else if (origIsSrc && origLine !== transLine) {
+      kind = "speaker_name";
+    } else if (!transIsSrc && hasBrokenRuby(transLine)) {
+      kind = "ruby";
+    } else if (!transIsSrc && !samePageBreaks(origLine, transLine)) {
+      kind = "page_break";
+    }
+    if (!kind || (lineCount && kind !== "type")) continue;
+
+    mismatches.push({
+      line: i + 1,
+      kind,
+      origText: originalLines[i],
+      transText: translatedLines[i],
+    });
+    if (lineCount) break;
+  }
+
+  return { lineCount, mismatches };
+}
+
+const lineType = (line) => (isSpeechSource(line) ? "speech" : "content");
+
+/**
+ * Walk original and translated lines in parallel and find the first position
+ * where their line types (speech source vs content) diverge.
+ * Returns a description object or null if types align perfectly.
+ */
+function findFirstTypeMismatch(originalLines, translatedLines) {
+  const maxLen = Math.max(originalLines.length, translatedLines.length);
+
+  for (let i = 0; i < maxLen; i++) {
+    const origLine = i < originalLines.length ? originalLines[i] : null;
+    const transLine = i < translatedLines.length ? translatedLines[i] : null;
+
+    if (origLine === null) {
+      return {
+        index: i,
+        reason: "extra translated line",
+        transLine,
+        transType: lineType(transLine),
+      };
+    }
+    if (transLine === null) {
+      return {
+        index: i,
+        reason: "missing translated line",
+        origLine,
+        origType: lineType(origLine),
+      };
+    }
+
+    if (lineType(origLine) !== lineType(transLine)) {
+      return {
+        index: i,
+        reason: "type mismatch",
+        origLine,
+        origType: lineType(origLine),
+        transLine,
+        transType: lineType(transLine),
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compare the non-empty lines of a Gemini section with those of its
+ * original. Returns null when the counts match, otherwise
+ * { original, translated, mismatch }: the two counts and the first line
+ * type mismatch (see findFirstTypeMismatch), or null when the types all
+ * match and the difference is at the end.
+ */
+export function compareGeminiSection(originalLines, contentLines) {
+  const original = nonEmpty(originalLines);
+  const translated = nonEmpty(contentLines);
+  if (original.length === translated.length) return null;
+
+  return {
+    original: original.length,
+    translated: translated.length,
+    mismatch: findFirstTypeMismatch(original, translated),
+  };
+}
+
+/**
+ * The speaker names of the speech source lines (＃) in `lines`.
+ */
+export function speechSourceNames(lines, prefix = "＃") {
+  const sources = new Set();
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith(prefix)) {
+      sources.add(trimmed.slice(prefix.length));
+    }
+  }
+  return sources;
+}
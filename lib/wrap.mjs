@@ -0,0 +1,95 @@
+/**
+ * Row Wrapping of the Word-Wrap Layout
+ *
+ * The game text box displays each line across a maximum of 2 displayed rows.
+ * The 1st row accepts `width.lineWidth` characters; any remaining text flows
+ * to the 2nd row, so a word straddling that boundary is cut in two. The
+ * engine starts a new page at each ＄ marker (see lib/script.mjs), and the
+ * rows of every page are counted from its start.
+ *
+ * Player names are only known at runtime, so a line is laid out for names
+ * of a given size (see lib/templates.mjs): pad-translations pads for the
+ * default names and check-templates checks the shortest and longest.
+ */
+
+import { baseText, displayWidth, rawOffsets } from "./ruby.mjs";
+import { splitPageBreaks } from "./script.mjs";
+import { layoutTemplates } from "./templates.mjs";
+
+/**
+ * Pad a single line so that no word is cut at the `lineWidth` boundary.
+ * Columns are counted on the displayed text, so ruby markup takes only the
+ * room of its base, and a ruby group is never split (see lib/ruby.mjs).
+ *
+ * Three cases:
+ *   1. Row 1 ends with a space  -> clean break, no change needed.
+ *   2. Row 2 starts with a space -> word ended exactly at the boundary;
+ *      remove the redundant leading space (the line break already acts as
+ *      the visual word separator).
+ *   3. A word straddles the boundary -> insert space padding before that
+ *      word so it starts at the beginning of row 2.
+ */
+function padLine(line, lineWidth) {
+  const text = baseText(line);
+
+  // Lines that fit on one row don't need padding.
+  if (text.length <= lineWidth) return line;
+
+  // Display columns map back to the raw line; only spaces outside ruby
+  // groups can end a row.
+  const { offsets, grouped } = rawOffsets(line);
+  const isBreak = (column) => text[column] === " " && !grouped[column];
+
+  // Case 1: last char of row 1 is a space — clean word break already.
+  if (isBreak(lineWidth - 1)) return line;
+
+  // Case 2: first char of row 2 is a space — word ended exactly at the
+  // boundary.
+  // Remove the space since the line break is the visual separator.
+  if (isBreak(lineWidth)) {
+    const at = offsets[lineWidth];
+    return line.slice(0, at) + line.slice(at + 1);
+  }
+
+  // Case 3: a word straddles the boundary. Find where that word starts by
+  // scanning backward from the boundary to the last space in row 1.
+  let lastSpace = lineWidth - 1;
+  while (lastSpace >= 0 && !isBreak(lastSpace)) lastSpace--;
+  if (lastSpace === -1) {
+    // No space in the entire first row — can't pad without breaking it.
+    return line;
+  }
+
+  // Insert padding spaces between the last complete word and the straddling
+  // word, pushing the straddling word to the start of row 2.
+  const at = offsets[lastSpace + 1];
+  const padding = " ".repeat(lineWidth - (lastSpace + 1));
+
+  return line.slice(0, at) + padding + line.slice(at);
+}
+
+/**
+ * Pad every page of a line on its own: the engine starts a new page at each
+ * ＄ marker, so row boundaries are counted again from the text after it.
+ */
+function padPages(line, lineWidth) {
+  const { pages, marks } = splitPageBreaks(line);
+  return pages
+    .map((page, i) => padLine(page, lineWidth) + (marks[i] ?? ""))
+    .join("");
+}
+
+// The display width of the longest page of a line.
+const pageWidth = (line) =>
+  Math.max(...splitPageBreaks(line).pages.map(displayWidth));
+
+/**
+ * Pad a translated line for player names of `size`. Returns { line, width }:
+ * the padded line, its name tokens kept for the engine, and the display
+ * width of its longest page as shown with those names.
+ */
+export function wrapLine(config, line, size = "default") {
+  const { text, restore } = layoutTemplates(config, line, size);
+  const padded = padPages(text, config.width.lineWidth);
+  return { line: restore(padded), width: pageWidth(padded) };
+}
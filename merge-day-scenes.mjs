@@ -34,21 +34,22 @@
 import { glob } from "glob";
 import { mkdir, readFile, writeFile } from "fs/promises";
 import path from "path";
+import { loadConfig } from "./lib/config.mjs";
+import { runIfMain } from "./lib/stage.mjs";
 
-const ORIGINAL_DIR = "original";
-const OUTPUT_DIR = "merged-day-scenes";
+const SEPARATOR = Buffer.from("\n--------------------\n");
 
-// Matches normal scene filenames starting with a digit and captures the
-// first two digits as the day group. For example "02a_1640h.txt" matches
-// with day "02", and "99a1_9999end1.txt" matches with day "99".
-// Exploration files (starting with [A-Z]) won't match.
-const DAY_PATTERN = /^(\d{2})\w*_.+\.txt$/;
+export async function main() {
+  const config = loadConfig();
 
-const SEPARATOR = Buffer.from("\n--------------------\n");
+  // `pattern` (merge.day in the config) matches normal scene filenames starting
+  // with a digit and captures the first two digits as the day group. For
+  // example "02a_1640h.txt" matches with day "02", and "99a1_9999end1.txt"
+  // matches with day "99". Exploration files (starting with [A-Z]) won't match.
+  const { dir: outputDir, pattern } = config.merge.day;
 
-async function main() {
   // Step 1: Discover all .txt script files under the original/ directory.
-  const files = await glob(`${ORIGINAL_DIR}/*.txt`);
+  const files = await glob(`${config.originalDir}/*.txt`);
 
   // Step 2: Group normal scene files by their 2-digit day prefix.
   // e.g. { "01" => ["original/01_1600.txt", "original/01z_2600.txt", ...],
@@ -56,7 +57,7 @@ async function main() {
   const groups = new Map();
   for (const filePath of files) {
     const filename = path.basename(filePath);
-    const match = filename.match(DAY_PATTERN);
+    const match = filename.match(pattern);
     if (!match) continue;
 
     const day = match[1];
@@ -67,7 +68,7 @@ async function main() {
   }
 
   // Step 3: Ensure the output directory exists.
-  await mkdir(OUTPUT_DIR, { recursive: true });
+  await mkdir(outputDir, { recursive: true });
 
   // Step 4: For each day group, merge all scene files into a single output
   // file. Files within each group are sorted alphabetically so the merged
@@ -90,15 +91,15 @@ async function main() {
     }
 
     // Step 4b: Write the concatenated buffers to the output file.
-    const outputPath = path.join(OUTPUT_DIR, `${day}.txt`);
+    const outputPath = path.join(outputDir, `${day}.txt`);
     await writeFile(outputPath, Buffer.concat(buffers));
 
     console.log(`${day}.txt — ${filePaths.length} files merged`);
   }
 
   console.log(
-    `\nDone. ${sortedDays.length} merged files written to ${OUTPUT_DIR}/`
+    `\nDone. ${sortedDays.length} merged files written to ${outputDir}/`
   );
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
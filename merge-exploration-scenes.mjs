@@ -36,30 +36,32 @@
 import { glob } from "glob";
 import { mkdir, readFile, writeFile } from "fs/promises";
 import path from "path";
+import { loadConfig } from "./lib/config.mjs";
+import { runIfMain } from "./lib/stage.mjs";
 
-const ORIGINAL_DIR = "original";
-const OUTPUT_DIR = "merged-exploration-scenes";
+const SEPARATOR = Buffer.from("\n--------------------\n");
 
-// Captures the shared prefix (e.g. "F01") and the per-scene suffix from
-// filenames like "F01_map.txt". Files not matching this pattern (e.g.
-// "01_1600.txt", "start.txt") are regular story scripts and are skipped.
-const PREFIX_PATTERN = /^([A-Z]\d{2})_(.+)\.txt$/;
+export async function main() {
+  const config = loadConfig();
 
-const SEPARATOR = Buffer.from("\n--------------------\n");
+  // `pattern` (merge.exploration in the config) captures the shared prefix
+  // (e.g. "F01") and the per-scene suffix from filenames like "F01_map.txt".
+  // Files not matching this pattern (e.g. "01_1600.txt", "start.txt") are
+  // regular story scripts and are skipped.
+  const { dir: outputDir, pattern } = config.merge.exploration;
 
-async function main() {
   // Step 1: Discover all .txt script files under the original/ directory.
-  const files = await glob(`${ORIGINAL_DIR}/*.txt`);
+  const files = await glob(`${config.originalDir}/*.txt`);
 
   // Step 2: Group exploration files by their shared prefix.
-  // Only files matching PREFIX_PATTERN are exploration scenes; the rest
+  // Only files matching pattern are exploration scenes; the rest
   // (e.g. "01_1600.txt", "start.txt") are regular story scripts and are
   // skipped.
   // Result: { "F01" => ["original/F01_map.txt", ...], "L01" => [...], ... }
   const groups = new Map();
   for (const filePath of files) {
     const filename = path.basename(filePath);
-    const match = filename.match(PREFIX_PATTERN);
+    const match = filename.match(pattern);
     if (!match) continue;
 
     const prefix = match[1];
@@ -70,7 +72,7 @@ async function main() {
   }
 
   // Step 3: Ensure the output directory exists.
-  await mkdir(OUTPUT_DIR, { recursive: true });
+  await mkdir(outputDir, { recursive: true });
 
   // Step 4: For each prefix group, merge all scene files into a single
   // output file. Files within each group are sorted alphabetically so the
@@ -93,15 +95,15 @@ async function main() {
     }
 
     // Step 4b: Write the concatenated buffers to the output file.
-    const outputPath = path.join(OUTPUT_DIR, `${prefix}.txt`);
+    const outputPath = path.join(outputDir, `${prefix}.txt`);
     await writeFile(outputPath, Buffer.concat(buffers));
 
     console.log(`${prefix}.txt — ${filePaths.length} files merged`);
   }
 
   console.log(
-    `\nDone. ${sortedPrefixes.length} merged files written to ${OUTPUT_DIR}/`
+    `\nDone. ${sortedPrefixes.length} merged files written to ${outputDir}/`
   );
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
@@ -37,22 +37,23 @@
 import { glob } from "glob";
 import { mkdir, readFile, writeFile } from "fs/promises";
 import path from "path";
+import { loadConfig } from "./lib/config.mjs";
+import { runIfMain } from "./lib/stage.mjs";
 
-const ORIGINAL_DIR = "original";
-const OUTPUT_DIR = "merged-normal-scenes";
+const SEPARATOR = Buffer.from("\n--------------------\n");
 
-// Captures the shared prefix and per-scene suffix from filenames whose
-// prefix starts with a digit, e.g. "01z_2600.txt" → prefix "01z",
-// suffix "2600". Exploration files (prefix starting with an uppercase
-// letter like "F01_map.txt") won't match because \d requires a leading
-// digit.
-const PREFIX_PATTERN = /^(\d\w*)_(.+)\.txt$/;
+export async function main() {
+  const config = loadConfig();
 
-const SEPARATOR = Buffer.from("\n--------------------\n");
+  // `pattern` (merge.normal in the config) captures the shared prefix and
+  // per-scene suffix from filenames whose prefix starts with a digit, e.g.
+  // "01z_2600.txt" → prefix "01z", suffix "2600". Exploration files (prefix
+  // starting with an uppercase letter like "F01_map.txt") won't match because
+  // \d requires a leading digit.
+  const { dir: outputDir, pattern } = config.merge.normal;
 
-async function main() {
   // Step 1: Discover all .txt script files under the original/ directory.
-  const files = await glob(`${ORIGINAL_DIR}/*.txt`);
+  const files = await glob(`${config.originalDir}/*.txt`);
 
   // Step 2: Group normal scene files by their shared prefix.
   // Only files whose name starts with a digit are normal scenes; exploration
@@ -62,7 +63,7 @@ async function main() {
   const groups = new Map();
   for (const filePath of files) {
     const filename = path.basename(filePath);
-    const match = filename.match(PREFIX_PATTERN);
+    const match = filename.match(pattern);
     if (!match) continue;
 
     const prefix = match[1];
@@ -73,7 +74,7 @@ async function main() {
   }
 
   // Step 3: Ensure the output directory exists.
-  await mkdir(OUTPUT_DIR, { recursive: true });
+  await mkdir(outputDir, { recursive: true });
 
   // Step 4: For each prefix group, merge all scene files into a single
   // output file. Files within each group are sorted alphabetically so the
@@ -96,15 +97,15 @@ async function main() {
     }
 
     // Step 4b: Write the concatenated buffers to the output file.
-    const outputPath = path.join(OUTPUT_DIR, `${prefix}.txt`);
+    const outputPath = path.join(outputDir, `${prefix}.txt`);
     await writeFile(outputPath, Buffer.concat(buffers));
 
     console.log(`${prefix}.txt — ${filePaths.length} files merged`);
   }
 
   console.log(
-    `\nDone. ${sortedPrefixes.length} merged files written to ${OUTPUT_DIR}/`
+    `\nDone. ${sortedPrefixes.length} merged files written to ${outputDir}/`
   );
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
@@ -2,212 +2,69 @@
  * Pad Translated Scripts for Display Line Wrapping
  *
  * The game text box displays each line across a maximum of 2 displayed rows.
- * The 1st row accepts 64 characters; any remaining text flows to the 2nd row.
- * When a word straddles the 64-char boundary, part of it appears on row 1 and
- * the rest on row 2, which looks bad.
+ * The 1st row accepts `width.lineWidth` characters (64); any remaining text
+ * flows to the 2nd row. When a word straddles that boundary, part of it
+ * appears on row 1 and the rest on row 2, which looks bad.
  *
  * This script scans each line in `translated/` and:
  *   1. Detects choice/option lines in the original script and replaces them
  *      with the original Japanese text (the game can't render translated
  *      options well).
- *   2. Expands template variables ((NAME01), (NAME02)) to their display
- *      values for accurate width calculation.
- *   3. If a word would be cut at the 64-char boundary, inserts space padding
- *      before that word so it starts on the 2nd row instead.
- *   4. If a word ends exactly at char 64 and the next char is a space,
+ *   2. Lays player-name tokens ((NAME01), (NAME02)) out as words as long
+ *      as the default names from `templates` (see lib/templates.mjs); the
+ *      tokens themselves are written back for the engine to replace with
+ *      the name the player entered.
+ *   3. If a word would be cut at the row boundary, inserts space padding
+ *      before that word so it starts on the 2nd row instead. A ＄ page
+ *      break starts a new page, so the text after it is wrapped on its own.
+ *   4. If a word ends exactly at the boundary and the next char is a space,
  *      removes that redundant leading space from the 2nd row.
- *   5. Logs lines where padding causes the total length to exceed MAX_LENGTH.
+ *   5. Logs lines where padding causes the total length of a page to exceed
+ *      `width.maxLength`.
  *
  * Speech source lines are skipped. Output is written to `translated-padding/`.
+ * Files whose translation and original are unchanged since the last run are
+ * not padded again (see lib/build-cache.mjs); pass --force to pad every
+ * file.
  *
  * Usage:
- *   node pad-translations.mjs
+ *   node pad-translations.mjs [--force]
  */
 
-import { readFile, readdir, writeFile, mkdir } from "fs/promises";
+import { readdir, writeFile, mkdir } from "fs/promises";
 import path from "path";
-import Encoding from "encoding-japanese";
-
-const INPUT_DIRS = ["translated"];
-const ORIGINAL_DIR = "original";
-const OUTPUT_DIR = "translated-padding";
-const OPTIONS_FILE = "options.txt";
-// The game's 1st display row fits this many characters.
-const LINE_WIDTH = 64;
-// Warn when a padded line exceeds this total length.
-const MAX_LENGTH = 128;
-
-const sjisDecoder = new TextDecoder("shift_jis");
-
-// The game engine replaces these template variables at runtime with the
-// player's chosen name. We substitute the longest expected values so
-// padding calculations reflect the actual display width.
-const TEMPLATE_REPLACEMENTS = [
-  // (NAME01)(NAME02) must come before (NAME01) so the combined form is
-  // matched first and not partially replaced.
-  ["(NAME01)(NAME02)", "Kobayashi Satoshi"],
-  ["(NAME01)", "Kobayashi"],
-];
-
-/**
- * Expand template variables to their display values for width calculation.
- */
-function expandTemplates(line) {
-  let result = line;
-  for (const [tpl, val] of TEMPLATE_REPLACEMENTS) {
-    result = result.replaceAll(tpl, val);
-  }
-  return result;
-}
-
-/**
- * Check if a character is a Japanese kanji, hiragana, katakana, or fullwidth
- * question mark. These are the typical ending characters for choice lines
- * in the original script.
- */
-function isOptionEndingChar(ch) {
-  if (!ch) return false;
-  const code = ch.codePointAt(0);
-  return (
-    (code >= 0x4e00 && code <= 0x9fff) || // CJK Unified Ideographs (kanji)
-    (code >= 0x3040 && code <= 0x309f) || // Hiragana
-    (code >= 0x30a0 && code <= 0x30ff) // Katakana
+import { hashInputs, openBuildCache } from "./lib/build-cache.mjs";
+import { loadConfig, wrapCategory } from "./lib/config.mjs";
+import {
+  detectOptionLines,
+  readOriginal,
+  readScript,
+  writeScript,
+} from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+import { wrapLine } from "./lib/wrap.mjs";
+
+// Bump when the wrapping rules change, so every file is padded again.
+const BUILD_VERSION = 3;
+
+export async function main(options = {}) {
+  const config = loadConfig();
+  const { dir, padding } = wrapCategory(config);
+  const { maxLength } = config.width;
+  const cache = await openBuildCache(
+    config,
+    "pad-translations",
+    BUILD_VERSION,
+    options
   );
-}
-
-/**
- * Detect option/choice line groups in the original script.
- *
- * An option group is 2+ consecutive lines that are:
- *   - NOT a speech source line (does not start with fullwidth #)
- *   - NOT a speech content line (not immediately after a speech source line)
- *   - Each line ends with kanji, hiragana, katakana, or fullwidth ?
- *
- * Returns a Set of 0-based line indices that belong to option groups.
- */
-function detectOptionLines(originalLines) {
-  // Step 1: Build a set of speech content line indices. A speech content
-  // line is the line immediately following a speech source line.
-  const speechContent = new Set();
-  for (let i = 0; i < originalLines.length; i++) {
-    if (originalLines[i].startsWith("\uFF03") && i + 1 < originalLines.length) {
-      speechContent.add(i + 1);
-    }
-  }
-
-  const optionIndices = new Set();
-  let i = 0;
-  while (i < originalLines.length) {
-    // Step 2: Skip speech source lines, speech content lines, and empties.
-    if (
-      speechContent.has(i) ||
-      originalLines[i].startsWith("\uFF03") ||
-      originalLines[i].length === 0
-    ) {
-      i++;
-      continue;
-    }
-
-    // Step 3: Check if this line ends with an option-like character.
-    const lastChar = originalLines[i].trimEnd().slice(-1);
-    if (isOptionEndingChar(lastChar)) {
-      // Step 4: Collect consecutive lines that also end with option chars.
-      const group = [i];
-      let j = i + 1;
-      while (
-        j < originalLines.length &&
-        !speechContent.has(j) &&
-        !originalLines[j].startsWith("\uFF03") &&
-        originalLines[j].length > 0
-      ) {
-        const jLast = originalLines[j].trimEnd().slice(-1);
-        if (isOptionEndingChar(jLast)) {
-          group.push(j);
-          j++;
-        } else {
-          break;
-        }
-      }
-
-      // Step 5: Only treat as options if there are 2+ consecutive lines.
-      // A single line ending with kanji is just normal narration.
-      if (group.length >= 2) {
-        for (const idx of group) optionIndices.add(idx);
-      }
-      i = j;
-    } else {
-      i++;
-    }
-  }
-
-  return optionIndices;
-}
 
-/**
- * Encode a Unicode string to a Shift-JIS Buffer.
- */
-function encodeShiftJIS(str) {
-  const codeArray = Encoding.convert(Encoding.stringToCode(str), {
-    to: "SJIS",
-    from: "UNICODE",
-  });
-  return Buffer.from(codeArray);
-}
-
-/**
- * Pad a single line so that no word is cut at the LINE_WIDTH boundary.
- *
- * Three cases:
- *   1. Row 1 ends with a space  -> clean break, no change needed.
- *   2. Row 2 starts with a space -> word ended exactly at the boundary;
- *      remove the redundant leading space (the line break already acts as
- *      the visual word separator).
- *   3. A word straddles the boundary -> insert space padding before that
- *      word so it starts at the beginning of row 2.
- */
-function padLine(line) {
-  // Lines that fit on one row don't need padding.
-  if (line.length <= LINE_WIDTH) return line;
-
-  // Split at the boundary: first 64 chars (row 1) and the rest (row 2).
-  const first = line.slice(0, LINE_WIDTH);
-  const rest = line.slice(LINE_WIDTH);
-
-  // Case 1: last char of row 1 is a space — clean word break already.
-  if (first.endsWith(" ")) return line;
-
-  // Case 2: first char of row 2 is a space — word ended exactly at char 64.
-  // Remove the space since the line break is the visual separator.
-  if (rest.startsWith(" ")) return first + rest.slice(1);
-
-  // Case 3: a word straddles the boundary. Find where that word starts by
-  // scanning backward from the boundary to the last space in row 1.
-  const lastSpace = first.lastIndexOf(" ");
-  if (lastSpace === -1) {
-    // No space in the entire first row — can't pad without breaking it.
-    return line;
-  }
-
-  // Insert padding spaces between the last complete word and the straddling
-  // word, pushing the straddling word to the start of row 2.
-  const beforeWord = line.slice(0, lastSpace + 1);
-  const wordAndRest = line.slice(lastSpace + 1);
-  const padding = " ".repeat(LINE_WIDTH - (lastSpace + 1));
-
-  return beforeWord + padding + wordAndRest;
-}
-
-async function main() {
   // Step 1: Ensure the output directory exists.
-  await mkdir(OUTPUT_DIR, { recursive: true });
+  await mkdir(padding.dir, { recursive: true });
 
-  // Step 2: Discover all translated files across input directories.
-  const fileEntries = [];
-  for (const dir of INPUT_DIRS) {
-    const names = (await readdir(dir)).filter((f) => f.endsWith(".txt"));
-    for (const name of names) fileEntries.push({ dir, name });
-  }
-  fileEntries.sort((a, b) => a.name.localeCompare(b.name));
+  // Step 2: Discover all translated files.
+  const fileNames = (await readdir(dir))
+    .filter((f) => f.endsWith(".txt"))
+    .sort((a, b) => a.localeCompare(b));
 
   let totalFiles = 0;
   let modifiedFiles = 0;
@@ -216,44 +73,61 @@ async function main() {
   let optionLineCount = 0;
   const optionEntries = [];
 
-  for (const { dir, name: fileName } of fileEntries) {
+  // Add a file's results to the totals, whether it was padded in this run
+  // or taken from the build cache.
+  const tally = ({ group, modified, padded }) => {
+    totalFiles++;
+    if (modified) modifiedFiles++;
+    paddedLines += padded;
+    if (group) {
+      optionEntries.push(group);
+      optionLineCount += group.options.length;
+    }
+  };
+
+  for (const fileName of fileNames) {
     // Step 3: Read the translated file (Shift-JIS).
-    const raw = await readFile(path.join(dir, fileName));
-    const text = sjisDecoder.decode(raw);
-    const lines = text.split("\n");
+    const outputPath = path.join(padding.dir, fileName);
+    const { raw, lines, trailingNewline } = await readScript(
+      path.join(dir, fileName)
+    );
 
     // Step 4: Read the corresponding original file to detect option lines.
-    let originalLines = [];
-    let optionIndices = new Set();
-    try {
-      const origRaw = await readFile(path.join(ORIGINAL_DIR, fileName));
-      const origText = sjisDecoder.decode(origRaw);
-      originalLines = origText.split("\n");
-      if (originalLines.at(-1) === "") originalLines.pop();
-      optionIndices = detectOptionLines(originalLines);
-    } catch {
-      // No original available — skip option detection for this file.
+    // No original available — skip option detection for this file. Files
+    // unchanged since the last run are taken from the build cache.
+    const original = await readOriginal(config.originalDir, fileName);
+    const hash = hashInputs(raw, original?.raw ?? "");
+    const cached = cache.lookup(fileName, hash, [outputPath]);
+    if (cached) {
+      tally(cached.data);
+      continue;
     }
 
+    const originalLines = original ? original.lines : [];
+    const optionIndices = original
+      ? detectOptionLines(originalLines)
+      : new Set();
+
     // Step 5: Collect detected option lines for export.
+    let group = null;
     if (optionIndices.size > 0) {
       const sorted = [...optionIndices].sort((a, b) => a - b);
-      const group = { fileName, options: [] };
+      group = { fileName, options: [] };
       for (const idx of sorted) {
         const origText = originalLines[idx] || "";
         const transText = idx < lines.length ? lines[idx] : "";
         group.options.push({ line: idx + 1, origText, transText });
       }
-      optionEntries.push(group);
-      optionLineCount += optionIndices.size;
     }
 
     let fileModified = false;
+    let padded = 0;
+    let overLimit = false;
 
     // Step 6: Process each line.
     const result = lines.map((line, i) => {
       // 6a: Skip speech source lines — the game engine handles these.
-      if (line.startsWith("\uFF03")) return line;
+      if (line.startsWith("＃")) return line;
 
       // 6b: For option/choice lines, replace with the original Japanese
       // text since the game can't render translated options properly.
@@ -262,39 +136,37 @@ async function main() {
         return originalLines[i];
       }
 
-      // 6c: Expand template variables to their display values so the
-      // padding calculation uses the actual rendered width.
-      const expanded = expandTemplates(line);
-
-      // 6d: Lines that fit on one row need no padding.
-      if (expanded.length <= LINE_WIDTH) return expanded;
-
-      // 6e: Apply padding to prevent word cut-off at the row boundary.
-      const padded = padLine(expanded);
-      if (padded !== expanded) {
+      // 6c: Apply padding to prevent word cut-off at the row boundary,
+      // page by page, with player names of their default length. Lines
+      // that fit on one row are left alone.
+      const { line: paddedLine, width } = wrapLine(config, line);
+      if (paddedLine !== line) {
         fileModified = true;
-        paddedLines++;
+        padded++;
 
-        // 6f: Warn if padding pushes the line over the max length.
-        if (padded.length > MAX_LENGTH) {
+        // 6d: Warn if padding pushes a page over the max length.
+        if (width > maxLength) {
           overLimitLines++;
+          overLimit = true;
           console.log(
-            `[OVER ${MAX_LENGTH}] ${fileName} | ${i + 1} (${
-              padded.length
-            } chars)`
+            `[OVER ${maxLength}] ${fileName} | ${i + 1} (${width} chars)`
           );
-          console.log(`  ${padded}`);
+          console.log(`  ${paddedLine}`);
         }
       }
-      return padded;
+      return paddedLine;
     });
 
-    totalFiles++;
-    if (fileModified) modifiedFiles++;
-
     // Step 7: Write the processed file to the output directory (Shift-JIS).
-    const outputPath = path.join(OUTPUT_DIR, fileName);
-    await writeFile(outputPath, encodeShiftJIS(result.join("\n")));
+    // Files with over-limit lines stay out of the cache so the warnings
+    // are printed again on the next run.
+    await writeScript(outputPath, result, { trailingNewline });
+    const data = { group, modified: fileModified, padded };
+    cache.record(fileName, overLimit ? null : hash, {
+      outputs: [outputPath],
+      data,
+    });
+    tally(data);
   }
 
   // Step 8: Export detected options to a text file.
@@ -307,8 +179,8 @@ async function main() {
       }
       optionLines.push("");
     }
-    await writeFile(OPTIONS_FILE, optionLines.join("\n"), "utf-8");
-    console.log(`Options exported to ${OPTIONS_FILE}`);
+    await writeFile(padding.optionsFile, optionLines.join("\n"), "utf-8");
+    console.log(`Options exported to ${padding.optionsFile}`);
   }
 
   // Step 9: Print summary.
@@ -318,8 +190,12 @@ async function main() {
   console.log(`  Lines padded:        ${paddedLines}`);
   console.log(`  Option lines kept:   ${optionLineCount}`);
   if (overLimitLines > 0) {
-    console.log(`  Lines over ${MAX_LENGTH} chars: ${overLimitLines}`);
+    console.log(`  Lines over ${maxLength} chars: ${overLimitLines}`);
   }
+  cache.report();
+
+  await cache.save();
+  return cache.summary();
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
@@ -1,91 +1,131 @@
 /**
  * Parse Gemini Translation JSON Files
  *
- * The `gemini-translation-json/` folder contains exported JSON files from
- * Gemini, each representing a full conversation thread used for translating
- * game scene scripts.
- *
- * Each JSON file is an array of message entries. Every entry has a "role"
- * field ("user" or "assistant") and a "contents" array of content blocks,
- * each with a "type" ("text" or "thinking") and a "content" string.
+ * The `gemini-translation-json/` folder contains exported conversations,
+ * each representing a full conversation thread used for translating game
+ * scene scripts. Most are Gemini JSON exports: an array of message entries,
+ * each with a "role" field ("user" or "assistant") and a "contents" array of
+ * content blocks, each with a "type" ("text" or "thinking") and a "content"
+ * string. OpenAI-style `messages`, Markdown transcripts and plain reply
+ * dumps are read too; the format of each file is detected by the importers
+ * of lib/importers.mjs.
  *
  * This script:
- *   1. Reads each JSON file from `gemini-translation-json/`
- *   2. Keeps only entries where role === "assistant"
- *   3. From each assistant entry's contents, keeps only blocks where
- *      type === "text" (discarding "thinking" blocks)
- *   4. Joins the text blocks within an entry with a newline
+ *   1. Reads each export from `gemini-translation-json/` with the first
+ *      importer that recognises it
+ *   2. Keeps only the assistant replies
+ *   3. From each reply, keeps only the text (discarding the thinking)
+ *   4. Skips replies that have no text
  *   5. Separates each assistant reply with a line of 80 dashes
  *   6. Writes the result as a .txt file with the same base name into
  *      `gemini-translation-text/`
  *
+ * With `gemini.keepThinking` set in the config, the thinking of each reply
+ * is written to a sidecar file of the same name in `gemini.thinkingDir`
+ * (gemini-translation-thinking/) for reviewers, with the same separators so
+ * its n-th reply is the n-th reply of the text file. Only conversations with
+ * any thinking get a sidecar.
+ *
  * Usage:
  *   node parse-gemini-translations.mjs
  */
 
-import { glob } from "glob";
-import { mkdir, readFile, writeFile } from "fs/promises";
+import { mkdir, writeFile } from "fs/promises";
 import path from "path";
-
-const INPUT_DIR = "gemini-translation-json";
-const OUTPUT_DIR = "gemini-translation-text";
-
-// 80 dashes used to visually separate each assistant reply in the output.
-const SEPARATOR = "-".repeat(80);
-
-async function main() {
-  // Step 1: Discover all JSON files in the input directory.
-  const files = await glob(`${INPUT_DIR}/*.json`);
+import { loadConfig } from "./lib/config.mjs";
+import { SEPARATOR_DASHES } from "./lib/gemini-entries.mjs";
+import { listConversations, readConversation } from "./lib/importers.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+
+export async function main() {
+  const config = loadConfig();
+  const {
+    jsonDir: inputDir,
+    textDir: outputDir,
+    keepThinking,
+    thinkingDir,
+  } = config.gemini;
+
+  // Step 1: Discover all exports in the input directory.
+  const files = await listConversations(config);
 
   if (files.length === 0) {
-    console.log(`No JSON files found in ${INPUT_DIR}/`);
+    console.log(`No conversation exports found in ${inputDir}/`);
     return;
   }
 
-  // Step 2: Ensure the output directory exists.
-  await mkdir(OUTPUT_DIR, { recursive: true });
-
-  // Step 3: Process each JSON file.
-  const sortedFiles = files.sort();
-
-  for (const filePath of sortedFiles) {
-    const baseName = path.basename(filePath, ".json");
-
-    // Step 3a: Read and parse the JSON conversation array.
-    const raw = await readFile(filePath, "utf-8");
-    const entries = JSON.parse(raw);
-
-    // Step 3b: Extract text content from each assistant reply.
-    // Each assistant entry may contain multiple content blocks; we only want
-    // blocks with type "text", ignoring "thinking" blocks.
-    const replyTexts = entries
-      .filter((entry) => entry.role === "assistant")
-      .map((entry) => {
-        const textBlocks = entry.contents
-          .filter((block) => block.type === "text")
-          .map((block) => block.content);
-
-        return textBlocks.join("\n");
-      })
-      // Skip any assistant entries that had no text blocks at all.
-      .filter((text) => text.length > 0);
-
-    // Step 3c: Join all replies with the separator line so each reply is
-    // clearly distinguished in the output file.
-    const output = replyTexts.join(`\n${SEPARATOR}\n`);
-
-    // Step 3d: Write the parsed text to the output file.
-    const outputPath = path.join(OUTPUT_DIR, `${baseName}.txt`);
+  // Step 2: Ensure the output directories exist.
+  await mkdir(outputDir, { recursive: true });
+  if (keepThinking) await mkdir(thinkingDir, { recursive: true });
+
+  // Step 3: Process each export.
+  const written = new Map();
+  let skipped = 0;
+  let sidecars = 0;
+
+  for (const filePath of files) {
+    const fileName = path.basename(filePath);
+    const baseName = path.basename(filePath, path.extname(filePath));
+
+    // Step 3a: Read the conversation with the importer for its format.
+    const conversation = await readConversation(config, filePath);
+    if (!conversation) {
+      console.warn(`  ⚠  ${fileName} — format not recognised, skipped`);
+      skipped++;
+      continue;
+    }
+    if (written.has(baseName)) {
+      console.warn(
+        `  ⚠  ${fileName} — ${baseName}.txt already written from ` +
+          `${written.get(baseName)}, skipped`
+      );
+      skipped++;
+      continue;
+    }
+    written.set(baseName, fileName);
+
+    // Step 3b: Join all replies with the separator line so each reply is
+    // clearly distinguished in the output file. Replies without text were
+    // already dropped by the importer.
+    const { importer, replies } = conversation;
+    const output = replies
+      .map((reply) => reply.text)
+      .join(`\n${SEPARATOR_DASHES}\n`);
+
+    // Step 3c: Write the parsed text to the output file.
+    const outputPath = path.join(outputDir, `${baseName}.txt`);
     await writeFile(outputPath, output, "utf-8");
 
+    // Step 3d: Write the thinking beside it, reply for reply.
+    let note = "";
+    if (keepThinking && replies.some((reply) => reply.thinking)) {
+      const thinking = replies
+        .map((reply) => reply.thinking)
+        .join(`\n${SEPARATOR_DASHES}\n`);
+      await writeFile(
+        path.join(thinkingDir, `${baseName}.txt`),
+        thinking,
+        "utf-8"
+      );
+      sidecars++;
+      note = ", thinking kept";
+    }
+
     console.log(
-      `${baseName}.txt — ${replyTexts.length} assistant replies written`
+      `${baseName}.txt — ${replies.length} assistant replies written ` +
+        `(${importer.name}${note})`
     );
   }
 
   console.log(
-    `\nDone. ${sortedFiles.length} files processed, output written to ${OUTPUT_DIR}/`
+    `\nDone. ${written.size} files processed, output written to ${outputDir}/`
   );
+  if (sidecars > 0) {
+    console.log(`Thinking of ${sidecars} files written to ${thinkingDir}/`);
+  }
+  if (skipped > 0) {
+    console.log(`${skipped} files skipped`);
+  }
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
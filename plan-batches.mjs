@@ -0,0 +1,76 @@
+/**
+ * Plan Translation Batches
+ *
+ * Packs the scripts of the translation groups (`translation.groups` in
+ * caucasus.config.json) into batches under the `translation.batchTokens`
+ * budget, keeping route order and exploration occasions together (see
+ * lib/batches.mjs), and writes the plan to the batch manifest
+ * (`translation.manifestFile`). build-prompts.mjs and translate-batches.mjs
+ * work from the manifest.
+ *
+ * Replanning keeps the recorded status of every batch whose name and files
+ * are unchanged; batches that changed start over as pending.
+ *
+ * Usage:
+ *   node plan-batches.mjs
+ */
+
+import { readdir } from "fs/promises";
+import { planBatches, readManifest, writeManifest } from "./lib/batches.mjs";
+import { loadConfig } from "./lib/config.mjs";
+import { runIfMain } from "./lib/stage.mjs";
+
+export async function main() {
+  const config = loadConfig();
+  const { batchTokens, manifestFile } = config.translation;
+
+  // Step 1: Pack the scripts into batches.
+  const fileNames = (await readdir(config.originalDir)).filter((f) =>
+    f.endsWith(".txt")
+  );
+  const batches = await planBatches(config, fileNames);
+
+  // Step 2: Carry over the status of batches that did not change.
+  const previous = await readManifest(config);
+  const recorded = new Map(
+    (previous?.batches ?? []).map((batch) => [batch.name, batch])
+  );
+  let kept = 0;
+  for (const batch of batches) {
+    const old = recorded.get(batch.name);
+    if (old && old.files.join("\n") === batch.files.join("\n")) {
+      batch.status = old.status;
+      batch.attempts = old.attempts;
+      if (old.error) batch.error = old.error;
+      kept++;
+    }
+  }
+
+  // Step 3: Report the plan and write the manifest.
+  let overBudget = 0;
+  for (const batch of batches) {
+    const over = batch.estimatedTokens > batchTokens;
+    if (over) overBudget++;
+    console.log(
+      `${batch.name} — ${batch.files.length} files, ` +
+        `~${batch.estimatedTokens} tokens` +
+        (over ? " (over budget: single script)" : "") +
+        (batch.status !== "pending" ? ` [${batch.status}]` : "")
+    );
+  }
+
+  await writeManifest(config, { batchTokens, batches });
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Budget:           ~${batchTokens} tokens per batch`);
+  console.log(`  Batches planned:  ${batches.length}`);
+  console.log(
+    `  Scripts:          ${batches.reduce((n, b) => n + b.files.length, 0)}`
+  );
+  console.log(`  Over budget:      ${overBudget}`);
+  console.log(`  Status kept:      ${kept}`);
+  console.log(`  Manifest:         ${manifestFile}`);
+}
+
+runIfMain(import.meta.url, main);
@@ -9,18 +9,18 @@
  *   node scan-characters-full.mjs
  */
 
-import { readFile, readdir } from "fs/promises";
+import { readdir } from "fs/promises";
 import path from "path";
-import Encoding from "encoding-japanese";
+import { loadConfig } from "./lib/config.mjs";
+import { readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
 
-const DIRS = ["translated-full"];
-const sjisDecoder = new TextDecoder("shift_jis");
-
-async function main() {
+export async function main() {
+  const dirs = [loadConfig().full.dir];
   const charSet = new Set();
   let totalFiles = 0;
 
-  for (const dir of DIRS) {
+  for (const dir of dirs) {
     let fileNames;
     try {
       fileNames = (await readdir(dir)).filter((f) => f.endsWith(".txt")).sort();
@@ -29,10 +29,9 @@ async function main() {
     }
 
     for (const fileName of fileNames) {
-      const raw = await readFile(path.join(dir, fileName));
-      const detected = Encoding.detect(raw);
-      const text =
-        detected === "SJIS" ? sjisDecoder.decode(raw) : raw.toString("utf-8");
+      const { text } = await readScript(path.join(dir, fileName), {
+        encoding: "auto",
+      });
 
       for (const ch of text) {
         if (!/[a-zA-Z0-9]/.test(ch)) {
@@ -64,7 +63,7 @@ async function main() {
     console.log(`${hex}  ${display}  (codepoint: ${code})`);
   }
 
-  console.log(`\nScanned ${totalFiles} files across ${DIRS.join(", ")}`);
+  console.log(`\nScanned ${totalFiles} files across ${dirs.join(", ")}`);
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
@@ -1,27 +1,58 @@
 /**
  * Scan Unique Non-Alphanumeric Characters
  *
- * Reads every .txt file in `translated/` and `translated-inspection/`, decoding
- * from Shift-JIS (or UTF-8
- * if detected), and prints all unique characters that are not ASCII
- * alphanumeric (a-z, A-Z, 0-9).
+ * Reads every .txt file in the translated directory of every category in
+ * caucasus.config.json, decoding from Shift-JIS (or UTF-8 if detected), and
+ * prints all unique characters that are not ASCII alphanumeric (a-z, A-Z,
+ * 0-9).
+ *
+ * Then reports every character of the translations — the translated files
+ * and the entries of `gemini-translation-text/` they are exported from —
+ * that has neither a Shift-JIS code nor a transliteration rule (see
+ * lib/transliterate.mjs), with its number of occurrences and where it first
+ * appears. Such characters make Shift-JIS writes fail; add a rule for each
+ * to `transliterations` in caucasus.config.json.
  *
  * Usage:
  *   node scan-characters.mjs
  */
 
-import { readFile, readdir } from "fs/promises";
+import { readdir } from "fs/promises";
 import path from "path";
-import Encoding from "encoding-japanese";
+import { categoryDirs, loadConfig } from "./lib/config.mjs";
+import { isShiftJISEncodable } from "./lib/encoding.mjs";
+import { readAllTranslationEntries } from "./lib/gemini-entries.mjs";
+import { readScript } from "./lib/script.mjs";
+import { runIfMain } from "./lib/stage.mjs";
 
-const DIRS = ["translated", "translated-inspection", "translated-question", "translated-exploration"];
-const sjisDecoder = new TextDecoder("shift_jis");
+const formatCodePoint = (ch) =>
+  "U+" + ch.codePointAt(0).toString(16).toUpperCase().padStart(4, "0");
 
-async function main() {
+export async function main() {
+  const config = loadConfig();
+  const dirs = categoryDirs(config);
   const charSet = new Set();
   let totalFiles = 0;
 
-  for (const dir of DIRS) {
+  // Characters with no Shift-JIS code and no rule: ch → { count, first }.
+  const unmapped = new Map();
+  const encodable = new Map();
+  const checkLine = (line, location) => {
+    for (const ch of line) {
+      if (ch.charCodeAt(0) < 0x80 || config.transliterations.has(ch)) continue;
+      if (!encodable.has(ch)) encodable.set(ch, isShiftJISEncodable(ch));
+      if (encodable.get(ch)) continue;
+
+      const found = unmapped.get(ch);
+      if (found) {
+        found.count++;
+      } else {
+        unmapped.set(ch, { count: 1, first: location });
+      }
+    }
+  };
+
+  for (const dir of dirs) {
     let fileNames;
     try {
       fileNames = (await readdir(dir)).filter((f) => f.endsWith(".txt")).sort();
@@ -30,20 +61,35 @@ async function main() {
     }
 
     for (const fileName of fileNames) {
-      const raw = await readFile(path.join(dir, fileName));
-      const detected = Encoding.detect(raw);
-      const text =
-        detected === "SJIS" ? sjisDecoder.decode(raw) : raw.toString("utf-8");
+      const filePath = path.join(dir, fileName);
+      const { text, lines } = await readScript(filePath, {
+        encoding: "auto",
+      });
 
       for (const ch of text) {
         if (!/[a-zA-Z0-9]/.test(ch)) {
           charSet.add(ch);
         }
       }
+      lines.forEach((line, i) => checkLine(line, `${filePath}:${i + 1}`));
       totalFiles++;
     }
   }
 
+  // Content lines start two lines below the entry's fileName line.
+  let entries = [];
+  try {
+    entries = await readAllTranslationEntries(config.gemini.textDir);
+  } catch {
+    // No Gemini text exports yet.
+  }
+  for (const { translationFile, line, contentLines } of entries) {
+    const filePath = path.join(config.gemini.textDir, translationFile);
+    contentLines.forEach((content, i) =>
+      checkLine(content, `${filePath}:${line + 2 + i}`)
+    );
+  }
+
   const chars = [...charSet].sort(
     (a, b) => a.codePointAt(0) - b.codePointAt(0)
   );
@@ -51,7 +97,7 @@ async function main() {
   console.log(`Unique non-alphanumeric characters (${chars.length} total):\n`);
   for (const ch of chars) {
     const code = ch.codePointAt(0);
-    const hex = "U+" + code.toString(16).toUpperCase().padStart(4, "0");
+    const hex = formatCodePoint(ch);
     const display =
       ch === "\n"
         ? "\\n"
@@ -65,7 +111,27 @@ async function main() {
     console.log(`${hex}  ${display}  (codepoint: ${code})`);
   }
 
-  console.log(`\nScanned ${totalFiles} files across ${DIRS.join(", ")}`);
+  console.log(`\nScanned ${totalFiles} files across ${dirs.join(", ")}`);
+
+  const missing = [...unmapped].sort(
+    ([a], [b]) => a.codePointAt(0) - b.codePointAt(0)
+  );
+  console.log(
+    `Checked ${entries.length} entries in ${config.gemini.textDir}/ ` +
+      `for characters with no Shift-JIS mapping\n`
+  );
+  if (missing.length === 0) {
+    console.log("Every character has a Shift-JIS code or a rule.");
+    return;
+  }
+
+  console.log(`Unmapped characters (${missing.length} total):\n`);
+  for (const [ch, { count, first }] of missing) {
+    console.log(`${formatCodePoint(ch)}  ${ch}  ×${count}  first at ${first}`);
+  }
+  console.log(
+    "\nAdd a rule for each to \"transliterations\" in caucasus.config.json."
+  );
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
@@ -0,0 +1,66 @@
+/**
+ * Search Translation Memory
+ *
+ * Looks up the lines of the translation memory (see
+ * build-translation-memory.mjs) nearest to a text: a Japanese query is
+ * matched against the original lines, anything else against their English
+ * translations, so both "how was this line translated before?" and "where
+ * did this English come from?" can be answered. Matches are scored by
+ * character-bigram similarity (1 is an exact match) and listed best first
+ * with their translation and where they occur:
+ *
+ *   0.92  階段を上った。
+ *         → I went up the stairs.  — 02_0720.txt:12, 03_1100.txt:8
+ *
+ * Usage:
+ *   node search-translation-memory.mjs --query "階段を上る。"
+ */
+
+import { loadConfig } from "./lib/config.mjs";
+import { createMemoryIndex, readMemory } from "./lib/memory.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+
+// Matches listed, the lowest similarity shown, and the locations listed
+// per match before the rest are elided.
+const LIMIT = 10;
+const MIN_SIMILARITY = 0.5;
+const MAX_LOCATIONS = 5;
+
+export async function main(options = {}) {
+  const config = loadConfig();
+  if (!options.query) {
+    throw new StageFailure('Pass the text to look up with --query "..."');
+  }
+
+  // Step 1: Load and index the memory.
+  const memory = await readMemory(config);
+  if (!memory) {
+    throw new StageFailure(
+      `Cannot read ${config.full.memoryFile}; run build-translation-memory`
+    );
+  }
+  const index = createMemoryIndex(memory);
+
+  // Step 2: List the nearest lines.
+  const matches = index.lookup(options.query, {
+    minSimilarity: MIN_SIMILARITY,
+    limit: LIMIT,
+  });
+  for (const { key, english, similarity, occurrences } of matches) {
+    const locations = occurrences
+      .slice(0, MAX_LOCATIONS)
+      .map((o) => `${o.file}:${o.line}`);
+    if (occurrences.length > MAX_LOCATIONS) {
+      locations.push(`… (${occurrences.length} in all)`);
+    }
+    console.log(`${similarity.toFixed(2)}  ${key}`);
+    console.log(`      → ${english}  — ${locations.join(", ")}`);
+  }
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Query:            ${options.query}`);
+  console.log(`  Matches:          ${matches.length}`);
+}
+
+runIfMain(import.meta.url, main);
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { alignSection } from "../lib/align.mjs";
+
+describe("alignSection", () => {
+  it("drops a remark of the model after the last line", () => {
+    const alignment = alignSection(
+      ["もう六時か……", "いったん切り上げて、他の様子を見てこよう。"],
+      [
+        "Six o'clock already...",
+        "I'll stop here for now and go check on the others.",
+        "Would you like me to translate the next set of scripts for you, " +
+          "Boss? Just let me know when you're ready!",
+      ]
+    );
+    assert.deepEqual(alignment.lines, [
+      "Six o'clock already...",
+      "I'll stop here for now and go check on the others.",
+    ]);
+    assert.deepEqual(
+      alignment.fixes.map(({ kind, original, translated }) => ({
+        kind,
+        original,
+        translated,
+      })),
+      [{ kind: "extra", original: 2, translated: 2 }]
+    );
+  });
+
+  it("keeps the Japanese of a line left out", () => {
+    const alignment = alignSection(
+      ["＃紅緒", "「おはよう」", "＃主人公", "「……」", "＃紅緒", "「寒いわね」"],
+      ["#Benio", '"Morning."', "#Me", "#Benio", '"It\'s cold, isn\'t it?"']
+    );
+    assert.deepEqual(alignment.lines, [
+      "#Benio",
+      '"Morning."',
+      "#Me",
+      "「……」",
+      "#Benio",
+      '"It\'s cold, isn\'t it?"',
+    ]);
+    assert.deepEqual(alignment.fixes, [
+      { kind: "missing", original: 3, translated: 3, text: "「……」" },
+    ]);
+  });
+
+  it("splits a line merged from two originals", () => {
+    const alignment = alignSection(
+      [
+        "ぼくは不安だった。",
+        "六曜さんのことではなく――棺の中で眠る詩音さんのことが。",
+      ],
+      [
+        "I was uneasy. It wasn't so much about Rokuyou-san, but—about " +
+          "Shion-san, sleeping in that casket.",
+      ]
+    );
+    assert.deepEqual(alignment.lines, [
+      "I was uneasy.",
+      "It wasn't so much about Rokuyou-san, but—about Shion-san, sleeping " +
+        "in that casket.",
+    ]);
+    assert.equal(alignment.fixes.length, 1);
+    assert.equal(alignment.fixes[0].kind, "split");
+  });
+
+  it("joins a line split in two rather than dropping half of it", () => {
+    const alignment = alignSection(
+      ["「そうですか」", "部屋には誰もいないようだ。"],
+      ['"I see."', "There seems to be", "nobody in the room."]
+    );
+    assert.deepEqual(alignment.lines, [
+      '"I see."',
+      "There seems to be nobody in the room.",
+    ]);
+    assert.equal(alignment.fixes[0].kind, "join");
+  });
+});
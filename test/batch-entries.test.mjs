@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { decodeShiftJIS, encodeShiftJIS } from "../lib/encoding.mjs";
+import { formatBatch, parseBatchEntries } from "../lib/gemini-entries.mjs";
+
+describe("formatBatch", () => {
+  const scripts = [
+    { fileName: "01_1600.txt", lines: ["＃紅緒", "「おはよう」", ""] },
+    { fileName: "01_1700.txt", lines: ["　＄　椅子に浅く腰掛けた。"] },
+  ];
+  const entries = scripts.map(({ fileName, lines }) => ({
+    fileName,
+    content: encodeShiftJIS(lines.join("\n")),
+  }));
+
+  it("writes the merged scene layout", () => {
+    const text = decodeShiftJIS(formatBatch(entries));
+    assert.equal(
+      text,
+      [
+        "01_1600.txt",
+        "********************",
+        "＃紅緒",
+        "「おはよう」",
+        "",
+        "--------------------",
+        "01_1700.txt",
+        "********************",
+        "　＄　椅子に浅く腰掛けた。",
+      ].join("\n")
+    );
+  });
+
+  it("reads back through parseBatchEntries, preamble skipped", () => {
+    const preamble = encodeShiftJIS(
+      "Earlier translations had problems:\n- 01_1600.txt: 2 lines → 3\n\n"
+    );
+    const parsed = parseBatchEntries(
+      decodeShiftJIS(formatBatch(entries, preamble))
+    );
+    assert.deepEqual(parsed, [
+      { fileName: "01_1600.txt", contentLines: ["＃紅緒", "「おはよう」"] },
+      { fileName: "01_1700.txt", contentLines: ["　＄　椅子に浅く腰掛けた。"] },
+    ]);
+  });
+});
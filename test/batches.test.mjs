@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { copyFile, mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { planBatches } from "../lib/batches.mjs";
+import { loadConfig } from "../lib/config.mjs";
+import {
+  buildPrompt,
+  estimateTokens,
+  loadPromptContext,
+} from "../lib/prompt.mjs";
+import { writeScript } from "../lib/script.mjs";
+
+const lines = ["＃紅緒", "「" + "あ".repeat(100) + "」"];
+const fileNames = [
+  "01_0100.txt",
+  "01_0200.txt",
+  "02_0100.txt",
+  "F01_a.txt",
+  "F01_b.txt",
+];
+
+describe("planBatches", () => {
+  const root = process.cwd();
+  let dir;
+  let config;
+  // The prompt of the first two normal scripts, instructions included.
+  let pair;
+
+  const withBudget = (batchTokens) => ({
+    ...config,
+    translation: { ...config.translation, batchTokens },
+  });
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "caucasus-"));
+    await copyFile(
+      path.join(root, "caucasus.config.json"),
+      path.join(dir, "caucasus.config.json")
+    );
+    process.env.CAUCASUS_CONFIG = path.join(dir, "caucasus.config.json");
+    process.chdir(dir);
+
+    config = loadConfig();
+    await mkdir(config.originalDir);
+    for (const fileName of fileNames) {
+      await writeScript(path.join(config.originalDir, fileName), lines);
+    }
+
+    const sections = fileNames.slice(0, 2).map((fileName) => ({
+      fileName,
+      contentLines: lines,
+    }));
+    const context = await loadPromptContext(config);
+    pair = estimateTokens(buildPrompt(sections, context));
+  });
+
+  after(async () => {
+    process.chdir(root);
+    await rm(dir, { recursive: true });
+  });
+
+  it("fits the whole prompt of every batch in the budget", async () => {
+    const batches = await planBatches(withBudget(pair), fileNames);
+    assert.deepEqual(
+      batches.map(({ name, files }) => [name, files]),
+      [
+        ["normal-001", ["01_0100.txt", "01_0200.txt"]],
+        ["normal-002", ["02_0100.txt"]],
+        ["exploration-001", ["F01_a.txt", "F01_b.txt"]],
+      ]
+    );
+    assert.equal(batches[0].estimatedTokens, pair);
+    assert.ok(batches.every((batch) => batch.estimatedTokens <= pair));
+    assert.ok(batches.every((batch) => batch.status === "pending"));
+  });
+
+  it("splits sooner when the budget is one token short", async () => {
+    const batches = await planBatches(withBudget(pair - 1), fileNames);
+    assert.deepEqual(batches[0].files, ["01_0100.txt"]);
+  });
+
+  it("counts the lines translated before that the prompt lists", async () => {
+    await writeFile(
+      config.full.translationMapFile,
+      JSON.stringify({ [lines.join("")]: `"${"Ah".repeat(50)}"` })
+    );
+    const batches = await planBatches(withBudget(pair), fileNames);
+    assert.deepEqual(batches[0].files, ["01_0100.txt"]);
+    await rm(config.full.translationMapFile);
+  });
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { hashInputs, openBuildCache } from "../lib/build-cache.mjs";
+
+describe("hashInputs", () => {
+  it("tells apart inputs split at different places", () => {
+    assert.notEqual(hashInputs("ab", "c"), hashInputs("a", "bc"));
+    assert.equal(hashInputs("a", Buffer.from("b")), hashInputs("a", "b"));
+  });
+});
+
+describe("openBuildCache", () => {
+  let dir;
+  let config;
+  let output;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "caucasus-"));
+    config = { cacheDir: path.join(dir, "cache"), fingerprint: "config-1" };
+    output = path.join(dir, "out.txt");
+    await writeFile(output, "padded");
+
+    const cache = await openBuildCache(config, "pad-test", 1);
+    assert.equal(cache.lookup("a.txt", "h1", [output]), null);
+    cache.record("a.txt", "h1", { outputs: [output], data: { padded: 3 } });
+    cache.record("b.txt", null, { outputs: [output] });
+    await cache.save();
+  });
+
+  after(() => rm(dir, { recursive: true }));
+
+  it("skips a file whose inputs and outputs are unchanged", async () => {
+    const cache = await openBuildCache(config, "pad-test", 1);
+    assert.deepEqual(cache.lookup("a.txt", "h1", [output]).data, {
+      padded: 3,
+    });
+    assert.equal(cache.lookup("b.txt", "h1", [output]), null);
+    assert.deepEqual(cache.summary(), { rebuilt: 0, unchanged: 1 });
+  });
+
+  it("rebuilds a file whose hash changed or whose output is gone", async () => {
+    const cache = await openBuildCache(config, "pad-test", 1);
+    assert.equal(cache.lookup("a.txt", "h2", [output]), null);
+    assert.equal(cache.lookup("a.txt", "h1", [`${output}.gone`]), null);
+  });
+
+  it("starts over on a new version, a new config or --force", async () => {
+    const bumped = await openBuildCache(config, "pad-test", 2);
+    assert.equal(bumped.lookup("a.txt", "h1", [output]), null);
+
+    const edited = { ...config, fingerprint: "config-2" };
+    const reconfigured = await openBuildCache(edited, "pad-test", 1);
+    assert.equal(reconfigured.lookup("a.txt", "h1", [output]), null);
+
+    const forced = await openBuildCache(config, "pad-test", 1, {
+      force: true,
+    });
+    assert.equal(forced.lookup("a.txt", "h1", [output]), null);
+  });
+
+  it("keeps the cache as it was on a dry run", async () => {
+    const dryRun = await openBuildCache(config, "pad-test", 1, {
+      force: true,
+      dryRun: true,
+    });
+    await dryRun.save();
+
+    const cache = await openBuildCache(config, "pad-test", 1);
+    assert.notEqual(cache.lookup("a.txt", "h1", [output]), null);
+  });
+});
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  classifyScript,
+  isVerticalScript,
+  loadClassifier,
+} from "../lib/classify.mjs";
+import { CONFIG_FILE, loadConfig } from "../lib/config.mjs";
+
+const config = loadConfig(CONFIG_FILE);
+
+describe("isVerticalScript", () => {
+  it("needs every non-empty line to start with a space or 「", () => {
+    assert.equal(
+      isVerticalScript("　夜が明けた。\r\n\r\n「おはよう」\r\n"),
+      true
+    );
+    assert.equal(isVerticalScript("　夜が明けた。\n＃紅緒\n"), false);
+    assert.equal(isVerticalScript("\n\n"), false);
+  });
+});
+
+describe("classifyScript", () => {
+  const classify = (fileName, text = null, options) =>
+    classifyScript(config, fileName, text, options);
+
+  it("lets the first matching filename rule win", () => {
+    assert.equal(classify("F01_s.txt").category.name, "inspection");
+    assert.equal(classify("F01_p001.txt").category.name, "question");
+    assert.equal(classify("F01_search.txt").category.name, "exploration");
+  });
+
+  it("falls back to the last category and says why", () => {
+    assert.deepEqual(classify("01_1600.txt", "＃紅緒\n"), {
+      category: config.categories.at(-1),
+      reasons: ["no rule matched"],
+      fixedWidth: false,
+    });
+    assert.equal(classify("01_1600.txt", "　夜。\n").category.name, "vertical");
+  });
+
+  it("puts an override before every other rule", () => {
+    const overrides = new Map([["F01_s.txt", "normal"]]);
+    const { category, reasons } = classify("F01_s.txt", null, { overrides });
+    assert.equal(category.name, "normal");
+    assert.match(reasons[0], /^override in /);
+  });
+
+  it("only pads files of the fixed-width category as fixed-width", () => {
+    const fixedWidthFiles = new Set(["01_1600.txt", "F01_s.txt"]);
+    assert.equal(
+      classify("01_1600.txt", null, { fixedWidthFiles }).fixedWidth,
+      true
+    );
+    const ignored = classify("F01_s.txt", null, { fixedWidthFiles });
+    assert.equal(ignored.fixedWidth, false);
+    assert.match(ignored.reasons.at(-1), /but ignored outside "normal"/);
+  });
+});
+
+describe("loadClassifier", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "caucasus-"));
+  });
+
+  after(() => rm(dir, { recursive: true }));
+
+  it("rejects an override naming an unknown category", async () => {
+    const file = path.join(dir, "overrides.json");
+    await writeFile(file, JSON.stringify({ "01_1600.txt": "nowhere" }));
+    await assert.rejects(
+      loadClassifier({ ...config, categoryOverridesFile: file }),
+      /unknown category "nowhere"/
+    );
+  });
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  CONFIG_FILE,
+  fixedLayout,
+  fixedLayouts,
+  fixedWidthLimit,
+  getCategory,
+  loadConfig,
+  wrapCategory,
+} from "../lib/config.mjs";
+
+const config = loadConfig(CONFIG_FILE);
+
+describe("loadConfig", () => {
+  let dir;
+  let raw;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "caucasus-"));
+    raw = JSON.parse(await readFile(CONFIG_FILE, "utf-8"));
+  });
+
+  after(() => rm(dir, { recursive: true }));
+
+  const load = async (name, edit) => {
+    const copy = structuredClone(raw);
+    edit(copy);
+    const file = path.join(dir, name);
+    await writeFile(file, JSON.stringify(copy));
+    return () => loadConfig(file);
+  };
+
+  it("names the missing key", async () => {
+    const broken = await load("missing.json", (c) => delete c.originalDir);
+    assert.throws(broken, /missing "originalDir"/);
+  });
+
+  it("rejects a fixed-width category that does not exist", async () => {
+    const broken = await load("category.json", (c) => {
+      c.fixedWidth.category = "nowhere";
+    });
+    assert.throws(broken, /fixedWidth\.category "nowhere"/);
+  });
+
+  it("fills in the defaults of optional sections", async () => {
+    const minimal = await load("minimal.json", (c) => {
+      delete c.translation;
+      delete c.cacheDir;
+    });
+    const loaded = minimal();
+    assert.equal(loaded.cacheDir, ".caucasus-cache");
+    assert.equal(loaded.translation.batchTokens, 20000);
+  });
+});
+
+describe("categories", () => {
+  it("has one word-wrap category and names every fixed layout", () => {
+    assert.equal(wrapCategory(config).name, "normal");
+    assert.deepEqual(
+      fixedLayouts(config).map((layout) => layout.name),
+      ["inspection", "question", "exploration", "fixed-width"]
+    );
+    assert.equal(fixedLayout(config, "fixed-width").dir, "translated");
+    assert.throws(() => fixedLayout(config, "normal"), /No fixed padding/);
+    assert.throws(() => getCategory(config, "nowhere"));
+  });
+});
+
+describe("fixedWidthLimit", () => {
+  it("allows two columns per displayed character", () => {
+    assert.equal(fixedWidthLimit(config, "はい。"), 6);
+    assert.equal(fixedWidthLimit(config, "<紅緒<ベニヲ>です。"), 10);
+  });
+});
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { CONFIG_FILE, loadConfig } from "../lib/config.mjs";
+import {
+  emphasisSpans,
+  hasMarkers,
+  renderEmphasis,
+  showsEmphasis,
+} from "../lib/emphasis.mjs";
+
+const line = "Don't make such **cute faces**!";
+const wrap = ["**", "**"];
+
+describe("emphasisSpans", () => {
+  it("joins neighbouring emphasis groups", () => {
+    assert.deepEqual(
+      emphasisSpans("「急に妙な<し<ヽ><な<ヽ>を<七月<ナナツキ>」"),
+      ["しな"]
+    );
+    assert.deepEqual(emphasisSpans("<し<ヽ>と<な<ヽ>"), ["し", "な"]);
+  });
+});
+
+describe("renderEmphasis", () => {
+  it("renders the markers in every style", () => {
+    const render = (style) =>
+      renderEmphasis(line, { style, wrap: ["『", "』"] });
+    assert.equal(render("caps"), "Don't make such CUTE FACES!");
+    assert.equal(
+      render("dots"),
+      "Don't make such <cute<ヽヽヽヽ> <faces<ヽヽヽヽヽ>!"
+    );
+    assert.equal(render("wrap"), "Don't make such 『cute faces』!");
+    assert.equal(render("none"), "Don't make such cute faces!");
+  });
+
+  it("leaves no Markdown in the default style", () => {
+    const { emphasis } = loadConfig(CONFIG_FILE);
+    assert.equal(emphasis.style, "caps");
+    assert.equal(hasMarkers(renderEmphasis(line, emphasis)), false);
+  });
+});
+
+describe("showsEmphasis", () => {
+  it("recognises each style's rendering", () => {
+    for (const style of ["caps", "dots", "wrap"]) {
+      const rendered = renderEmphasis(line, { style, wrap });
+      assert.ok(showsEmphasis(rendered, { style, wrap }), style);
+      assert.ok(!showsEmphasis("Such cute faces!", { style, wrap }), style);
+    }
+    assert.ok(showsEmphasis(line, { style: "caps", wrap }));
+  });
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  EncodingError,
+  decodeShiftJIS,
+  encodeShiftJIS,
+  verifyRoundTrip,
+} from "../lib/encoding.mjs";
+import { StageFailure } from "../lib/stage.mjs";
+
+describe("encodeShiftJIS", () => {
+  it("round-trips Japanese and Shift-JIS equivalents", () => {
+    assert.equal(
+      decodeShiftJIS(encodeShiftJIS("＃紅緒\nおはよう\n")),
+      "＃紅緒\nおはよう\n"
+    );
+    assert.equal(decodeShiftJIS(encodeShiftJIS("〜")), "～");
+  });
+
+  it("locates the first character that cannot be encoded", () => {
+    assert.throws(
+      () => encodeShiftJIS("Hi.\nA snowman ☃ and 😀", { file: "01.txt" }),
+      (err) => {
+        assert.ok(err instanceof EncodingError);
+        assert.ok(err instanceof StageFailure);
+        assert.deepEqual([err.file, err.line, err.column], ["01.txt", 2, 11]);
+        assert.equal(err.codePoint, 0x2603);
+        assert.match(err.message, /^01\.txt:2:11: U\+2603 "☃"/);
+        return true;
+      }
+    );
+  });
+});
+
+describe("verifyRoundTrip", () => {
+  it("reports characters decoded past the intended text", () => {
+    assert.doesNotThrow(() => verifyRoundTrip("ab", "ab"));
+    assert.throws(
+      () => verifyRoundTrip("ab\n", "ab\n�", "01.txt"),
+      (err) =>
+        !(err instanceof EncodingError) &&
+        err instanceof StageFailure &&
+        err.message ===
+          '01.txt:2:1: Shift-JIS bytes decode with an extra tail "�"'
+    );
+  });
+
+  it("reports a character the decoded text lost", () => {
+    assert.throws(() => verifyRoundTrip("abc", "ab"), EncodingError);
+  });
+});
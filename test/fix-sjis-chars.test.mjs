@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import {
+  copyFile,
+  mkdir,
+  mkdtemp,
+  readFile,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { main } from "../fix-sjis-chars.mjs";
+import { readScript, writeScript } from "../lib/script.mjs";
+
+const file = path.join("translated", "01_1600.txt");
+const gemini = [
+  "--------------------",
+  "01_1600.txt",
+  "********************",
+  "Café—“naïve” ½, ok?",
+  "What? Really?",
+].join("\n");
+// As written before Shift-JIS writes were checked: every character with no
+// Shift-JIS code, or with a transliteration rule, became '?'.
+const broken = ["Caf???na?ve? ?, ok?", "What? Really?"];
+
+describe("fix-sjis-chars", () => {
+  const root = process.cwd();
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "caucasus-"));
+    await copyFile(
+      path.join(root, "caucasus.config.json"),
+      path.join(dir, "caucasus.config.json")
+    );
+    process.env.CAUCASUS_CONFIG = path.join(dir, "caucasus.config.json");
+    process.chdir(dir);
+
+    await mkdir("gemini-translation-text");
+    await writeFile(path.join("gemini-translation-text", "01.txt"), gemini);
+    await mkdir("translated");
+    await writeScript(file, broken);
+  });
+
+  after(async () => {
+    process.chdir(root);
+    await rm(dir, { recursive: true });
+  });
+
+  it("restores the '?' the alignment pairs with a lost character", async () => {
+    await main();
+    const { lines } = await readScript(file);
+    assert.deepEqual(lines, ['Cafe-"naive" 1/2, ok?', "What? Really?"]);
+
+    const audit = await readFile("fix-sjis-audit.txt", "utf-8");
+    assert.deepEqual(
+      audit
+        .trimEnd()
+        .split("\n")
+        .map((entry) => entry.split("  ")[0]),
+      [4, 5, 6, 9, 12, 14].map((column) => `${file}:1:${column}`)
+    );
+    assert.match(audit, /:1:14 {2}\? → "1\/2" {2}U\+00BD "½"  from gemini/);
+  });
+
+  it("keeps one audit entry per position across runs", async () => {
+    await writeScript(file, broken);
+    await main({ force: true });
+
+    const audit = await readFile("fix-sjis-audit.txt", "utf-8");
+    assert.equal(audit.trimEnd().split("\n").length, 6);
+  });
+});
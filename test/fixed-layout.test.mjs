@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import {
+  copyFile,
+  mkdir,
+  mkdtemp,
+  readFile,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  checkFixedLayout,
+  padFixedLayout,
+  validateFixedLayout,
+} from "../lib/fixed-layout.mjs";
+import { readScript, writeScript } from "../lib/script.mjs";
+import { StageFailure } from "../lib/stage.mjs";
+
+// One question script whose second line has ruby markup, so its limit (16,
+// the displayed 8 characters) differs from 2× its character count (34).
+const fileName = "F01_p001.txt";
+const original = ["＃紅緒", "<紅緒<ベニヲ>と申します。", "はい。"];
+const translated = ["＃紅緒", "My name is Benio.", "Yes."];
+
+describe("check, validate and pad a fixed layout", () => {
+  const root = process.cwd();
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "caucasus-"));
+    await copyFile(
+      path.join(root, "caucasus.config.json"),
+      path.join(dir, "caucasus.config.json")
+    );
+    process.env.CAUCASUS_CONFIG = path.join(dir, "caucasus.config.json");
+    process.chdir(dir);
+
+    await mkdir("original");
+    await mkdir("translated-question");
+    await writeScript(path.join("original", fileName), original);
+    await writeScript(path.join("translated-question", fileName), translated);
+  });
+
+  after(async () => {
+    process.chdir(root);
+    await rm(dir, { recursive: true });
+  });
+
+  it("exports the line over its displayed-width limit", async () => {
+    await checkFixedLayout("question");
+    assert.equal(
+      await readFile("long_lines_question.txt", "utf-8"),
+      `${fileName} | 2 | 16\nMy name is Benio.`
+    );
+  });
+
+  it("validates against the limit, not a stale header", async () => {
+    await writeFile(
+      "long_lines_question.txt",
+      `${fileName} | 2 | 34\nMy name is Benio.`
+    );
+    await writeFile(
+      "long_lines_question_updated.txt",
+      `${fileName} | 2 | 34\nI am called Benio.`
+    );
+    await assert.rejects(validateFixedLayout("question"), StageFailure);
+
+    await writeFile(
+      "long_lines_question_updated.txt",
+      `${fileName} | 2 | 34\nI'm Benio.`
+    );
+    await validateFixedLayout("question");
+  });
+
+  it("pads the validated override to the same limit", async () => {
+    await padFixedLayout("question", { force: true });
+    const { lines } = await readScript(
+      path.join("translated-question-padding", fileName)
+    );
+    assert.deepEqual(lines, ["＃紅緒", "I'm Benio.------", "Yes.--"]);
+  });
+
+  it("skips an override the validator would reject", async () => {
+    await writeFile(
+      "long_lines_question_updated.txt",
+      `${fileName} | 2 | 34\nI am called Benio.`
+    );
+    await padFixedLayout("question", { force: true });
+    const { lines } = await readScript(
+      path.join("translated-question-padding", fileName)
+    );
+    assert.equal(lines[1], "My name is Benio.");
+  });
+});
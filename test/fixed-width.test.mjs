@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { loadConfig } from "../lib/config.mjs";
+import { scoreFixedWidth } from "../lib/fixed-width.mjs";
+import { readScript } from "../lib/script.mjs";
+
+const config = loadConfig();
+const { manifestFile, minConfidence } = config.fixedWidth;
+
+describe("scoreFixedWidth", () => {
+  it("detects every script of the fixed-width manifest", async () => {
+    const manifest = JSON.parse(await readFile(manifestFile, "utf-8"));
+    assert.ok(manifest.length > 0);
+    for (const fileName of manifest) {
+      const { lines } = await readScript(
+        path.join(config.originalDir, fileName)
+      );
+      const { confidence } = scoreFixedWidth(lines);
+      assert.ok(
+        confidence >= minConfidence,
+        `${fileName} scores ${confidence.toFixed(2)}, below ${minConfidence}`
+      );
+    }
+  });
+
+  it("does not detect an ordinary dialogue scene", () => {
+    const lines = [
+      "＃あかね",
+      "「こっちです！」",
+      "あかねさんが吹き抜け部分を囲む通路を走っていく。",
+      "その先に、目立たない形の扉があった。",
+      "＃主人公",
+      "「わかりました。ぼくが先に行きます」",
+      "何があるかわからない。",
+      "ぼくは扉を開けてくれたあかねさんと位置を入れ替わり、中に入った。",
+    ];
+    assert.ok(scoreFixedWidth(lines).confidence < minConfidence);
+  });
+});
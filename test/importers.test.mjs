@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { readConversation } from "../lib/importers.mjs";
+
+describe("readConversation", () => {
+  const config = { gemini: { importers: [] } };
+  let dir;
+
+  // Write `content` as `fileName` and read it back as a conversation,
+  // returning the importer name and replies.
+  const read = async (fileName, content, settings = config) => {
+    const file = path.join(dir, fileName);
+    await writeFile(
+      file,
+      typeof content === "string" ? content : JSON.stringify(content)
+    );
+    const { importer, replies } = await readConversation(settings, file);
+    return { name: importer.name, replies };
+  };
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "caucasus-"));
+  });
+
+  after(() => rm(dir, { recursive: true }));
+
+  it("reads Gemini exports with their thinking blocks", async () => {
+    const { name, replies } = await read("04.json", [
+      { role: "user", contents: [{ type: "text", content: "Translate." }] },
+      {
+        role: "assistant",
+        created_at: 1700000000000,
+        contents: [
+          { type: "thinking", content: "Benio is formal." },
+          { type: "text", content: "Morning." },
+        ],
+      },
+    ]);
+    assert.equal(name, "gemini");
+    assert.deepEqual(replies, [
+      {
+        messageIndex: 1,
+        text: "Morning.",
+        thinking: "Benio is formal.",
+        timestamp: "2023-11-14T22:13:20.000Z",
+      },
+    ]);
+  });
+
+  it("reads OpenAI exports, timed in seconds", async () => {
+    const { name, replies } = await read("05.json", {
+      messages: [
+        { role: "user", content: "Translate." },
+        {
+          role: "assistant",
+          create_time: 1700000000,
+          reasoning_content: "Short lines.",
+          content: [{ type: "text", text: "Morning." }],
+        },
+      ],
+    });
+    assert.equal(name, "openai");
+    assert.deepEqual(replies, [
+      {
+        messageIndex: 1,
+        text: "Morning.",
+        thinking: "Short lines.",
+        timestamp: "2023-11-14T22:13:20.000Z",
+      },
+    ]);
+  });
+
+  it("reads Markdown transcripts, dropping empty replies", async () => {
+    const { name, replies } = await read(
+      "06.md",
+      [
+        "## User",
+        "Translate.",
+        "## Assistant",
+        "",
+        "<thinking>Keep it short.</thinking>",
+        "Morning.",
+        "",
+        "## Assistant",
+        "",
+      ].join("\n")
+    );
+    assert.equal(name, "markdown");
+    assert.deepEqual(replies, [
+      {
+        messageIndex: 1,
+        text: "Morning.",
+        thinking: "Keep it short.",
+        timestamp: null,
+      },
+    ]);
+  });
+
+  it("splits plain text dumps at the reply separator", async () => {
+    const { name, replies } = await read(
+      "07.txt",
+      ["Morning.", "-".repeat(80), "Night."].join("\n")
+    );
+    assert.equal(name, "plain");
+    assert.deepEqual(
+      replies.map((r) => [r.messageIndex, r.text]),
+      [
+        [0, "Morning."],
+        [1, "Night."],
+      ]
+    );
+  });
+
+  it("tries the configured importers first", async () => {
+    const module = path.join(dir, "log-importer.mjs");
+    await writeFile(
+      module,
+      "export const importer = {\n" +
+        '  detect: (fileName) => fileName.endsWith(".log"),\n' +
+        "  parse: (text) => [\n" +
+        '    { messageIndex: 0, text, thinking: "", timestamp: null },\n' +
+        "  ],\n" +
+        "};\n"
+    );
+    const settings = { gemini: { importers: [module] } };
+    const { name, replies } = await read("08.log", "Morning.", settings);
+    assert.equal(name, module);
+    assert.equal(replies[0].text, "Morning.");
+  });
+
+  it("returns null for a file no importer recognises", async () => {
+    const file = path.join(dir, "notes.csv");
+    await writeFile(file, "a,b");
+    assert.equal(await readConversation(config, file), null);
+  });
+});
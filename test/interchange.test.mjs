@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { FORMATS, detectFormat, scriptUnits } from "../lib/interchange.mjs";
+
+const settings = {
+  sourceLanguage: "ja",
+  targetLanguage: "en",
+  speakers: new Map([["紅緒", "Benio"]]),
+};
+
+// Markup and characters every format has to escape.
+const units = scriptUnits(
+  "translated/01_1600.txt",
+  ["＃紅緒", "「<紅緒<ベニヲ>です」", "＄　夜が明けた。"],
+  ["＃紅緒", 'I\'m <Benio<Beniwo> & "that" is \\ that.', "＄ Dawn broke."]
+);
+
+const located = (list) =>
+  list.map(({ path, line, source, target }) => ({
+    path,
+    line,
+    source,
+    target,
+  }));
+
+describe("scriptUnits", () => {
+  it("skips speech sources and keeps the speaker of their line", () => {
+    assert.deepEqual(
+      units.map(({ line, speaker }) => [line, speaker]),
+      [
+        [2, "紅緒"],
+        [3, null],
+      ]
+    );
+  });
+});
+
+describe("interchange formats", () => {
+  for (const format of FORMATS.values()) {
+    it(`round-trips ${format.name}`, () => {
+      const text = format.serialize(units, settings);
+      assert.equal(detectFormat(text), format);
+      assert.deepEqual(located(format.parse(text, settings)), located(units));
+    });
+  }
+
+  it("names the speaker in a translator note", () => {
+    for (const format of FORMATS.values()) {
+      assert.match(
+        format.serialize(units, settings),
+        /Speaker: 紅緒 \(Benio\)/,
+        format.name
+      );
+    }
+  });
+
+  it("skips fuzzy PO entries", () => {
+    const po = FORMATS.get("po");
+    const text = po
+      .serialize(units, settings)
+      .replace("#: translated/01_1600.txt:3", "#, fuzzy\n$&");
+    assert.deepEqual(
+      po.parse(text, settings).map((unit) => unit.line),
+      [2]
+    );
+  });
+
+  it("keeps the text of inline markup a tool added", () => {
+    const xliff = FORMATS.get("xliff12");
+    const text = xliff
+      .serialize(units, settings)
+      .replace("Dawn broke.", '<g id="1">Dawn</g> broke.');
+    assert.equal(xliff.parse(text, settings).at(-1).target, "＄ Dawn broke.");
+  });
+});
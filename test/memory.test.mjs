@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  buildMemory,
+  createMemoryIndex,
+  filledEntry,
+  prefillSection,
+  recall,
+  segmentPairs,
+  variants,
+} from "../lib/memory.mjs";
+
+const original = ["＃紅緒", "「おはよう」", "", "夜が明けた。"];
+
+const memory = buildMemory([
+  ...segmentPairs(original, ["＃紅緒", "Morning.", "", "Dawn broke."]).map(
+    (s) => ({ fileName: "01_1600.txt", ...s })
+  ),
+  ...segmentPairs(original, ["＃紅緒", "Morning.", "", "Day broke."]).map(
+    (s) => ({ fileName: "02_0720.txt", ...s })
+  ),
+]);
+
+describe("segmentPairs", () => {
+  it("joins speech sources with their line and skips empty lines", () => {
+    assert.deepEqual(
+      segmentPairs(original, ["＃紅緒", "Morning.", "", "Dawn broke."]),
+      [
+        {
+          key: "＃紅緒「おはよう」",
+          line: 2,
+          speaker: "紅緒",
+          english: "Morning.",
+        },
+        { key: "夜が明けた。", line: 4, speaker: null, english: "Dawn broke." },
+      ]
+    );
+  });
+});
+
+describe("recall and variants", () => {
+  it("only recalls translations every occurrence agrees on", () => {
+    assert.equal(recall(memory, "＃紅緒「おはよう」"), "Morning.");
+    assert.equal(recall(memory, "夜が明けた。"), null);
+    assert.equal(recall(memory, "寒い。"), null);
+    assert.deepEqual(
+      variants(memory.get("夜が明けた。")).map((v) => v.english),
+      ["Dawn broke.", "Day broke."]
+    );
+  });
+});
+
+describe("prefillSection", () => {
+  it("pre-fills known lines, quoting speech content", () => {
+    const { prefill, complete } = prefillSection(memory, original);
+    assert.deepEqual([...prefill], [[1, '"Morning."']]);
+    assert.equal(complete, false);
+  });
+
+  it("fills a section the memory translates entirely", () => {
+    const lines = ["＃紅緒", "「おはよう」"];
+    const { prefill, complete } = prefillSection(memory, lines);
+    assert.equal(complete, true);
+    assert.deepEqual(
+      filledEntry(
+        { fileName: "03.txt", contentLines: lines },
+        prefill,
+        new Map([["紅緒", "Benio"]])
+      ),
+      { fileName: "03.txt", contentLines: ["#Benio", '"Morning."'] }
+    );
+  });
+});
+
+describe("createMemoryIndex", () => {
+  const index = createMemoryIndex(memory);
+
+  it("finds near Japanese keys", () => {
+    const [match] = index.lookup("夜が明けた", { minSimilarity: 0.5 });
+    assert.equal(match.key, "夜が明けた。");
+    assert.ok(match.similarity < 1);
+  });
+
+  it("finds near English translations", () => {
+    const matches = index.lookup("Dawn broke!", { minSimilarity: 0.5 });
+    assert.equal(matches[0].english, "Dawn broke.");
+    assert.deepEqual(index.lookup("Nothing alike", { minSimilarity: 0.8 }), []);
+  });
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, afterEach, before, describe, it } from "node:test";
+import { createModelClient } from "../lib/model-clients.mjs";
+
+describe("createModelClient", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "caucasus-"));
+  });
+
+  after(() => rm(dir, { recursive: true }));
+
+  it("answers from the mock replies and keeps the prompt", async () => {
+    const mockDir = path.join(dir, "mock");
+    const client = await createModelClient({ client: "mock", mockDir });
+    await assert.rejects(
+      client.complete({ batch: "normal-01", prompt: "Translate." }),
+      /No mock reply for normal-01/
+    );
+
+    await writeFile(path.join(mockDir, "normal-01.txt"), "Done, Boss.");
+    assert.equal(
+      await client.complete({ batch: "normal-01", prompt: "Translate." }),
+      "Done, Boss."
+    );
+    assert.equal(
+      await readFile(path.join(mockDir, "normal-01.prompt.txt"), "utf-8"),
+      "Translate."
+    );
+  });
+
+  it("loads a client module", async () => {
+    const module = path.join(dir, "echo-client.mjs");
+    await writeFile(
+      module,
+      "export const createClient = ({ model }) => ({\n" +
+        "  name: `echo (${model})`,\n" +
+        "  complete: async ({ prompt }) => prompt,\n" +
+        "});\n"
+    );
+    const client = await createModelClient({ client: module, model: "m" });
+    assert.equal(client.name, "echo (m)");
+    assert.equal(await client.complete({ prompt: "hi" }), "hi");
+  });
+
+  it("rejects an unknown client", async () => {
+    await assert.rejects(
+      createModelClient({ client: "openai" }),
+      /Unknown translation client "openai"/
+    );
+  });
+});
+
+describe("gemini client", () => {
+  const settings = {
+    client: "gemini",
+    model: "gemini-2.5-pro",
+    apiKeyEnv: "CAUCASUS_TEST_KEY",
+  };
+  const realFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+    delete process.env.CAUCASUS_TEST_KEY;
+  });
+
+  it("needs the API key", async () => {
+    const client = await createModelClient(settings);
+    await assert.rejects(
+      client.complete({ prompt: "hi" }),
+      /Set CAUCASUS_TEST_KEY/
+    );
+  });
+
+  it("returns the reply text without the thought parts", async () => {
+    process.env.CAUCASUS_TEST_KEY = "key";
+    let request;
+    globalThis.fetch = async (url, init) => {
+      request = { url, init };
+      const parts = [
+        { text: "Let me think.", thought: true },
+        { text: "Good " },
+        { text: "morning." },
+      ];
+      return Response.json({ candidates: [{ content: { parts } }] });
+    };
+
+    const client = await createModelClient(settings);
+    assert.equal(await client.complete({ prompt: "hi" }), "Good morning.");
+    assert.match(request.url, /models\/gemini-2\.5-pro:generateContent$/);
+    assert.equal(request.init.headers["x-goog-api-key"], "key");
+  });
+
+  it("reports an API error with its status", async () => {
+    process.env.CAUCASUS_TEST_KEY = "key";
+    globalThis.fetch = async () =>
+      new Response("quota exceeded", {
+        status: 429,
+        statusText: "Too Many Requests",
+      });
+
+    const client = await createModelClient(settings);
+    await assert.rejects(
+      client.complete({ prompt: "hi" }),
+      /Gemini API error 429 Too Many Requests: quota exceeded/
+    );
+  });
+});
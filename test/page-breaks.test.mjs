@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { pageBreakMarks, splitPageBreaks } from "../lib/script.mjs";
+import { samePageBreaks } from "../lib/validation.mjs";
+
+describe("pageBreakMarks", () => {
+  it("finds the fullwidth marker anywhere in a line", () => {
+    assert.deepEqual(
+      pageBreakMarks("　＄　椅子に浅く腰掛け、＄息を吐く＄").map((m) => m.zone),
+      ["start", "middle", "end"]
+    );
+  });
+
+  it("finds an ASCII marker standing alone", () => {
+    assert.deepEqual(
+      pageBreakMarks("$ He sat down. $ Then he stood up. $").map(
+        (m) => m.zone
+      ),
+      ["start", "middle", "end"]
+    );
+  });
+
+  it("ignores a dollar sign inside ordinary text", () => {
+    for (const line of [
+      "It cost him US$5 and a smile.",
+      "It cost him 5$.",
+      "Prices: $10, $, and more.",
+      "The word was $hello$.",
+    ]) {
+      assert.deepEqual(pageBreakMarks(line), [], line);
+    }
+  });
+});
+
+describe("splitPageBreaks", () => {
+  it("keeps a line with a dollar sign in text as one page", () => {
+    const line = "I paid US$20 for it, and I'd pay $. again.";
+    assert.deepEqual(splitPageBreaks(line), { pages: [line], marks: [] });
+  });
+
+  it("splits at every marker", () => {
+    assert.deepEqual(splitPageBreaks("One. $ Two."), {
+      pages: ["One. ", " Two."],
+      marks: ["$"],
+    });
+  });
+});
+
+describe("samePageBreaks", () => {
+  it("does not count a dollar sign in text as a page break", () => {
+    assert.equal(samePageBreaks("五ドル払った。", "I paid US$5."), true);
+    assert.equal(samePageBreaks("五ドル払った。", "It was $5, then $."), true);
+  });
+
+  it("reports a lost marker", () => {
+    assert.equal(samePageBreaks("＄彼は座った。", "He sat down."), false);
+  });
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  buildPrompt,
+  estimateTokens,
+  prefillSections,
+  restorePrefill,
+} from "../lib/prompt.mjs";
+
+const context = {
+  speakers: new Map([["紅緒", "Benio"]]),
+  translationMap: new Map([["＃紅緒「おはよう」", '"Morning."']]),
+  translations: new Map([["01_1500.txt", ["He woke up.", "It was cold."]]]),
+  memory: null,
+  memoryIndex: null,
+  prefill: true,
+  fuzzySimilarity: 0.8,
+  contextLines: 1,
+  maxTerms: 100,
+};
+
+const section = {
+  fileName: "01_1600.txt",
+  contentLines: ["＃紅緒", "「おはよう」", "", "急に妙な<し<ヽ><な<ヽ>を。"],
+};
+const previous = {
+  fileName: "01_1500.txt",
+  contentLines: ["目が覚めた。", "寒かった。", ""],
+};
+
+describe("estimateTokens", () => {
+  it("counts Japanese per character and English per four", () => {
+    assert.equal(estimateTokens("おはよう"), 4);
+    assert.equal(estimateTokens("Good morning"), 3);
+    assert.equal(estimateTokens("「はい」 yes"), 5);
+  });
+});
+
+describe("buildPrompt", () => {
+  const prompt = buildPrompt([section], context, previous);
+
+  it("lists the speakers, known lines and stressed words", () => {
+    assert.match(prompt, /^- 紅緒 → Benio$/m);
+    assert.match(prompt, /^- ＃紅緒「おはよう」 → "Morning\."$/m);
+    assert.match(prompt, /^- 01_1600\.txt line 4: しな — 急に妙なしなを。$/m);
+  });
+
+  it("ends the previous scene with its translation", () => {
+    assert.match(
+      prompt,
+      /\(01_1500\.txt\):\n寒かった。\n\nIts translation:\nIt was cold\.\n/
+    );
+  });
+
+  it("ends with the sections in the reply format", () => {
+    assert.ok(
+      prompt.endsWith(
+        "01_1600.txt\n********************\n＃紅緒\n「おはよう」\n\n" +
+          "急に妙な<し<ヽ><な<ヽ>を。\n"
+      ),
+      prompt
+    );
+  });
+});
+
+describe("prefillSections", () => {
+  it("sends every section without a memory", () => {
+    assert.deepEqual(prefillSections([section], context), {
+      send: [section],
+      filled: [],
+    });
+  });
+});
+
+describe("restorePrefill", () => {
+  const prefilled = { ...section, prefill: new Map([[1, '"Morning."']]) };
+
+  it("puts back the pre-filled lines the model reworded", () => {
+    const entry = {
+      fileName: "01_1600.txt",
+      contentLines: ["#Benio", '"Good morning."', "Don't act coy."],
+    };
+    assert.deepEqual(restorePrefill(entry, prefilled).contentLines, [
+      "#Benio",
+      '"Morning."',
+      "Don't act coy.",
+    ]);
+  });
+
+  it("leaves a reply with another line count alone", () => {
+    const entry = { fileName: "01_1600.txt", contentLines: ["#Benio"] };
+    assert.equal(restorePrefill(entry, prefilled), entry);
+  });
+});
@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  loadEntryLines,
+  loadPins,
+  readRevisions,
+  selectRevisions,
+} from "../lib/revisions.mjs";
+import { StageFailure } from "../lib/stage.mjs";
+
+const entry = (fileName, ...lines) =>
+  ["--------------------", fileName, "********************", ...lines].join(
+    "\n"
+  );
+
+describe("revisions", () => {
+  let dir;
+  let config;
+
+  const withPolicy = (revisionPolicy) => ({
+    ...config,
+    gemini: { ...config.gemini, revisionPolicy },
+  });
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "caucasus-"));
+    config = {
+      gemini: {
+        jsonDir: path.join(dir, "gemini-json"),
+        textDir: path.join(dir, "gemini-text"),
+        pinsFile: path.join(dir, "pins.json"),
+        importers: [],
+        revisionPolicy: "first",
+      },
+    };
+
+    await mkdir(config.gemini.textDir);
+    await writeFile(
+      path.join(config.gemini.textDir, "01.txt"),
+      [
+        entry("01_1600.txt", "Morning.", "", "He sat down."),
+        "-".repeat(80),
+        entry("01_1600.txt", "Good morning.", "He sat down."),
+      ].join("\n")
+    );
+    await writeFile(
+      path.join(config.gemini.textDir, "02.txt"),
+      entry("01_1700.txt", "Night fell.")
+    );
+  });
+
+  after(() => rm(dir, { recursive: true }));
+
+  it("names each entry after its text file and reply", async () => {
+    const revisions = await readRevisions(config);
+    assert.deepEqual(
+      revisions.map(({ fileName, id, order }) => [fileName, id, order]),
+      [
+        ["01_1600.txt", "01.txt#0", 0],
+        ["01_1600.txt", "01.txt#1", 1],
+        ["01_1700.txt", "02.txt#0", 2],
+      ]
+    );
+  });
+
+  it("chooses between competing revisions by policy", async () => {
+    const revisions = await readRevisions(config);
+    const choice = (policy, pins) =>
+      selectRevisions(withPolicy(policy), revisions, pins).selected.get(
+        "01_1600.txt"
+      ).id;
+
+    assert.equal(choice("first"), "01.txt#0");
+    assert.equal(choice("latest"), "01.txt#1");
+    assert.equal(choice("latest", { "01_1600.txt": "01.txt#0" }), "01.txt#0");
+
+    const { competing, unresolved } = selectRevisions(
+      withPolicy("pinned"),
+      revisions
+    );
+    assert.deepEqual([...competing.keys()], ["01_1600.txt"]);
+    assert.deepEqual(unresolved, ["01_1600.txt"]);
+  });
+
+  it("rejects a pin to a revision the script does not have", async () => {
+    const revisions = await readRevisions(config);
+    assert.throws(
+      () => selectRevisions(config, revisions, { "01_1700.txt": "01.txt#1" }),
+      StageFailure
+    );
+  });
+
+  it("reads the pins file and loads the selected lines", async () => {
+    assert.deepEqual(await loadPins(config), {});
+    await writeFile(
+      config.gemini.pinsFile,
+      JSON.stringify({ "01_1600.txt": "01.txt#1" })
+    );
+    const lines = await loadEntryLines(config);
+    assert.deepEqual(lines.get("01_1600.txt"), [
+      "Good morning.",
+      "He sat down.",
+    ]);
+    assert.deepEqual(lines.get("01_1700.txt"), ["Night fell."]);
+  });
+});
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { diffLines, unifiedDiff } from "../lib/diff.mjs";
+import { encodeShiftJIS } from "../lib/encoding.mjs";
+import { openRewriter } from "../lib/rewrite.mjs";
+
+describe("diffLines", () => {
+  it("keeps the common lines and marks the rest", () => {
+    assert.deepEqual(
+      diffLines(["a", "b", "c"], ["a", "x", "c", "d"]).map((e) => e.op),
+      [" ", "-", "+", " ", "+"]
+    );
+  });
+});
+
+describe("unifiedDiff", () => {
+  it("returns nothing for equal lines", () => {
+    assert.equal(unifiedDiff(["a"], ["a"]), "");
+  });
+
+  it("writes one hunk with context around a change", () => {
+    const before = ["1", "2", "3", "4", "5", "6", "7", "8", "9"];
+    const after = before.map((line) => (line === "5" ? "five" : line));
+    assert.equal(
+      unifiedDiff(before, after, { fromFile: "a/x", toFile: "b/x" }),
+      [
+        "--- a/x",
+        "+++ b/x",
+        "@@ -2,7 +2,7 @@",
+        " 2",
+        " 3",
+        " 4",
+        "-5",
+        "+five",
+        " 6",
+        " 7",
+        " 8",
+      ].join("\n")
+    );
+  });
+});
+
+describe("openRewriter", () => {
+  let dir;
+  let file;
+  let config;
+  const previous = encodeShiftJIS("おはよう\n");
+  const next = encodeShiftJIS("Good morning\n");
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "caucasus-"));
+    file = path.join(dir, "01_1600.txt");
+    config = { backupDir: path.join(dir, "backup") };
+  });
+
+  after(() => rm(dir, { recursive: true }));
+
+  it("writes nothing on a dry run", async () => {
+    await writeFile(file, previous);
+    const rewriter = openRewriter(config, "clean-translations", {
+      dryRun: true,
+      backup: true,
+    });
+    await rewriter.write(file, next, previous);
+    assert.deepEqual(await readFile(file), previous);
+    await assert.rejects(readdir(config.backupDir));
+  });
+
+  it("copies the file aside before overwriting it", async () => {
+    await writeFile(file, previous);
+    const rewriter = openRewriter(config, "clean-translations", {
+      backup: true,
+    });
+    await rewriter.write(file, next, previous);
+    assert.deepEqual(await readFile(file), next);
+
+    const [snapshot] = await readdir(config.backupDir);
+    assert.match(snapshot, /^clean-translations-/);
+    assert.deepEqual(
+      await readFile(path.join(config.backupDir, snapshot, file)),
+      previous
+    );
+  });
+});
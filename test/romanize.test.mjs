@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { romanize } from "../lib/romanize.mjs";
+
+describe("romanize", () => {
+  it("spells long vowels as the kana write them", () => {
+    assert.equal(romanize("ソウコ"), "souko");
+    assert.equal(romanize("ロクヨウ"), "rokuyou");
+    assert.equal(romanize("ベニヲ"), "benio");
+  });
+
+  it("follows modified Hepburn", () => {
+    assert.equal(romanize("しおん"), "shion");
+    assert.equal(romanize("ミナカミ"), "minakami");
+    assert.equal(romanize("キャッチ"), "kyatchi");
+    assert.equal(romanize("ジュンイチ"), "jun'ichi");
+    assert.equal(romanize("ラーメン"), "raamen");
+  });
+
+  it("leaves anything but kana to the caller", () => {
+    assert.equal(romanize("紅緒"), null);
+    assert.equal(romanize("Benio"), null);
+  });
+});
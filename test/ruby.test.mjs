@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { baseText, displayWidth, parseRuby, rawOffsets } from "../lib/ruby.mjs";
+
+describe("parseRuby", () => {
+  it("reads readings and emphasis dots", () => {
+    assert.deepEqual(parseRuby("<七月<ナナツキ>家の<し<ヽ>"), {
+      text: "七月家のし",
+      rubies: [
+        { base: "七月", reading: "ナナツキ", emphasis: false, offset: 0 },
+        { base: "し", reading: "ヽ", emphasis: true, offset: 4 },
+      ],
+      broken: [],
+    });
+  });
+
+  it("locates markup outside a complete group", () => {
+    assert.deepEqual(parseRuby("a<b and c>d").broken, [1, 9]);
+    assert.deepEqual(parseRuby("<<ベニヲ>").broken, [0]);
+  });
+});
+
+describe("displayWidth", () => {
+  it("counts the displayed base text only", () => {
+    assert.equal(baseText("I'm <Benio<Beniwo>."), "I'm Benio.");
+    assert.equal(displayWidth("<紅緒<ベニヲ>です。"), 5);
+    assert.equal(displayWidth("No ruby here."), 13);
+  });
+});
+
+describe("rawOffsets", () => {
+  it("maps displayed characters back into the raw line", () => {
+    assert.deepEqual(rawOffsets("a<bc<x>d"), {
+      offsets: [0, 2, 3, 7, 8],
+      grouped: [false, true, true, false],
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { cleanLines } from "../lib/clean.mjs";
+import { decodeShiftJIS } from "../lib/encoding.mjs";
+import { parseTranslationEntries } from "../lib/gemini-entries.mjs";
+import {
+  EMPTY,
+  NARRATION,
+  OPTION,
+  PAGE_BREAK,
+  SPEECH_CONTENT,
+  SPEECH_SOURCE,
+  classifyLines,
+  encodeScript,
+  joinLines,
+  splitLines,
+  stripSpeechWrappers,
+} from "../lib/script.mjs";
+
+describe("splitLines", () => {
+  it("round-trips with and without a final newline", () => {
+    for (const text of ["a\nb\n", "a\nb", "", "a\n\n"]) {
+      const { lines, trailingNewline } = splitLines(text);
+      assert.equal(joinLines(lines, trailingNewline), text, text);
+    }
+    assert.deepEqual(splitLines("a\nb\n").lines, ["a", "b"]);
+  });
+
+  it("encodes Shift-JIS scripts that read back unchanged", () => {
+    const lines = ["＃紅緒", "「おはよう」"];
+    const buf = encodeScript(lines, { trailingNewline: true });
+    assert.equal(decodeShiftJIS(buf), "＃紅緒\n「おはよう」\n");
+  });
+});
+
+describe("classifyLines", () => {
+  it("tells every kind of line apart", () => {
+    const lines = [
+      "＃紅緒",
+      "おはよう",
+      "",
+      "＄　夜が明けた。",
+      "屋敷を調べる",
+      "話を聞く",
+      "ぼくは部屋を出た。",
+    ];
+    assert.deepEqual(classifyLines(lines), [
+      SPEECH_SOURCE,
+      SPEECH_CONTENT,
+      EMPTY,
+      PAGE_BREAK,
+      OPTION,
+      OPTION,
+      NARRATION,
+    ]);
+  });
+
+  it("does not take a single line ending in kana for an option", () => {
+    assert.deepEqual(classifyLines(["屋敷を調べる", "ぼくは部屋を出た。"]), [
+      NARRATION,
+      NARRATION,
+    ]);
+  });
+});
+
+describe("stripSpeechWrappers", () => {
+  it("strips Japanese brackets and quotes", () => {
+    assert.equal(stripSpeechWrappers("「おはよう」"), "おはよう");
+    assert.equal(stripSpeechWrappers('"Good morning."'), "Good morning.");
+    assert.equal(stripSpeechWrappers("He said hi."), "He said hi.");
+  });
+});
+
+describe("cleanLines", () => {
+  it("restores speakers, unwraps speech and quotes narration", () => {
+    const original = ["＃紅緒", "「おはよう」", "「静かね」と彼女は言った。"];
+    assert.deepEqual(
+      cleanLines(
+        ["  #Benio ", '"Good morning."', "", "「It's quiet.」"],
+        original
+      ),
+      ["＃紅緒", "Good morning.", '"It\'s quiet."']
+    );
+  });
+});
+
+describe("parseTranslationEntries", () => {
+  it("reads each entry up to the next header or reply separator", () => {
+    const content = [
+      "Here you go, Boss.",
+      "--------------------",
+      "01_1600.txt",
+      "********************",
+      "#Benio",
+      '"Morning."',
+      "--------------------",
+      "01_1700.txt",
+      "********************",
+      "He sat down.",
+      "-".repeat(80),
+      "Next reply.",
+    ].join("\n");
+    assert.deepEqual(parseTranslationEntries(content), [
+      {
+        fileName: "01_1600.txt",
+        line: 3,
+        contentLines: ["#Benio", '"Morning."'],
+      },
+      { fileName: "01_1700.txt", line: 8, contentLines: ["He sat down."] },
+    ]);
+  });
+});
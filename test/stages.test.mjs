@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseStageArgs } from "../lib/stage.mjs";
+import { STAGES, loadStage, resolveStageOrder } from "../lib/stages.mjs";
+
+describe("stage registry", () => {
+  it("backs every stage with a script exporting main()", async () => {
+    for (const stage of STAGES.values()) {
+      assert.equal(stage.module, `${stage.name}.mjs`);
+      assert.equal(typeof (await loadStage(stage)), "function");
+    }
+  });
+
+  it("only depends on registered stages", () => {
+    for (const stage of STAGES.values()) {
+      for (const dep of stage.deps) {
+        assert.ok(STAGES.has(dep), `${stage.name} depends on unknown ${dep}`);
+      }
+    }
+  });
+});
+
+describe("resolveStageOrder", () => {
+  it("puts every stage after its dependencies", () => {
+    const order = resolveStageOrder(["pad-question"]).map((s) => s.name);
+    assert.equal(order.at(-1), "pad-question");
+    order.forEach((name, i) => {
+      for (const dep of STAGES.get(name).deps) {
+        assert.ok(order.indexOf(dep) < i, `${dep} runs after ${name}`);
+      }
+    });
+  });
+
+  it("runs the default pipeline without targets", () => {
+    const names = resolveStageOrder().map((s) => s.name);
+    assert.ok(names.includes("parse-gemini-translations"));
+    assert.ok(!names.includes("apply-long-lines-fix"));
+  });
+
+  it("rejects an unknown stage", () => {
+    assert.throws(() => resolveStageOrder(["no-such-stage"]), /Unknown stage/);
+  });
+});
+
+describe("parseStageArgs", () => {
+  it("camel-cases flags and keeps positionals", () => {
+    const { options, positionals } = parseStageArgs([
+      "pad-question",
+      "--dry-run",
+      "--batch",
+      "normal-001",
+    ]);
+    assert.deepEqual(positionals, ["pad-question"]);
+    assert.equal(options.dryRun, true);
+    assert.equal(options.force, false);
+    assert.deepEqual(options.batch, ["normal-001"]);
+  });
+
+  it("throws on an unknown flag", () => {
+    assert.throws(() => parseStageArgs(["--no-such-flag"]));
+  });
+});
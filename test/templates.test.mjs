@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  buildTemplates,
+  layoutTemplates,
+  nameLength,
+  templateTokens,
+  templateWidth,
+} from "../lib/templates.mjs";
+import { wrapLine } from "../lib/wrap.mjs";
+
+const config = {
+  templates: buildTemplates({
+    nameEntryLimit: 10,
+    names: {
+      "(NAME01)": { default: "Kobayashi", min: 2 },
+      "(NAME02)": { default: "Satoshi", max: 8 },
+    },
+  }),
+  width: { lineWidth: 20 },
+};
+
+describe("buildTemplates", () => {
+  it("reads the older list of single-token templates", () => {
+    const { names } = buildTemplates([
+      ["(NAME01)", "Kobayashi"],
+      ["(NAME01)(NAME02)", "Kobayashi Satoshi"],
+    ]);
+    assert.deepEqual(
+      [...names],
+      [["(NAME01)", { default: "Kobayashi", min: 1, max: 10 }]]
+    );
+  });
+
+  it("rejects lengths out of order or over the entry limit", () => {
+    const names = (entry) => buildTemplates({ names: { "(NAME01)": entry } });
+    assert.throws(() => names({ default: "Satoshi", max: 5 }), /min ≤/);
+    assert.throws(() => names({ default: "Satoshi", max: 12 }), /over/);
+    assert.throws(() => names({ min: 1 }), /no default name/);
+  });
+});
+
+describe("template widths", () => {
+  it("counts each token as its name, with a separator between runs", () => {
+    const line = "I'm (NAME01)(NAME02).";
+    assert.deepEqual(templateTokens(config, line), ["(NAME01)", "(NAME02)"]);
+    assert.equal(templateWidth(config, line), 5 + 9 + 1 + 7);
+    assert.equal(templateWidth(config, line, "min"), 5 + 2 + 1 + 1);
+    assert.equal(templateWidth(config, line, "max"), 5 + 10 + 1 + 8);
+  });
+
+  it("takes the entry limit for a token with no name", () => {
+    assert.equal(nameLength(config, "(NAME03)", "min"), 10);
+  });
+});
+
+describe("layoutTemplates", () => {
+  it("restores the tokens after laying the line out", () => {
+    const { text, restore } = layoutTemplates(config, "Hi (NAME02)!");
+    assert.equal(text.length, "Hi Satoshi!".length);
+    assert.equal(restore(text.replace("Hi ", "Hi  ")), "Hi  (NAME02)!");
+  });
+
+  it("keeps the tokens in padded lines for the engine", () => {
+    const { line, width } = wrapLine(config, "Thanks, (NAME02), goodbye.");
+    assert.equal(line, "Thanks, (NAME02),    goodbye.");
+    assert.equal(width, "Thanks, Satoshi,    goodbye.".length);
+  });
+});
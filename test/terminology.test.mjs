@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  checkTerm,
+  compileTerm,
+  foldRomanization,
+} from "../lib/terminology.mjs";
+
+const souko = compileTerm("想子", {
+  english: "Souko",
+  variants: ["Soko-san"],
+});
+const narumi = compileTerm("なるみ", {
+  english: "Narumi",
+  pattern: "なるみ(?!たい)",
+});
+
+describe("foldRomanization", () => {
+  it("folds the spellings of long vowels together", () => {
+    for (const spelling of ["Souko", "Sōko", "Sooko", "Soko"]) {
+      assert.equal(foldRomanization(spelling), "soko");
+    }
+  });
+});
+
+describe("checkTerm", () => {
+  const source = "想子さんが振り返った。";
+
+  it("ignores lines whose original lacks the term", () => {
+    assert.equal(checkTerm(souko, "夜が明けた。", "Dawn broke."), null);
+    assert.equal(checkTerm(narumi, "寝てるみたい。", "Asleep."), null);
+  });
+
+  it("accepts the agreed spelling, ruby and all", () => {
+    assert.deepEqual(
+      checkTerm(souko, "<想子<ソウコ>さん", "Miss Souko turned."),
+      { status: "ok", found: null }
+    );
+  });
+
+  it("flags listed variants and other romanizations", () => {
+    assert.deepEqual(checkTerm(souko, source, "Soko-san turned."), {
+      status: "variant",
+      found: "Soko-san",
+    });
+    assert.deepEqual(checkTerm(souko, source, "Sōko turned around."), {
+      status: "romanization",
+      found: "Sōko",
+    });
+  });
+
+  it("tells pronoun-only renderings from missing ones", () => {
+    assert.deepEqual(
+      checkTerm(souko, "想子さんは居るだろうか", "I wonder if she's there..."),
+      { status: "pronoun", found: "she" }
+    );
+    assert.deepEqual(checkTerm(souko, source, "Our heads bumped together."), {
+      status: "missing",
+      found: null,
+    });
+    assert.equal(
+      checkTerm(souko, source, "The shepherd turned.").status,
+      "missing"
+    );
+  });
+});
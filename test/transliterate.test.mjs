@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  EncodingError,
+  decodeShiftJIS,
+  encodeShiftJIS,
+  isShiftJISEncodable,
+  replaceUnsafeChars,
+} from "../lib/encoding.mjs";
+import {
+  DEFAULT_TRANSLITERATIONS,
+  buildTransliterations,
+} from "../lib/transliterate.mjs";
+
+describe("DEFAULT_TRANSLITERATIONS", () => {
+  it("only produces characters that encode as Shift-JIS", () => {
+    for (const [ch, replacement] of DEFAULT_TRANSLITERATIONS) {
+      for (const out of replacement) {
+        assert.ok(isShiftJISEncodable(out), `${ch} → ${replacement}`);
+      }
+    }
+  });
+
+  it("spells out accents, ligatures and typography", () => {
+    assert.equal(
+      replaceUnsafeChars(
+        "Café Ørsted—“naïve” ﬁnale…⋯",
+        DEFAULT_TRANSLITERATIONS
+      ),
+      'Cafe Orsted-"naive" finale……'
+    );
+  });
+});
+
+describe("buildTransliterations", () => {
+  it("adds, changes and removes rules", () => {
+    const table = buildTransliterations({ "★": "*", "—": "--", é: "é" });
+    assert.equal(table.get("★"), "*");
+    assert.equal(table.get("—"), "--");
+    assert.equal(table.has("é"), false);
+    assert.equal(DEFAULT_TRANSLITERATIONS.get("—"), "-");
+  });
+
+  it("rejects a key that is not a single character", () => {
+    assert.throws(
+      () => buildTransliterations({ ab: "x" }),
+      /"ab" is not a single character/
+    );
+  });
+});
+
+describe("encodeShiftJIS", () => {
+  it("applies the project table before encoding", () => {
+    const buf = encodeShiftJIS("“Déjà vu,” she said.");
+    assert.equal(decodeShiftJIS(buf), '"Deja vu," she said.');
+  });
+
+  it("still fails on characters the table does not cover", () => {
+    assert.throws(() => encodeShiftJIS("Ω≈ç 🎉"), EncodingError);
+  });
+});
@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  compareGeminiSection,
+  compareTranslatedScript,
+  hasBrokenRuby,
+  speechSourceNames,
+} from "../lib/validation.mjs";
+
+const original = ["＃紅緒", "「<紅緒<ベニヲ>です」", "＄　夜が明けた。"];
+
+describe("compareTranslatedScript", () => {
+  it("accepts a faithful translation", () => {
+    assert.deepEqual(
+      compareTranslatedScript(original, [
+        "＃紅緒",
+        "I'm <Benio<Beniwo>.",
+        "＄ Dawn broke.",
+      ]),
+      { lineCount: null, mismatches: [] }
+    );
+  });
+
+  it("names the kind of every mismatch", () => {
+    const { mismatches } = compareTranslatedScript(
+      [...original, "＃紅緒", "「はい」"],
+      ["＃主人公", "I'm <Benio.", "Dawn broke.", "Yes.", "＃紅緒"]
+    );
+    assert.deepEqual(
+      mismatches.map(({ line, kind }) => [line, kind]),
+      [
+        [1, "speaker_name"],
+        [2, "ruby"],
+        [3, "page_break"],
+        [4, "type"],
+        [5, "type"],
+      ]
+    );
+  });
+
+  it("only reports the first type mismatch when the counts differ", () => {
+    const result = compareTranslatedScript(original, [
+      "I'm Benio.",
+      "＄ Dawn broke.",
+    ]);
+    assert.deepEqual(result.lineCount, { original: 3, translated: 2 });
+    assert.deepEqual(
+      result.mismatches.map(({ line, kind }) => [line, kind]),
+      [[1, "type"]]
+    );
+  });
+
+  it("trims vertical-style lines before comparing them", () => {
+    const { mismatches } = compareTranslatedScript(["　＃紅緒"], ["＃紅緒 "], {
+      trim: true,
+    });
+    assert.deepEqual(mismatches, []);
+  });
+});
+
+describe("compareGeminiSection", () => {
+  it("ignores empty lines and finds where the types diverge", () => {
+    assert.equal(
+      compareGeminiSection(original, ["#Benio", "", "a", "b"]),
+      null
+    );
+    assert.deepEqual(
+      compareGeminiSection(original, ["I'm Benio.", "Dawn broke."]),
+      {
+        original: 3,
+        translated: 2,
+        mismatch: {
+          index: 0,
+          reason: "type mismatch",
+          origLine: "＃紅緒",
+          origType: "speech",
+          transLine: "I'm Benio.",
+          transType: "content",
+        },
+      }
+    );
+  });
+
+  it("reports a missing line at the end without a type mismatch", () => {
+    const result = compareGeminiSection(original, ["＃紅緒", "I'm Benio."]);
+    assert.equal(result.mismatch.reason, "missing translated line");
+  });
+});
+
+describe("hasBrokenRuby", () => {
+  it("only flags markup outside complete ruby groups", () => {
+    assert.equal(hasBrokenRuby("<Benio<Beniwo> came."), false);
+    assert.equal(hasBrokenRuby("Benio<Beniwo came."), true);
+    assert.equal(hasBrokenRuby("Plain text."), false);
+  });
+});
+
+describe("speechSourceNames", () => {
+  it("collects the speaker names once each", () => {
+    assert.deepEqual(
+      speechSourceNames(["＃紅緒", "「はい」", " ＃紅緒", "＃主人公"]),
+      new Set(["紅緒", "主人公"])
+    );
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Translate Scene Batches
+ *
+ * Sends the batches of the batch manifest (see plan-batches.mjs) through a
+ * model client (lib/model-clients.mjs) and writes the replies to
+ * `gemini-translation-text/` in the entry format the rest of the pipeline
+ * reads:
+ *
+ *   --------------------       (20 dashes)
+ *   {fileName}
+ *   ********************       (20 asterisks)
+ *   ...translated lines...
+ *
+ * The prompt carries the glossary, terminology and previous-scene context
+ * of lib/prompt.mjs. Each batch is written to `{batch}.txt` (e.g.
+ * `normal-001.txt`) as soon as its reply arrives. Sections that already have
+ * an entry in any text file are not sent again, so only new scenes are
+ * translated and an interrupted run resumes where it stopped.
+ *
+ * Replies are checked against the batch: sections missing from a reply are
+ * reported and sent again on the next run, entries for files that were not
+ * asked for are ignored, and chatter after the last section is dropped. A
+ * client error stops the run; the batches already written are kept.
+ *
+ * The outcome of every batch sent is recorded in the manifest ("done",
+ * "partial" or "failed", with the number of attempts). Pass --batch to send
+ * only the named batches, e.g. to retry one that failed.
+ *
+ * Lines the translation memory (translation-memory.json, see
+ * build-translation-memory.mjs) knows a consistent translation of are
+ * pre-filled in English, and put back into the reply should the model
+ * reword them; sections the memory covers entirely are written from it
+ * without calling the client. Set `translation.prefill` to false to send
+ * every line.
+ *
+ * Pass --dry-run to list the sections that would be sent, with the
+ * estimated size of each prompt, without calling the client.
+ *
+ * Usage:
+ *   node translate-batches.mjs [--dry-run] [--batch normal-003]
+ */
+
+import { readFile, writeFile, mkdir } from "fs/promises";
+import path from "path";
+import { loadBatches, recordBatchOutcome } from "./lib/batches.mjs";
+import { loadConfig } from "./lib/config.mjs";
+import {
+  formatEntry,
+  parseBatchEntries,
+  parseTranslationEntries,
+  readAllTranslationEntries,
+} from "./lib/gemini-entries.mjs";
+import { createModelClient } from "./lib/model-clients.mjs";
+import {
+  buildPrompt,
+  estimateTokens,
+  loadPromptContext,
+  prefillSections,
+  restorePrefill,
+} from "./lib/prompt.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+
+/**
+ * Drop the chatter a model tends to append after the last section ("Want
+ * the next part?"): trailing lines after an empty line, when the entry has
+ * more non-empty lines than its original `section` without them.
+ */
+function trimTrailingChatter(entry, section) {
+  const count = (lines) => lines.filter((l) => l.trim().length > 0).length;
+  const expected = count(section.contentLines);
+  if (count(entry.contentLines) <= expected) return entry;
+
+  const lastBlank = entry.contentLines.lastIndexOf("");
+  if (lastBlank === -1) return entry;
+  const kept = entry.contentLines.slice(0, lastBlank);
+  if (count(kept) !== expected) return entry;
+
+  while (kept.at(-1) === "") kept.pop();
+  return { ...entry, contentLines: kept };
+}
+
+/**
+ * Merge new `entries` into the batch's output file, replacing any earlier
+ * entry for the same file, and write it.
+ */
+async function writeBatchOutput(outputPath, entries) {
+  let previous = [];
+  try {
+    previous = parseTranslationEntries(await readFile(outputPath, "utf-8"));
+  } catch {
+    // First reply for this batch.
+  }
+
+  const replaced = new Set(entries.map((e) => e.fileName));
+  const merged = [
+    ...previous.filter((e) => !replaced.has(e.fileName)),
+    ...entries,
+  ];
+  const content = merged
+    .map((e) => formatEntry(e.fileName, e.contentLines))
+    .join("\n");
+  await writeFile(outputPath, content + "\n", "utf-8");
+}
+
+export async function main(options = {}) {
+  const config = loadConfig();
+  const { textDir } = config.gemini;
+  const client = await createModelClient(config.translation);
+
+  // Step 1: Collect the files that already have a translation entry.
+  let existing = [];
+  try {
+    existing = await readAllTranslationEntries(textDir);
+  } catch {
+    // No translations yet.
+  }
+  const translated = new Set(existing.map((e) => e.fileName));
+  await mkdir(textDir, { recursive: true });
+
+  console.log(`Client: ${client.name}\n`);
+
+  let batchesSent = 0;
+  let upToDate = 0;
+  let sectionsTranslated = 0;
+  let sectionsPrefilled = 0;
+  const missing = [];
+  let failure = null;
+
+  // Step 2: Send the untranslated sections of every batch, in order.
+  const context = await loadPromptContext(config);
+  const { manifest, batches } = await loadBatches(config, options.batch);
+  const retry = [];
+
+  for (const { name: batch, sections, status } of batches) {
+    const pending = sections.filter((s) => !translated.has(s.fileName));
+    if (pending.length === 0) {
+      upToDate++;
+      if (status !== "done" && !options.dryRun) {
+        await recordBatchOutcome(config, manifest, batch, {
+          status: "done",
+          attempted: false,
+        });
+      }
+      continue;
+    }
+
+    // Sections the translation memory covers entirely are not sent.
+    const { send, filled } = prefillSections(pending, context);
+    const prompt =
+      send.length > 0 ? buildPrompt(send, context, send[0].previous) : null;
+
+    if (options.dryRun) {
+      console.log(
+        `${batch} — ${send.length} sections would be sent ` +
+          `(~${prompt ? estimateTokens(prompt) : 0} tokens), ` +
+          `${filled.length} pre-filled`
+      );
+      for (const s of send) console.log(`    ${s.fileName}`);
+      continue;
+    }
+
+    if (filled.length > 0) {
+      await writeBatchOutput(path.join(textDir, `${batch}.txt`), filled);
+      for (const entry of filled) translated.add(entry.fileName);
+      sectionsPrefilled += filled.length;
+    }
+    if (send.length === 0) {
+      await recordBatchOutcome(config, manifest, batch, {
+        status: "done",
+        attempted: false,
+      });
+      console.log(
+        `${batch}.txt — ${filled.length} sections pre-filled from memory`
+      );
+      continue;
+    }
+
+    // Step 3: Ask the client and keep the entries that were asked for.
+    let reply;
+    try {
+      reply = await client.complete({ batch, prompt });
+    } catch (err) {
+      failure = `${batch}: ${err.message}`;
+      retry.push(batch);
+      await recordBatchOutcome(config, manifest, batch, {
+        status: "failed",
+        error: err.message,
+      });
+      break;
+    }
+    batchesSent++;
+
+    const replyEntries = parseBatchEntries(reply);
+    const last = replyEntries.at(-1);
+    const replies = new Map(replyEntries.map((e) => [e.fileName, e]));
+    const received = [];
+    const missingBefore = missing.length;
+    for (const section of send) {
+      const entry = replies.get(section.fileName);
+      if (entry) {
+        received.push(
+          restorePrefill(
+            entry === last ? trimTrailingChatter(entry, section) : entry,
+            section
+          )
+        );
+        translated.add(section.fileName);
+      } else {
+        missing.push(`${batch}: ${section.fileName}`);
+      }
+    }
+    for (const name of replies.keys()) {
+      if (!send.some((s) => s.fileName === name)) {
+        console.log(`    ${batch}: ignoring unexpected entry ${name}`);
+      }
+    }
+
+    // Step 4: Write the batch so far, so a later failure loses nothing.
+    if (received.length > 0) {
+      await writeBatchOutput(path.join(textDir, `${batch}.txt`), received);
+    }
+    sectionsTranslated += received.length;
+
+    const batchMissing = missing.length - missingBefore;
+    if (batchMissing > 0) retry.push(batch);
+    await recordBatchOutcome(
+      config,
+      manifest,
+      batch,
+      batchMissing > 0
+        ? { status: "partial", error: `${batchMissing} sections missing` }
+        : { status: "done" }
+    );
+    console.log(
+      `${batch}.txt — ` +
+        `${received.length}/${send.length} sections translated` +
+        (filled.length > 0 ? `, ${filled.length} pre-filled` : "")
+    );
+  }
+
+  if (missing.length > 0) {
+    console.log("\nMissing from the replies (sent again on the next run):");
+    for (const name of missing) console.log(`    ${name}`);
+  }
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Batches sent:        ${batchesSent}`);
+  console.log(`  Batches up to date:  ${upToDate}`);
+  console.log(`  Sections translated: ${sectionsTranslated}`);
+  console.log(`  Sections pre-filled: ${sectionsPrefilled}`);
+  console.log(`  Sections missing:    ${missing.length}`);
+  if (options.dryRun) {
+    console.log("  Dry run:             client not called");
+  }
+  if (retry.length > 0) {
+    const flags = retry.map((name) => `--batch ${name}`).join(" ");
+    console.log(`  Retry:               ${flags}`);
+  }
+
+  if (failure) {
+    throw new StageFailure(`${failure} — rerun to resume`);
+  }
+  if (missing.length > 0) {
+    throw new StageFailure(
+      `${missing.length} sections missing from the replies — rerun to retry`
+    );
+  }
+}
+
+runIfMain(import.meta.url, main);
@@ -0,0 +1,99 @@
+/**
+ * Validate Emphasis
+ *
+ * Originals stress words with emphasis dots (`<し<ヽ><な<ヽ>`, see
+ * lib/emphasis.mjs), which a plain English line loses. This validator
+ * checks every line of the `translated*` folders whose original has
+ * emphasis dots for a sign of the emphasis in the English:
+ *
+ *   - in the UTF-8 full track, `**` markers around the stressed words;
+ *   - in the Shift-JIS category folders, the rendering of
+ *     `emphasis.style` that clean-translations writes (or markers it has
+ *     not rendered yet). Style "none" drops emphasis on purpose, so these
+ *     folders are then not checked.
+ *
+ * Lines without it are listed with the stressed spans:
+ *
+ *   translated/01_1600.txt:77  しな
+ *     「急に妙な<し<ヽ><な<ヽ>をつくらないで下さい」
+ *     Please don't try to act cute all of a sudden.
+ *
+ * Lines are paired with their originals by position, so scripts whose line
+ * count differs from their original are skipped; run validate-translations
+ * to find them.
+ *
+ * Usage:
+ *   node validate-emphasis.mjs
+ */
+
+import { readdir } from "fs/promises";
+import path from "path";
+import { loadConfig, translatedTracks } from "./lib/config.mjs";
+import { emphasisSpans, hasMarkers, showsEmphasis } from "./lib/emphasis.mjs";
+import { readOriginal, readScript } from "./lib/script.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+
+export async function main() {
+  const config = loadConfig();
+
+  let scripts = 0;
+  let skipped = 0;
+  let emphasized = 0;
+  let unrepresented = 0;
+
+  for (const track of translatedTracks(config)) {
+    const rendered = track.encoding === "sjis";
+    if (rendered && config.emphasis.style === "none") continue;
+    const shows = rendered
+      ? (line) => showsEmphasis(line, config.emphasis)
+      : hasMarkers;
+
+    let fileNames;
+    try {
+      fileNames = (await readdir(track.dir))
+        .filter((f) => f.endsWith(".txt"))
+        .sort();
+    } catch {
+      continue;
+    }
+
+    for (const fileName of fileNames) {
+      const filePath = path.join(track.dir, fileName);
+      const original = await readOriginal(config.originalDir, fileName);
+      const { lines } = await readScript(filePath, {
+        encoding: track.encoding,
+      });
+      if (!original || original.lines.length !== lines.length) {
+        skipped++;
+        continue;
+      }
+      scripts++;
+
+      original.lines.forEach((source, i) => {
+        const spans = emphasisSpans(source);
+        if (spans.length === 0) return;
+        emphasized++;
+        if (shows(lines[i])) return;
+
+        console.log(`  ${filePath}:${i + 1}  ${spans.join(", ")}`);
+        console.log(`    ${source}`);
+        console.log(`    ${lines[i]}`);
+        unrepresented++;
+      });
+    }
+  }
+
+  console.log();
+  console.log("— Summary —");
+  console.log(`  Style:            ${config.emphasis.style}`);
+  console.log(`  Scripts checked:  ${scripts}`);
+  console.log(`  Scripts skipped:  ${skipped}`);
+  console.log(`  Emphasized lines: ${emphasized}`);
+  console.log(`  Unrepresented:    ${unrepresented}`);
+
+  if (unrepresented > 0) {
+    throw new StageFailure(`${unrepresented} lines lose their emphasis`);
+  }
+}
+
+runIfMain(import.meta.url, main);
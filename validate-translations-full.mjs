@@ -8,6 +8,10 @@
  *   1. Both files have the same number of lines.
  *   2. Speech source lines (＃) must appear at the same positions and be
  *      identical between original and translated (Japanese speaker names).
+ *   3. Translated lines have no `<` or `>` outside a complete ruby group
+ *      (`<base<reading>`, see lib/ruby.mjs).
+ *   4. Translated lines keep the ＄ page-break markers of their original
+ *      (see samePageBreaks in lib/validation.mjs).
  *
  * Original files are Shift-JIS encoded; translated-full files are UTF-8.
  *
@@ -16,34 +20,17 @@
  */
 
 import { glob } from "glob";
-import { readFile } from "fs/promises";
 import path from "path";
-import Encoding from "encoding-japanese";
-
-const sjisDecoder = new TextDecoder("shift_jis");
-
-const ORIGINAL_DIR = "original";
-const TRANSLATED_FULL_DIR = "translated-full";
-
-const isSpeechSource = (line) => line.startsWith("＃");
-
-/**
- * Read a translated-full file, auto-detecting Shift-JIS or UTF-8.
- */
-async function readTranslated(filePath) {
-  const raw = await readFile(filePath);
-  const detected = Encoding.detect(raw);
-  if (detected === "SJIS") {
-    return sjisDecoder.decode(raw);
-  }
-  return raw.toString("utf-8");
-}
+import { loadConfig } from "./lib/config.mjs";
+import { isSpeechSource, readScript } from "./lib/script.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+import { hasBrokenRuby, samePageBreaks } from "./lib/validation.mjs";
 
 /**
  * Validate all translated files in the given directory against originals.
  * Returns { checked, skipped, mismatched }.
  */
-async function validateDirectory(translatedDir) {
+async function validateDirectory(translatedDir, originalDir) {
   const translatedFiles = (await glob(`${translatedDir}/*.txt`)).sort();
 
   let checked = 0;
@@ -52,25 +39,20 @@ async function validateDirectory(translatedDir) {
 
   for (const translatedPath of translatedFiles) {
     const filename = path.basename(translatedPath);
-    const originalPath = path.join(ORIGINAL_DIR, filename);
+    const originalPath = path.join(originalDir, filename);
 
-    let originalText;
+    let originalLines;
     try {
-      const raw = await readFile(originalPath);
-      originalText = sjisDecoder.decode(raw);
+      ({ lines: originalLines } = await readScript(originalPath));
     } catch {
       console.warn(`⚠  No original found for ${filename}, skipping.`);
       skipped++;
       continue;
     }
 
-    const translatedText = await readTranslated(translatedPath);
-
-    const originalLines = originalText.split("\n");
-    const translatedLines = translatedText.split("\n");
-
-    if (originalLines.at(-1) === "") originalLines.pop();
-    if (translatedLines.at(-1) === "") translatedLines.pop();
+    const { lines: translatedLines } = await readScript(translatedPath, {
+      encoding: "auto",
+    });
 
     checked++;
 
@@ -119,6 +101,20 @@ async function validateDirectory(translatedDir) {
           origText: originalLines[i],
           transText: translatedLines[i],
         });
+      } else if (!transIsSrc && hasBrokenRuby(transLine)) {
+        lineMismatches.push({
+          line: i + 1,
+          kind: "ruby",
+          origText: originalLines[i],
+          transText: translatedLines[i],
+        });
+      } else if (!transIsSrc && !samePageBreaks(origLine, transLine)) {
+        lineMismatches.push({
+          line: i + 1,
+          kind: "page_break",
+          origText: originalLines[i],
+          transText: translatedLines[i],
+        });
       }
     }
 
@@ -134,6 +130,10 @@ async function validateDirectory(translatedDir) {
           console.log(
             `   Line ${m.line}: speech source line differs from original`,
           );
+        } else if (m.kind === "ruby") {
+          console.log(`   Line ${m.line}: broken ruby markup`);
+        } else if (m.kind === "page_break") {
+          console.log(`   Line ${m.line}: page breaks differ from original`);
         }
         console.log(`     original:   ${m.origText}`);
         console.log(`     translated: ${m.transText}`);
@@ -144,9 +144,11 @@ async function validateDirectory(translatedDir) {
   return { checked, skipped, mismatched };
 }
 
-async function main() {
-  console.log(`=== ${TRANSLATED_FULL_DIR}/ ===`);
-  const result = await validateDirectory(TRANSLATED_FULL_DIR);
+export async function main() {
+  const config = loadConfig();
+
+  console.log(`=== ${config.full.dir}/ ===`);
+  const result = await validateDirectory(config.full.dir, config.originalDir);
 
   console.log("\n— Summary —");
   console.log(`  Checked:    ${result.checked} files`);
@@ -156,8 +158,8 @@ async function main() {
   console.log(`  Mismatched: ${result.mismatched} files`);
 
   if (result.mismatched > 0) {
-    process.exit(1);
+    throw new StageFailure(`${result.mismatched} files mismatched`);
   }
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);
@@ -2,60 +2,33 @@
  * Validate Translated Scripts
  *
  * Compares each translated script against its original counterpart in
- * `original/` to ensure structural consistency. Handles two directories:
+ * `original/` to ensure structural consistency. Every category directory
+ * in caucasus.config.json is checked; vertical-style scripts have leading
+ * whitespace that must be trimmed before classification.
  *
- *   - `translated/`            — normal (horizontal) scripts
- *   - `translated-inspection/` — inspection scripts
- *   - `translated-vertical/`   — vertical-style scripts whose lines have
- *                               leading whitespace that must be trimmed
- *                               before classification
- *
- * Checks performed:
+ * Checks performed (see compareTranslatedScript in lib/validation.mjs):
  *   1. Both files have the same number of lines.
  *   2. Speech source lines (＃) must appear at the same positions and be
  *      identical between original and translated (Japanese speaker names).
+ *   3. Translated lines have no `<` or `>` outside a complete ruby group
+ *      (`<base<reading>`, see lib/ruby.mjs).
+ *   4. Translated lines keep the ＄ page-break markers of their original:
+ *      as many, opening, closing or inside the line where the original has
+ *      them (translations may use an ASCII "$").
  *
- * Both original and translated files are Shift-JIS encoded, so we read raw
- * bytes and decode with TextDecoder("shift_jis").
+ * Both original and translated files are Shift-JIS encoded and are read
+ * with readScript() from lib/script.mjs.
  *
  * Usage:
  *   node validate-translations.mjs
  */
 
 import { glob } from "glob";
-import { readFile } from "fs/promises";
 import path from "path";
-
-const sjisDecoder = new TextDecoder("shift_jis");
-
-const ORIGINAL_DIR = "original";
-const TRANSLATED_DIR = "translated";
-const TRANSLATED_INSPECTION_DIR = "translated-inspection";
-const TRANSLATED_QUESTION_DIR = "translated-question";
-const TRANSLATED_EXPLORATION_DIR = "translated-exploration";
-const TRANSLATED_VERTICAL_DIR = "translated-vertical";
-
-const isSpeechSource = (line) => line.startsWith("＃");
-
-// Canonical Japanese → English speech source name mapping.
-// Kept for reference; speech source lines now use the original Japanese names.
-const SPEAKER_MAP = new Map([
-  ["主人公", "Protagonist"],
-  ["なるみ", "Narumi"],
-  ["想子", "Souko"],
-  ["辻村", "Tsujimura"],
-  ["高嶺", "Takamine"],
-  ["紅緒", "Benio"],
-  ["あかね", "Akane"],
-  ["御巫", "Mikanagi"],
-  ["摩夜", "Maya"],
-  ["藍", "Ai"],
-  ["詩音", "Shion"],
-  ["六曜", "Rokuyou"],
-  ["？？？", "???"],
-  ["警官", "Police Officer"],
-  ["御者", "Coachman"],
-]);
+import { loadConfig } from "./lib/config.mjs";
+import { readScript } from "./lib/script.mjs";
+import { StageFailure, runIfMain } from "./lib/stage.mjs";
+import { compareTranslatedScript } from "./lib/validation.mjs";
 
 /**
  * Validate all translated files in the given directory against originals.
@@ -64,7 +37,7 @@ const SPEAKER_MAP = new Map([
  *
  * Returns { checked, skipped, mismatched }.
  */
-async function validateDirectory(translatedDir, trim) {
+async function validateDirectory(translatedDir, originalDir, trim) {
   const translatedFiles = (await glob(`${translatedDir}/*.txt`)).sort();
 
   let checked = 0;
@@ -73,90 +46,56 @@ async function validateDirectory(translatedDir, trim) {
 
   for (const translatedPath of translatedFiles) {
     const filename = path.basename(translatedPath);
-    const originalPath = path.join(ORIGINAL_DIR, filename);
+    const originalPath = path.join(originalDir, filename);
 
     // Read both files as raw bytes and decode from Shift-JIS.
-    let originalText;
+    let originalLines;
     try {
-      const raw = await readFile(originalPath);
-      originalText = sjisDecoder.decode(raw);
+      ({ lines: originalLines } = await readScript(originalPath));
     } catch {
       console.warn(`⚠  No original found for ${filename}, skipping.`);
       skipped++;
       continue;
     }
 
-    const translatedText = sjisDecoder.decode(await readFile(translatedPath));
-
-    // Split into lines and strip the trailing empty line that a final
-    // newline produces, so we compare actual content lines only.
-    const originalLines = originalText.split("\n");
-    const translatedLines = translatedText.split("\n");
-
-    if (originalLines.at(-1) === "") originalLines.pop();
-    if (translatedLines.at(-1) === "") translatedLines.pop();
+    // readScript strips the trailing empty line that a final newline
+    // produces, so we compare actual content lines only.
+    const { lines: translatedLines } = await readScript(translatedPath);
 
     checked++;
 
-    // Verify both files have the same number of lines.
-    if (originalLines.length !== translatedLines.length) {
+    const { lineCount, mismatches } = compareTranslatedScript(
+      originalLines,
+      translatedLines,
+      { trim },
+    );
+
+    // Verify both files have the same number of lines; if not, show the
+    // first speech source position mismatch among the overlapping lines.
+    if (lineCount) {
       console.log(`\n✗  ${filename}`);
       console.log(
-        `   Line count mismatch: original has ${originalLines.length} lines, translated has ${translatedLines.length} lines`,
+        `   Line count mismatch: original has ${lineCount.original} lines, translated has ${lineCount.translated} lines`,
       );
-
-      // Walk through the overlapping lines to find the first speech source
-      // position mismatch.
-      const minLen = Math.min(originalLines.length, translatedLines.length);
-      for (let i = 0; i < minLen; i++) {
-        const origLine = trim ? originalLines[i].trim() : originalLines[i];
-        const transLine = trim ? translatedLines[i].trim() : translatedLines[i];
-        const origIsSrc = isSpeechSource(origLine);
-        const transIsSrc = isSpeechSource(transLine);
-        if (origIsSrc !== transIsSrc) {
-          console.log(
-            `   First speech source mismatch at line ${i + 1}:`,
-          );
-          console.log(`     original:   ${originalLines[i]}`);
-          console.log(`     translated: ${translatedLines[i]}`);
-          break;
-        }
+      for (const m of mismatches) {
+        console.log(
+          `   First speech source mismatch at line ${m.line}:`,
+        );
+        console.log(`     original:   ${m.origText}`);
+        console.log(`     translated: ${m.transText}`);
       }
 
       mismatched++;
       continue;
     }
 
-    // Compare each line pair. Speech source lines must appear at the same
-    // positions and be identical to the original (Japanese speaker names).
-    const lineMismatches = [];
-    for (let i = 0; i < originalLines.length; i++) {
-      const origLine = trim ? originalLines[i].trim() : originalLines[i];
-      const transLine = trim ? translatedLines[i].trim() : translatedLines[i];
-      const origIsSrc = isSpeechSource(origLine);
-      const transIsSrc = isSpeechSource(transLine);
-
-      if (origIsSrc !== transIsSrc) {
-        lineMismatches.push({
-          line: i + 1,
-          kind: "type",
-          origText: originalLines[i],
-          transText: translatedLines[i],
-        });
-      } else if (origIsSrc && origLine !== transLine) {
-        lineMismatches.push({
-          line: i + 1,
-          kind: "speaker_name",
-          origText: originalLines[i],
-          transText: translatedLines[i],
-        });
-      }
-    }
-
-    if (lineMismatches.length > 0) {
+    // Speech source lines must appear at the same positions and be
+    // identical to the original (Japanese speaker names), no line may have
+    // broken ruby markup, and every line keeps its page breaks.
+    if (mismatches.length > 0) {
       mismatched++;
       console.log(`\n✗  ${filename}`);
-      for (const m of lineMismatches) {
+      for (const m of mismatches) {
         if (m.kind === "type") {
           console.log(
             `   Line ${m.line}: speech source position mismatch`,
@@ -165,6 +104,10 @@ async function validateDirectory(translatedDir, trim) {
           console.log(
             `   Line ${m.line}: speech source line differs from original`,
           );
+        } else if (m.kind === "ruby") {
+          console.log(`   Line ${m.line}: broken ruby markup`);
+        } else if (m.kind === "page_break") {
+          console.log(`   Line ${m.line}: page breaks differ from original`);
         }
         console.log(`     original:   ${m.origText}`);
         console.log(`     translated: ${m.transText}`);
@@ -175,48 +118,28 @@ async function validateDirectory(translatedDir, trim) {
   return { checked, skipped, mismatched };
 }
 
-async function main() {
+export async function main() {
+  const config = loadConfig();
+
   let totalChecked = 0;
   let totalSkipped = 0;
   let totalMismatched = 0;
 
-  // Step 1: Validate normal (horizontal) scripts — no trimming needed.
-  console.log(`=== ${TRANSLATED_DIR}/ ===`);
-  const normal = await validateDirectory(TRANSLATED_DIR, false);
-  totalChecked += normal.checked;
-  totalSkipped += normal.skipped;
-  totalMismatched += normal.mismatched;
-
-  // Step 2: Validate inspection scripts — no trimming needed.
-  console.log(`\n=== ${TRANSLATED_INSPECTION_DIR}/ ===`);
-  const inspection = await validateDirectory(TRANSLATED_INSPECTION_DIR, false);
-  totalChecked += inspection.checked;
-  totalSkipped += inspection.skipped;
-  totalMismatched += inspection.mismatched;
-
-  // Step 3: Validate question scripts — no trimming needed.
-  console.log(`\n=== ${TRANSLATED_QUESTION_DIR}/ ===`);
-  const question = await validateDirectory(TRANSLATED_QUESTION_DIR, false);
-  totalChecked += question.checked;
-  totalSkipped += question.skipped;
-  totalMismatched += question.mismatched;
-
-  // Step 4: Validate exploration scripts — no trimming needed.
-  console.log(`\n=== ${TRANSLATED_EXPLORATION_DIR}/ ===`);
-  const exploration = await validateDirectory(TRANSLATED_EXPLORATION_DIR, false);
-  totalChecked += exploration.checked;
-  totalSkipped += exploration.skipped;
-  totalMismatched += exploration.mismatched;
-
-  // Step 5: Validate vertical-style scripts — trim leading whitespace
-  // before classifying lines, since vertical scripts indent every line.
-  console.log(`\n=== ${TRANSLATED_VERTICAL_DIR}/ ===`);
-  const vertical = await validateDirectory(TRANSLATED_VERTICAL_DIR, true);
-  totalChecked += vertical.checked;
-  totalSkipped += vertical.skipped;
-  totalMismatched += vertical.mismatched;
-
-  // Step 3: Print summary.
+  // Step 1: Validate every category. Vertical-style scripts indent every
+  // line, so trim leading whitespace before classifying their lines.
+  for (const [i, category] of config.categories.entries()) {
+    console.log(`${i > 0 ? "\n" : ""}=== ${category.dir}/ ===`);
+    const result = await validateDirectory(
+      category.dir,
+      config.originalDir,
+      category.vertical
+    );
+    totalChecked += result.checked;
+    totalSkipped += result.skipped;
+    totalMismatched += result.mismatched;
+  }
+
+  // Step 2: Print summary.
   console.log("\n— Summary —");
   console.log(`  Checked:    ${totalChecked} files`);
   console.log(
@@ -225,8 +148,8 @@ async function main() {
   console.log(`  Mismatched: ${totalMismatched} files`);
 
   if (totalMismatched > 0) {
-    process.exit(1);
+    throw new StageFailure(`${totalMismatched} files mismatched`);
   }
 }
 
-main().catch(console.error);
+runIfMain(import.meta.url, main);